@@ -2,12 +2,15 @@
  * Express application configuration
  *
  * This file is responsible for:
+ * - initializing core services (repositories, signing keys)
  * - creating the Express application
  * - registering global middleware
  * - mounting API routes
- * - initializing core services (database)
  *
- * It represents the central entry point of the backend application.
+ * It exports createApp(), which builds a ready-to-serve application
+ * from its dependencies. index.js loads the configuration and calls it;
+ * tests can call it with an in-memory database and a fake clock, and
+ * create several apps side by side.
  */
 
 import express from 'express';
@@ -16,88 +19,212 @@ import cors from 'cors';
 /**
  * Route modules
  */
-import authRoutes from './routes/authRoutes.js';
-import dataRoutes from './routes/dataRoutes.js';
+import { routeTable } from './routes/index.js';
+import { buildOpenApiDocument } from './utils/openApi.js';
 
 /**
- * Database initialization
+ * Middlewares
  */
-import { connectDB } from './config/db.js';
+import { requestId } from './middlewares/requestId.js';
+import { accessLog, trackRoute } from './middlewares/accessLog.js';
+import { notFoundHandler, errorHandler } from './middlewares/errorHandler.js';
 
 /**
- * Create Express application instance.
+ * Core services
  */
-const app = express();
+import { connectDB } from './config/db.js';
+import { getConfig, setConfig } from './config/env.js';
+import { setJwtSettings } from './config/jwt.js';
+import { initRepositories } from './repositories/index.js';
+import { initKeyStore, startKeyRotation, stopKeyRotation } from './services/keyStore.js';
+import { seedAuthorization } from './services/permissionService.js';
+import { provisionSuperAdmins } from './services/organizationService.js';
+import { flushAuditLog } from './services/auditLog.js';
+import { setAuthProviders } from './services/authProviders/index.js';
+import { initHealthChecks } from './services/healthService.js';
+import { createAppContext, runInAppContext } from './utils/appContext.js';
+import { setClock } from './utils/clock.js';
+import { setLogger, setLogLevel } from './utils/logger.js';
 
 /**
- * Disable ETag headers.
+ * Creates the application.
  *
- * This prevents browser-side caching issues
- * when working with authenticated requests
- * and JWT-protected APIs.
- */
-app.disable('etag');
-
-/**
- * Initialize database connection.
+ * Everything is initialized BEFORE the app is returned, so no request
+ * can run against a database or key store that is still opening.
  *
- * This is executed once at application startup.
- */
-connectDB();
-
-/**
- * Enable Cross-Origin Resource Sharing (CORS).
+ * Dependencies are installed into the modules using them (repositories,
+ * key store, clock, logger...) within the app's own context (see
+ * utils/appContext.js): each app keeps its dependencies and caches,
+ * and several apps can run side by side in one process.
  *
- * Allows frontend applications hosted on
- * different domains/ports to access the API.
- */
-app.use(cors());
-
-/**
- * Parse incoming JSON payloads.
- *
- * Required to read req.body in controllers.
- */
-app.use(express.json());
-
-/**
- * Mount authentication routes.
- *
- * Base path:
- *   /auth
+ * Code running outside the app's requests (tests seeding data,
+ * index.js) enters the context with app.locals.context:
+ *   await runInAppContext(app.locals.context, () => getRepositories().users.create(...));
  *
  * Example:
- *   POST /auth/login
- */
-app.use('/auth', authRoutes);
-
-/**
- * Mount protected data routes.
+ *   const app = await createApp({
+ *       db: await connectDB({ client: 'sqlite', filename: ':memory:' }),
+ *       clock: { now: () => fakeTime }
+ *   });
  *
- * Base path:
- *   /data
- *
- * Example:
- *   GET /data/admin
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Result of loadConfig() (default: the
+ *        environment, see config/env.js)
+ * @param {Object} [options.db] - Connected database adapter (default: connectDB())
+ * @param {Object} [options.keys] - JWT / signing key settings overriding the
+ *        environment (algorithm, issuer, audience, rotationIntervalMs, gracePeriodMs,
+ *        keyEncryptionKey)
+ * @param {{ now: () => number }} [options.clock] - Time source (default: system clock)
+ * @param {Object} [options.logger] - info / warn / error methods receiving
+ *        the log records (default: JSON lines on stdout / stderr)
+ * @param {Object[]} [options.authProviders] - Password checkers tried in order
+ *        (default: AUTH_PROVIDERS, see services/authProviders/index.js)
+ * @returns {Promise<import('express').Express>} App, with app.close()
+ *          to stop background jobs and close the database
  */
-app.use('/data', dataRoutes);
+export async function createApp(options = {}) {
+    const context = createAppContext();
 
-/**
- * Health check endpoint.
- *
- * Useful for:
- * - verifying server availability
- * - load balancer health checks
- * - local development testing
- */
-app.get('/', (req, res) => {
-    res.send('Backend working');
-});
+    return runInAppContext(context, () => buildApp(context, options));
+}
 
 /**
- * Export Express app instance.
+ * Initializes the services and builds the app, inside its context.
  *
- * The server is started separately
- * to allow easier testing and scalability.
+ * @param {{ state: Map }} context - Context of the app
+ * @param {Object} options - See createApp()
+ * @returns {Promise<import('express').Express>}
  */
-export default app;
\ No newline at end of file
+async function buildApp(context, { config, db, keys, clock, logger, authProviders }) {
+    setConfig(config);
+    const { trustProxy, cors: corsSettings, cookies, logLevel } = getConfig();
+
+    setClock(clock);
+    setLogger(logger);
+    setLogLevel(logLevel);
+    setJwtSettings(keys);
+
+    const database = db ?? await connectDB();
+
+    /**
+     * Data access, default roles and permissions, super-admins
+     * named in SUPER_ADMINS, then signing keys (created on first start) and their rotation.
+     */
+    initRepositories(database);
+    initHealthChecks(database);
+    setAuthProviders(authProviders);
+    await seedAuthorization();
+    await provisionSuperAdmins();
+    await initKeyStore();
+    startKeyRotation();
+
+    /**
+     * Create Express application instance.
+     */
+    const app = express();
+
+    app.locals.context = context;
+
+    /**
+     * Disable ETag headers.
+     *
+     * This prevents browser-side caching issues
+     * when working with authenticated requests
+     * and JWT-protected APIs.
+     */
+    app.disable('etag');
+
+    /**
+     * Serve every request inside the app's context, so services
+     * use this app's database, configuration and caches.
+     */
+    app.use((req, res, next) => runInAppContext(context, next));
+
+    /**
+     * Trust reverse proxy headers (X-Forwarded-For).
+     *
+     * When deployed behind a proxy (Render, load balancers),
+     * TRUST_PROXY must be the number of proxy hops so that
+     * req.ip is the real client address. Login throttling relies on it.
+     *
+     * Left disabled by default: trusting the header without a proxy
+     * would let clients spoof their IP.
+     */
+    if (trustProxy) {
+        app.set('trust proxy', trustProxy);
+    }
+
+    /**
+     * Assign a request id (req.id, X-Request-Id header).
+     *
+     * Used to correlate audit events and logs of the same request.
+     */
+    app.use(requestId);
+
+    /**
+     * Log every response with its status and latency,
+     * and feed the request metrics (GET /metrics).
+     */
+    app.use(accessLog);
+
+    /**
+     * Enable Cross-Origin Resource Sharing (CORS).
+     *
+     * Allows the frontend applications listed in CORS_ORIGINS,
+     * hosted on different domains/ports, to access the API
+     * (any origin outside production when it is not set).
+     *
+     * With cookie authentication (AUTH_COOKIES), those origins may
+     * also send credentials: the browser attaches the cookies to
+     * their requests and lets them read the responses.
+     */
+    app.use(cors({ origin: corsSettings.origins, credentials: cookies !== null }));
+
+    /**
+     * Parse incoming JSON payloads.
+     *
+     * Required to read req.body in controllers.
+     * Malformed JSON is reported by errorHandler (400 malformed_json).
+     */
+    app.use(express.json());
+
+    /**
+     * Mount every router of the route table (routes/index.js).
+     *
+     * Example:
+     *   POST /auth/login
+     *   GET  /admin/users
+     */
+    for (const { path, router } of routeTable) {
+        app.use(path, trackRoute(path), router);
+    }
+
+    /**
+     * OpenAPI document served by GET /openapi.json,
+     * generated once from the same route table.
+     */
+    app.locals.openApiDocument = buildOpenApiDocument(routeTable);
+
+    /**
+     * Error handling, registered after every route.
+     *
+     * - unknown routes → 404 route_not_found
+     * - errors thrown by controllers and middlewares
+     *   → RFC 7807 problem+json response
+     */
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    /**
+     * Releases what createApp() started, once the audit events
+     * recorded so far are written.
+     * The HTTP server, if any, must be closed by its owner first.
+     */
+    app.close = () => runInAppContext(context, async () => {
+        stopKeyRotation();
+        await flushAuditLog();
+        await database.close();
+    });
+
+    return app;
+}
@@ -1,91 +1,69 @@
 /**
- * SQLite database configuration
+ * Database configuration
  *
  * This file is responsible for:
+ * - selecting the database engine (SQLite or MySQL)
  * - creating the database connection
- * - initializing required tables
- * - exposing a single shared database instance
+ * - checking that the schema is up to date (see db/migrator.js)
  *
- * In a real enterprise system, this layer would normally be replaced
- * by PostgreSQL / MySQL / Oracle, but SQLite is ideal for local development
- * and technical assessments.
- */
-
-import sqlite3 from 'sqlite3';
-import { open } from 'sqlite';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-/**
- * Node.js ES Modules do not provide __dirname by default.
- * These two lines recreate it so we can build absolute file paths safely.
+ * The connection is then handed to createApp({ db }) (app.js).
+ *
+ * The engine and location come from DB_CLIENT / DATABASE_URL,
+ * validated by config/env.js (getConfig().database). Without any
+ * of them, the SQLite file database.sqlite at the project root
+ * is used, as in previous versions.
  */
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-/**
- * Internal reference to the database connection.
- * It is kept private and accessed only through getDB().
- */
-let db;
+import { createSqliteAdapter } from '../db/sqliteAdapter.js';
+import { createMysqlAdapter } from '../db/mysqlAdapter.js';
+import { migrate, assertSchemaUpToDate } from '../db/migrator.js';
+import { getConfig } from './env.js';
+import { logger } from '../utils/logger.js';
 
 /**
- * Initializes the SQLite database connection.
+ * Opens a connection without touching the schema.
  *
- * This function:
- * 1. Opens (or creates) the SQLite file
- * 2. Creates required tables if they do not exist
- * 3. Keeps the connection in memory for reuse
+ * Used by connectDB() and by the migration commands.
  *
- * It must be executed ONCE when the application starts.
+ * @param {{ client: 'sqlite', filename: string } | { client: 'mysql', url: string }} [config]
+ *        Database to open (default: getConfig().database)
+ * @returns {Promise<Object>} Database adapter
  */
-export async function connectDB() {
-    db = await open({
-        // Absolute path ensures compatibility across OS environments
-        filename: path.join(__dirname, '../database.sqlite'),
-
-        // SQLite driver used by the `sqlite` package
-        driver: sqlite3.Database
-    });
-
-    /**
-     * Users table
-     *
-     * - id: auto-increment primary key
-     * - username: unique login identifier
-     * - passwordHashed: bcrypt-hashed password
-     * - role: authorization role used for access control
-     *
-     * Roles supported:
-     * - user
-     * - advisor
-     * - admin
-     */
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS users (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT UNIQUE,
-            passwordHashed TEXT,
-            role TEXT
-        )
-    `);
-
-    console.log('SQLite connected and users table ready.');
+export async function openDatabase(config = getConfig().database) {
+    return config.client === 'mysql'
+        ? createMysqlAdapter({ url: config.url })
+        : createSqliteAdapter({ filename: config.filename });
 }
 
 /**
- * Returns the active database connection.
+ * Opens the database and checks it can be used.
+ *
+ * This function:
+ * 1. Opens the configured database
+ * 2. Refuses to continue if migrations are pending
  *
- * This ensures:
- * - a single shared connection across the app
- * - consistent access from controllers and services
+ * Migrations are applied automatically only for in-memory
+ * databases (nothing else could migrate them) or when
+ * DB_AUTO_MIGRATE=true.
  *
- * If the database is accessed before initialization,
- * an explicit error is thrown to avoid silent failures.
+ * @param {Object} [config] - Overrides getConfig().database (see openDatabase)
+ * @returns {Promise<Object>} Database adapter
+ * @throws when the schema is behind
  */
-export function getDB() {
-    if (!db) {
-        throw new Error('Database not connected. Call connectDB() first.');
+export async function connectDB(config = getConfig().database) {
+    const adapter = await openDatabase(config);
+
+    try {
+        if (config.filename === ':memory:' || getConfig().database.autoMigrate) {
+            await migrate(adapter);
+        }
+
+        await assertSchemaUpToDate(adapter);
+    } catch (err) {
+        await adapter.close();
+        throw err;
     }
-    return db;
+
+    logger.info('Database connected and schema up to date', { client: config.client });
+    return adapter;
 }
@@ -0,0 +1,68 @@
+/**
+ * JWT configuration
+ *
+ * Settings shared by token generation, token verification
+ * and the signing key store.
+ *
+ * Values come from the application configuration (config/env.js);
+ * createApp({ keys }) can override them.
+ */
+
+import { getConfig } from './env.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Signing algorithms supported by the key store.
+ *
+ * - RS256: RSA 2048 + SHA-256, the most widely supported
+ * - EdDSA: Ed25519, smaller keys and faster signatures
+ */
+export const SUPPORTED_ALGORITHMS = ['RS256', 'EdDSA'];
+
+/**
+ * Settings given to createApp({ keys }), applied over the configuration.
+ */
+const state = defineAppState(() => ({ overrides: {} }));
+
+/**
+ * Overrides some settings regardless of the configuration.
+ *
+ * @param {Object} [settings] - Any subset of getJwtSettings() (omit to reset)
+ */
+export function setJwtSettings(settings = {}) {
+    state().overrides = { ...settings };
+}
+
+/**
+ * Returns the current JWT settings.
+ *
+ * Environment variables, validated by config/env.js
+ * (unless overridden by setJwtSettings):
+ * - JWT_ALG: signing algorithm for new keys (default RS256)
+ * - JWT_ISSUER: "iss" claim (default login-auth-roles-backend)
+ * - JWT_AUDIENCE: "aud" claim (default login-auth-roles-frontend)
+ * - JWT_KEY_ROTATION_DAYS: age at which the signing key is replaced (default 30)
+ * - JWT_KEY_GRACE_DAYS: how long a replaced key still verifies tokens (default 1)
+ * - SIGNING_KEY_ENCRYPTION_KEY: encrypts the stored private keys (base64, 32 bytes)
+ *
+ * @returns {{
+ *   algorithm: string,
+ *   issuer: string,
+ *   audience: string,
+ *   rotationIntervalMs: number,
+ *   gracePeriodMs: number,
+ *   keyEncryptionKey: string | undefined
+ * }}
+ */
+export function getJwtSettings() {
+    const settings = {
+        ...getConfig().jwt,
+        ...state().overrides
+    };
+
+    if (!SUPPORTED_ALGORITHMS.includes(settings.algorithm)) {
+        throw new Error(`Unsupported signing algorithm: ${settings.algorithm}`);
+    }
+
+    return settings;
+}
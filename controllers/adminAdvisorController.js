@@ -0,0 +1,115 @@
+/**
+ * Admin Advisor Controller
+ *
+ * Manages the book of clients of each advisor of the admin's
+ * organization (advisor_clients). Advisors reach the data of
+ * their clients only (see services/clientAccessService.js).
+ *
+ * Rules:
+ * - the advisor is a member with the advisor role, or a role
+ *   inheriting it (an admin can follow clients too)
+ * - the client is a member with the user role, not a service account
+ * - members of other organizations are reported as not found
+ *
+ * Every route using this controller is protected by
+ * verifyToken + checkRole(['admin']).
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { toPublicClient } from '../services/clientAccessService.js';
+import { roleSatisfies } from '../utils/roles.js';
+import { NotFoundError, ConflictError } from '../utils/httpErrors.js';
+
+/**
+ * Loads a member of the admin's organization.
+ *
+ * @param {Object} req - Express request (organization of the admin)
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} users row with the role in the organization
+ * @throws {NotFoundError} when the user is not a member of the organization
+ */
+async function findMember(req, id) {
+    const member = await getRepositories().organizations.findMember(req.user.organizationId, id);
+
+    if (!member) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    return member;
+}
+
+/**
+ * Loads the advisor targeted by the :id route parameter.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} users row with the role in the organization
+ * @throws {NotFoundError | ConflictError}
+ */
+async function findAdvisor(req) {
+    const advisor = await findMember(req, req.params.id);
+
+    if (!roleSatisfies(advisor.role, 'advisor')) {
+        throw new ConflictError('not_an_advisor', 'User is not an advisor');
+    }
+
+    return advisor;
+}
+
+/**
+ * GET /admin/advisors/:id/clients
+ *
+ * Clients assigned to an advisor, ordered by username.
+ */
+export async function listAdvisorClients(req, res) {
+    const advisor = await findAdvisor(req);
+
+    const clients = await getRepositories().advisorClients.listClients(req.user.organizationId, advisor.id);
+
+    res.json(clients.map(toPublicClient));
+}
+
+/**
+ * PUT /admin/advisors/:id/clients/:clientId
+ *
+ * Adds a client to the advisor's book. Assigning a
+ * client twice is a no-op.
+ */
+export async function assignClient(req, res) {
+    const advisor = await findAdvisor(req);
+    const client = await findMember(req, req.params.clientId);
+
+    if (client.role !== 'user' || client.authProvider === 'service') {
+        throw new ConflictError('not_a_client', 'Only users can be assigned to an advisor');
+    }
+
+    if (await getRepositories().advisorClients.assign(req.user.organizationId, advisor.id, client.id)) {
+        recordAuditEvent(req, AUDIT_EVENTS.ADVISOR_CLIENT_ASSIGNED, {
+            targetId: advisor.id,
+            details: { organizationId: req.user.organizationId, clientId: client.id }
+        });
+    }
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/advisors/:id/clients/:clientId
+ *
+ * Removes a client from the advisor's book. Works whatever
+ * the current roles, so stale assignments can be cleaned up.
+ */
+export async function unassignClient(req, res) {
+    const advisor = await findMember(req, req.params.id);
+
+    if (!await getRepositories().advisorClients.unassign(req.user.organizationId, advisor.id, req.params.clientId)) {
+        throw new NotFoundError('assignment_not_found', 'Client is not assigned to this advisor');
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.ADVISOR_CLIENT_UNASSIGNED, {
+        targetId: advisor.id,
+        details: { organizationId: req.user.organizationId, clientId: req.params.clientId }
+    });
+
+    res.status(204).end();
+}
@@ -0,0 +1,32 @@
+/**
+ * Admin Signing Key Controller
+ *
+ * Manual control over JWT signing key rotation,
+ * e.g. when a private key may have been exposed.
+ */
+
+import { rotateSigningKeys, getPublicJwks } from '../services/keyStore.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+
+/**
+ * GET /admin/keys
+ *
+ * Lists the public keys currently published in the JWKS.
+ */
+export async function listKeys(req, res) {
+    res.json(await getPublicJwks());
+}
+
+/**
+ * POST /admin/keys/rotate
+ *
+ * Generates a new signing key immediately.
+ * The previous key keeps verifying tokens during the grace period.
+ */
+export async function rotateKeys(req, res) {
+    const kid = await rotateSigningKeys();
+
+    recordAuditEvent(req, AUDIT_EVENTS.SIGNING_KEY_ROTATED, { details: { kid } });
+
+    res.status(201).json({ kid });
+}
@@ -0,0 +1,58 @@
+/**
+ * Admin OAuth Client Controller
+ *
+ * Registration of the applications allowed to sign users in
+ * through the OpenID Connect provider (see services/oauthService.js).
+ */
+
+import {
+    registerClient,
+    listClients,
+    deleteClient
+} from '../services/oauthService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * GET /admin/oauth/clients
+ *
+ * Lists the registered clients (without secrets).
+ */
+export async function listOAuthClients(req, res) {
+    res.json(await listClients());
+}
+
+/**
+ * POST /admin/oauth/clients
+ *
+ * Registers a client.
+ *
+ * For confidential clients the response contains "clientSecret":
+ * it is only stored hashed and cannot be retrieved again.
+ */
+export async function createOAuthClient(req, res) {
+    const { client, clientSecret } = await registerClient(req.body);
+
+    recordAuditEvent(req, AUDIT_EVENTS.OAUTH_CLIENT_CREATED, {
+        details: { clientId: client.clientId, name: client.name, type: client.type }
+    });
+
+    res.status(201).json({ ...client, ...(clientSecret && { clientSecret }) });
+}
+
+/**
+ * DELETE /admin/oauth/clients/:clientId
+ *
+ * Removes a client: it can no longer start logins or refresh tokens.
+ */
+export async function deleteOAuthClient(req, res) {
+    const { clientId } = req.params;
+
+    if (!await deleteClient(clientId)) {
+        throw new NotFoundError('client_not_found', 'OAuth client not found');
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.OAUTH_CLIENT_DELETED, { details: { clientId } });
+
+    res.status(204).end();
+}
@@ -0,0 +1,263 @@
+/**
+ * Admin Organization Controller
+ *
+ * Platform administration, reserved to super-admins
+ * (see middlewares/requireSuperAdmin.js):
+ * - organizations (tenants)
+ * - memberships of any organization
+ * - the super-admin flag itself
+ *
+ * Admins of an organization manage their own members through
+ * the /admin/users endpoints instead.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../db/errors.js';
+import { listOrganizations as listAllOrganizations, toPublicOrganization } from '../services/organizationService.js';
+import { bumpTokenVersion } from '../services/tokenRevocationService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { SERVICE_ACCOUNT_ROLES } from '../utils/roles.js';
+import { NotFoundError, ConflictError } from '../utils/httpErrors.js';
+
+/**
+ * Maps a users row with its role to the representation returned by the API.
+ *
+ * @param {Object} row - users row joined with memberships.role
+ * @returns {Object} Public member object
+ */
+function toPublicMember(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        superAdmin: Boolean(row.superAdmin),
+        disabled: Boolean(row.disabled),
+        authProvider: row.authProvider
+    };
+}
+
+/**
+ * Loads the organization targeted by the :id route parameter.
+ *
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} organizations row
+ * @throws {NotFoundError} when it does not exist
+ */
+async function findOrganization(id) {
+    const organization = await getRepositories().organizations.findById(id);
+
+    if (!organization) {
+        throw new NotFoundError('organization_not_found', 'Organization not found');
+    }
+
+    return organization;
+}
+
+/**
+ * Loads the user targeted by a route parameter.
+ *
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} users row
+ * @throws {NotFoundError} when it does not exist
+ */
+async function findUser(id) {
+    const user = await getRepositories().users.findById(id);
+
+    if (!user) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    return user;
+}
+
+/**
+ * GET /admin/organizations
+ *
+ * Every organization with its member count.
+ */
+export async function listOrganizations(req, res) {
+    res.json(await listAllOrganizations());
+}
+
+/**
+ * POST /admin/organizations
+ *
+ * Expected payload:
+ *
+ * {
+ *   "slug": "acme",
+ *   "name": "Acme Corporation"
+ * }
+ *
+ * The organization starts empty: add its first admin with
+ * PUT /admin/organizations/:id/members/:userId.
+ */
+export async function createOrganization(req, res) {
+    const { slug, name } = req.body;
+
+    let organization;
+
+    try {
+        organization = await getRepositories().organizations.create({ slug, name: name.trim() });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            throw new ConflictError('organization_slug_taken', 'Organization slug already exists');
+        }
+
+        throw err;
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.ORGANIZATION_CREATED, {
+        details: { organizationId: organization.id, slug: organization.slug }
+    });
+
+    res.status(201).json(toPublicOrganization(organization));
+}
+
+/**
+ * DELETE /admin/organizations/:id
+ *
+ * Only empty organizations can be deleted: members must be
+ * removed (or their accounts deleted) first.
+ */
+export async function deleteOrganization(req, res) {
+    const organization = await findOrganization(req.params.id);
+
+    if (!await getRepositories().organizations.deleteIfEmpty(organization.id)) {
+        throw new ConflictError('organization_not_empty', 'Organization still has members');
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.ORGANIZATION_DELETED, {
+        details: { organizationId: organization.id, slug: organization.slug }
+    });
+
+    res.status(204).end();
+}
+
+/**
+ * GET /admin/organizations/:id/members
+ */
+export async function listMembers(req, res) {
+    const organization = await findOrganization(req.params.id);
+
+    const members = await getRepositories().organizations.listMembers(organization.id);
+
+    res.json(members.map(toPublicMember));
+}
+
+/**
+ * PUT /admin/organizations/:id/members/:userId
+ *
+ * Expected payload:
+ *
+ * { "role": "admin" }
+ *
+ * Adds an existing user to the organization, or changes their role
+ * in it. The last admin of the organization cannot be demoted.
+ */
+export async function setMember(req, res) {
+    const { role } = req.body;
+    const { organizations } = getRepositories();
+
+    const organization = await findOrganization(req.params.id);
+    const user = await findUser(req.params.userId);
+
+    if (user.authProvider === 'service' && !SERVICE_ACCOUNT_ROLES.includes(role)) {
+        throw new ConflictError('service_account_role', `Service accounts can only have the roles: ${SERVICE_ACCOUNT_ROLES.join(', ')}`);
+    }
+
+    const current = await organizations.findMembership(user.id, organization.id);
+
+    if (!await organizations.setMemberRole(organization.id, user.id, role)) {
+        throw new ConflictError('last_admin', 'Cannot demote the last admin');
+    }
+
+    if (current && current.role !== role) {
+        await bumpTokenVersion(user.id);
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.MEMBERSHIP_CHANGED, {
+        targetId: user.id,
+        details: { organizationId: organization.id, from: current?.role ?? null, to: role }
+    });
+
+    res.json(toPublicMember(await organizations.findMember(organization.id, user.id)));
+}
+
+/**
+ * DELETE /admin/organizations/:id/members/:userId
+ *
+ * Removes a user from the organization (the account is kept).
+ * The last admin of the organization cannot be removed.
+ */
+export async function removeMember(req, res) {
+    const { organizations, advisorClients } = getRepositories();
+
+    const organization = await findOrganization(req.params.id);
+    const member = await organizations.findMember(organization.id, req.params.userId);
+
+    if (!member) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    if (!await organizations.removeMember(organization.id, member.id)) {
+        throw new ConflictError('last_admin', 'Cannot remove the last admin');
+    }
+
+    await advisorClients.removeMember(organization.id, member.id);
+    await bumpTokenVersion(member.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.MEMBERSHIP_REMOVED, {
+        targetId: member.id,
+        details: { organizationId: organization.id, role: member.role }
+    });
+
+    res.status(204).end();
+}
+
+/**
+ * PUT /admin/super-admins/:id
+ *
+ * Makes a user super-admin. Takes effect at their next refresh:
+ * their current access tokens are invalidated.
+ *
+ * Service accounts cannot be super-admins.
+ */
+export async function grantSuperAdmin(req, res) {
+    const user = await findUser(req.params.id);
+
+    if (user.authProvider === 'service') {
+        throw new ConflictError('service_account_role', 'Service accounts cannot be super-admins');
+    }
+
+    if (!user.superAdmin) {
+        await getRepositories().users.setSuperAdmin(user.id, true);
+        await bumpTokenVersion(user.id);
+
+        recordAuditEvent(req, AUDIT_EVENTS.SUPER_ADMIN_GRANTED, { targetId: user.id });
+    }
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/super-admins/:id
+ *
+ * Removes the super-admin flag. The last active
+ * super-admin cannot be removed.
+ */
+export async function revokeSuperAdmin(req, res) {
+    const user = await findUser(req.params.id);
+
+    if (user.superAdmin) {
+        if (!await getRepositories().users.setSuperAdmin(user.id, false)) {
+            throw new ConflictError('last_super_admin', 'Cannot remove the last super-admin');
+        }
+
+        await bumpTokenVersion(user.id);
+
+        recordAuditEvent(req, AUDIT_EVENTS.SUPER_ADMIN_REVOKED, { targetId: user.id });
+    }
+
+    res.status(204).end();
+}
@@ -0,0 +1,120 @@
+/**
+ * Admin Permission Management Controller
+ *
+ * Lets administrators inspect and change role → permission
+ * mappings at runtime, without a redeploy.
+ *
+ * Roles and their hierarchy are fixed in code (utils/roles.js);
+ * permissions and direct grants live in the database.
+ */
+
+import { isValidRole, ROLES } from '../utils/roles.js';
+import {
+    listRoles as listRolesWithPermissions,
+    listPermissions as listAllPermissions,
+    createPermission as insertPermission,
+    grantPermission,
+    revokePermission,
+    permissionExists
+} from '../services/permissionService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { isUniqueViolation } from '../db/errors.js';
+import { NotFoundError, ConflictError } from '../utils/httpErrors.js';
+
+/**
+ * Rejects unknown roles of the /admin/roles/:role routes.
+ *
+ * @param {string} role - Route parameter
+ * @throws {NotFoundError}
+ */
+function assertRoleExists(role) {
+    if (!isValidRole(role)) {
+        throw new NotFoundError('role_not_found', `Role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+/**
+ * GET /admin/roles
+ *
+ * Returns each role with its parent, direct grants
+ * and effective (inherited) permissions.
+ */
+export async function listRoles(req, res) {
+    res.json(await listRolesWithPermissions());
+}
+
+/**
+ * GET /admin/permissions
+ */
+export async function listPermissions(req, res) {
+    res.json(await listAllPermissions());
+}
+
+/**
+ * POST /admin/permissions
+ *
+ * Expected payload:
+ *
+ * {
+ *   "name": "reports:export",
+ *   "description": "Export advisor reports"
+ * }
+ */
+export async function createPermission(req, res) {
+    const { name, description } = req.body;
+
+    try {
+        await insertPermission(name, description ?? null);
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            throw new ConflictError('permission_exists', 'Permission already exists');
+        }
+
+        throw err;
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.PERMISSION_CREATED, { details: { name } });
+
+    res.status(201).json({ name, description: description ?? null });
+}
+
+/**
+ * PUT /admin/roles/:role/permissions/:permission
+ *
+ * Grants a permission to a role (idempotent).
+ */
+export async function grantRolePermission(req, res) {
+    const { role, permission } = req.params;
+
+    assertRoleExists(role);
+
+    if (!await permissionExists(permission)) {
+        throw new NotFoundError('permission_not_found', 'Permission not found');
+    }
+
+    await grantPermission(role, permission);
+
+    recordAuditEvent(req, AUDIT_EVENTS.PERMISSION_GRANTED, { details: { role, permission } });
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/roles/:role/permissions/:permission
+ *
+ * Removes a direct grant. Permissions inherited from
+ * a lower role must be revoked on that role instead.
+ */
+export async function revokeRolePermission(req, res) {
+    const { role, permission } = req.params;
+
+    assertRoleExists(role);
+
+    if (!await revokePermission(role, permission)) {
+        throw new NotFoundError('grant_not_found', 'Role does not have this permission directly');
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.PERMISSION_REVOKED, { details: { role, permission } });
+
+    res.status(204).end();
+}
@@ -0,0 +1,210 @@
+/**
+ * Admin Service Account Controller
+ *
+ * Service accounts and their API keys, for machine-to-machine
+ * access (see services/apiKeyService.js).
+ *
+ * Service accounts are listed, disabled and deleted through the
+ * regular /admin/users endpoints (GET /admin/users?authProvider=service).
+ * Like users, they belong to the organization of the admin creating
+ * them and are not visible from other organizations.
+ *
+ * Keys are returned in full only when issued or rotated:
+ * they are stored hashed and cannot be retrieved again.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../db/errors.js';
+import {
+    createServiceAccount as createServiceAccountRow,
+    issueApiKey as issueKey,
+    listApiKeys as listKeys,
+    findApiKey,
+    isApiKeyActive,
+    rotateApiKey as rotateKey,
+    revokeApiKey as revokeKey
+} from '../services/apiKeyService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { NotFoundError, ConflictError } from '../utils/httpErrors.js';
+
+/**
+ * Maps a users row of a service account to the API representation.
+ *
+ * @param {Object} row - users table row
+ * @returns {Object} Public service account object
+ */
+function toPublicServiceAccount(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        disabled: Boolean(row.disabled),
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * Loads the service account targeted by the :id route parameter.
+ *
+ * @param {Object} req - Express request (organization of the admin)
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} users row with the role in the organization
+ * @throws {NotFoundError} when it does not exist in the organization or is a regular user
+ */
+async function findServiceAccount(req, id) {
+    const user = await getRepositories().organizations.findMember(req.user.organizationId, id);
+
+    if (!user || user.authProvider !== 'service') {
+        throw new NotFoundError('service_account_not_found', 'Service account not found');
+    }
+
+    return user;
+}
+
+/**
+ * Loads the key targeted by the :keyId route parameter.
+ *
+ * @param {Object} account - users row of the service account
+ * @param {number} keyId - Validated route parameter
+ * @returns {Promise<Object>} Public API key object
+ * @throws {NotFoundError} when it does not belong to the account
+ */
+async function findAccountKey(account, keyId) {
+    const apiKey = await findApiKey(account.id, keyId);
+
+    if (!apiKey) {
+        throw new NotFoundError('api_key_not_found', 'API key not found');
+    }
+
+    return apiKey;
+}
+
+/**
+ * POST /admin/service-accounts
+ *
+ * Expected payload:
+ *
+ * {
+ *   "username": "nightly-export",
+ *   "role": "advisor"
+ * }
+ */
+export async function createServiceAccount(req, res) {
+    const { username, role } = req.body;
+
+    let account;
+
+    try {
+        account = await createServiceAccountRow({
+            username: username.trim(),
+            organizationId: req.user.organizationId,
+            role
+        });
+    } catch (err) {
+        if (isUniqueViolation(err)) {
+            throw new ConflictError('username_taken', 'Username already exists');
+        }
+
+        throw err;
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.SERVICE_ACCOUNT_CREATED, {
+        targetId: account.id,
+        details: { username: account.username, organizationId: req.user.organizationId, role }
+    });
+
+    res.status(201).json(toPublicServiceAccount({ ...account, role }));
+}
+
+/**
+ * GET /admin/service-accounts/:id/api-keys
+ *
+ * Every key of the account, revoked and expired ones included,
+ * with their last use.
+ */
+export async function listApiKeys(req, res) {
+    const account = await findServiceAccount(req, req.params.id);
+
+    res.json(await listKeys(account.id));
+}
+
+/**
+ * POST /admin/service-accounts/:id/api-keys
+ *
+ * Expected payload:
+ *
+ * {
+ *   "name": "reporting job",
+ *   "scopes": ["reports:read"],
+ *   "expiresInDays": 90          // optional
+ * }
+ *
+ * The response contains "key", shown this one time only.
+ */
+export async function issueApiKey(req, res) {
+    const account = await findServiceAccount(req, req.params.id);
+
+    const { apiKey, key } = await issueKey(account.id, req.body);
+
+    recordAuditEvent(req, AUDIT_EVENTS.API_KEY_ISSUED, {
+        targetId: account.id,
+        details: { apiKeyId: apiKey.id, prefix: apiKey.prefix, scopes: apiKey.scopes }
+    });
+
+    res.status(201).json({ ...apiKey, key });
+}
+
+/**
+ * POST /admin/service-accounts/:id/api-keys/:keyId/rotate
+ *
+ * Expected payload (all optional):
+ *
+ * {
+ *   "gracePeriodMinutes": 60,    // old key keeps working meanwhile
+ *   "expiresInDays": 90
+ * }
+ *
+ * Issues a replacement key (same name and scopes), returned
+ * like a new key, and retires the old one.
+ */
+export async function rotateApiKey(req, res) {
+    const account = await findServiceAccount(req, req.params.id);
+    const current = await findAccountKey(account, req.params.keyId);
+
+    if (!isApiKeyActive(current)) {
+        throw new ConflictError('api_key_inactive', 'API key is revoked or expired');
+    }
+
+    const { apiKey, key } = await rotateKey(account.id, current, req.body);
+
+    recordAuditEvent(req, AUDIT_EVENTS.API_KEY_ROTATED, {
+        targetId: account.id,
+        details: {
+            apiKeyId: apiKey.id,
+            prefix: apiKey.prefix,
+            replacedApiKeyId: current.id,
+            gracePeriodMinutes: req.body.gracePeriodMinutes
+        }
+    });
+
+    res.status(201).json({ ...apiKey, key });
+}
+
+/**
+ * DELETE /admin/service-accounts/:id/api-keys/:keyId
+ *
+ * Revokes a key immediately. The row is kept for the listing.
+ */
+export async function revokeApiKey(req, res) {
+    const account = await findServiceAccount(req, req.params.id);
+    const apiKey = await findAccountKey(account, req.params.keyId);
+
+    if (await revokeKey(apiKey.id)) {
+        recordAuditEvent(req, AUDIT_EVENTS.API_KEY_REVOKED, {
+            targetId: account.id,
+            details: { apiKeyId: apiKey.id, prefix: apiKey.prefix }
+        });
+    }
+
+    res.status(204).end();
+}
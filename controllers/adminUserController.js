@@ -0,0 +1,415 @@
+/**
+ * Admin User Management Controller
+ *
+ * Responsible for administrative operations on user accounts.
+ *
+ * This controller:
+ * - lists users with pagination and filters
+ * - creates users with bcrypt-hashed passwords
+ * - changes roles and resets passwords
+ * - disables, enables and deletes accounts
+ * - resets multi-factor authentication
+ * - lists and terminates sessions of a user
+ *
+ * Every route using this controller is protected by
+ * verifyToken + checkRole(['admin']).
+ *
+ * Tenant isolation:
+ * admins manage the members of THEIR organization (the one of their
+ * token). Users of other organizations are reported as not found.
+ * Changes affecting the whole account (status, password, MFA,
+ * sessions) are reserved to super-admins when the account is shared
+ * with other organizations or is itself a super-admin.
+ *
+ * Input is validated by the route schemas (schemas/adminSchemas.js):
+ * handlers receive typed values (numeric :id, boolean filters...).
+ *
+ * Every change is recorded in the audit log.
+ *
+ * Safety rule:
+ * the last active admin of an organization can never be demoted,
+ * disabled or removed, otherwise nobody would be able to manage it anymore.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../db/errors.js';
+import { hashPassword } from '../utils/passwords.js';
+import { SERVICE_ACCOUNT_ROLES } from '../utils/roles.js';
+import { NotFoundError, ConflictError, ForbiddenError } from '../utils/httpErrors.js';
+import {
+    bumpTokenVersion,
+    revokeAllUserTokens,
+    forgetUser
+} from '../services/tokenRevocationService.js';
+import { resetMfa } from '../services/mfaService.js';
+import {
+    listSessions,
+    findActiveSession,
+    terminateSession
+} from '../services/sessionService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+
+/**
+ * Maps a database row to the representation returned by the API.
+ * Password hashes are NEVER returned.
+ *
+ * @param {Object} row - users table row
+ * @returns {Object} Public user object
+ */
+function toPublicUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        role: row.role,
+        superAdmin: Boolean(row.superAdmin),
+        disabled: Boolean(row.disabled),
+        mfaEnabled: Boolean(row.mfaEnabled),
+        authProvider: row.authProvider,
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * Loads the user targeted by the :id route parameter.
+ *
+ * @param {Object} req - Express request (organization of the admin)
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} users row with the role in the organization
+ * @throws {NotFoundError} when the user is not a member of the organization
+ */
+async function findUserById(req, id) {
+    const user = await getRepositories().organizations.findMember(req.user.organizationId, id);
+
+    if (!user) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    return user;
+}
+
+/**
+ * Loads the user targeted by the :id route parameter,
+ * for a change affecting the whole account.
+ *
+ * @param {Object} req - Express request
+ * @param {number} id - Validated route parameter
+ * @returns {Promise<Object>} users row with the role in the organization
+ * @throws {NotFoundError | ForbiddenError}
+ */
+async function findAccountById(req, id) {
+    const user = await findUserById(req, id);
+
+    if (!req.user.superAdmin && (user.superAdmin || await getRepositories().organizations.countMemberships(user.id) > 1)) {
+        throw new ForbiddenError('super_admin_required', 'Only a super-admin can change an account shared with other organizations');
+    }
+
+    return user;
+}
+
+/**
+ * GET /admin/users
+ *
+ * Query parameters (all optional):
+ * - page: 1-based page number (default 1)
+ * - pageSize: items per page (default 20, max 100)
+ * - role: exact role filter
+ * - q: username substring search
+ * - disabled: "true" / "false"
+ * - authProvider: "local", "ldap" or "service" (service accounts)
+ */
+export async function listUsers(req, res) {
+    const { page, pageSize, role, q, disabled, authProvider } = req.query;
+
+    const { rows, total } = await getRepositories().users.list({
+        organizationId: req.user.organizationId,
+        role,
+        q,
+        disabled,
+        authProvider
+    }, {
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+    });
+
+    res.json({
+        data: rows.map(toPublicUser),
+        page,
+        pageSize,
+        total
+    });
+}
+
+/**
+ * GET /admin/users/:id
+ */
+export async function getUser(req, res) {
+    res.json(toPublicUser(await findUserById(req, req.params.id)));
+}
+
+/**
+ * POST /admin/users
+ *
+ * Creates the user as a member of the admin's organization.
+ *
+ * Expected payload:
+ *
+ * {
+ *   "username": "advisor2",
+ *   "email": "advisor2@example.com",   // optional
+ *   "password": "a-strong-password",
+ *   "role": "advisor"
+ * }
+ */
+export async function createUser(req, res) {
+    const { username, email, password, role } = req.body;
+
+    let user;
+
+    try {
+        user = await getRepositories().users.create({
+            username: username.trim(),
+            email: email ?? null,
+            passwordHashed: await hashPassword(password),
+            organizationId: req.user.organizationId,
+            role
+        });
+    } catch (err) {
+
+        /**
+         * Username and email uniqueness are enforced by the database.
+         */
+        if (isUniqueViolation(err)) {
+            throw err.message.includes('email')
+                ? new ConflictError('email_taken', 'Email already exists')
+                : new ConflictError('username_taken', 'Username already exists');
+        }
+
+        throw err;
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_CREATED, {
+        targetId: user.id,
+        details: { username: user.username, organizationId: req.user.organizationId, role }
+    });
+
+    res.status(201).json(toPublicUser({ ...user, role }));
+}
+
+/**
+ * PATCH /admin/users/:id/role
+ *
+ * Expected payload:
+ *
+ * { "role": "advisor" }
+ *
+ * Changes the role within the admin's organization only.
+ * Access tokens carrying the old role are invalidated immediately;
+ * the new role is picked up on the user's next refresh.
+ *
+ * Service accounts are limited to SERVICE_ACCOUNT_ROLES.
+ */
+export async function updateUserRole(req, res) {
+    const { role } = req.body;
+
+    const user = await findUserById(req, req.params.id);
+
+    if (user.authProvider === 'service' && !SERVICE_ACCOUNT_ROLES.includes(role)) {
+        throw new ConflictError('service_account_role', `Service accounts can only have the roles: ${SERVICE_ACCOUNT_ROLES.join(', ')}`);
+    }
+
+    /**
+     * Promotions and no-op changes are always allowed,
+     * demotions are refused for the last active admin.
+     */
+    if (!await getRepositories().organizations.setMemberRole(req.user.organizationId, user.id, role)) {
+        throw new ConflictError('last_admin', 'Cannot demote the last admin');
+    }
+
+    if (user.role !== role) {
+        await bumpTokenVersion(user.id);
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_ROLE_CHANGED, {
+        targetId: user.id,
+        details: { organizationId: req.user.organizationId, from: user.role, to: role }
+    });
+
+    res.json(toPublicUser(await findUserById(req, user.id)));
+}
+
+/**
+ * PATCH /admin/users/:id/status
+ *
+ * Expected payload:
+ *
+ * { "disabled": true }
+ *
+ * Disabled users cannot log in and all their tokens are revoked.
+ */
+export async function updateUserStatus(req, res) {
+    const { disabled } = req.body;
+
+    const user = await findAccountById(req, req.params.id);
+
+    if (!await getRepositories().users.updateStatus(user.id, disabled)) {
+        throw new ConflictError('last_admin', 'Cannot disable the last admin');
+    }
+
+    if (disabled) {
+        await revokeAllUserTokens(user.id);
+    } else {
+        forgetUser(user.id);
+    }
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_STATUS_CHANGED, {
+        targetId: user.id,
+        details: { disabled }
+    });
+
+    res.json(toPublicUser(await findUserById(req, user.id)));
+}
+
+/**
+ * PUT /admin/users/:id/password
+ *
+ * Expected payload:
+ *
+ * { "password": "a-new-strong-password" }
+ *
+ * All existing tokens are revoked so the user
+ * must log in again with the new password.
+ *
+ * Refused for directory (LDAP) and service accounts.
+ */
+export async function resetUserPassword(req, res) {
+    const { password } = req.body;
+
+    const user = await findAccountById(req, req.params.id);
+
+    if (user.authProvider !== 'local') {
+        throw new ConflictError('password_managed_externally', 'The password of this account is not managed by this server');
+    }
+
+    await getRepositories().users.updatePassword(user.id, await hashPassword(password));
+
+    await revokeAllUserTokens(user.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_PASSWORD_RESET, { targetId: user.id });
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/users/:id
+ *
+ * Removes the user from the admin's organization.
+ *
+ * The account itself is permanently removed when it belongs to no
+ * other organization and is not a super-admin. Dependent rows
+ * (refresh tokens, memberships, advisor clients) are removed by
+ * ON DELETE CASCADE.
+ */
+export async function deleteUser(req, res) {
+    const { users, organizations, advisorClients } = getRepositories();
+
+    const user = await findUserById(req, req.params.id);
+
+    if (user.superAdmin || await organizations.countMemberships(user.id) > 1) {
+        if (!await organizations.removeMember(req.user.organizationId, user.id)) {
+            throw new ConflictError('last_admin', 'Cannot remove the last admin');
+        }
+
+        await advisorClients.removeMember(req.user.organizationId, user.id);
+        await bumpTokenVersion(user.id);
+
+        recordAuditEvent(req, AUDIT_EVENTS.MEMBERSHIP_REMOVED, {
+            targetId: user.id,
+            details: { organizationId: req.user.organizationId, role: user.role }
+        });
+
+        return res.status(204).end();
+    }
+
+    if (!await users.delete(user.id)) {
+        throw new ConflictError('last_admin', 'Cannot delete the last admin');
+    }
+
+    forgetUser(user.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_DELETED, {
+        targetId: user.id,
+        details: { username: user.username, organizationId: req.user.organizationId, role: user.role }
+    });
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/users/:id/mfa
+ *
+ * Disables MFA and removes the recovery codes, for users
+ * who lost both their authenticator and their codes.
+ * The user can enroll again after logging in.
+ */
+export async function resetUserMfa(req, res) {
+    const user = await findAccountById(req, req.params.id);
+
+    await resetMfa(user.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_MFA_RESET, { targetId: user.id });
+
+    res.status(204).end();
+}
+
+/**
+ * DELETE /admin/users/:id/sessions
+ *
+ * Logs the user out everywhere: every access token
+ * and refresh token issued so far is revoked.
+ */
+export async function revokeUserSessions(req, res) {
+    const user = await findAccountById(req, req.params.id);
+
+    await revokeAllUserTokens(user.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_SESSIONS_REVOKED, { targetId: user.id });
+
+    res.status(204).end();
+}
+
+/**
+ * GET /admin/users/:id/sessions
+ *
+ * Active sessions of the user, most recently used first.
+ */
+export async function listUserSessions(req, res) {
+    const user = await findUserById(req, req.params.id);
+
+    res.json(await listSessions(user.id, req.user.sessionId));
+}
+
+/**
+ * DELETE /admin/users/:id/sessions/:sessionId
+ *
+ * Signs the user out of one device: the refresh and access
+ * tokens of that session stop working, other sessions are kept.
+ */
+export async function terminateUserSession(req, res) {
+    const user = await findAccountById(req, req.params.id);
+
+    const session = await findActiveSession(user.id, req.params.sessionId);
+
+    if (!session) {
+        throw new NotFoundError('session_not_found', 'Session not found');
+    }
+
+    await terminateSession(session.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.USER_SESSION_TERMINATED, {
+        targetId: user.id,
+        details: { sessionId: session.id }
+    });
+
+    res.status(204).end();
+}
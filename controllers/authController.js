@@ -4,27 +4,98 @@
  * Responsible for handling user authentication logic.
  *
  * This controller:
- * - validates login input
+ * - throttles brute-force attempts
  * - verifies user credentials
  * - generates a signed JWT token
+ * - starts a session per login and issues/rotates its refresh tokens
  * - returns minimal user information to the frontend
+ * - delivers the tokens as cookies when asked to (services/authCookies.js)
  *
  * This file represents the "authentication boundary" of the system.
+ *
+ * Request bodies are validated by the route schemas (schemas/authSchemas.js);
+ * errors are thrown as HttpError and rendered by the central error handler.
  */
 
-import { getDB } from '../config/db.js';
-import bcrypt from 'bcrypt';
-import { generateToken } from '../utils/generateToken.js';
+import { getRepositories } from '../repositories/index.js';
+import { generateMfaToken, verifyJwt } from '../utils/generateToken.js';
+import {
+    rotateRefreshToken,
+    revokeRefreshToken,
+    findRefreshTokenSession
+} from '../services/refreshTokenService.js';
+import {
+    verifyPassword,
+    recordLoginSuccess,
+    completeLogin,
+    renewAccessToken
+} from '../services/authService.js';
+import { clientFromRequest } from '../services/sessionService.js';
+import {
+    wantsCookies,
+    readCookie,
+    isCsrfValid,
+    sendTokens,
+    clearAuthCookies,
+    ACCESS_COOKIE,
+    REFRESH_COOKIE
+} from '../services/authCookies.js';
+import {
+    revokeTokenById,
+    revokeAllUserTokens
+} from '../services/tokenRevocationService.js';
+import { BadRequestError, UnauthorizedError, ForbiddenError } from '../utils/httpErrors.js';
+
+/**
+ * Refresh token of a refresh or logout request: the refreshToken
+ * field, or else the refresh_token cookie.
+ *
+ * The cookie is sent by the browser on its own, so the request
+ * must also carry the CSRF token of the session.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<{ refreshToken: string, cookieMode: boolean }>}
+ * @throws {BadRequestError} when there is neither
+ * @throws {ForbiddenError} when the CSRF token is missing or wrong
+ */
+async function presentedRefreshToken(req) {
+    if (req.body.refreshToken) {
+        return { refreshToken: req.body.refreshToken, cookieMode: false };
+    }
+
+    const refreshToken = readCookie(req, REFRESH_COOKIE);
+
+    if (!refreshToken) {
+        throw new BadRequestError('refresh_token_missing', 'No refresh token provided');
+    }
+
+    /**
+     * Unknown tokens are refused later, like in the body.
+     */
+    const sessionId = await findRefreshTokenSession(refreshToken);
+
+    if (sessionId && !isCsrfValid(req, sessionId)) {
+        throw new ForbiddenError('csrf_invalid', 'Missing or invalid CSRF token');
+    }
+
+    return { refreshToken, cookieMode: true };
+}
 
 /**
  * POST /auth/login
  *
  * Login flow:
  * 1. Validate request payload
- * 2. Retrieve user from database
- * 3. Compare plaintext password with bcrypt hash
- * 4. Generate JWT access token
- * 5. Return user identity + token
+ * 2. Reject locked accounts / throttled IPs, otherwise count the attempt
+ * 3. Retrieve user from database
+ * 4. Compare plaintext password with bcrypt hash
+ *    (failures are delayed progressively, a right password
+ *    gives the attempt back)
+ * 5. If MFA is enabled, return a challenge token instead (see mfaController)
+ * 6. Start a session for the device (refresh token family)
+ * 7. Generate JWT access token bound to the session
+ * 8. Return user identity + session id + tokens
+ *    (tokens as HttpOnly cookies when "useCookies" is true)
  *
  * All authorization decisions are handled later by middleware
  * using the JWT token.
@@ -33,108 +104,177 @@ export async function login(req, res) {
 
     /**
      * Extract credentials from request body.
-     * Expected payload:
+     * Expected payload (validated by loginSchema):
      *
      * {
      *   "username": "admin1",
-     *   "password": "password123"
+     *   "password": "password123",
+     *   "deviceLabel": "Work laptop",    // optional, shown in GET /auth/sessions
+     *   "useCookies": true               // optional, see services/authCookies.js
      * }
      */
-    const { username, password } = req.body;
+    const { username, password, deviceLabel } = req.body;
 
     /**
-     * Basic input validation.
-     * Prevents empty or malformed requests.
+     * Checked first: a server without AUTH_COOKIES refuses
+     * the option before counting a login attempt.
      */
-    if (!username || !password) {
-        return res.status(400).json({
-            message: 'Username and password required'
+    const cookieMode = wantsCookies(req);
+
+    /**
+     * Password check (see services/authService.js):
+     * - locked accounts and throttled IPs are rejected first
+     * - unknown users and wrong passwords get the same generic
+     *   error, so valid usernames are not leaked
+     * - passwords are NEVER stored or compared in plaintext (bcrypt)
+     * - disabled accounts cannot log in
+     */
+    const user = await verifyPassword(req, username, password);
+
+    /**
+     * MFA-enabled accounts need a second step.
+     *
+     * Instead of the access token, a short-lived challenge token
+     * is returned. The client sends it back to POST /auth/mfa/verify
+     * together with the authenticator code (and useCookies again).
+     *
+     * Failure counters are NOT reset here, otherwise knowing the
+     * password would allow unlimited guesses of the TOTP code.
+     */
+    if (user.mfaEnabled) {
+        return res.json({
+            mfaRequired: true,
+            mfaToken: await generateMfaToken(user, deviceLabel)
         });
     }
 
-    try {
-        /**
-         * Obtain active SQLite connection.
-         * The connection is created once at app startup.
-         */
-        const db = getDB();
+    /**
+     * Fully authenticated: forget previous failures for this account.
+     */
+    await recordLoginSuccess(req, user, { method: 'password' });
 
-        /**
-         * Retrieve user by username.
-         * Passwords are NEVER stored or compared in plaintext.
-         */
-        const user = await db.get(
-            'SELECT * FROM users WHERE username = ?',
-            [username]
-        );
+    /**
+     * Successful authentication response:
+     * - JWT access token (id, username, role; expiration enforced server-side)
+     * - long-lived refresh token, used to obtain new access tokens
+     *   without asking the user to log in again
+     * - id of the new session (device)
+     */
+    sendTokens(res, await completeLogin(user, clientFromRequest(req, deviceLabel)), cookieMode);
+}
 
-        /**
-         * If the user does not exist, return generic error.
-         * This avoids leaking information about valid usernames.
-         */
-        if (!user) {
-            return res.status(401).json({
-                message: 'Invalid credentials'
-            });
-        }
+/**
+ * POST /auth/refresh
+ *
+ * Refresh flow:
+ * 1. Validate request payload
+ * 2. Rotate the refresh token (old one becomes unusable)
+ *    and extend the session
+ * 3. Reload the user so role changes are picked up
+ *    (role within the organization of the session)
+ * 4. Return a new access token + the rotated refresh token
+ *
+ * Expected payload:
+ *
+ * {
+ *   "refreshToken": "<opaque token>"
+ * }
+ *
+ * In cookie mode the body is empty: the refresh_token cookie is used,
+ * with the X-XSRF-TOKEN header, and the new tokens are set as cookies.
+ */
+export async function refresh(req, res) {
+    const { refreshToken, cookieMode } = await presentedRefreshToken(req);
 
-        /**
-         * Compare provided password with stored bcrypt hash.
-         *
-         * bcrypt.compare():
-         * - hashes the input password
-         * - compares it securely against the stored hash
-         */
-        const isMatch = await bcrypt.compare(
-            password,
-            user.passwordHashed
-        );
+    /**
+     * Rotation returns null for unknown, expired, revoked
+     * or replayed tokens. Replays also revoke the family.
+     */
+    const rotated = await rotateRefreshToken(refreshToken, clientFromRequest(req));
 
-        /**
-         * If password comparison fails,
-         * return the same generic error message.
-         */
-        if (!isMatch) {
-            return res.status(401).json({
-                message: 'Invalid credentials'
-            });
-        }
+    const user = rotated
+        ? await getRepositories().users.findById(rotated.userId)
+        : null;
 
-        /**
-         * Generate signed JWT access token.
-         *
-         * The token includes:
-         * - user id
-         * - username
-         * - role
-         *
-         * Token expiration is enforced server-side.
-         */
-        const token = await generateToken(user);
+    const renewed = user && !user.disabled
+        ? await renewAccessToken(user, rotated.sessionId)
+        : null;
 
-        /**
-         * Successful authentication response.
-         *
-         * Sensitive information such as password hashes
-         * is NEVER returned to the client.
-         */
-        res.json({
-            id: user.id,
-            username: user.username,
-            role: user.role,
-            token: token
-        });
+    /**
+     * The account may have been removed or disabled since login,
+     * or have lost its last organization.
+     */
+    if (!renewed) {
+        throw new UnauthorizedError('invalid_refresh_token', 'Invalid or expired refresh token');
+    }
+
+    sendTokens(res, {
+        id: user.id,
+        username: user.username,
+        organizationId: renewed.principal.organizationId,
+        role: renewed.principal.role,
+        sessionId: rotated.sessionId,
+        token: renewed.token,
+        refreshToken: rotated.token,
+        refreshTokenExpiresAt: rotated.expiresAt
+    }, cookieMode);
+}
 
-    } catch (err) {
+/**
+ * POST /auth/logout
+ *
+ * Terminates the session of the presented refresh token:
+ * every refresh token of the same family is revoked.
+ *
+ * If the request also carries the access token
+ * (Authorization: Bearer <token>, or the access_token cookie),
+ * it is added to the denylist so it stops working immediately.
+ *
+ * In cookie mode the refresh_token cookie is used (with the
+ * X-XSRF-TOKEN header) and every authentication cookie is cleared.
+ *
+ * Always answers 204 so the endpoint cannot be used
+ * to probe which tokens exist.
+ */
+export async function logout(req, res) {
+    const { refreshToken } = await presentedRefreshToken(req);
+
+    await revokeRefreshToken(refreshToken);
+
+    const accessToken = req.headers['authorization']?.split(' ')[1]
+        ?? readCookie(req, ACCESS_COOKIE);
 
+    if (accessToken) {
         /**
-         * Any unexpected error is treated as internal server error.
-         * Detailed logs remain server-side only.
+         * An invalid or expired access token needs no revocation.
          */
-        console.error('Login error:', err);
+        const payload = await verifyJwt(accessToken).catch(() => null);
 
-        res.status(500).json({
-            message: 'Server error'
-        });
+        if (payload) {
+            await revokeTokenById(payload.jti, payload.exp);
+        }
     }
+
+    clearAuthCookies(res);
+    res.status(204).end();
+}
+
+/**
+ * POST /auth/logout-all
+ *
+ * Protected (valid JWT required).
+ *
+ * Logs the caller out on every device:
+ * - every access token issued so far stops working
+ * - every refresh token is revoked
+ * - every session is terminated
+ */
+export async function logoutAll(req, res) {
+    await revokeAllUserTokens(req.user.id);
+
+    if (req.user.tokenSource === 'cookie') {
+        clearAuthCookies(res);
+    }
+
+    res.status(204).end();
 }
@@ -0,0 +1,54 @@
+/**
+ * Client Controller
+ *
+ * Client data for advisors, within the organization of the token.
+ *
+ * Which clients a caller may reach is decided by the access policy
+ * (services/clientAccessService.js), applied by the authorizeResource
+ * middleware before the handlers run: admins reach every member,
+ * advisors their assigned clients, users themselves.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { toPublicClient } from '../services/clientAccessService.js';
+import { NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * GET /data/advisor/clients
+ *
+ * Protected (reports:read permission).
+ *
+ * The clients assigned to the authenticated advisor,
+ * ordered by username.
+ */
+export async function listMyClients(req, res) {
+    const clients = await getRepositories().advisorClients.listClients(req.user.organizationId, req.user.id);
+
+    res.json(clients.map(toPublicClient));
+}
+
+/**
+ * GET /data/clients/:id
+ *
+ * Protected (authorizeResource('client', canAccessClient)).
+ *
+ * A client with the advisors following them.
+ */
+export async function getClient(req, res) {
+    const { organizations, advisorClients } = getRepositories();
+
+    const client = await organizations.findMember(req.user.organizationId, req.params.id);
+
+    /**
+     * The policy already checked membership; the client
+     * may have left the organization in between.
+     */
+    if (!client) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    res.json({
+        ...toPublicClient(client),
+        advisors: await advisorClients.listAdvisors(req.user.organizationId, client.id)
+    });
+}
@@ -0,0 +1,121 @@
+/**
+ * Impersonation Controller
+ *
+ * Lets an admin see the application exactly as one of the users of
+ * their organization does ("act as user"), e.g. to reproduce what
+ * a user reports to support.
+ *
+ * Rules:
+ * - only users and advisors of the admin's organization can be
+ *   impersonated: never admins, super-admins or service accounts
+ * - the token is short-lived (IMPERSONATION_TOKEN_TTL) and has no
+ *   refresh token
+ * - it carries the admin in an RFC 8693 "act" claim: req.user.actor,
+ *   and every audit event is attributed to the admin
+ *   (see services/auditLog.js)
+ * - actions on the user's account itself (password, MFA, sessions,
+ *   organization switch) are refused (middlewares/forbidImpersonation.js)
+ * - it ends with POST /auth/impersonation/end, when it expires, or
+ *   when the admin's session ends or their role changes
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { getConfig } from '../config/env.js';
+import { resolvePrincipal } from '../services/organizationService.js';
+import { revokeTokenById } from '../services/tokenRevocationService.js';
+import { sendTokens, clearAuthCookies, ACCESS_COOKIE } from '../services/authCookies.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { generateImpersonationToken } from '../utils/generateToken.js';
+import * as clock from '../utils/clock.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * POST /admin/impersonate/:userId
+ *
+ * Protected (admin role, session token: requireSession). The
+ * impersonation belongs to the admin's session, API keys have none.
+ *
+ * Returns an access token for the user, in the admin's organization.
+ * In cookie mode it replaces the access_token cookie; the admin's
+ * refresh_token cookie is kept, so refreshing after the end of the
+ * impersonation gives the admin their own access token back.
+ */
+export async function startImpersonation(req, res) {
+    const { users, organizations } = getRepositories();
+    const target = await organizations.findMember(req.user.organizationId, req.params.userId);
+
+    if (!target) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    /**
+     * Impersonating another admin would hand over their powers,
+     * and service accounts are not meant to use the frontend.
+     */
+    if (target.role === 'admin' || target.superAdmin) {
+        throw new ForbiddenError('impersonation_forbidden', 'Administrators cannot be impersonated');
+    }
+
+    if (target.authProvider === 'service') {
+        throw new ForbiddenError('impersonation_forbidden', 'Service accounts cannot be impersonated');
+    }
+
+    if (target.disabled) {
+        throw new ForbiddenError('account_disabled', 'User account is disabled');
+    }
+
+    const principal = await resolvePrincipal(target, req.user.organizationId);
+    const admin = await users.findById(req.user.id);
+    const { impersonationTtlSeconds } = getConfig().tokens;
+
+    const token = await generateImpersonationToken(principal, admin, req.user.sessionId);
+    const expiresAt = clock.now() + impersonationTtlSeconds * 1000;
+
+    recordAuditEvent(req, AUDIT_EVENTS.IMPERSONATION_STARTED, {
+        targetId: target.id,
+        details: {
+            organizationId: principal.organizationId,
+            role: principal.role,
+            sessionId: req.user.sessionId,
+            expiresAt
+        }
+    });
+
+    sendTokens(res, {
+        id: target.id,
+        username: target.username,
+        organizationId: principal.organizationId,
+        role: principal.role,
+        sessionId: req.user.sessionId,
+        actor: { id: admin.id, username: admin.username },
+        token,
+        expiresAt
+    }, req.user.tokenSource === 'cookie', { ttlSeconds: impersonationTtlSeconds });
+}
+
+/**
+ * POST /auth/impersonation/end
+ *
+ * Protected (impersonation token required).
+ *
+ * Revokes the impersonation token. The admin goes back to their
+ * own access token (or refreshes to get one, in cookie mode).
+ */
+export async function endImpersonation(req, res) {
+    if (!req.user.actor) {
+        throw new BadRequestError('not_impersonating', 'The access token is not an impersonation token');
+    }
+
+    await revokeTokenById(req.user.jti, req.user.exp);
+
+    recordAuditEvent(req, AUDIT_EVENTS.IMPERSONATION_ENDED, {
+        targetId: req.user.id,
+        details: { sessionId: req.user.sessionId }
+    });
+
+    if (req.user.tokenSource === 'cookie') {
+        clearAuthCookies(res, [ACCESS_COOKIE]);
+    }
+
+    res.status(204).end();
+}
@@ -0,0 +1,118 @@
+/**
+ * MFA Controller
+ *
+ * Handles TOTP multi-factor authentication:
+ * - enrollment (setup + confirm) for authenticated users
+ * - the second login step for accounts with MFA enabled
+ *
+ * Login flow with MFA:
+ * 1. POST /auth/login        → { mfaRequired: true, mfaToken }
+ * 2. POST /auth/mfa/verify   → access token + refresh token
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import {
+    resolveMfaChallenge,
+    verifyLoginSecondFactor,
+    recordLoginSuccess,
+    completeLogin
+} from '../services/authService.js';
+import { clientFromRequest } from '../services/sessionService.js';
+import { wantsCookies, sendTokens } from '../services/authCookies.js';
+import {
+    startEnrollment,
+    confirmEnrollment
+} from '../services/mfaService.js';
+import {
+    BadRequestError,
+    NotFoundError,
+    ConflictError
+} from '../utils/httpErrors.js';
+
+/**
+ * Loads the authenticated user, who must not have MFA enabled yet.
+ *
+ * @param {number} userId - req.user.id
+ * @returns {Promise<Object>} users row
+ */
+async function findUserForEnrollment(userId) {
+    const user = await getRepositories().users.findById(userId);
+
+    if (!user) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    if (user.mfaEnabled) {
+        throw new ConflictError('mfa_already_enabled', 'MFA already enabled');
+    }
+
+    return user;
+}
+
+/**
+ * POST /auth/mfa/setup
+ *
+ * Authenticated. Generates a new TOTP secret and returns:
+ * - secret: for manual entry in the authenticator app
+ * - otpauthUri: to be rendered as a QR code by the frontend
+ *
+ * MFA is not active until POST /auth/mfa/confirm succeeds.
+ */
+export async function setupMfa(req, res) {
+    const user = await findUserForEnrollment(req.user.id);
+
+    res.json(await startEnrollment(user));
+}
+
+/**
+ * POST /auth/mfa/confirm
+ *
+ * Authenticated. Expected payload:
+ *
+ * { "code": "123456" }
+ *
+ * On success MFA is enabled and the recovery codes are returned.
+ * They are shown only once and must be stored by the user.
+ */
+export async function confirmMfa(req, res) {
+    const user = await findUserForEnrollment(req.user.id);
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+
+    if (!recoveryCodes) {
+        throw new BadRequestError('invalid_mfa_code', 'Invalid verification code');
+    }
+
+    res.json({ recoveryCodes });
+}
+
+/**
+ * POST /auth/mfa/verify
+ *
+ * Public (the MFA challenge token is the credential).
+ * Expected payload:
+ *
+ * {
+ *   "mfaToken": "<token returned by login>",
+ *   "code": "123456"                 // or
+ *   "recoveryCode": "3f9a1-c07e2",
+ *   "useCookies": true               // optional, as for login
+ * }
+ *
+ * Failed codes count towards the same brute-force limits as
+ * failed passwords, so the code cannot be guessed indefinitely.
+ */
+export async function verifyMfa(req, res) {
+    const { mfaToken, code, recoveryCode } = req.body;
+    const cookieMode = wantsCookies(req);
+
+    const { user, deviceLabel } = await resolveMfaChallenge(mfaToken);
+
+    await verifyLoginSecondFactor(req, user, { code, recoveryCode });
+
+    await recordLoginSuccess(req, user, {
+        method: code ? 'password+totp' : 'password+recovery_code'
+    });
+
+    sendTokens(res, await completeLogin(user, clientFromRequest(req, deviceLabel)), cookieMode);
+}
@@ -0,0 +1,364 @@
+/**
+ * OAuth / OpenID Connect Controller
+ *
+ * Browser-facing and protocol endpoints of the OpenID Connect
+ * provider (see services/oauthService.js for the flow):
+ * - GET/POST /oauth/authorize: login page, redirects back with a code
+ * - POST /oauth/token: code / refresh token exchange
+ * - GET /oauth/userinfo: claims of the access token's user
+ *
+ * The login page is plain server-rendered HTML, so no frontend
+ * is needed to sign in to another application. It uses the same
+ * checks as POST /auth/login (services/authService.js): throttling,
+ * disabled accounts, MFA and the audit log.
+ *
+ * The form carries a CSRF token, double-submitted in a cookie, so
+ * another site cannot post it to sign the browser in to an account
+ * of its choosing.
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import {
+    parseAuthorizationRequest,
+    createAuthorizationCode,
+    buildRedirectUrl,
+    handleTokenRequest,
+    buildUserInfo
+} from '../services/oauthService.js';
+import {
+    verifyPassword,
+    resolveMfaChallenge,
+    verifyLoginSecondFactor,
+    recordLoginSuccess
+} from '../services/authService.js';
+import { generateMfaToken } from '../utils/generateToken.js';
+import { parseCookie } from '../services/authCookies.js';
+import { authorizationRequestSchema } from '../schemas/oauthSchemas.js';
+import { HttpError, BadRequestError, NotFoundError } from '../utils/httpErrors.js';
+import * as clock from '../utils/clock.js';
+
+/**
+ * Authorization request parameters, carried through the
+ * login form as hidden fields.
+ */
+const AUTHORIZATION_FIELDS = Object.keys(authorizationRequestSchema.properties);
+
+/**
+ * CSRF token of the login form: cookie, and form field.
+ */
+const CSRF_COOKIE = 'oauth_csrf';
+const CSRF_FIELD = 'csrf_token';
+const CSRF_TOKEN = /^[\w-]{43}$/;
+
+/**
+ * Headers of every HTML page:
+ * - never cached (they contain one-time tokens)
+ * - cannot be framed (clickjacking)
+ * - no scripts, no external resources
+ * - the query string (state, PKCE challenge) is not leaked in Referer
+ */
+const PAGE_HEADERS = {
+    'Cache-Control': 'no-store',
+    'X-Frame-Options': 'DENY',
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors 'none'",
+    'Referrer-Policy': 'no-referrer'
+};
+
+/**
+ * Escapes text inserted into HTML.
+ *
+ * @param {unknown} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Sends an HTML page.
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} title - Page title
+ * @param {string} content - HTML body content (already escaped)
+ */
+function sendPage(res, status, title, content) {
+    res.status(status).set(PAGE_HEADERS).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        body { font-family: sans-serif; max-width: 22rem; margin: 4rem auto; padding: 0 1rem; }
+        label, input, button { display: block; width: 100%; box-sizing: border-box; }
+        input { margin: .25rem 0 1rem; padding: .5rem; }
+        button { padding: .6rem; }
+        .error { color: #b00020; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    ${content}
+</body>
+</html>`);
+}
+
+/**
+ * Returns the CSRF token of the browser, issuing one when it has none.
+ * The same token is kept for every form, so several tabs can sign in.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string}
+ */
+function issueCsrfToken(req, res) {
+    const current = parseCookie(req, CSRF_COOKIE);
+    const token = current && CSRF_TOKEN.test(current)
+        ? current
+        : crypto.randomBytes(32).toString('base64url');
+
+    res.cookie(CSRF_COOKIE, token, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: 'strict',
+        path: '/oauth'
+    });
+
+    return token;
+}
+
+/**
+ * Double-submit check of a form submission: the field must
+ * match the cookie set with the form.
+ *
+ * @param {Object} req - Express request (parsed form)
+ * @returns {boolean}
+ */
+function isCsrfValid(req) {
+    const cookie = parseCookie(req, CSRF_COOKIE);
+    const field = req.body[CSRF_FIELD];
+
+    if (!cookie || typeof field !== 'string' || field.length !== cookie.length) {
+        return false;
+    }
+
+    return crypto.timingSafeEqual(Buffer.from(field), Buffer.from(cookie));
+}
+
+/**
+ * Renders the login form (first step, or second step for MFA).
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {Object} options
+ * @param {Object} options.authorization - Result of parseAuthorizationRequest()
+ * @param {Object} options.fields - Authorization request parameters
+ * @param {string} [options.username] - Prefilled username
+ * @param {string} [options.mfaToken] - Set for the MFA step
+ * @param {string} [options.error] - Message of the previous attempt
+ */
+function sendLoginForm(req, res, status, { authorization, fields, username, mfaToken, error }) {
+    const hidden = AUTHORIZATION_FIELDS
+        .filter((name) => typeof fields[name] === 'string')
+        .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(fields[name])}">`)
+        .concat(`<input type="hidden" name="${CSRF_FIELD}" value="${issueCsrfToken(req, res)}">`)
+        .join('\n        ');
+
+    const inputs = mfaToken
+        ? `<input type="hidden" name="mfa_token" value="${escapeHtml(mfaToken)}">
+        <label for="code">Authenticator code or recovery code</label>
+        <input id="code" name="code" autocomplete="one-time-code" required autofocus>`
+        : `<label for="username">Username</label>
+        <input id="username" name="username" value="${escapeHtml(username)}" autocomplete="username" required autofocus>
+        <label for="password">Password</label>
+        <input id="password" name="password" type="password" autocomplete="current-password" required>`;
+
+    sendPage(res, status, 'Sign in', `<p>to continue to <strong>${escapeHtml(authorization.client.name)}</strong></p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="authorize">
+        ${hidden}
+        ${inputs}
+        <button type="submit">${mfaToken ? 'Verify' : 'Sign in'}</button>
+    </form>`);
+}
+
+/**
+ * Parses the authorization request and handles its errors.
+ *
+ * - client / redirect URI problems: error page (no redirect)
+ * - other problems: redirect back to the client with the error
+ *
+ * @param {Object} res - Express response
+ * @param {Object} input - Query string or form fields
+ * @returns {Promise<Object | null>} Valid authorization request,
+ *          null when a response was already sent
+ */
+async function resolveAuthorization(res, input) {
+    let authorization;
+
+    try {
+        authorization = await parseAuthorizationRequest(input);
+    } catch (err) {
+        if (err instanceof BadRequestError) {
+            sendPage(res, 400, 'Invalid request', `<p class="error">${escapeHtml(err.message)}</p>`);
+            return null;
+        }
+        throw err;
+    }
+
+    if (authorization.error) {
+        res.redirect(303, buildRedirectUrl(authorization.redirectUri, {
+            error: authorization.error.code,
+            error_description: authorization.error.message
+        }, authorization.state));
+        return null;
+    }
+
+    return authorization;
+}
+
+/**
+ * GET /oauth/authorize
+ *
+ * Public. Starts the authorization code flow.
+ *
+ * Query parameters (OpenID Connect Core section 3.1.2.1):
+ * response_type=code, client_id, redirect_uri, scope (with "openid"),
+ * code_challenge + code_challenge_method=S256, and optionally
+ * state, nonce, login_hint.
+ *
+ * Shows the login form.
+ */
+export async function authorize(req, res) {
+    const authorization = await resolveAuthorization(res, req.query);
+
+    if (!authorization) return;
+
+    sendLoginForm(req, res, 200, {
+        authorization,
+        fields: req.query,
+        username: authorization.request.loginHint
+    });
+}
+
+/**
+ * POST /oauth/authorize
+ *
+ * Submission of the login form (application/x-www-form-urlencoded).
+ *
+ * Step 1: username + password. MFA-enabled accounts get the
+ *         second form, carrying an MFA challenge token.
+ * Step 2: mfa_token + code (TOTP or recovery code).
+ *
+ * On success the browser is redirected to the client with
+ * ?code=...&state=...&iss=... (303, so it follows with a GET).
+ * Failures show the form again with the error message, and so
+ * does a missing or wrong CSRF token (403), before any check.
+ */
+export async function submitAuthorize(req, res) {
+    const authorization = await resolveAuthorization(res, req.body);
+
+    if (!authorization) return;
+
+    const { username, password, mfa_token: mfaToken, code } = req.body;
+    const form = { authorization, fields: req.body };
+
+    if (!isCsrfValid(req)) {
+        return sendLoginForm(req, res, 403, { ...form, error: 'The sign-in form expired, please sign in again' });
+    }
+
+    let user;
+    let method;
+
+    try {
+        if (typeof mfaToken === 'string') {
+            if (typeof code !== 'string' || !code.trim()) {
+                return sendLoginForm(req, res, 400, { ...form, mfaToken, error: 'Enter the verification code' });
+            }
+
+            ({ user } = await resolveMfaChallenge(mfaToken));
+
+            const totp = /^\d{6}$/.test(code.trim());
+
+            await verifyLoginSecondFactor(req, user, totp
+                ? { code: code.trim() }
+                : { recoveryCode: code.trim() });
+
+            method = totp ? 'password+totp' : 'password+recovery_code';
+        } else {
+            if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+                return sendLoginForm(req, res, 400, { ...form, error: 'Enter your username and password' });
+            }
+
+            user = await verifyPassword(req, username, password);
+
+            if (user.mfaEnabled) {
+                return sendLoginForm(req, res, 200, { ...form, mfaToken: await generateMfaToken(user) });
+            }
+
+            method = 'password';
+        }
+    } catch (err) {
+        if (!(err instanceof HttpError)) {
+            throw err;
+        }
+
+        /**
+         * An expired challenge sends the user back to the first step.
+         */
+        const retryMfa = typeof mfaToken === 'string' && err.code !== 'invalid_mfa_token';
+
+        return sendLoginForm(req, res, err.status, {
+            ...form,
+            username: typeof username === 'string' ? username : undefined,
+            mfaToken: retryMfa ? mfaToken : undefined,
+            error: err.message
+        });
+    }
+
+    await recordLoginSuccess(req, user, { method, clientId: authorization.client.clientId });
+
+    const authorizationCode = await createAuthorizationCode(authorization, user, clock.now());
+
+    res.redirect(303, buildRedirectUrl(authorization.redirectUri, { code: authorizationCode }, authorization.state));
+}
+
+/**
+ * POST /oauth/token
+ *
+ * Public (the client authenticates with its secret or PKCE).
+ * application/x-www-form-urlencoded, see services/oauthService.js.
+ *
+ * Errors use the OAuth format: { error, error_description }.
+ */
+export async function token(req, res) {
+    const response = await handleTokenRequest(req);
+
+    res.set('Cache-Control', 'no-store').json(response);
+}
+
+/**
+ * GET /oauth/userinfo
+ *
+ * Protected (access token from /oauth/token or /auth/login).
+ *
+ * Returns the OpenID Connect claims of the user, with the
+ * role within the organization of the access token.
+ */
+export async function userinfo(req, res) {
+    const user = await getRepositories().users.findById(req.user.id);
+
+    if (!user) {
+        throw new NotFoundError('user_not_found', 'User not found');
+    }
+
+    res.json(buildUserInfo(user, req.user));
+}
@@ -0,0 +1,84 @@
+/**
+ * Organization Controller
+ *
+ * Lets authenticated users see the organizations they belong to
+ * and move their session to another one
+ * (see services/organizationService.js).
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { resolvePrincipal, listUserOrganizations } from '../services/organizationService.js';
+import { setSessionOrganization } from '../services/sessionService.js';
+import { revokeTokenById } from '../services/tokenRevocationService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { sendTokens } from '../services/authCookies.js';
+import { generateToken } from '../utils/generateToken.js';
+import { NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * GET /auth/organizations
+ *
+ * Protected (valid JWT required).
+ *
+ * Organizations the caller can switch to, with their role in each.
+ * The organization of the token used for this request has current: true.
+ */
+export async function listMyOrganizations(req, res) {
+    const user = await getRepositories().users.findById(req.user.id);
+    const organizations = user ? await listUserOrganizations(user) : [];
+
+    res.json(organizations.map((organization) => ({
+        ...organization,
+        current: organization.id === req.user.organizationId
+    })));
+}
+
+/**
+ * POST /auth/organizations/switch
+ *
+ * Protected (valid JWT required, not an API key).
+ *
+ * Expected payload:
+ *
+ * { "organizationId": 2 }
+ *
+ * The session moves to that organization: the response carries an
+ * access token for it, and later refreshes keep issuing tokens for it.
+ * The access token used for this request is revoked.
+ * In cookie mode the new one replaces the access_token cookie.
+ *
+ * Organizations the caller does not belong to answer 404,
+ * like unknown ones, so organization ids cannot be probed.
+ */
+export async function switchOrganization(req, res) {
+    const { organizationId } = req.body;
+
+    const user = await getRepositories().users.findById(req.user.id);
+    const principal = user ? await resolvePrincipal(user, organizationId) : null;
+
+    if (principal?.organizationId !== organizationId) {
+        throw new NotFoundError('organization_not_found', 'Organization not found');
+    }
+
+    await setSessionOrganization(req.user.sessionId, organizationId);
+    await revokeTokenById(req.user.jti, req.user.exp);
+
+    recordAuditEvent(req, AUDIT_EVENTS.ORGANIZATION_SWITCHED, {
+        targetId: user.id,
+        details: {
+            sessionId: req.user.sessionId,
+            from: req.user.organizationId,
+            to: organizationId,
+            role: principal.role
+        }
+    });
+
+    sendTokens(res, {
+        id: user.id,
+        username: user.username,
+        organizationId,
+        role: principal.role,
+        sessionId: req.user.sessionId,
+        token: await generateToken(principal, req.user.sessionId)
+    }, req.user.tokenSource === 'cookie');
+}
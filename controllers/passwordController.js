@@ -0,0 +1,122 @@
+/**
+ * Password Controller
+ *
+ * Self-service password management:
+ * - change password (authenticated, requires the current one)
+ * - forgot password (emails a single-use reset token)
+ * - reset password (consumes the token)
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { hashPassword } from '../utils/passwords.js';
+import { revokeAllUserTokens } from '../services/tokenRevocationService.js';
+import { completeLogin, verifyCurrentPassword } from '../services/authService.js';
+import { clientFromRequest, findActiveSession } from '../services/sessionService.js';
+import { sendTokens } from '../services/authCookies.js';
+import {
+    requestPasswordReset,
+    resetPasswordWithToken
+} from '../services/passwordResetService.js';
+import { BadRequestError, UnauthorizedError, ConflictError } from '../utils/httpErrors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * POST /auth/password/change
+ *
+ * Authenticated. Expected payload:
+ *
+ * {
+ *   "currentPassword": "old-password",
+ *   "newPassword": "new-password"
+ * }
+ *
+ * Every token and session of the user is revoked, so other devices
+ * must log in again with the new password. The caller receives fresh
+ * tokens and a new session (same device label) in the response,
+ * as cookies when the request was authenticated by cookie.
+ *
+ * Wrong current passwords count towards the login brute-force
+ * limits (423 / 429 once reached), so a stolen access token
+ * cannot be used to guess the current password.
+ *
+ * Directory (LDAP) accounts change their password in the directory,
+ * service accounts have none.
+ */
+export async function changePassword(req, res) {
+    const { currentPassword, newPassword } = req.body;
+
+    const { users } = getRepositories();
+    const user = await users.findById(req.user.id);
+
+    if (user && user.authProvider !== 'local') {
+        throw new ConflictError('password_managed_externally', 'The password of this account is not managed by this server');
+    }
+
+    if (!user) {
+        throw new UnauthorizedError('invalid_current_password', 'Current password is incorrect');
+    }
+
+    await verifyCurrentPassword(req, user, currentPassword);
+
+    const currentSession = req.user.sessionId
+        ? await findActiveSession(user.id, req.user.sessionId)
+        : null;
+
+    await users.updatePassword(user.id, await hashPassword(newPassword));
+
+    await revokeAllUserTokens(user.id);
+
+    const updated = await users.findById(user.id);
+
+    /**
+     * The new session stays in the organization the caller was acting in.
+     */
+    sendTokens(res, await completeLogin(
+        updated,
+        clientFromRequest(req, currentSession?.deviceLabel),
+        req.user.organizationId
+    ), req.user.tokenSource === 'cookie');
+}
+
+/**
+ * POST /auth/password/forgot
+ *
+ * Public. Expected payload:
+ *
+ * { "username": "user1" }   or   { "email": "user1@example.com" }
+ *
+ * Always answers 202 with the same message, and does the work
+ * after responding, so neither the body nor the response time
+ * reveals whether the account exists.
+ */
+export async function forgotPassword(req, res) {
+    const identifier = req.body.username || req.body.email;
+
+    res.status(202).json({
+        message: 'If the account exists, a reset link has been sent'
+    });
+
+    requestPasswordReset(identifier).catch((err) => {
+        logger.error('Forgot password failed', { err });
+    });
+}
+
+/**
+ * POST /auth/password/reset
+ *
+ * Public. Expected payload:
+ *
+ * {
+ *   "token": "<token from the email>",
+ *   "newPassword": "new-password"
+ * }
+ */
+export async function resetPassword(req, res) {
+    const { token, newPassword } = req.body;
+
+    if (!await resetPasswordWithToken(token, newPassword)) {
+        throw new BadRequestError('invalid_reset_token', 'Invalid or expired reset token');
+    }
+
+    res.status(204).end();
+}
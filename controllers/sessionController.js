@@ -0,0 +1,58 @@
+/**
+ * Session Controller
+ *
+ * Lets authenticated users review where they are signed in
+ * and sign out individual devices.
+ *
+ * A session is created by every login (see services/sessionService.js).
+ * Terminating one revokes its refresh tokens and its access tokens,
+ * the user's other devices stay signed in.
+ */
+
+import {
+    listSessions,
+    findActiveSession,
+    terminateSession
+} from '../services/sessionService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * GET /auth/sessions
+ *
+ * Protected (valid JWT required).
+ *
+ * Returns the caller's active sessions, most recently used first.
+ * The session of the token used for this request has current: true.
+ */
+export async function listMySessions(req, res) {
+    res.json(await listSessions(req.user.id, req.user.sessionId));
+}
+
+/**
+ * DELETE /auth/sessions/:id
+ *
+ * Protected (valid JWT required).
+ *
+ * Terminates one of the caller's sessions. Terminating the
+ * current session is allowed and works like a logout.
+ *
+ * Sessions of other users answer 404, like unknown ones,
+ * so session ids cannot be probed.
+ */
+export async function terminateMySession(req, res) {
+    const session = await findActiveSession(req.user.id, req.params.id);
+
+    if (!session) {
+        throw new NotFoundError('session_not_found', 'Session not found');
+    }
+
+    await terminateSession(session.id);
+
+    recordAuditEvent(req, AUDIT_EVENTS.SESSION_TERMINATED, {
+        targetId: req.user.id,
+        details: { sessionId: session.id, current: session.id === req.user.sessionId }
+    });
+
+    res.status(204).end();
+}
@@ -0,0 +1,23 @@
+/**
+ * Database error helpers
+ *
+ * Each engine reports constraint violations differently,
+ * these helpers let callers react without knowing which one is used.
+ */
+
+/**
+ * Checks whether an error was caused by a UNIQUE / PRIMARY KEY conflict.
+ *
+ * - SQLite: "SQLITE_CONSTRAINT: UNIQUE constraint failed: users.email"
+ * - MySQL:  ER_DUP_ENTRY "Duplicate entry '...' for key 'users.email'"
+ *
+ * The message of both contains the offending column,
+ * so callers can tell which value already exists.
+ *
+ * @param {Error} err - Error thrown by the adapter
+ * @returns {boolean}
+ */
+export function isUniqueViolation(err) {
+    return err?.code === 'ER_DUP_ENTRY'
+        || (err?.code === 'SQLITE_CONSTRAINT' && /UNIQUE|PRIMARY KEY/.test(err.message));
+}
@@ -0,0 +1,57 @@
+/**
+ * Migration 001: users table
+ *
+ * The original table of the project. A users table that already
+ * exists is adopted as it is: databases created before migrations
+ * existed, such as the committed database.sqlite.
+ *
+ * An adopted table is recorded in legacy_tables, so that rolling
+ * this migration back leaves it in place: only a table created
+ * here is dropped.
+ *
+ * - id: auto-increment primary key
+ * - username: unique login identifier
+ * - passwordHashed: bcrypt-hashed password
+ * - role: authorization role used for access control
+ */
+
+import { dialect, tableExists, MYSQL_TABLE_OPTIONS } from '../schemaHelpers.js';
+
+export async function up(db) {
+    if (await tableExists(db, 'users')) {
+        await db.exec(`CREATE TABLE IF NOT EXISTS legacy_tables (name VARCHAR(64) PRIMARY KEY) ${dialect(db, {
+            sqlite: '',
+            mysql: MYSQL_TABLE_OPTIONS
+        })}`);
+        await db.insertIgnore('legacy_tables', { name: 'users' });
+        return;
+    }
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT UNIQUE,
+                passwordHashed TEXT,
+                role TEXT
+            )
+        `,
+        mysql: `
+            CREATE TABLE users (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(191) UNIQUE,
+                passwordHashed VARCHAR(255),
+                role VARCHAR(64)
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+}
+
+export async function down(db) {
+    if (await tableExists(db, 'legacy_tables')) {
+        await db.exec('DROP TABLE legacy_tables');
+        return;
+    }
+
+    await db.exec('DROP TABLE IF EXISTS users');
+}
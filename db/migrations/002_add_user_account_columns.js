@@ -0,0 +1,57 @@
+/**
+ * Migration 002: account, token and MFA columns on users
+ *
+ * - disabled: 1 when an administrator has blocked the account
+ * - createdAt: creation timestamp (ms since epoch)
+ * - tokenVersion: security stamp embedded in access tokens ("ver" claim)
+ * - email: used to deliver password reset links (optional, unique)
+ * - mfaEnabled: 1 once TOTP enrollment is confirmed
+ * - mfaSecret: active Base32 TOTP secret
+ * - mfaPendingSecret: secret awaiting confirmation
+ * - mfaLastStep: last accepted time step (prevents code replay)
+ *
+ * Columns are only added when missing, because earlier versions
+ * added them at startup.
+ */
+
+import {
+    addColumnIfMissing,
+    dropColumnIfExists,
+    createIndexIfMissing,
+    dropIndexIfExists
+} from '../schemaHelpers.js';
+
+/**
+ * column → [SQLite definition, MySQL definition]
+ */
+const COLUMNS = {
+    disabled: ['INTEGER NOT NULL DEFAULT 0', 'TINYINT NOT NULL DEFAULT 0'],
+    createdAt: ['INTEGER', 'BIGINT'],
+    tokenVersion: ['INTEGER NOT NULL DEFAULT 0', 'INT NOT NULL DEFAULT 0'],
+    email: ['TEXT', 'VARCHAR(191)'],
+    mfaEnabled: ['INTEGER NOT NULL DEFAULT 0', 'TINYINT NOT NULL DEFAULT 0'],
+    mfaSecret: ['TEXT', 'VARCHAR(64)'],
+    mfaPendingSecret: ['TEXT', 'VARCHAR(64)'],
+    mfaLastStep: ['INTEGER', 'BIGINT']
+};
+
+export async function up(db) {
+    for (const [column, [sqlite, mysql]] of Object.entries(COLUMNS)) {
+        await addColumnIfMissing(db, 'users', column, db.client === 'mysql' ? mysql : sqlite);
+    }
+
+    await createIndexIfMissing(db, {
+        name: 'users_email_unique',
+        table: 'users',
+        columns: ['email'],
+        unique: true
+    });
+}
+
+export async function down(db) {
+    await dropIndexIfExists(db, 'users', 'users_email_unique');
+
+    for (const column of Object.keys(COLUMNS).reverse()) {
+        await dropColumnIfExists(db, 'users', column);
+    }
+}
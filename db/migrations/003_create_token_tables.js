@@ -0,0 +1,143 @@
+/**
+ * Migration 003: token tables
+ *
+ * - mfa_recovery_codes: single-use MFA recovery codes (SHA-256 hashed)
+ * - refresh_tokens: hashed refresh tokens grouped in rotation families
+ *     - familyId: shared by every token produced from the same login
+ *     - replacedBy: id of the token issued when this one was rotated
+ *     - revokedAt: set on rotation, logout or family revocation
+ * - password_reset_tokens: hashed single-use reset tokens
+ * - revoked_tokens: access token denylist (jti), kept until expiry
+ * - signing_keys: JWT key pairs in JWK format
+ *     - retiresAt: when the key stopped signing (NULL = active)
+ *     - expiresAt: end of the grace period
+ */
+
+import { dialect, MYSQL_TABLE_OPTIONS } from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                codeHash TEXT NOT NULL,
+                usedAt INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                userId INT NOT NULL,
+                codeHash CHAR(64) NOT NULL,
+                usedAt BIGINT,
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                tokenHash TEXT UNIQUE NOT NULL,
+                familyId TEXT NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                createdAt INTEGER NOT NULL,
+                revokedAt INTEGER,
+                replacedBy INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                userId INT NOT NULL,
+                tokenHash CHAR(64) NOT NULL UNIQUE,
+                familyId VARCHAR(64) NOT NULL,
+                expiresAt BIGINT NOT NULL,
+                createdAt BIGINT NOT NULL,
+                revokedAt BIGINT,
+                replacedBy INT,
+                INDEX refresh_tokens_family (familyId),
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                tokenHash TEXT UNIQUE NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                createdAt INTEGER NOT NULL,
+                usedAt INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                userId INT NOT NULL,
+                tokenHash CHAR(64) NOT NULL UNIQUE,
+                expiresAt BIGINT NOT NULL,
+                createdAt BIGINT NOT NULL,
+                usedAt BIGINT,
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti TEXT PRIMARY KEY,
+                expiresAt INTEGER NOT NULL
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti VARCHAR(64) PRIMARY KEY,
+                expiresAt BIGINT NOT NULL
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS signing_keys (
+                kid TEXT PRIMARY KEY,
+                alg TEXT NOT NULL,
+                publicJwk TEXT NOT NULL,
+                privateJwk TEXT NOT NULL,
+                createdAt INTEGER NOT NULL,
+                retiresAt INTEGER,
+                expiresAt INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS signing_keys (
+                kid VARCHAR(64) PRIMARY KEY,
+                alg VARCHAR(16) NOT NULL,
+                publicJwk TEXT NOT NULL,
+                privateJwk TEXT NOT NULL,
+                createdAt BIGINT NOT NULL,
+                retiresAt BIGINT,
+                expiresAt BIGINT
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+}
+
+export async function down(db) {
+    for (const table of [
+        'signing_keys',
+        'revoked_tokens',
+        'password_reset_tokens',
+        'refresh_tokens',
+        'mfa_recovery_codes'
+    ]) {
+        await db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * Migration 004: authorization tables
+ *
+ * - roles: known roles and the role each one inherits from
+ * - permissions: fine-grained capabilities ("reports:read")
+ * - role_permissions: direct grants (inherited ones are resolved in code)
+ *
+ * Rows are seeded at startup from utils/roles.js (see config/db.js).
+ */
+
+import { dialect, MYSQL_TABLE_OPTIONS } from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS roles (
+                name TEXT PRIMARY KEY,
+                inherits TEXT REFERENCES roles(name)
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS roles (
+                name VARCHAR(64) PRIMARY KEY,
+                inherits VARCHAR(64),
+                FOREIGN KEY (inherits) REFERENCES roles(name)
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS permissions (
+                name TEXT PRIMARY KEY,
+                description TEXT
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS permissions (
+                name VARCHAR(128) PRIMARY KEY,
+                description VARCHAR(255)
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS role_permissions (
+                role TEXT NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+                permission TEXT NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+                PRIMARY KEY (role, permission)
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS role_permissions (
+                role VARCHAR(64) NOT NULL,
+                permission VARCHAR(128) NOT NULL,
+                PRIMARY KEY (role, permission),
+                FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE,
+                FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+}
+
+export async function down(db) {
+    for (const table of ['role_permissions', 'permissions', 'roles']) {
+        await db.exec(`DROP TABLE IF EXISTS ${table}`);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Migration 005: audit log and login attempt tables
+ *
+ * - audit_events: append-only, hash-chained record of security events
+ *     - prevHash: hash of the previous row
+ *     - hash: SHA-256 over this row's content and prevHash
+ *     - prevHash is unique: two events can never link to the same
+ *       previous event, even when written by different instances
+ *       sharing the database (see services/auditLog.js)
+ * - login_attempts: failed login counters (database attempt store)
+ *     - attemptKey: "user:<username>" or "ip:<address>"
+ *     - count: failures inside the current window
+ *     - firstAttemptAt: start of the current window
+ *     - lockedUntil: set when the failure limit is reached
+ */
+
+import {
+    dialect,
+    columnExists,
+    createIndexIfMissing,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                eventType TEXT NOT NULL,
+                actorId INTEGER,
+                actorUsername TEXT,
+                targetId INTEGER,
+                ip TEXT,
+                userAgent TEXT,
+                requestId TEXT,
+                details TEXT,
+                createdAt INTEGER NOT NULL,
+                prevHash TEXT NOT NULL,
+                hash TEXT NOT NULL
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS audit_events (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                eventType VARCHAR(64) NOT NULL,
+                actorId INT,
+                actorUsername VARCHAR(191),
+                targetId INT,
+                ip VARCHAR(64),
+                userAgent TEXT,
+                requestId VARCHAR(128),
+                details TEXT,
+                createdAt BIGINT NOT NULL,
+                prevHash CHAR(64) NOT NULL,
+                hash CHAR(64) NOT NULL
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'audit_events_created',
+        table: 'audit_events',
+        columns: ['createdAt']
+    });
+
+    await createIndexIfMissing(db, {
+        name: 'audit_events_prev_hash',
+        table: 'audit_events',
+        columns: ['prevHash'],
+        unique: true
+    });
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                attemptKey TEXT PRIMARY KEY,
+                count INTEGER NOT NULL,
+                firstAttemptAt INTEGER NOT NULL,
+                lockedUntil INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS login_attempts (
+                attemptKey VARCHAR(191) PRIMARY KEY,
+                count INT NOT NULL,
+                firstAttemptAt BIGINT NOT NULL,
+                lockedUntil BIGINT
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    /**
+     * Early SQLite databases named the key column "key",
+     * which is a reserved word in MySQL.
+     */
+    if (db.client === 'sqlite' && await columnExists(db, 'login_attempts', 'key')) {
+        await db.exec('ALTER TABLE login_attempts RENAME COLUMN key TO attemptKey');
+    }
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS login_attempts');
+    await db.exec('DROP TABLE IF EXISTS audit_events');
+}
@@ -0,0 +1,60 @@
+/**
+ * Migration 006: sessions
+ *
+ * - sessions: one row per login (device)
+ *     - id: UUID, also the familyId of the session's refresh tokens
+ *       and the "sid" claim of its access tokens
+ *     - deviceLabel: optional name chosen by the client ("Work laptop")
+ *     - userAgent / ip: as seen at login, ip updated on activity
+ *     - lastSeenAt: last refresh or authenticated request
+ *     - expiresAt: expiry of the current refresh token
+ *     - terminatedAt: set on logout or termination (NULL = active)
+ */
+
+import {
+    dialect,
+    createIndexIfMissing,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                deviceLabel TEXT,
+                userAgent TEXT,
+                ip TEXT,
+                createdAt INTEGER NOT NULL,
+                lastSeenAt INTEGER NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                terminatedAt INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS sessions (
+                id VARCHAR(64) PRIMARY KEY,
+                userId INT NOT NULL,
+                deviceLabel VARCHAR(100),
+                userAgent VARCHAR(512),
+                ip VARCHAR(64),
+                createdAt BIGINT NOT NULL,
+                lastSeenAt BIGINT NOT NULL,
+                expiresAt BIGINT NOT NULL,
+                terminatedAt BIGINT,
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'sessions_user',
+        table: 'sessions',
+        columns: ['userId']
+    });
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS sessions');
+}
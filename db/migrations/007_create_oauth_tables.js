@@ -0,0 +1,90 @@
+/**
+ * Migration 007: OpenID Connect provider tables
+ *
+ * - oauth_clients: applications allowed to sign users in
+ *     - redirectUris: JSON array of exact redirect URIs
+ *     - clientSecretHash: SHA-256 of the secret (NULL = public client, PKCE only)
+ * - oauth_authorization_codes: single-use codes of /oauth/authorize
+ *     - codeHash: SHA-256 of the code
+ *     - codeChallenge: PKCE S256 challenge
+ *     - authTime: when the user entered their credentials
+ *     - usedAt: set when exchanged at /oauth/token
+ *     - sessionId: session started by the exchange (terminated if the code is replayed)
+ * - sessions.clientId: client a session was started for (NULL = first-party login)
+ */
+
+import {
+    dialect,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS oauth_clients (
+                clientId TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                redirectUris TEXT NOT NULL,
+                clientSecretHash TEXT,
+                createdAt INTEGER NOT NULL
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS oauth_clients (
+                clientId VARCHAR(64) PRIMARY KEY,
+                name VARCHAR(100) NOT NULL,
+                redirectUris TEXT NOT NULL,
+                clientSecretHash CHAR(64),
+                createdAt BIGINT NOT NULL
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+                codeHash TEXT PRIMARY KEY,
+                clientId TEXT NOT NULL REFERENCES oauth_clients(clientId) ON DELETE CASCADE,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                redirectUri TEXT NOT NULL,
+                scope TEXT NOT NULL,
+                nonce TEXT,
+                codeChallenge TEXT NOT NULL,
+                authTime INTEGER NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                usedAt INTEGER,
+                sessionId TEXT
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+                codeHash CHAR(64) PRIMARY KEY,
+                clientId VARCHAR(64) NOT NULL,
+                userId INT NOT NULL,
+                redirectUri TEXT NOT NULL,
+                scope VARCHAR(255) NOT NULL,
+                nonce VARCHAR(255),
+                codeChallenge VARCHAR(128) NOT NULL,
+                authTime BIGINT NOT NULL,
+                expiresAt BIGINT NOT NULL,
+                usedAt BIGINT,
+                sessionId VARCHAR(64),
+                FOREIGN KEY (clientId) REFERENCES oauth_clients(clientId) ON DELETE CASCADE,
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await addColumnIfMissing(db, 'sessions', 'clientId', dialect(db, {
+        sqlite: 'TEXT',
+        mysql: 'VARCHAR(64)'
+    }));
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS oauth_authorization_codes');
+    await db.exec('DROP TABLE IF EXISTS oauth_clients');
+    await dropColumnIfExists(db, 'sessions', 'clientId');
+}
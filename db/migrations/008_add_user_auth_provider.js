@@ -0,0 +1,21 @@
+/**
+ * Migration 008: authentication provider of users
+ *
+ * - authProvider: who checks the password of the account
+ *     - "local": bcrypt hash in passwordHashed
+ *     - "ldap": directory bind, the row is provisioned at first login
+ *       (passwordHashed stays NULL)
+ */
+
+import { dialect, addColumnIfMissing, dropColumnIfExists } from '../schemaHelpers.js';
+
+export async function up(db) {
+    await addColumnIfMissing(db, 'users', 'authProvider', dialect(db, {
+        sqlite: "TEXT NOT NULL DEFAULT 'local'",
+        mysql: "VARCHAR(32) NOT NULL DEFAULT 'local'"
+    }));
+}
+
+export async function down(db) {
+    await dropColumnIfExists(db, 'users', 'authProvider');
+}
@@ -0,0 +1,61 @@
+/**
+ * Migration 009: API keys
+ *
+ * - api_keys: long-lived credentials of service accounts
+ *   (users with authProvider = "service")
+ *     - prefix: public part of the key, used to find it ("lar_<prefix>_...")
+ *     - keyHash: SHA-256 of the whole key
+ *     - scopes: JSON array of permission names the key may use
+ *     - lastUsedAt: last authenticated request (NULL = never used)
+ *     - revokedAt: set on revocation (NULL = active)
+ */
+
+import {
+    dialect,
+    createIndexIfMissing,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                prefix TEXT NOT NULL UNIQUE,
+                keyHash TEXT NOT NULL,
+                scopes TEXT NOT NULL,
+                createdAt INTEGER NOT NULL,
+                expiresAt INTEGER NOT NULL,
+                lastUsedAt INTEGER,
+                revokedAt INTEGER
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                userId INT NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                prefix VARCHAR(16) NOT NULL UNIQUE,
+                keyHash CHAR(64) NOT NULL,
+                scopes TEXT NOT NULL,
+                createdAt BIGINT NOT NULL,
+                expiresAt BIGINT NOT NULL,
+                lastUsedAt BIGINT,
+                revokedAt BIGINT,
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'api_keys_user',
+        table: 'api_keys',
+        columns: ['userId']
+    });
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS api_keys');
+}
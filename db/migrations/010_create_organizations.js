@@ -0,0 +1,141 @@
+/**
+ * Migration 010: organizations (tenants)
+ *
+ * - organizations: client organizations sharing this backend
+ *     - slug: short unique identifier ("acme")
+ * - memberships: which users belong to which organization, and with
+ *   which role (replaces the global users.role column)
+ * - users.superAdmin: platform operator, manages organizations
+ * - sessions.organizationId: organization the session is acting in
+ * - audit_events.organizationId: organization an event happened in
+ *   (NULL for account-level events: logins, token rejections...),
+ *   a copy of details.organizationId, which the hash chain covers
+ *
+ * Existing data moves to an organization named "default": every user
+ * becomes a member with their current role, admins included. Nobody
+ * becomes super-admin: platform operators are named explicitly
+ * (SUPER_ADMINS, see services/organizationService.js).
+ */
+
+import {
+    dialect,
+    addColumnIfMissing,
+    dropColumnIfExists,
+    createIndexIfMissing,
+    dropIndexIfExists,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS organizations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                slug TEXT NOT NULL UNIQUE,
+                name TEXT NOT NULL,
+                createdAt INTEGER NOT NULL
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS organizations (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                slug VARCHAR(64) NOT NULL UNIQUE,
+                name VARCHAR(100) NOT NULL,
+                createdAt BIGINT NOT NULL
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS memberships (
+                userId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                organizationId INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                role TEXT NOT NULL,
+                createdAt INTEGER NOT NULL,
+                PRIMARY KEY (userId, organizationId)
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS memberships (
+                userId INT NOT NULL,
+                organizationId INT NOT NULL,
+                role VARCHAR(64) NOT NULL,
+                createdAt BIGINT NOT NULL,
+                PRIMARY KEY (userId, organizationId),
+                FOREIGN KEY (userId) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (organizationId) REFERENCES organizations(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'memberships_organization',
+        table: 'memberships',
+        columns: ['organizationId', 'role']
+    });
+
+    await addColumnIfMissing(db, 'users', 'superAdmin', dialect(db, {
+        sqlite: 'INTEGER NOT NULL DEFAULT 0',
+        mysql: 'TINYINT(1) NOT NULL DEFAULT 0'
+    }));
+
+    await addColumnIfMissing(db, 'sessions', 'organizationId', dialect(db, {
+        sqlite: 'INTEGER',
+        mysql: 'INT'
+    }));
+
+    await addColumnIfMissing(db, 'audit_events', 'organizationId', dialect(db, {
+        sqlite: 'INTEGER',
+        mysql: 'INT'
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'audit_events_organization',
+        table: 'audit_events',
+        columns: ['organizationId']
+    });
+
+    const now = Date.now();
+
+    const { lastID: organizationId } = await db.run(
+        'INSERT INTO organizations (slug, name, createdAt) VALUES (?, ?, ?)',
+        ['default', 'Default organization', now]
+    );
+
+    await db.run(
+        `INSERT INTO memberships (userId, organizationId, role, createdAt)
+         SELECT id, ?, COALESCE(role, 'user'), COALESCE(createdAt, ?) FROM users`,
+        [organizationId, now]
+    );
+
+    await db.run('UPDATE sessions SET organizationId = ?', [organizationId]);
+
+    await dropColumnIfExists(db, 'users', 'role');
+}
+
+/**
+ * Restores users.role from the default organization
+ * (memberships of other organizations are lost).
+ */
+export async function down(db) {
+    await addColumnIfMissing(db, 'users', 'role', dialect(db, {
+        sqlite: 'TEXT',
+        mysql: 'VARCHAR(64)'
+    }));
+
+    await db.run(
+        `UPDATE users SET role = (
+             SELECT m.role FROM memberships m
+             JOIN organizations o ON o.id = m.organizationId
+             WHERE m.userId = users.id AND o.slug = 'default'
+         )`
+    );
+
+    await dropIndexIfExists(db, 'audit_events', 'audit_events_organization');
+    await dropColumnIfExists(db, 'audit_events', 'organizationId');
+    await dropColumnIfExists(db, 'sessions', 'organizationId');
+    await dropColumnIfExists(db, 'users', 'superAdmin');
+    await db.exec('DROP TABLE IF EXISTS memberships');
+    await db.exec('DROP TABLE IF EXISTS organizations');
+}
@@ -0,0 +1,52 @@
+/**
+ * Migration 011: advisor clients
+ *
+ * - advisor_clients: the book of clients of each advisor, within an
+ *   organization (an advisor of one tenant has no clients in another)
+ *     - advisorId: member with the advisor role (or a role inheriting it)
+ *     - clientId: member with the user role
+ *
+ * A client may be followed by several advisors.
+ */
+
+import {
+    dialect,
+    createIndexIfMissing,
+    MYSQL_TABLE_OPTIONS
+} from '../schemaHelpers.js';
+
+export async function up(db) {
+    await db.exec(dialect(db, {
+        sqlite: `
+            CREATE TABLE IF NOT EXISTS advisor_clients (
+                organizationId INTEGER NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+                advisorId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                clientId INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                createdAt INTEGER NOT NULL,
+                PRIMARY KEY (organizationId, advisorId, clientId)
+            )
+        `,
+        mysql: `
+            CREATE TABLE IF NOT EXISTS advisor_clients (
+                organizationId INT NOT NULL,
+                advisorId INT NOT NULL,
+                clientId INT NOT NULL,
+                createdAt BIGINT NOT NULL,
+                PRIMARY KEY (organizationId, advisorId, clientId),
+                FOREIGN KEY (organizationId) REFERENCES organizations(id) ON DELETE CASCADE,
+                FOREIGN KEY (advisorId) REFERENCES users(id) ON DELETE CASCADE,
+                FOREIGN KEY (clientId) REFERENCES users(id) ON DELETE CASCADE
+            ) ${MYSQL_TABLE_OPTIONS}
+        `
+    }));
+
+    await createIndexIfMissing(db, {
+        name: 'advisor_clients_client',
+        table: 'advisor_clients',
+        columns: ['organizationId', 'clientId']
+    });
+}
+
+export async function down(db) {
+    await db.exec('DROP TABLE IF EXISTS advisor_clients');
+}
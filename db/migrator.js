@@ -0,0 +1,211 @@
+/**
+ * Schema migrations
+ *
+ * Applies the ordered migration files of db/migrations/ and
+ * records each one in the schema_migrations table.
+ *
+ * Migration files:
+ * - are named "<version>_<name>.js" (e.g. 002_add_user_account_columns.js)
+ * - run in version order
+ * - export up(db) and down(db), receiving the database adapter
+ *
+ * On SQLite, each migration runs in a transaction together with its
+ * schema_migrations row, so a failing migration leaves nothing behind.
+ *
+ * MySQL commits every DDL statement (CREATE, ALTER, DROP...) implicitly,
+ * so the transaction only covers data changes there. A migration failing
+ * halfway keeps the schema changes made before the failure and stays
+ * pending. Schema statements tolerate being repeated (IF NOT EXISTS, the
+ * *IfMissing / *IfExists helpers of schemaHelpers.js), data statements
+ * may not: check what was applied before running it again.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { tableExists } from './schemaHelpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Folder containing the migration files.
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * "<version>_<name>.js"
+ */
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+/**
+ * Creates the tracking table when missing.
+ *
+ * @param {Object} db - Database adapter
+ */
+async function ensureMigrationsTable(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(32) PRIMARY KEY,
+            name VARCHAR(191) NOT NULL,
+            appliedAt BIGINT NOT NULL
+        )
+    `);
+}
+
+/**
+ * Loads every migration file, ordered by version.
+ *
+ * @returns {Promise<Array<{ version: string, name: string, up: Function, down: Function }>>}
+ */
+export async function loadMigrations() {
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+        .sort();
+
+    const migrations = [];
+
+    for (const file of files) {
+        const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+
+        if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+            throw new Error(`Migration ${file} must export up() and down()`);
+        }
+
+        migrations.push({ version, name, up: module.up, down: module.down });
+    }
+
+    return migrations;
+}
+
+/**
+ * Compares the migration files with the applied migrations.
+ *
+ * @param {Object} db - Database adapter
+ * @returns {Promise<{
+ *     migrations: Array<{ version: string, name: string, appliedAt: number | null }>,
+ *     pending: string[],
+ *     unknown: string[]
+ * }>}
+ *   pending: versions not applied yet;
+ *   unknown: versions applied but missing from db/migrations (newer code deployed elsewhere)
+ *
+ * Only reads: a database without the schema_migrations table
+ * has every migration pending.
+ */
+export async function getMigrationStatus(db) {
+    const migrations = await loadMigrations();
+    const rows = await tableExists(db, 'schema_migrations')
+        ? await db.all('SELECT version, appliedAt FROM schema_migrations')
+        : [];
+    const applied = new Map(rows.map((r) => [r.version, Number(r.appliedAt)]));
+
+    return {
+        migrations: migrations.map(({ version, name }) => ({
+            version,
+            name,
+            appliedAt: applied.get(version) ?? null
+        })),
+        pending: migrations
+            .filter(({ version }) => !applied.has(version))
+            .map(({ version }) => version),
+        unknown: [...applied.keys()]
+            .filter((version) => !migrations.some((m) => m.version === version))
+            .sort()
+    };
+}
+
+/**
+ * Applies every pending migration, in order.
+ *
+ * @param {Object} db - Database adapter
+ * @returns {Promise<string[]>} Applied migrations ("<version>_<name>")
+ */
+export async function migrate(db) {
+    await ensureMigrationsTable(db);
+
+    const { pending } = await getMigrationStatus(db);
+    const migrations = await loadMigrations();
+    const done = [];
+
+    for (const migration of migrations.filter((m) => pending.includes(m.version))) {
+
+        /**
+         * Atomic on SQLite only: see the MySQL note at the top.
+         */
+        await db.transaction(async (tx) => {
+            await migration.up(tx);
+
+            await tx.run(
+                'INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)',
+                [migration.version, migration.name, Date.now()]
+            );
+        });
+
+        done.push(`${migration.version}_${migration.name}`);
+    }
+
+    return done;
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ *
+ * @param {Object} db - Database adapter
+ * @param {number} [steps=1] - Number of migrations to revert
+ * @returns {Promise<string[]>} Reverted migrations ("<version>_<name>")
+ */
+export async function rollback(db, steps = 1) {
+    await ensureMigrationsTable(db);
+
+    const migrations = await loadMigrations();
+    const applied = await db.all(
+        'SELECT version FROM schema_migrations ORDER BY version DESC LIMIT ?',
+        [steps]
+    );
+    const done = [];
+
+    for (const { version } of applied) {
+        const migration = migrations.find((m) => m.version === version);
+
+        if (!migration) {
+            throw new Error(`Cannot roll back migration ${version}: file not found`);
+        }
+
+        /**
+         * Atomic on SQLite only, like migrate().
+         */
+        await db.transaction(async (tx) => {
+            await migration.down(tx);
+            await tx.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+        });
+
+        done.push(`${migration.version}_${migration.name}`);
+    }
+
+    return done;
+}
+
+/**
+ * Throws when migrations are pending.
+ *
+ * Called at startup so the application never serves requests
+ * against a schema older than the code expects.
+ *
+ * @param {Object} db - Database adapter
+ */
+export async function assertSchemaUpToDate(db) {
+    const { pending, unknown } = await getMigrationStatus(db);
+
+    if (pending.length > 0) {
+        throw new Error(
+            `Database schema is behind (pending migrations: ${pending.join(', ')}). `
+            + 'Run "npm run migrate" first.'
+        );
+    }
+
+    if (unknown.length > 0) {
+        logger.warn('Database has migrations unknown to this version', { versions: unknown });
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * Schema helpers for migrations
+ *
+ * Small dialect-aware building blocks, so migrations can be applied
+ * both to fresh databases and to databases created before the
+ * migrations subsystem existed (columns or indexes may already be there).
+ */
+
+/**
+ * Picks the SQL for the dialect of the adapter.
+ *
+ * @param {Object} db - Database adapter
+ * @param {Object} variants - { sqlite: string, mysql: string }
+ * @returns {string}
+ */
+export function dialect(db, variants) {
+    return variants[db.client];
+}
+
+/**
+ * Table options appended to every MySQL CREATE TABLE.
+ */
+export const MYSQL_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4';
+
+/**
+ * Checks whether a table exists.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} table - Table name
+ * @returns {Promise<boolean>}
+ */
+export async function tableExists(db, table) {
+    if (db.client === 'mysql') {
+        return Boolean(await db.get(
+            `SELECT 1 AS found FROM information_schema.TABLES
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+            [table]
+        ));
+    }
+
+    return Boolean(await db.get(
+        "SELECT 1 AS found FROM sqlite_master WHERE type = 'table' AND name = ?",
+        [table]
+    ));
+}
+
+/**
+ * Checks whether a table has a column.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+export async function columnExists(db, table, column) {
+    if (db.client === 'mysql') {
+        return Boolean(await db.get(
+            `SELECT 1 AS found FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+            [table, column]
+        ));
+    }
+
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    return columns.some((c) => c.name === column);
+}
+
+/**
+ * Adds a column unless it is already present.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - SQL type and constraints
+ */
+export async function addColumnIfMissing(db, table, column, definition) {
+    if (!await columnExists(db, table, column)) {
+        await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+}
+
+/**
+ * Drops a column if it is present.
+ *
+ * SQLite refuses to drop indexed columns: drop the index first.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ */
+export async function dropColumnIfExists(db, table, column) {
+    if (await columnExists(db, table, column)) {
+        await db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+}
+
+/**
+ * Creates an index unless one with the same name exists.
+ *
+ * MySQL has no CREATE INDEX IF NOT EXISTS, so the
+ * catalog is checked first.
+ *
+ * @param {Object} db - Database adapter
+ * @param {Object} index
+ * @param {string} index.name - Index name
+ * @param {string} index.table - Table name
+ * @param {string[]} index.columns - Indexed columns
+ * @param {boolean} [index.unique=false]
+ */
+export async function createIndexIfMissing(db, { name, table, columns, unique = false }) {
+    const kind = unique ? 'UNIQUE INDEX' : 'INDEX';
+
+    if (db.client === 'mysql') {
+        const existing = await db.get(
+            `SELECT 1 AS found FROM information_schema.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+            [table, name]
+        );
+
+        if (!existing) {
+            await db.exec(`CREATE ${kind} ${name} ON ${table} (${columns.join(', ')})`);
+        }
+        return;
+    }
+
+    await db.exec(`CREATE ${kind} IF NOT EXISTS ${name} ON ${table} (${columns.join(', ')})`);
+}
+
+/**
+ * Drops an index if it exists.
+ *
+ * @param {Object} db - Database adapter
+ * @param {string} table - Table name (required by MySQL)
+ * @param {string} name - Index name
+ */
+export async function dropIndexIfExists(db, table, name) {
+    if (db.client === 'mysql') {
+        const existing = await db.get(
+            `SELECT 1 AS found FROM information_schema.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+            [table, name]
+        );
+
+        if (existing) {
+            await db.exec(`DROP INDEX ${name} ON ${table}`);
+        }
+        return;
+    }
+
+    await db.exec(`DROP INDEX IF EXISTS ${name}`);
+}
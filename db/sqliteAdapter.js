@@ -0,0 +1,176 @@
+/**
+ * SQLite database adapter
+ *
+ * Wraps the `sqlite` package behind the adapter interface
+ * shared with the MySQL adapter, so repositories can run
+ * the same code on both engines.
+ *
+ * Adapter interface:
+ * - client                         → 'sqlite'
+ * - get(sql, params)               → first row or undefined
+ * - all(sql, params)               → array of rows
+ * - run(sql, params)               → { lastID, changes }
+ * - exec(sql)                      → runs a statement without parameters
+ * - transaction(fn)                → runs fn(adapter) atomically
+ * - upsert(table, row, keys)       → insert or update on key conflict
+ * - insertIgnore(table, row)       → insert unless the key already exists
+ * - forUpdate                      → row-locking suffix for SELECT ('' here)
+ * - close()
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+/**
+ * Opens a SQLite database.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - File path, or ':memory:' for an
+ *                                    in-memory database (tests)
+ * @returns {Promise<Object>} Database adapter
+ */
+export async function createSqliteAdapter({ filename }) {
+    const db = await open({
+        filename,
+
+        // SQLite driver used by the `sqlite` package
+        driver: sqlite3.Database
+    });
+
+    /**
+     * SQLite does not enforce foreign keys unless asked to.
+     * Needed so dependent rows are removed with their user.
+     */
+    await db.exec('PRAGMA foreign_keys = ON');
+
+    /**
+     * A single connection is shared by the whole process: while a
+     * transaction is open, any other statement sent on it becomes
+     * part of that transaction (and is undone by its rollback).
+     *
+     * Every statement therefore waits for its turn in one queue.
+     * A transaction takes a single turn, during which its own
+     * statements run on the adapter given to its callback.
+     *
+     * Code called from that callback may still use the outer
+     * adapter (e.g. getRepositories()): its statement would wait
+     * behind the transaction forever. The open transaction is
+     * therefore tracked through AsyncLocalStorage, and such
+     * statements join it instead of waiting.
+     */
+    let queue = Promise.resolve();
+    const activeTransaction = new AsyncLocalStorage();
+
+    function enqueue(task) {
+        if (activeTransaction.getStore()?.open) {
+            return task();
+        }
+
+        const result = queue.then(task);
+
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Builds the adapter methods.
+     *
+     * @param {Function} schedule - Runs a statement: enqueue() outside
+     *        transactions, immediately inside one
+     * @returns {Object} Database adapter
+     */
+    function buildAdapter(schedule) {
+        const adapter = {
+            client: 'sqlite',
+            forUpdate: '',
+
+            get(sql, params = []) {
+                return schedule(() => db.get(sql, params));
+            },
+
+            all(sql, params = []) {
+                return schedule(() => db.all(sql, params));
+            },
+
+            run(sql, params = []) {
+                return schedule(async () => {
+                    const { lastID, changes } = await db.run(sql, params);
+                    return { lastID, changes };
+                });
+            },
+
+            exec(sql) {
+                return schedule(() => db.exec(sql));
+            },
+
+            transaction(fn) {
+                /**
+                 * Nested calls reuse the current transaction.
+                 */
+                const active = activeTransaction.getStore();
+
+                if (active?.open) {
+                    return fn(active.adapter);
+                }
+
+                if (schedule !== enqueue) {
+                    return fn(adapter);
+                }
+
+                return enqueue(async () => {
+                    await db.exec('BEGIN IMMEDIATE');
+
+                    /**
+                     * Closed once settled: work started by fn that
+                     * outlives it (timers, unawaited calls) queues again.
+                     */
+                    const state = { adapter: buildAdapter((task) => task()), open: true };
+
+                    try {
+                        const value = await activeTransaction.run(state, () => fn(state.adapter));
+                        state.open = false;
+                        await db.exec('COMMIT');
+                        return value;
+                    } catch (err) {
+                        state.open = false;
+                        await db.exec('ROLLBACK');
+                        throw err;
+                    }
+                });
+            },
+
+            upsert(table, row, keys) {
+                const columns = Object.keys(row);
+                const updates = columns
+                    .filter((c) => !keys.includes(c))
+                    .map((c) => `${c} = excluded.${c}`);
+
+                return adapter.run(
+                    `INSERT INTO ${table} (${columns.join(', ')})
+                     VALUES (${columns.map(() => '?').join(', ')})
+                     ON CONFLICT(${keys.join(', ')}) DO UPDATE SET ${updates.join(', ')}`,
+                    Object.values(row)
+                );
+            },
+
+            insertIgnore(table, row) {
+                const columns = Object.keys(row);
+
+                return adapter.run(
+                    `INSERT OR IGNORE INTO ${table} (${columns.join(', ')})
+                     VALUES (${columns.map(() => '?').join(', ')})`,
+                    Object.values(row)
+                );
+            },
+
+            close() {
+                return schedule(() => db.close());
+            }
+        };
+
+        return adapter;
+    }
+
+    return buildAdapter(enqueue);
+}
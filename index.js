@@ -2,37 +2,122 @@
  * Server bootstrap file
  *
  * This file is responsible only for:
- * - loading environment variables
+ * - loading and validating the configuration (config/env.js)
+ * - turning it into the application's dependencies
  * - starting the HTTP server
- * - binding the Express application to a port
+ * - stopping it gracefully on SIGTERM / SIGINT
  *
- * All application logic lives inside app.js.
+ * All application logic lives behind createApp() (app.js).
  * This separation improves maintainability,
  * testing, and deployment flexibility.
  */
 
-import app from './app.js';
-import dotenv from 'dotenv';
+import { createApp } from './app.js';
+import { connectDB } from './config/db.js';
+import { getConfig } from './config/env.js';
+import { markShuttingDown } from './services/healthService.js';
+import { runInAppContext } from './utils/appContext.js';
+import { logger } from './utils/logger.js';
+import { sleep } from './utils/sleep.js';
 
 /**
- * Load environment variables from .env file.
- */
-dotenv.config();
-
-/**
- * Server port configuration.
+ * Stops the server without cutting requests short.
+ *
+ * Sent by the hosting platform before replacing the instance
+ * (Render restarts and deploys, Ctrl+C locally):
+ *
+ * 1. GET /health/ready starts answering 503, while the server keeps
+ *    serving for SHUTDOWN_DELAY so that the load balancer sees it
+ *    and stops sending new traffic
+ * 2. the server stops accepting connections, in-flight
+ *    requests complete (idle keep-alive connections are closed)
+ * 3. after SHUTDOWN_TIMEOUT, remaining connections are cut
+ * 4. background jobs stop and the database is closed
  *
- * Uses environment variable when available,
- * otherwise defaults to port 3000.
+ * @param {import('http').Server} server
+ * @param {Object} app - Result of createApp()
+ * @param {Object} settings
+ * @param {number} settings.delaySeconds - Time between not-ready and closing the listener
+ * @param {number} settings.timeoutSeconds - Time allowed to drain requests
+ * @param {string} signal - Signal received
  */
-const PORT = process.env.PORT || 3000;
+async function gracefulShutdown(server, app, { delaySeconds, timeoutSeconds }, signal) {
+    logger.info('Shutting down', { signal, delaySeconds, timeoutSeconds });
+    markShuttingDown();
+
+    await sleep(delaySeconds * 1000);
+
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        logger.warn('Requests still running after the shutdown timeout, closing their connections');
+        server.closeAllConnections();
+    }, timeoutSeconds * 1000);
+
+    await new Promise((resolve) => {
+        server.close(resolve);
+        server.closeIdleConnections();
+    });
+
+    clearTimeout(timer);
+
+    try {
+        await app.close();
+    } catch (err) {
+        logger.error('Shutdown failed', { err });
+        process.exit(1);
+    }
+
+    logger.info('Shutdown complete', { timedOut });
+    process.exit(timedOut ? 1 : 0);
+}
 
 /**
- * Start HTTP server.
+ * Validate the configuration, build the application,
+ * then start the HTTP server.
  *
- * The Express application is now listening
- * for incoming requests.
+ * Startup errors (invalid settings, database unreachable,
+ * pending migrations) stop the process instead: no request
+ * is ever served by a misconfigured or half-initialized application.
  */
-app.listen(PORT, () => {
-    console.log(`Server running on port: ${PORT}`);
-});
+try {
+    const config = getConfig();
+
+    const app = await createApp({
+        config,
+        db: await connectDB(config.database)
+    });
+
+    /**
+     * Logs and the shutdown steps below belong to the app
+     * (its logger, its readiness): run them in its context.
+     */
+    const inApp = (fn) => runInAppContext(app.locals.context, fn);
+
+    const server = app.listen(config.port, () => inApp(() => {
+        logger.info('Server running', { port: config.port, environment: config.environment });
+    }));
+
+    /**
+     * A second signal while draining is ignored:
+     * the timeout bounds the wait anyway.
+     */
+    let stopping = false;
+
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+        process.on(signal, () => {
+            if (!stopping) {
+                stopping = true;
+                inApp(() => gracefulShutdown(server, app, {
+                    delaySeconds: config.shutdownDelaySeconds,
+                    timeoutSeconds: config.shutdownTimeoutSeconds
+                }, signal));
+            }
+        });
+    }
+
+} catch (err) {
+    logger.error('Startup failed', { error: err.message });
+    process.exit(1);
+}
@@ -0,0 +1,89 @@
+/**
+ * Access log middleware
+ *
+ * Logs one line per request once the response is sent,
+ * and records its latency in http_request_duration_seconds
+ * (see utils/metrics.js):
+ *
+ *   {"level":"info","msg":"request completed","requestId":"...","method":"GET",
+ *    "path":"/admin/users/3","route":"/admin/users/:id","status":200,
+ *    "durationMs":12.4,"ip":"203.0.113.7","userId":1}
+ *
+ * The query string is left out of the path: it may carry
+ * tokens (e.g. OAuth redirects).
+ *
+ * actorId is added during an impersonation: the admin acting as userId.
+ *
+ * Registered right after requestId in app.js.
+ */
+
+import { logger } from '../utils/logger.js';
+import { httpRequestDuration } from '../utils/metrics.js';
+
+/**
+ * Pattern of the route that handled the request, e.g. /admin/users/:id.
+ *
+ * Express only keeps req.baseUrl while inside a router, so the base path
+ * is recorded by trackRoute() when entering one.
+ *
+ * Requests refused by a middleware of the whole router (e.g. verifyToken
+ * on /admin) never reach a route: they are labelled with the router
+ * (/admin/*).
+ *
+ * @param {Object} req - Express request
+ * @param {number} status - Response status
+ * @returns {string} "unmatched" for unknown routes (404)
+ */
+function routePattern(req, status) {
+    const base = req.routeBase === '/' ? '' : req.routeBase;
+
+    if (req.route) {
+        return `${base ?? ''}${req.route.path}`;
+    }
+
+    return base === undefined || status === 404 ? 'unmatched' : `${base}/*`;
+}
+
+/**
+ * Middleware: accessLog
+ */
+export function accessLog(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        const route = routePattern(req, res.statusCode);
+
+        httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+        logger.info('request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1e4) / 10,
+            ip: req.ip,
+            userId: req.user?.id,
+            actorId: req.user?.actor?.id
+        });
+    });
+
+    next();
+}
+
+/**
+ * Records the base path of the router a request enters.
+ *
+ * Example (app.js):
+ *   app.use('/admin', trackRoute('/admin'), adminRoutes);
+ *
+ * @param {string} basePath - Mount path of the router
+ * @returns {Function} Express middleware
+ */
+export function trackRoute(basePath) {
+    return (req, res, next) => {
+        req.routeBase = basePath;
+        next();
+    };
+}
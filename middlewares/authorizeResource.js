@@ -0,0 +1,58 @@
+/**
+ * Resource-level authorization middleware
+ *
+ * checkRole and requirePermission decide whether a user may use a
+ * kind of endpoint at all. Routes addressing one record (":id")
+ * also need to know whether the user may reach THAT record, e.g. an
+ * advisor reading a client who is not in their book.
+ *
+ * The decision is delegated to a policy function of the resource
+ * (see services/clientAccessService.js), which receives req.user
+ * and the validated route parameter.
+ *
+ * It is executed AFTER token verification and request validation.
+ *
+ * Records the user may not reach are refused with 403 whether
+ * they exist or not, so their ids cannot be probed.
+ */
+
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
+/**
+ * Middleware factory: authorizeResource
+ *
+ * Example:
+ *   router.get('/clients/:id', verifyToken, validate(clientIdSchema),
+ *       authorizeResource('client', canAccessClient), getClient);
+ *
+ * @param {string} resource - Resource name, for the audit log and the API docs
+ * @param {(user: Object, id: *) => Promise<boolean>} canAccess - Policy
+ * @param {Object} [options]
+ * @param {string} [options.param] - Route parameter holding the id (default "id")
+ * @returns {Function} Express middleware
+ */
+export function authorizeResource(resource, canAccess, { param = 'id' } = {}) {
+    const middleware = async (req, res, next) => {
+        const id = req.params[param];
+
+        if (!req.user || !await canAccess(req.user, id)) {
+            recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+                details: { method: req.method, path: req.originalUrl, resource, resourceId: id }
+            });
+            authorizationDenials.inc({ guard: 'resource' });
+
+            return next(new ForbiddenError('insufficient_permissions', 'Access denied: insufficient permissions'));
+        }
+
+        next();
+    };
+
+    /**
+     * Exposed for the OpenAPI generator (utils/openApi.js).
+     */
+    middleware.requiredResource = resource;
+
+    return middleware;
+}
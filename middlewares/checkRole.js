@@ -10,8 +10,22 @@
  * - user
  * - advisor
  * - admin
+ *
+ * Roles are hierarchical (admin ⊇ advisor ⊇ user), so a route
+ * allowing "advisor" is also reachable by admins.
+ *
+ * Roles are per organization: the role checked is the one within
+ * the organization the token was issued for (req.user.organizationId).
+ * An admin of one tenant is a plain user elsewhere.
+ *
+ * For capability-based checks see requirePermission.
  */
 
+import { roleSatisfies } from '../utils/roles.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
 export function checkRole(roles = []) {
 
     /**
@@ -20,9 +34,9 @@ export function checkRole(roles = []) {
      *
      * Example:
      *   checkRole(['admin'])
-     *   checkRole(['advisor', 'admin'])
+     *   checkRole(['advisor'])   // advisors and admins
      */
-    return (req, res, next) => {
+    const middleware = (req, res, next) => {
 
         /**
          * At this point, req.user must already exist.
@@ -33,6 +47,7 @@ export function checkRole(roles = []) {
          * req.user = {
          *   id: 1,
          *   username: 'admin1',
+         *   organizationId: 1,
          *   role: 'admin'
          * }
          */
@@ -40,14 +55,17 @@ export function checkRole(roles = []) {
         /**
          * Authorization check:
          * - If the user is not authenticated
-         * - Or the user's role is not included in allowed roles
+         * - Or the user's role neither is nor inherits an allowed role
          *
          * Access is denied.
          */
-        if (!req.user || !roles.includes(req.user.role)) {
-            return res.status(403).json({
-                message: 'Access denied: insufficient permissions'
+        if (!req.user || !roles.some((role) => roleSatisfies(req.user.role, role))) {
+            recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+                details: { method: req.method, path: req.originalUrl, requiredRoles: roles }
             });
+            authorizationDenials.inc({ guard: 'role' });
+
+            return next(new ForbiddenError('insufficient_permissions', 'Access denied: insufficient permissions'));
         }
 
         /**
@@ -56,4 +74,11 @@ export function checkRole(roles = []) {
          */
         next();
     };
+
+    /**
+     * Exposed for the OpenAPI generator (utils/openApi.js).
+     */
+    middleware.requiredRoles = roles;
+
+    return middleware;
 }
@@ -0,0 +1,138 @@
+/**
+ * Central error handling
+ *
+ * Every error response of the API uses the RFC 7807 format
+ * ("application/problem+json"):
+ *
+ * {
+ *   "type": "/problems/invalid_credentials",
+ *   "title": "Unauthorized",
+ *   "status": 401,
+ *   "detail": "Invalid credentials",
+ *   "instance": "/auth/login",
+ *   "code": "invalid_credentials",
+ *   "requestId": "4f1c...",
+ *   "errors": [ ... ]            // validation errors only
+ * }
+ *
+ * "code" is stable and meant to be mapped to user-facing messages
+ * by the frontend; "requestId" matches the X-Request-Id header
+ * and the audit log.
+ *
+ * The only exception are OAuth protocol errors (OAuthError), which
+ * use the format required by RFC 6749:
+ *
+ * { "error": "invalid_grant", "error_description": "..." }
+ */
+
+import { STATUS_CODES } from 'http';
+import { HttpError, NotFoundError, OAuthError } from '../utils/httpErrors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Converts errors raised outside our code (body parser, unexpected
+ * exceptions) to an HttpError.
+ *
+ * @param {Error} err - Any error
+ * @returns {HttpError}
+ */
+function toHttpError(err) {
+    if (err instanceof HttpError) {
+        return err;
+    }
+
+    /**
+     * Errors from express.json() carry a "type" and a status.
+     */
+    if (err.type === 'entity.parse.failed') {
+        return new HttpError(400, 'malformed_json', 'The request body is not valid JSON');
+    }
+
+    if (err.type === 'entity.too.large') {
+        return new HttpError(413, 'payload_too_large', 'The request body is too large');
+    }
+
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        return new HttpError(err.status, 'bad_request', err.message);
+    }
+
+    return new HttpError(500, 'internal_error', 'An unexpected error occurred');
+}
+
+/**
+ * Sends a problem+json response.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {HttpError} error - Error to report
+ */
+function sendProblem(req, res, error) {
+    if (error.headers) {
+        res.set(error.headers);
+    }
+
+    res.status(error.status)
+        .type('application/problem+json')
+        .json({
+            type: `/problems/${error.code}`,
+            title: error.title ?? STATUS_CODES[error.status],
+            status: error.status,
+            detail: error.message,
+            instance: req.originalUrl,
+            code: error.code,
+            requestId: req.id,
+            ...(error.errors && { errors: error.errors })
+        });
+}
+
+/**
+ * Sends an OAuth error response (RFC 6749 section 5.2).
+ *
+ * @param {Object} res - Express response
+ * @param {OAuthError} error - Error to report
+ */
+function sendOAuthError(res, error) {
+    if (error.headers) {
+        res.set(error.headers);
+    }
+
+    res.status(error.status)
+        .set('Cache-Control', 'no-store')
+        .json({
+            error: error.code,
+            error_description: error.message
+        });
+}
+
+/**
+ * Fallback for requests that matched no route.
+ * Registered after every router.
+ */
+export function notFoundHandler(req, res, next) {
+    next(new NotFoundError('route_not_found', `No route for ${req.method} ${req.path}`));
+}
+
+/**
+ * Express error handler (4 arguments).
+ *
+ * Registered last in app.js. Controllers and middlewares
+ * throw (or pass to next) an HttpError; anything else is
+ * logged and reported as a generic 500 without internals.
+ */
+export function errorHandler(err, req, res, next) {
+    const error = toHttpError(err);
+
+    if (error.status >= 500) {
+        logger.error('Request failed', { method: req.method, path: req.originalUrl.split('?')[0], err });
+    }
+
+    if (res.headersSent) {
+        return res.end();
+    }
+
+    if (error instanceof OAuthError) {
+        return sendOAuthError(res, error);
+    }
+
+    sendProblem(req, res, error);
+}
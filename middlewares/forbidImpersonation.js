@@ -0,0 +1,31 @@
+/**
+ * Impersonation guard
+ *
+ * An admin impersonating a user (POST /admin/impersonate/:userId)
+ * sees what the user sees, but must not act on the user's account:
+ * password, MFA, sessions, organization switch. Those routes use
+ * this middleware after verifyToken.
+ */
+
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
+/**
+ * Middleware: forbidImpersonation
+ *
+ * Example:
+ *   router.post('/password/change', verifyToken, forbidImpersonation, changePassword);
+ */
+export function forbidImpersonation(req, res, next) {
+    if (req.user?.actor) {
+        recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+            details: { method: req.method, path: req.originalUrl, impersonation: true }
+        });
+        authorizationDenials.inc({ guard: 'impersonation' });
+
+        return next(new ForbiddenError('impersonation_forbidden', 'Not allowed while impersonating a user'));
+    }
+
+    next();
+}
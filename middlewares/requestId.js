@@ -0,0 +1,34 @@
+/**
+ * Request ID middleware
+ *
+ * Gives every request a unique identifier so that log lines
+ * and audit events belonging to the same request can be correlated.
+ *
+ * - reuses the incoming X-Request-Id header when present
+ *   (e.g. set by a proxy or the frontend)
+ * - otherwise generates a random UUID
+ *
+ * The id is exposed as req.id and echoed in the
+ * X-Request-Id response header. Everything logged while
+ * serving the request carries it as requestId (utils/logger.js).
+ */
+
+import crypto from 'crypto';
+import { runWithLogContext } from '../utils/logger.js';
+
+/**
+ * Incoming ids are only accepted when short and printable,
+ * so a client cannot inject arbitrary content into logs.
+ */
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export function requestId(req, res, next) {
+    const incoming = req.headers['x-request-id'];
+
+    req.id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+
+    res.set('X-Request-Id', req.id);
+    runWithLogContext({ requestId: req.id }, next);
+}
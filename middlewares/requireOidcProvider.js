@@ -0,0 +1,25 @@
+/**
+ * OpenID Connect provider guard
+ *
+ * The provider endpoints (/oauth/*, GET /.well-known/openid-configuration)
+ * only exist with OIDC_PROVIDER=true (see config/env.js). Otherwise
+ * they answer like unknown routes, so the login page is not exposed
+ * by servers that do not act as a provider.
+ */
+
+import { getConfig } from '../config/env.js';
+import { NotFoundError } from '../utils/httpErrors.js';
+
+/**
+ * Middleware: requireOidcProvider
+ *
+ * Example:
+ *   router.use(requireOidcProvider);
+ */
+export function requireOidcProvider(req, res, next) {
+    if (!getConfig().oidcProvider) {
+        return next(new NotFoundError('route_not_found', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+    }
+
+    next();
+}
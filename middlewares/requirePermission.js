@@ -0,0 +1,63 @@
+/**
+ * Permission-based authorization middleware
+ *
+ * Alternative to checkRole for routes that should be guarded by
+ * a capability rather than a hand-written list of roles.
+ *
+ * The permissions of the user are resolved from the role in the
+ * JWT token (role within the current organization), including
+ * everything inherited from lower roles.
+ *
+ * Requests authenticated with an API key are further limited
+ * to the scopes of that key.
+ *
+ * It is executed AFTER token verification.
+ */
+
+import { roleHasPermission } from '../services/permissionService.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
+export function requirePermission(permission) {
+
+    /**
+     * Example:
+     *   requirePermission('reports:read')
+     */
+    const middleware = async (req, res, next) => {
+
+        /**
+         * req.user is injected by verifyToken.
+         */
+        if (!req.user) {
+            authorizationDenials.inc({ guard: 'permission' });
+            return next(new ForbiddenError('insufficient_permissions', 'Access denied: insufficient permissions'));
+        }
+
+        const outOfScope = req.user.scopes !== undefined && !req.user.scopes.includes(permission);
+
+        if (outOfScope || !await roleHasPermission(req.user.role, permission)) {
+            recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+                details: {
+                    method: req.method,
+                    path: req.originalUrl,
+                    requiredPermission: permission,
+                    ...(outOfScope && { reason: 'api_key_scope', apiKeyId: req.user.apiKeyId })
+                }
+            });
+            authorizationDenials.inc({ guard: 'permission' });
+
+            return next(new ForbiddenError('insufficient_permissions', 'Access denied: insufficient permissions'));
+        }
+
+        next();
+    };
+
+    /**
+     * Exposed for the OpenAPI generator (utils/openApi.js).
+     */
+    middleware.requiredPermission = permission;
+
+    return middleware;
+}
@@ -0,0 +1,39 @@
+/**
+ * Session guard
+ *
+ * Routes acting on the caller's own account or sessions (password,
+ * MFA, sessions, organizations, impersonation) are meant for people
+ * logged in through POST /auth/login. API keys have no session:
+ * a key scoped to reading data must not, for example, enroll MFA
+ * for its service account or log it out everywhere.
+ *
+ * Those routes use this middleware after verifyToken.
+ */
+
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
+/**
+ * Middleware: requireSession
+ *
+ * Example:
+ *   router.post('/mfa/setup', verifyToken, requireSession, setupMfa);
+ */
+export function requireSession(req, res, next) {
+    if (!req.user?.sessionId) {
+        recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+            details: {
+                method: req.method,
+                path: req.originalUrl,
+                reason: 'session_required',
+                ...(req.user?.apiKeyId && { apiKeyId: req.user.apiKeyId })
+            }
+        });
+        authorizationDenials.inc({ guard: 'session' });
+
+        return next(new ForbiddenError('session_required', 'This endpoint requires a session token, not an API key'));
+    }
+
+    next();
+}
@@ -0,0 +1,35 @@
+/**
+ * Super-admin authorization middleware
+ *
+ * Guards the platform-wide endpoints: organizations, signing keys,
+ * OpenID Connect clients, permission definitions. Those are shared
+ * by every tenant, so being admin of one organization is not enough.
+ *
+ * The flag comes from the "sa" claim of the access token
+ * (see services/organizationService.js). API keys never carry it.
+ *
+ * It is executed AFTER token verification.
+ */
+
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { ForbiddenError } from '../utils/httpErrors.js';
+import { authorizationDenials } from '../utils/metrics.js';
+
+/**
+ * Middleware: requireSuperAdmin
+ *
+ * Example:
+ *   router.post('/organizations', requireSuperAdmin, createOrganization);
+ */
+export function requireSuperAdmin(req, res, next) {
+    if (!req.user?.superAdmin) {
+        recordAuditEvent(req, AUDIT_EVENTS.ACCESS_DENIED, {
+            details: { method: req.method, path: req.originalUrl, requiredSuperAdmin: true }
+        });
+        authorizationDenials.inc({ guard: 'super_admin' });
+
+        return next(new ForbiddenError('insufficient_permissions', 'Access denied: insufficient permissions'));
+    }
+
+    next();
+}
@@ -0,0 +1,77 @@
+/**
+ * Request validation middleware
+ *
+ * Checks body, route parameters and query string against
+ * declarative schemas (see schemas/ and utils/validation.js)
+ * before the controller runs.
+ *
+ * On success the validated values replace the raw ones:
+ * - unknown fields are removed
+ * - query and params values are converted to integers/booleans
+ * - defaults are applied
+ *
+ * On failure a ValidationError listing every invalid field
+ * is passed to the error handler (400 problem+json).
+ */
+
+import { validateObject } from '../utils/validation.js';
+import { ValidationError } from '../utils/httpErrors.js';
+
+/**
+ * Builds a validation middleware.
+ *
+ * Example:
+ *   router.post('/login', validate(loginSchema), login)
+ *
+ * @param {Object} schemas
+ * @param {Object} [schemas.body] - Object schema for req.body
+ * @param {Object} [schemas.params] - Object schema for req.params
+ * @param {Object} [schemas.query] - Object schema for req.query
+ * @returns {Function} Express middleware
+ */
+export function validate({ body, params, query }) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+
+        if (params) {
+            const result = validateObject(params, req.params, { location: 'params', coerce: true });
+            errors.push(...result.errors);
+            req.params = result.value;
+        }
+
+        if (query) {
+            const result = validateObject(query, req.query, { location: 'query', coerce: true });
+            errors.push(...result.errors);
+
+            /**
+             * In Express 5 req.query is a getter: shadow it
+             * with the validated object.
+             */
+            Object.defineProperty(req, 'query', {
+                value: result.value,
+                writable: true,
+                enumerable: true,
+                configurable: true
+            });
+        }
+
+        if (body) {
+            const result = validateObject(body, req.body, { location: 'body' });
+            errors.push(...result.errors);
+            req.body = result.value;
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError(errors));
+        }
+
+        next();
+    };
+
+    /**
+     * Exposed for the OpenAPI generator (utils/openApi.js).
+     */
+    middleware.schemas = { body, params, query };
+
+    return middleware;
+}
@@ -3,27 +3,28 @@
  *
  * This middleware is responsible for:
  * - extracting the JWT token from the request
- * - validating its signature
- * - checking token expiration
+ *   (or the API key of a service account, see services/apiKeyService.js,
+ *   or the access_token cookie, see services/authCookies.js)
+ * - validating its signature against the published signing keys
+ * - checking token expiration, issuer and audience
+ * - rejecting tokens revoked server-side or whose session was terminated
+ * - requiring the CSRF token on state-changing cookie requests
  * - attaching the decoded user payload to the request
  *
+ * Refusals are audited and counted (auth_token_verification_failures_total,
+ * see utils/metrics.js).
+ *
  * It protects private API routes from unauthorized access.
  */
 
-import { jwtVerify } from 'jose';
-import dotenv from 'dotenv';
-
-/**
- * Load environment variables.
- * JWT_SECRET must be defined in the .env file.
- */
-dotenv.config();
-
-/**
- * Convert secret string into Uint8Array,
- * which is required by the jose library.
- */
-const secret = new TextEncoder().encode(process.env.JWT_SECRET);
+import { verifyJwt } from '../utils/generateToken.js';
+import { isTokenRevoked } from '../services/tokenRevocationService.js';
+import { recordSessionActivity } from '../services/sessionService.js';
+import { authenticateApiKey, apiKeyPrefix } from '../services/apiKeyService.js';
+import { readCookie, isCsrfValid, ACCESS_COOKIE } from '../services/authCookies.js';
+import { recordAuditEvent, AUDIT_EVENTS } from '../services/auditLog.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/httpErrors.js';
+import { tokenVerificationFailures } from '../utils/metrics.js';
 
 /**
  * Middleware: verifyToken
@@ -35,10 +36,26 @@ const secret = new TextEncoder().encode(process.env.JWT_SECRET);
  * - request continues to the next middleware/controller
  *
  * If the token is missing or invalid:
- * - request is rejected immediately
+ * - request is rejected immediately with a 401
+ *   (code: token_missing, token_malformed, token_invalid or token_revoked)
+ * - or with a 403 csrf_invalid for a cookie request without its CSRF token
+ *
+ * Requests carrying an X-API-Key header are authenticated
+ * with that key instead (see verifyApiKey below).
  */
 export async function verifyToken(req, res, next) {
 
+    /**
+     * Service accounts send their key in a dedicated header:
+     *
+     * X-API-Key: lar_<prefix>_<secret>
+     */
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey !== undefined) {
+        return verifyApiKey(req, apiKey, next);
+    }
+
     /**
      * Authorization header format:
      *
@@ -47,59 +64,52 @@ export async function verifyToken(req, res, next) {
     const authHeader = req.headers['authorization'];
 
     /**
-     * Reject request if Authorization header is missing.
+     * Without the header, browsers in cookie mode send
+     * the access token in a cookie (AUTH_COOKIES).
      */
-    if (!authHeader) {
-        return res.status(401).json({
-            message: 'No token provided'
-        });
+    const cookieToken = authHeader ? undefined : readCookie(req, ACCESS_COOKIE);
+
+    /**
+     * Reject request if both are missing.
+     */
+    if (!authHeader && !cookieToken) {
+        tokenVerificationFailures.inc({ reason: 'missing' });
+        return next(new UnauthorizedError('token_missing', 'No token provided'));
     }
 
     /**
      * Extract token from "Bearer <token>" format.
      */
-    const token = authHeader.split(' ')[1];
+    const token = cookieToken ?? authHeader.split(' ')[1];
 
     /**
      * Reject malformed authorization headers.
      */
     if (!token) {
-        return res.status(401).json({
-            message: 'Malformed token'
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            details: { reason: 'malformed_header' }
         });
+        tokenVerificationFailures.inc({ reason: 'malformed_header' });
+
+        return next(new UnauthorizedError('token_malformed', 'Malformed token'));
     }
 
+    let payload;
+
     try {
         /**
          * Verify JWT token.
          *
-         * jwtVerify performs:
-         * - signature validation
+         * verifyJwt performs:
+         * - signature validation (key selected by "kid")
          * - expiration check (exp claim)
+         * - issuer / audience check (iss, aud claims)
+         * - presence of sub, iat and jti
          * - payload decoding
          *
          * If verification fails, an exception is thrown.
          */
-        const { payload } = await jwtVerify(token, secret);
-
-        /**
-         * Attach decoded user information to the request.
-         *
-         * This data becomes available to:
-         * - authorization middleware (checkRole)
-         * - route controllers
-         */
-        req.user = {
-            id: payload.id,
-            username: payload.username,
-            role: payload.role
-        };
-
-        /**
-         * Token successfully validated.
-         * Continue request lifecycle.
-         */
-        next();
+        payload = await verifyJwt(token);
 
     } catch (err) {
 
@@ -108,12 +118,162 @@ export async function verifyToken(req, res, next) {
          * - expired token
          * - invalid signature
          * - malformed token
-         * - wrong secret
+         * - unknown or expired signing key
+         * - wrong issuer / audience
          */
-        console.error('Token verification failed:', err);
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            details: { reason: err.code || err.message }
+        });
+        tokenVerificationFailures.inc({ reason: err.code ?? 'invalid' });
+
+        return next(new UnauthorizedError('token_invalid', 'Invalid or expired token'));
+    }
 
-        return res.status(403).json({
-            message: 'Invalid or expired token'
+    /**
+     * Special-purpose tokens (e.g. the "MFA pending" challenge
+     * issued by login) must never grant access to protected routes.
+     */
+    if (payload.purpose) {
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            actor: { id: Number(payload.sub) },
+            details: { reason: 'wrong_token_purpose', purpose: payload.purpose }
         });
+        tokenVerificationFailures.inc({ reason: 'wrong_token_purpose' });
+
+        return next(new UnauthorizedError('token_invalid', 'Invalid or expired token'));
+    }
+
+    /**
+     * The role in the token only means something within an
+     * organization: tokens issued before organizations existed
+     * (no "org" claim) are refused, the client has to refresh.
+     */
+    if (!payload.org) {
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            actor: { id: Number(payload.sub), username: payload.username },
+            details: { reason: 'missing_organization', jti: payload.jti }
+        });
+        tokenVerificationFailures.inc({ reason: 'missing_organization' });
+
+        return next(new UnauthorizedError('token_invalid', 'Invalid or expired token'));
     }
-}
\ No newline at end of file
+
+    /**
+     * Server-side revocation:
+     * - token id on the denylist (logout)
+     * - token version older than the user's (logout everywhere,
+     *   role change, password change, account disabled or deleted)
+     * - session terminated (GET/DELETE /auth/sessions)
+     */
+    if (await isTokenRevoked(payload)) {
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            actor: { id: Number(payload.sub), username: payload.username },
+            details: { reason: 'revoked', jti: payload.jti }
+        });
+        tokenVerificationFailures.inc({ reason: 'revoked' });
+
+        return next(new UnauthorizedError('token_revoked', 'Token has been revoked'));
+    }
+
+    /**
+     * The browser sends the cookie whatever site issued the request:
+     * state-changing requests must prove they come from the frontend
+     * by repeating the CSRF token (X-XSRF-TOKEN header).
+     */
+    if (cookieToken && !isCsrfValid(req, payload.sid)) {
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            actor: { id: Number(payload.sub), username: payload.username },
+            details: { reason: 'csrf_invalid', jti: payload.jti }
+        });
+        tokenVerificationFailures.inc({ reason: 'csrf_invalid' });
+
+        return next(new ForbiddenError('csrf_invalid', 'Missing or invalid CSRF token'));
+    }
+
+    /**
+     * Attach decoded user information to the request.
+     *
+     * This data becomes available to:
+     * - authorization middleware (checkRole)
+     * - route controllers
+     *
+     * role is the role within organizationId (the tenant the
+     * token was issued for, see services/organizationService.js).
+     * tokenSource tells how the token came ("header" or "cookie"):
+     * responses carrying new tokens use the same channel.
+     *
+     * Impersonation tokens also carry the admin acting as the user
+     * ("act" claim) as actor: the audit log attributes the actions
+     * to them (see controllers/impersonationController.js).
+     */
+    req.user = {
+        id: Number(payload.sub),
+        username: payload.username,
+        organizationId: payload.org,
+        role: payload.role,
+        superAdmin: payload.sa === true,
+        jti: payload.jti,
+        exp: payload.exp,
+        sessionId: payload.sid,
+        tokenSource: cookieToken ? 'cookie' : 'header',
+        ...(payload.act && {
+            actor: { id: Number(payload.act.sub), username: payload.act.username }
+        })
+    };
+
+    /**
+     * Keeps "last seen" of the session up to date
+     * (written at most once a minute).
+     */
+    if (payload.sid) {
+        await recordSessionActivity(payload.sid, req.ip);
+    }
+
+    /**
+     * Token successfully validated.
+     * Continue request lifecycle.
+     */
+    next();
+}
+
+/**
+ * Authenticates a request with an API key.
+ *
+ * req.user gets the same fields as for a JWT (minus the token and
+ * session ids; a service account acts in its own organization), plus:
+ * - apiKeyId: key used
+ * - scopes: permissions the key is limited to (see requirePermission)
+ *
+ * Any failure (unknown, revoked or expired key, disabled account)
+ * is a 401 api_key_invalid, without telling which.
+ *
+ * @param {Object} req - Express request
+ * @param {string} key - X-API-Key header value
+ * @param {Function} next
+ */
+async function verifyApiKey(req, key, next) {
+    const result = await authenticateApiKey(key);
+
+    if (!result) {
+        recordAuditEvent(req, AUDIT_EVENTS.TOKEN_REJECTED, {
+            details: { reason: 'invalid_api_key', prefix: apiKeyPrefix(key) }
+        });
+        tokenVerificationFailures.inc({ reason: 'invalid_api_key' });
+
+        return next(new UnauthorizedError('api_key_invalid', 'Invalid, expired or revoked API key'));
+    }
+
+    const { user, apiKey } = result;
+
+    req.user = {
+        id: user.id,
+        username: user.username,
+        organizationId: user.organizationId,
+        role: user.role,
+        superAdmin: false,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes
+    };
+
+    next();
+}
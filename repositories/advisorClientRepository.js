@@ -0,0 +1,114 @@
+/**
+ * Advisor client repository
+ *
+ * Persistence of the advisor_clients table: which members of an
+ * organization each advisor follows.
+ *
+ * Reads only return clients that are still members of the
+ * organization with the user role, so that a client promoted
+ * to advisor or admin drops out of the books.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Advisor client repository
+ */
+export function createAdvisorClientRepository(db) {
+    return {
+        /**
+         * @param {number} organizationId
+         * @param {number} advisorId
+         * @param {number} clientId
+         * @returns {Promise<boolean>} false when already assigned
+         */
+        async assign(organizationId, advisorId, clientId) {
+            const { changes } = await db.insertIgnore('advisor_clients', {
+                organizationId,
+                advisorId,
+                clientId,
+                createdAt: clock.now()
+            });
+            return changes > 0;
+        },
+
+        /**
+         * @param {number} organizationId
+         * @param {number} advisorId
+         * @param {number} clientId
+         * @returns {Promise<boolean>} false when not assigned
+         */
+        async unassign(organizationId, advisorId, clientId) {
+            const { changes } = await db.run(
+                'DELETE FROM advisor_clients WHERE organizationId = ? AND advisorId = ? AND clientId = ?',
+                [organizationId, advisorId, clientId]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * @param {number} organizationId
+         * @param {number} advisorId
+         * @param {number} clientId
+         * @returns {Promise<boolean>} true when the client is in the advisor's book
+         */
+        async isAssigned(organizationId, advisorId, clientId) {
+            const row = await db.get(
+                `SELECT 1 AS assigned FROM advisor_clients a
+                 JOIN memberships m ON m.userId = a.clientId AND m.organizationId = a.organizationId
+                 WHERE a.organizationId = ? AND a.advisorId = ? AND a.clientId = ? AND m.role = 'user'`,
+                [organizationId, advisorId, clientId]
+            );
+            return Boolean(row);
+        },
+
+        /**
+         * @param {number} organizationId
+         * @param {number} advisorId
+         * @returns {Promise<Object[]>} users rows with their role and
+         *          assignedAt, ordered by username
+         */
+        listClients(organizationId, advisorId) {
+            return db.all(
+                `SELECT u.*, m.role, a.createdAt AS assignedAt FROM advisor_clients a
+                 JOIN memberships m ON m.userId = a.clientId AND m.organizationId = a.organizationId
+                 JOIN users u ON u.id = a.clientId
+                 WHERE a.organizationId = ? AND a.advisorId = ? AND m.role = 'user'
+                 ORDER BY u.username`,
+                [organizationId, advisorId]
+            );
+        },
+
+        /**
+         * @param {number} organizationId
+         * @param {number} clientId
+         * @returns {Promise<Array<{ id: number, username: string }>>}
+         *          Advisors following the client, still members of the organization
+         */
+        listAdvisors(organizationId, clientId) {
+            return db.all(
+                `SELECT u.id, u.username FROM advisor_clients a
+                 JOIN memberships m ON m.userId = a.advisorId AND m.organizationId = a.organizationId
+                 JOIN users u ON u.id = a.advisorId
+                 WHERE a.organizationId = ? AND a.clientId = ?
+                 ORDER BY u.username`,
+                [organizationId, clientId]
+            );
+        },
+
+        /**
+         * Forgets a member who leaves the organization,
+         * both as advisor and as client.
+         *
+         * @param {number} organizationId
+         * @param {number} userId
+         */
+        async removeMember(organizationId, userId) {
+            await db.run(
+                'DELETE FROM advisor_clients WHERE organizationId = ? AND (advisorId = ? OR clientId = ?)',
+                [organizationId, userId, userId]
+            );
+        }
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * API key repository
+ *
+ * Persistence of the api_keys table.
+ * scopes is stored as a JSON array and returned parsed.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * Parses the JSON column of a row.
+ *
+ * @param {Object | undefined} row - api_keys row
+ * @returns {Object | undefined}
+ */
+function fromRow(row) {
+    return row && { ...row, scopes: JSON.parse(row.scopes) };
+}
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} API key repository
+ */
+export function createApiKeyRepository(db) {
+    return {
+        /**
+         * @param {Object} apiKey
+         * @param {number} apiKey.userId - Service account
+         * @param {string} apiKey.name
+         * @param {string} apiKey.prefix - Public identifier
+         * @param {string} apiKey.keyHash - SHA-256 of the key
+         * @param {string[]} apiKey.scopes - Permission names
+         * @param {number} apiKey.expiresAt
+         * @returns {Promise<Object>} Created api_keys row
+         */
+        async create({ userId, name, prefix, keyHash, scopes, expiresAt }) {
+            const { lastID } = await db.run(
+                `INSERT INTO api_keys (userId, name, prefix, keyHash, scopes, createdAt, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [userId, name, prefix, keyHash, JSON.stringify(scopes), clock.now(), expiresAt]
+            );
+            return fromRow(await db.get('SELECT * FROM api_keys WHERE id = ?', [lastID]));
+        },
+
+        /**
+         * @param {string} prefix
+         * @returns {Promise<Object | undefined>} api_keys row
+         */
+        async findByPrefix(prefix) {
+            return fromRow(await db.get('SELECT * FROM api_keys WHERE prefix = ?', [prefix]));
+        },
+
+        /**
+         * @param {number} userId
+         * @param {number} id
+         * @returns {Promise<Object | undefined>} api_keys row, if it belongs to the user
+         */
+        async findByIdForUser(userId, id) {
+            return fromRow(await db.get('SELECT * FROM api_keys WHERE id = ? AND userId = ?', [id, userId]));
+        },
+
+        /**
+         * @param {number} userId
+         * @returns {Promise<Object[]>} Every key of the user (revoked and
+         *          expired ones included), newest first
+         */
+        async listForUser(userId) {
+            const rows = await db.all(
+                'SELECT * FROM api_keys WHERE userId = ? ORDER BY createdAt DESC, id DESC',
+                [userId]
+            );
+            return rows.map(fromRow);
+        },
+
+        /**
+         * @param {number} id
+         * @returns {Promise<boolean>} false when already revoked
+         */
+        async revoke(id) {
+            const { changes } = await db.run(
+                'UPDATE api_keys SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL',
+                [clock.now(), id]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Brings the expiry forward (never pushes it back).
+         *
+         * @param {number} id
+         * @param {number} expiresAt
+         */
+        async shortenExpiry(id, expiresAt) {
+            await db.run(
+                'UPDATE api_keys SET expiresAt = ? WHERE id = ? AND expiresAt > ?',
+                [expiresAt, id, expiresAt]
+            );
+        },
+
+        /**
+         * Records that the key authenticated a request.
+         *
+         * @param {number} id
+         */
+        async touch(id) {
+            await db.run('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?', [clock.now(), id]);
+        }
+    };
+}
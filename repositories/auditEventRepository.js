@@ -0,0 +1,140 @@
+/**
+ * Audit event repository
+ *
+ * Persistence of the append-only audit_events table.
+ * Hashing and chaining are done by the audit log service.
+ */
+
+/**
+ * Builds the WHERE clause for audit queries.
+ *
+ * @param {Object} filters
+ * @param {number} [filters.userId] - Matches actor or target
+ * @param {number} [filters.organizationId] - Events of the organization,
+ *        plus account-level events (no organization: logins, rejected
+ *        tokens) whose actor or target is a member of it
+ * @param {string} [filters.eventType] - Exact type, or prefix ending with "*"
+ * @param {number} [filters.from] - Inclusive start (ms)
+ * @param {number} [filters.to] - Inclusive end (ms)
+ * @returns {{ where: string, params: Array }}
+ */
+function buildFilter({ userId, organizationId, eventType, from, to }) {
+    const conditions = [];
+    const params = [];
+
+    if (userId !== undefined) {
+        conditions.push('(actorId = ? OR targetId = ?)');
+        params.push(userId, userId);
+    }
+
+    if (organizationId !== undefined) {
+        const members = 'SELECT userId FROM memberships WHERE organizationId = ?';
+        conditions.push(`(organizationId = ? OR (organizationId IS NULL AND (actorId IN (${members}) OR targetId IN (${members}))))`);
+        params.push(organizationId, organizationId, organizationId);
+    }
+
+    if (eventType) {
+        if (eventType.endsWith('*')) {
+            conditions.push('eventType LIKE ?');
+            params.push(`${eventType.slice(0, -1)}%`);
+        } else {
+            conditions.push('eventType = ?');
+            params.push(eventType);
+        }
+    }
+
+    if (from !== undefined) {
+        conditions.push('createdAt >= ?');
+        params.push(from);
+    }
+
+    if (to !== undefined) {
+        conditions.push('createdAt <= ?');
+        params.push(to);
+    }
+
+    return {
+        where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Audit event repository
+ */
+export function createAuditEventRepository(db) {
+    return {
+        /**
+         * Appends an event at the end of the chain.
+         *
+         * The newest hash is read and the event inserted in one
+         * transaction, with the newest row locked (MySQL). The unique
+         * prevHash index refuses the insert if another writer
+         * linked to the same event first.
+         *
+         * @param {(prevHash: string | undefined) => Object} link - Builds the
+         *        audit_events row (all columns except id) from the newest hash
+         * @throws on a unique violation when the race was lost
+         */
+        append(link) {
+            return db.transaction(async (tx) => {
+                const last = await tx.get(`SELECT hash FROM audit_events ORDER BY id DESC LIMIT 1${tx.forUpdate}`);
+                const event = link(last?.hash);
+
+                await tx.run(
+                    `INSERT INTO audit_events
+                        (eventType, actorId, actorUsername, targetId, ip, userAgent,
+                         requestId, details, organizationId, createdAt, prevHash, hash)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        event.eventType,
+                        event.actorId,
+                        event.actorUsername,
+                        event.targetId,
+                        event.ip,
+                        event.userAgent,
+                        event.requestId,
+                        event.details,
+                        event.organizationId,
+                        event.createdAt,
+                        event.prevHash,
+                        event.hash
+                    ]
+                );
+            });
+        },
+
+        /**
+         * Searches events, newest first.
+         *
+         * @param {Object} filters - See buildFilter
+         * @param {Object} page
+         * @param {number} page.limit - Maximum rows
+         * @param {number} page.offset - Rows to skip
+         * @returns {Promise<{ rows: Object[], total: number }>}
+         */
+        async search(filters, { limit, offset }) {
+            const { where, params } = buildFilter(filters);
+
+            const { total } = await db.get(
+                `SELECT COUNT(*) AS total FROM audit_events ${where}`,
+                params
+            );
+
+            const rows = await db.all(
+                `SELECT * FROM audit_events ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            return { rows, total: Number(total) };
+        },
+
+        /**
+         * @returns {Promise<Object[]>} Every event, oldest first
+         */
+        listAll() {
+            return db.all('SELECT * FROM audit_events ORDER BY id');
+        }
+    };
+}
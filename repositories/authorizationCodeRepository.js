@@ -0,0 +1,86 @@
+/**
+ * Authorization code repository
+ *
+ * Persistence of the oauth_authorization_codes table.
+ * Codes are looked up by their SHA-256 hash, never by plaintext.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Authorization code repository
+ */
+export function createAuthorizationCodeRepository(db) {
+    return {
+        /**
+         * Stores a new code and removes expired ones.
+         *
+         * @param {Object} code
+         * @param {string} code.codeHash
+         * @param {string} code.clientId
+         * @param {number} code.userId
+         * @param {string} code.redirectUri
+         * @param {string} code.scope
+         * @param {string | null} code.nonce
+         * @param {string} code.codeChallenge
+         * @param {number} code.authTime
+         * @param {number} code.expiresAt
+         */
+        async create(code) {
+            await db.run(
+                'DELETE FROM oauth_authorization_codes WHERE expiresAt < ?',
+                [clock.now()]
+            );
+
+            await db.run(
+                `INSERT INTO oauth_authorization_codes
+                     (codeHash, clientId, userId, redirectUri, scope, nonce, codeChallenge, authTime, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    code.codeHash,
+                    code.clientId,
+                    code.userId,
+                    code.redirectUri,
+                    code.scope,
+                    code.nonce,
+                    code.codeChallenge,
+                    code.authTime,
+                    code.expiresAt
+                ]
+            );
+        },
+
+        /**
+         * @param {string} codeHash
+         * @returns {Promise<Object | undefined>} oauth_authorization_codes row
+         */
+        findByHash(codeHash) {
+            return db.get('SELECT * FROM oauth_authorization_codes WHERE codeHash = ?', [codeHash]);
+        },
+
+        /**
+         * Marks a code as used, atomically.
+         *
+         * @param {string} codeHash
+         * @returns {Promise<boolean>} false when it was already used
+         */
+        async consume(codeHash) {
+            const { changes } = await db.run(
+                'UPDATE oauth_authorization_codes SET usedAt = ? WHERE codeHash = ? AND usedAt IS NULL',
+                [clock.now(), codeHash]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Remembers the session started by exchanging the code.
+         */
+        async setSessionId(codeHash, sessionId) {
+            await db.run(
+                'UPDATE oauth_authorization_codes SET sessionId = ? WHERE codeHash = ?',
+                [sessionId, codeHash]
+            );
+        }
+    };
+}
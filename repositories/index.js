@@ -0,0 +1,76 @@
+/**
+ * Repository registry
+ *
+ * Builds every repository on top of the active database adapter
+ * and exposes them to controllers and services.
+ *
+ * Controllers and services depend only on these interfaces,
+ * never on SQL or on the database engine in use.
+ */
+
+import { createUserRepository } from './userRepository.js';
+import { createRefreshTokenRepository } from './refreshTokenRepository.js';
+import { createPasswordResetRepository } from './passwordResetRepository.js';
+import { createRecoveryCodeRepository } from './recoveryCodeRepository.js';
+import { createRevokedTokenRepository } from './revokedTokenRepository.js';
+import { createSigningKeyRepository } from './signingKeyRepository.js';
+import { createPermissionRepository } from './permissionRepository.js';
+import { createLoginAttemptRepository } from './loginAttemptRepository.js';
+import { createAuditEventRepository } from './auditEventRepository.js';
+import { createSessionRepository } from './sessionRepository.js';
+import { createOAuthClientRepository } from './oauthClientRepository.js';
+import { createAuthorizationCodeRepository } from './authorizationCodeRepository.js';
+import { createApiKeyRepository } from './apiKeyRepository.js';
+import { createOrganizationRepository } from './organizationRepository.js';
+import { createAdvisorClientRepository } from './advisorClientRepository.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Repositories of each app, set by initRepositories().
+ */
+const state = defineAppState(() => ({ repositories: undefined }));
+
+/**
+ * Creates the repositories for a database adapter.
+ *
+ * Called by createApp() (app.js) and by scripts once the schema is ready.
+ *
+ * @param {Object} db - Database adapter
+ * @returns {Object} Repositories
+ */
+export function initRepositories(db) {
+    const repositories = {
+        users: createUserRepository(db),
+        refreshTokens: createRefreshTokenRepository(db),
+        passwordResets: createPasswordResetRepository(db),
+        recoveryCodes: createRecoveryCodeRepository(db),
+        revokedTokens: createRevokedTokenRepository(db),
+        signingKeys: createSigningKeyRepository(db),
+        permissions: createPermissionRepository(db),
+        loginAttempts: createLoginAttemptRepository(db),
+        auditEvents: createAuditEventRepository(db),
+        sessions: createSessionRepository(db),
+        oauthClients: createOAuthClientRepository(db),
+        authorizationCodes: createAuthorizationCodeRepository(db),
+        apiKeys: createApiKeyRepository(db),
+        organizations: createOrganizationRepository(db),
+        advisorClients: createAdvisorClientRepository(db)
+    };
+
+    state().repositories = repositories;
+    return repositories;
+}
+
+/**
+ * Returns the active repositories.
+ *
+ * @throws if the database has not been connected yet
+ */
+export function getRepositories() {
+    const { repositories } = state();
+
+    if (!repositories) {
+        throw new Error('Repositories not initialized. Call initRepositories() first.');
+    }
+    return repositories;
+}
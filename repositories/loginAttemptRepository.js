@@ -0,0 +1,64 @@
+/**
+ * Login attempt repository
+ *
+ * Persistence of the login_attempts table, used by the
+ * database attempt store of the login throttle.
+ */
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Login attempt repository
+ */
+export function createLoginAttemptRepository(db) {
+    return {
+        /**
+         * Reads and changes the counter of a key in one transaction,
+         * so concurrent attempts never overwrite each other's count.
+         *
+         * An empty counter is inserted first: locking an existing
+         * row is safe, while two transactions creating the same
+         * row would deadlock on MySQL.
+         *
+         * @param {string} key - "user:<username>" or "ip:<address>"
+         * @param {(current: Object) => Object | undefined} change - Receives
+         *        { count, firstAttemptAt, lockedUntil } and returns the new
+         *        counter, or undefined to keep it
+         * @returns {Promise<Object>} Counter after the change
+         */
+        update(key, change) {
+            return db.transaction(async (tx) => {
+                await tx.insertIgnore('login_attempts', {
+                    attemptKey: key,
+                    count: 0,
+                    firstAttemptAt: 0,
+                    lockedUntil: null
+                });
+
+                const current = await tx.get(
+                    `SELECT count, firstAttemptAt, lockedUntil FROM login_attempts
+                     WHERE attemptKey = ?${tx.forUpdate}`,
+                    [key]
+                );
+
+                const record = change(current);
+
+                if (!record) {
+                    return current;
+                }
+
+                await tx.run(
+                    'UPDATE login_attempts SET count = ?, firstAttemptAt = ?, lockedUntil = ? WHERE attemptKey = ?',
+                    [record.count, record.firstAttemptAt, record.lockedUntil, key]
+                );
+                return record;
+            });
+        },
+
+        /**
+         * @param {string} key
+         */
+        async delete(key) {
+            await db.run('DELETE FROM login_attempts WHERE attemptKey = ?', [key]);
+        }
+    };
+}
@@ -0,0 +1,69 @@
+/**
+ * OAuth client repository
+ *
+ * Persistence of the oauth_clients table.
+ * redirectUris is stored as a JSON array and returned parsed.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * Parses the JSON column of a row.
+ *
+ * @param {Object | undefined} row - oauth_clients row
+ * @returns {Object | undefined}
+ */
+function fromRow(row) {
+    return row && { ...row, redirectUris: JSON.parse(row.redirectUris) };
+}
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} OAuth client repository
+ */
+export function createOAuthClientRepository(db) {
+    return {
+        /**
+         * @param {Object} client
+         * @param {string} client.clientId
+         * @param {string} client.name
+         * @param {string[]} client.redirectUris
+         * @param {string | null} client.clientSecretHash - NULL for public clients
+         */
+        async create({ clientId, name, redirectUris, clientSecretHash }) {
+            await db.run(
+                `INSERT INTO oauth_clients (clientId, name, redirectUris, clientSecretHash, createdAt)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [clientId, name, JSON.stringify(redirectUris), clientSecretHash, clock.now()]
+            );
+        },
+
+        /**
+         * @param {string} clientId
+         * @returns {Promise<Object | undefined>} oauth_clients row
+         */
+        async findById(clientId) {
+            return fromRow(await db.get('SELECT * FROM oauth_clients WHERE clientId = ?', [clientId]));
+        },
+
+        /**
+         * @returns {Promise<Object[]>} Every client, oldest first
+         */
+        async list() {
+            const rows = await db.all('SELECT * FROM oauth_clients ORDER BY createdAt, clientId');
+            return rows.map(fromRow);
+        },
+
+        /**
+         * Deletes a client. Its pending authorization codes
+         * are removed by ON DELETE CASCADE.
+         *
+         * @param {string} clientId
+         * @returns {Promise<boolean>} false when it did not exist
+         */
+        async delete(clientId) {
+            const { changes } = await db.run('DELETE FROM oauth_clients WHERE clientId = ?', [clientId]);
+            return changes > 0;
+        }
+    };
+}
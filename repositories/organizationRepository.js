@@ -0,0 +1,225 @@
+/**
+ * Organization repository
+ *
+ * Persistence of the organizations and memberships tables.
+ * A membership gives a user a role within one organization.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Organization repository
+ */
+export function createOrganizationRepository(db) {
+
+    /**
+     * Applies a membership change unless it would leave the
+     * organization without an active admin (same locking as
+     * changeUnlessLastAdmin in userRepository.js).
+     *
+     * @param {number} organizationId
+     * @param {number} userId - Member losing admin rights (when removesAdmin)
+     * @param {boolean} removesAdmin
+     * @param {string} sql - Statement performing the change
+     * @param {Array} params - Statement parameters
+     * @returns {Promise<boolean>} false when refused
+     */
+    function changeUnlessLastAdmin(organizationId, userId, removesAdmin, sql, params) {
+        return db.transaction(async (tx) => {
+            if (removesAdmin) {
+                const admins = await tx.all(
+                    `SELECT m.userId FROM memberships m
+                     JOIN users u ON u.id = m.userId
+                     WHERE m.organizationId = ? AND m.role = 'admin' AND u.disabled = 0${tx.forUpdate}`,
+                    [organizationId]
+                );
+
+                if (admins.length === 1 && admins[0].userId === userId) {
+                    return false;
+                }
+            }
+
+            await tx.run(sql, params);
+            return true;
+        });
+    }
+
+    return {
+        /**
+         * @param {Object} organization
+         * @param {string} organization.slug
+         * @param {string} organization.name
+         * @returns {Promise<Object>} Created organizations row
+         * @throws on duplicate slug (see db/errors.js)
+         */
+        async create({ slug, name }) {
+            const { lastID } = await db.run(
+                'INSERT INTO organizations (slug, name, createdAt) VALUES (?, ?, ?)',
+                [slug, name, clock.now()]
+            );
+            return this.findById(lastID);
+        },
+
+        /**
+         * @param {number} id
+         * @returns {Promise<Object | undefined>} organizations row
+         */
+        findById(id) {
+            return db.get('SELECT * FROM organizations WHERE id = ?', [id]);
+        },
+
+        /**
+         * @param {string} slug
+         * @returns {Promise<Object | undefined>} organizations row
+         */
+        findBySlug(slug) {
+            return db.get('SELECT * FROM organizations WHERE slug = ?', [slug]);
+        },
+
+        /**
+         * @returns {Promise<Object[]>} Every organization with its
+         *          member count, ordered by id
+         */
+        list() {
+            return db.all(
+                `SELECT o.*, COUNT(m.userId) AS memberCount
+                 FROM organizations o LEFT JOIN memberships m ON m.organizationId = o.id
+                 GROUP BY o.id, o.slug, o.name, o.createdAt
+                 ORDER BY o.id`
+            );
+        },
+
+        /**
+         * Deletes an organization that has no members left.
+         *
+         * @param {number} id
+         * @returns {Promise<boolean>} false when it does not exist or has members
+         */
+        async deleteIfEmpty(id) {
+            const { changes } = await db.run(
+                `DELETE FROM organizations
+                 WHERE id = ? AND NOT EXISTS (SELECT 1 FROM memberships WHERE organizationId = ?)`,
+                [id, id]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * @param {number} userId
+         * @param {number} organizationId
+         * @returns {Promise<Object | undefined>} memberships row
+         */
+        findMembership(userId, organizationId) {
+            return db.get(
+                'SELECT * FROM memberships WHERE userId = ? AND organizationId = ?',
+                [userId, organizationId]
+            );
+        },
+
+        /**
+         * Memberships of a user, oldest first (the first one
+         * is the organization used at login).
+         *
+         * @param {number} userId
+         * @returns {Promise<Object[]>} memberships rows with organization slug and name
+         */
+        listMemberships(userId) {
+            return db.all(
+                `SELECT m.organizationId, m.role, m.createdAt, o.slug, o.name
+                 FROM memberships m JOIN organizations o ON o.id = m.organizationId
+                 WHERE m.userId = ?
+                 ORDER BY m.createdAt, m.organizationId`,
+                [userId]
+            );
+        },
+
+        /**
+         * @param {number} organizationId
+         * @param {number} userId
+         * @returns {Promise<Object | undefined>} users row with the
+         *          role within the organization, if the user is a member
+         */
+        findMember(organizationId, userId) {
+            return db.get(
+                `SELECT u.*, m.role FROM users u
+                 JOIN memberships m ON m.userId = u.id
+                 WHERE m.organizationId = ? AND u.id = ?`,
+                [organizationId, userId]
+            );
+        },
+
+        /**
+         * @param {number} organizationId
+         * @returns {Promise<Object[]>} users rows with their role, ordered by id
+         */
+        listMembers(organizationId) {
+            return db.all(
+                `SELECT u.*, m.role FROM users u
+                 JOIN memberships m ON m.userId = u.id
+                 WHERE m.organizationId = ?
+                 ORDER BY u.id`,
+                [organizationId]
+            );
+        },
+
+        /**
+         * @param {number} userId
+         * @returns {Promise<number>} Organizations the user belongs to
+         */
+        async countMemberships(userId) {
+            const { count } = await db.get(
+                'SELECT COUNT(*) AS count FROM memberships WHERE userId = ?',
+                [userId]
+            );
+            return Number(count);
+        },
+
+        /**
+         * Adds a member, or changes the role of an existing one.
+         * Demoting the last active admin of the organization is refused.
+         *
+         * @param {number} organizationId
+         * @param {number} userId
+         * @param {string} role
+         * @returns {Promise<boolean>} false when refused
+         */
+        async setMemberRole(organizationId, userId, role) {
+            const { changes } = await db.insertIgnore('memberships', {
+                userId,
+                organizationId,
+                role,
+                createdAt: clock.now()
+            });
+
+            if (changes > 0) {
+                return true;
+            }
+
+            return changeUnlessLastAdmin(
+                organizationId,
+                userId,
+                role !== 'admin',
+                'UPDATE memberships SET role = ? WHERE userId = ? AND organizationId = ?',
+                [role, userId, organizationId]
+            );
+        },
+
+        /**
+         * Removes a member. Removing the last active admin is refused.
+         *
+         * @param {number} organizationId
+         * @param {number} userId
+         * @returns {Promise<boolean>} false when refused
+         */
+        removeMember(organizationId, userId) {
+            return changeUnlessLastAdmin(
+                organizationId,
+                userId,
+                true,
+                'DELETE FROM memberships WHERE userId = ? AND organizationId = ?',
+                [userId, organizationId]
+            );
+        }
+    };
+}
@@ -0,0 +1,63 @@
+/**
+ * Password reset token repository
+ *
+ * Persistence of the password_reset_tokens table.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Password reset token repository
+ */
+export function createPasswordResetRepository(db) {
+    return {
+        /**
+         * Stores a new token and invalidates the previous ones,
+         * so only the most recent token of a user is valid.
+         *
+         * @param {Object} token
+         * @param {number} token.userId
+         * @param {string} token.tokenHash
+         * @param {number} token.expiresAt
+         */
+        replaceForUser({ userId, tokenHash, expiresAt }) {
+            return db.transaction(async (tx) => {
+                const now = clock.now();
+
+                await tx.run(
+                    'UPDATE password_reset_tokens SET usedAt = ? WHERE userId = ? AND usedAt IS NULL',
+                    [now, userId]
+                );
+
+                await tx.run(
+                    `INSERT INTO password_reset_tokens (userId, tokenHash, expiresAt, createdAt)
+                     VALUES (?, ?, ?, ?)`,
+                    [userId, tokenHash, expiresAt, now]
+                );
+            });
+        },
+
+        /**
+         * @param {string} tokenHash
+         * @returns {Promise<Object | undefined>} password_reset_tokens row
+         */
+        findByHash(tokenHash) {
+            return db.get('SELECT * FROM password_reset_tokens WHERE tokenHash = ?', [tokenHash]);
+        },
+
+        /**
+         * Marks a token as used, atomically.
+         *
+         * @param {number} id
+         * @returns {Promise<boolean>} false when it was already used
+         */
+        async consume(id) {
+            const { changes } = await db.run(
+                'UPDATE password_reset_tokens SET usedAt = ? WHERE id = ? AND usedAt IS NULL',
+                [clock.now(), id]
+            );
+            return changes > 0;
+        }
+    };
+}
@@ -0,0 +1,100 @@
+/**
+ * Authorization repository
+ *
+ * Persistence of the roles, permissions and role_permissions tables.
+ * Inheritance between roles is resolved by the permission service.
+ */
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Permission repository
+ */
+export function createPermissionRepository(db) {
+    return {
+        /**
+         * Returns the distinct permissions granted directly to any of the roles.
+         *
+         * @param {string[]} roles - Role names (at least one)
+         * @returns {Promise<string[]>}
+         */
+        async findPermissionsForRoles(roles) {
+            const rows = await db.all(
+                `SELECT DISTINCT permission FROM role_permissions
+                 WHERE role IN (${roles.map(() => '?').join(', ')})`,
+                roles
+            );
+            return rows.map((r) => r.permission);
+        },
+
+        /**
+         * @returns {Promise<Array<{ name: string, description: string }>>}
+         */
+        listPermissions() {
+            return db.all('SELECT name, description FROM permissions ORDER BY name');
+        },
+
+        /**
+         * @returns {Promise<Array<{ name: string, inherits: string | null }>>}
+         */
+        listRoles() {
+            return db.all('SELECT name, inherits FROM roles');
+        },
+
+        /**
+         * @returns {Promise<Array<{ role: string, permission: string }>>}
+         */
+        listGrants() {
+            return db.all('SELECT role, permission FROM role_permissions ORDER BY permission');
+        },
+
+        /**
+         * @throws on duplicate name (see db/errors.js)
+         */
+        async createPermission(name, description = null) {
+            await db.run(
+                'INSERT INTO permissions (name, description) VALUES (?, ?)',
+                [name, description]
+            );
+        },
+
+        /**
+         * @returns {Promise<boolean>}
+         */
+        async permissionExists(name) {
+            return Boolean(await db.get('SELECT 1 AS found FROM permissions WHERE name = ?', [name]));
+        },
+
+        /**
+         * Grants a permission to a role. Existing grants are left as they are.
+         */
+        async grant(role, permission) {
+            await db.insertIgnore('role_permissions', { role, permission });
+        },
+
+        /**
+         * @returns {Promise<boolean>} false if the grant did not exist
+         */
+        async revoke(role, permission) {
+            const { changes } = await db.run(
+                'DELETE FROM role_permissions WHERE role = ? AND permission = ?',
+                [role, permission]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Creates a role or updates the role it inherits from.
+         */
+        async upsertRole(name, inherits) {
+            await db.upsert('roles', { name, inherits }, ['name']);
+        },
+
+        /**
+         * @returns {Promise<number>}
+         */
+        async countPermissions() {
+            const { count } = await db.get('SELECT COUNT(*) AS count FROM permissions');
+            return Number(count);
+        }
+    };
+}
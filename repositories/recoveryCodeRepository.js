@@ -0,0 +1,57 @@
+/**
+ * MFA recovery code repository
+ *
+ * Persistence of the mfa_recovery_codes table (hashed codes only).
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Recovery code repository
+ */
+export function createRecoveryCodeRepository(db) {
+    return {
+        /**
+         * Replaces every code of a user with a new set.
+         *
+         * @param {number} userId
+         * @param {string[]} codeHashes - SHA-256 hashes of the new codes
+         */
+        replaceForUser(userId, codeHashes) {
+            return db.transaction(async (tx) => {
+                await tx.run('DELETE FROM mfa_recovery_codes WHERE userId = ?', [userId]);
+
+                for (const codeHash of codeHashes) {
+                    await tx.run(
+                        'INSERT INTO mfa_recovery_codes (userId, codeHash) VALUES (?, ?)',
+                        [userId, codeHash]
+                    );
+                }
+            });
+        },
+
+        /**
+         * Marks an unused code as used, atomically.
+         *
+         * @param {number} userId
+         * @param {string} codeHash
+         * @returns {Promise<boolean>} false when unknown or already used
+         */
+        async consume(userId, codeHash) {
+            const { changes } = await db.run(
+                `UPDATE mfa_recovery_codes SET usedAt = ?
+                 WHERE userId = ? AND codeHash = ? AND usedAt IS NULL`,
+                [clock.now(), userId, codeHash]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * @param {number} userId
+         */
+        async deleteForUser(userId) {
+            await db.run('DELETE FROM mfa_recovery_codes WHERE userId = ?', [userId]);
+        }
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * Refresh token repository
+ *
+ * Persistence of the refresh_tokens table.
+ * Tokens are looked up by their SHA-256 hash, never by plaintext.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Refresh token repository
+ */
+export function createRefreshTokenRepository(db) {
+    return {
+        /**
+         * @param {Object} token
+         * @param {number} token.userId
+         * @param {string} token.tokenHash
+         * @param {string} token.familyId
+         * @param {number} token.expiresAt
+         * @returns {Promise<number>} id of the new row
+         */
+        async create({ userId, tokenHash, familyId, expiresAt }) {
+            const { lastID } = await db.run(
+                `INSERT INTO refresh_tokens (userId, tokenHash, familyId, expiresAt, createdAt)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userId, tokenHash, familyId, expiresAt, clock.now()]
+            );
+            return lastID;
+        },
+
+        /**
+         * @param {string} tokenHash
+         * @returns {Promise<Object | undefined>} refresh_tokens row
+         */
+        findByHash(tokenHash) {
+            return db.get('SELECT * FROM refresh_tokens WHERE tokenHash = ?', [tokenHash]);
+        },
+
+        /**
+         * Revokes one token if it is still active.
+         *
+         * The "revokedAt IS NULL" guard makes this atomic: if two
+         * requests race with the same token only one of them wins.
+         *
+         * @param {number} id
+         * @returns {Promise<boolean>} false when it was already revoked
+         */
+        async revoke(id) {
+            const { changes } = await db.run(
+                'UPDATE refresh_tokens SET revokedAt = ? WHERE id = ? AND revokedAt IS NULL',
+                [clock.now(), id]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Links a rotated token to its successor.
+         */
+        async setReplacedBy(id, replacedBy) {
+            await db.run(
+                'UPDATE refresh_tokens SET replacedBy = ? WHERE id = ?',
+                [replacedBy, id]
+            );
+        },
+
+        /**
+         * Revokes every still-active token in a family.
+         */
+        async revokeFamily(familyId) {
+            await db.run(
+                'UPDATE refresh_tokens SET revokedAt = ? WHERE familyId = ? AND revokedAt IS NULL',
+                [clock.now(), familyId]
+            );
+        },
+
+        /**
+         * Revokes every still-active token of a user.
+         */
+        async revokeForUser(userId) {
+            await db.run(
+                'UPDATE refresh_tokens SET revokedAt = ? WHERE userId = ? AND revokedAt IS NULL',
+                [clock.now(), userId]
+            );
+        }
+    };
+}
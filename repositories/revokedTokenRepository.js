@@ -0,0 +1,39 @@
+/**
+ * Revoked access token repository (jti denylist)
+ *
+ * Persistence of the revoked_tokens table.
+ */
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Revoked token repository
+ */
+export function createRevokedTokenRepository(db) {
+    return {
+        /**
+         * Adds a token to the denylist. Adding it twice is a no-op.
+         *
+         * @param {string} jti - Token id
+         * @param {number} expiresAt - Token expiration (ms)
+         */
+        async add(jti, expiresAt) {
+            await db.insertIgnore('revoked_tokens', { jti, expiresAt });
+        },
+
+        /**
+         * Removes entries of tokens that have expired anyway.
+         *
+         * @param {number} now - Current time (ms)
+         */
+        async purgeExpired(now) {
+            await db.run('DELETE FROM revoked_tokens WHERE expiresAt <= ?', [now]);
+        },
+
+        /**
+         * @returns {Promise<Array<{ jti: string, expiresAt: number }>>}
+         */
+        listAll() {
+            return db.all('SELECT jti, expiresAt FROM revoked_tokens');
+        }
+    };
+}
@@ -0,0 +1,127 @@
+/**
+ * Session repository
+ *
+ * Persistence of the sessions table (one row per login/device).
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Session repository
+ */
+export function createSessionRepository(db) {
+    return {
+        /**
+         * @param {Object} session
+         * @param {string} session.id - UUID (refresh token family)
+         * @param {number} session.userId
+         * @param {string | null} session.deviceLabel
+         * @param {string | null} session.userAgent
+         * @param {string | null} session.ip
+         * @param {string | null} [session.clientId] - OpenID Connect client
+         * @param {number | null} [session.organizationId] - Organization the session acts in
+         * @param {number} session.expiresAt
+         */
+        async create({ id, userId, deviceLabel, userAgent, ip, clientId = null, organizationId = null, expiresAt }) {
+            const now = clock.now();
+
+            await db.run(
+                `INSERT INTO sessions
+                     (id, userId, deviceLabel, userAgent, ip, clientId, organizationId, createdAt, lastSeenAt, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [id, userId, deviceLabel, userAgent, ip, clientId, organizationId, now, now, expiresAt]
+            );
+        },
+
+        /**
+         * @param {string} id
+         * @returns {Promise<Object | undefined>} sessions row
+         */
+        findById(id) {
+            return db.get('SELECT * FROM sessions WHERE id = ?', [id]);
+        },
+
+        /**
+         * Sessions of a user that are neither terminated nor expired,
+         * most recently used first.
+         *
+         * @param {number} userId
+         * @returns {Promise<Object[]>} sessions rows
+         */
+        listActiveForUser(userId) {
+            return db.all(
+                `SELECT * FROM sessions
+                 WHERE userId = ? AND terminatedAt IS NULL AND expiresAt > ?
+                 ORDER BY lastSeenAt DESC`,
+                [userId, clock.now()]
+            );
+        },
+
+        /**
+         * Records activity on a session.
+         *
+         * @param {string} id
+         * @param {Object} activity
+         * @param {string | null} [activity.ip] - Latest client address (kept when null)
+         * @param {number} [activity.expiresAt] - New expiry after a refresh (kept when omitted)
+         * @returns {Promise<boolean>} false when the session does not exist
+         */
+        async touch(id, { ip = null, expiresAt = null } = {}) {
+            const { changes } = await db.run(
+                `UPDATE sessions
+                 SET lastSeenAt = ?, ip = COALESCE(?, ip), expiresAt = COALESCE(?, expiresAt)
+                 WHERE id = ?`,
+                [clock.now(), ip, expiresAt, id]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * @param {string} id
+         * @param {number} organizationId - Organization the session now acts in
+         */
+        async setOrganization(id, organizationId) {
+            await db.run('UPDATE sessions SET organizationId = ? WHERE id = ?', [organizationId, id]);
+        },
+
+        /**
+         * Terminates one session if it is still active.
+         *
+         * @param {string} id
+         * @returns {Promise<boolean>} false when it was already terminated
+         */
+        async terminate(id) {
+            const { changes } = await db.run(
+                'UPDATE sessions SET terminatedAt = ? WHERE id = ? AND terminatedAt IS NULL',
+                [clock.now(), id]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Terminates every active session of a user.
+         */
+        async terminateForUser(userId) {
+            await db.run(
+                'UPDATE sessions SET terminatedAt = ? WHERE userId = ? AND terminatedAt IS NULL',
+                [clock.now(), userId]
+            );
+        },
+
+        /**
+         * Deletes sessions of a user that ended before a cutoff
+         * (terminated or expired), so the table does not grow forever.
+         *
+         * @param {number} userId
+         * @param {number} before - Cutoff timestamp (ms)
+         */
+        async purgeEndedForUser(userId, before) {
+            await db.run(
+                `DELETE FROM sessions
+                 WHERE userId = ? AND (terminatedAt < ? OR expiresAt < ?)`,
+                [userId, before, before]
+            );
+        }
+    };
+}
@@ -0,0 +1,71 @@
+/**
+ * Signing key repository
+ *
+ * Persistence of the signing_keys table (JWT key pairs in JWK format,
+ * private keys encrypted by services/keyStore.js).
+ */
+
+/**
+ * @param {Object} db - Database adapter
+ * @returns {Object} Signing key repository
+ */
+export function createSigningKeyRepository(db) {
+    return {
+        /**
+         * Returns every key still usable for verification, newest first.
+         *
+         * @param {number} now - Current time (ms)
+         * @returns {Promise<Object[]>} signing_keys rows
+         */
+        listUsable(now) {
+            return db.all(
+                `SELECT * FROM signing_keys
+                 WHERE expiresAt IS NULL OR expiresAt > ?
+                 ORDER BY createdAt DESC`,
+                [now]
+            );
+        },
+
+        /**
+         * Stores a new active key and retires the current one.
+         *
+         * In the same transaction, keys whose grace period
+         * ended are deleted.
+         *
+         * @param {Object} key
+         * @param {string} key.kid
+         * @param {string} key.alg
+         * @param {string} key.publicJwk - JSON
+         * @param {string} key.privateJwk - JSON, or encrypted (see services/keyStore.js)
+         * @param {number} key.createdAt
+         * @param {number} graceExpiresAt - End of the grace period of the retired key
+         */
+        rotate({ kid, alg, publicJwk, privateJwk, createdAt }, graceExpiresAt) {
+            return db.transaction(async (tx) => {
+                await tx.run(
+                    `UPDATE signing_keys SET retiresAt = ?, expiresAt = ?
+                     WHERE retiresAt IS NULL`,
+                    [createdAt, graceExpiresAt]
+                );
+
+                await tx.run(
+                    `INSERT INTO signing_keys (kid, alg, publicJwk, privateJwk, createdAt)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [kid, alg, publicJwk, privateJwk, createdAt]
+                );
+
+                await tx.run('DELETE FROM signing_keys WHERE expiresAt <= ?', [createdAt]);
+            });
+        },
+
+        /**
+         * Replaces the stored private key (encryption of a plaintext key).
+         *
+         * @param {string} kid
+         * @param {string} privateJwk
+         */
+        updatePrivateJwk(kid, privateJwk) {
+            return db.run('UPDATE signing_keys SET privateJwk = ? WHERE kid = ?', [privateJwk, kid]);
+        }
+    };
+}
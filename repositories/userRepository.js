@@ -0,0 +1,328 @@
+/**
+ * User repository
+ *
+ * Every query on the users table goes through this module,
+ * so controllers and services never depend on SQL or on the
+ * database engine in use.
+ *
+ * Rows are returned as stored (including the password hash),
+ * callers are responsible for not exposing sensitive columns.
+ */
+
+import * as clock from '../utils/clock.js';
+
+/**
+ * Creates the repository on top of a database adapter.
+ *
+ * @param {Object} db - Database adapter (see db/sqliteAdapter.js)
+ * @returns {Object} User repository
+ */
+export function createUserRepository(db) {
+
+    /**
+     * Applies a change unless it would leave an organization without
+     * an active admin, or the platform without an active super-admin.
+     *
+     * The active admins are read inside a transaction (and locked
+     * with FOR UPDATE on MySQL), so two concurrent requests cannot
+     * both remove "the other" admin.
+     *
+     * @param {number} id - Target user
+     * @param {boolean} removesAdmin - true when the change takes admin rights away
+     * @param {string} sql - Statement performing the change
+     * @param {Array} params - Statement parameters
+     * @returns {Promise<boolean>} false when refused
+     */
+    function changeUnlessLastAdmin(id, removesAdmin, sql, params) {
+        return db.transaction(async (tx) => {
+            if (removesAdmin && await isLastAdmin(tx, id)) {
+                return false;
+            }
+
+            await tx.run(sql, params);
+            return true;
+        });
+    }
+
+    /**
+     * @param {Object} tx - Transaction adapter
+     * @param {number} id - User
+     * @returns {Promise<boolean>} true when the user is the only active
+     *          admin of one of their organizations, or the only active super-admin
+     */
+    async function isLastAdmin(tx, id) {
+        const admins = await tx.all(
+            `SELECT a.organizationId, a.userId FROM memberships a
+             JOIN users u ON u.id = a.userId
+             WHERE a.role = 'admin' AND u.disabled = 0 AND a.organizationId IN (
+                 SELECT organizationId FROM memberships WHERE userId = ? AND role = 'admin'
+             )${tx.forUpdate}`,
+            [id]
+        );
+
+        const soleAdmin = admins.some(({ organizationId, userId }) => userId === id
+            && !admins.some((other) => other.organizationId === organizationId && other.userId !== id));
+
+        const superAdmins = await tx.all(
+            `SELECT id FROM users WHERE superAdmin = 1 AND disabled = 0${tx.forUpdate}`
+        );
+
+        return soleAdmin || (superAdmins.length === 1 && superAdmins[0].id === id);
+    }
+
+    return {
+        /**
+         * @param {number} id
+         * @returns {Promise<Object | undefined>} users row
+         */
+        findById(id) {
+            return db.get('SELECT * FROM users WHERE id = ?', [id]);
+        },
+
+        /**
+         * @param {string} username
+         * @returns {Promise<Object | undefined>} users row
+         */
+        findByUsername(username) {
+            return db.get('SELECT * FROM users WHERE username = ?', [username]);
+        },
+
+        /**
+         * Looks a user up by username or email address.
+         *
+         * @param {string} identifier
+         * @returns {Promise<Object | undefined>} users row
+         */
+        findByUsernameOrEmail(identifier) {
+            return db.get(
+                'SELECT * FROM users WHERE username = ? OR email = ?',
+                [identifier, identifier]
+            );
+        },
+
+        /**
+         * Lists the members of an organization with optional filters,
+         * ordered by id. Rows carry the role within that organization.
+         *
+         * @param {Object} filters
+         * @param {number} filters.organizationId - Organization
+         * @param {string} [filters.role] - Exact role
+         * @param {string} [filters.q] - Username substring
+         * @param {boolean} [filters.disabled] - Account status
+         * @param {string} [filters.authProvider] - "local", "ldap" or "service"
+         * @param {Object} page
+         * @param {number} page.limit - Maximum rows
+         * @param {number} page.offset - Rows to skip
+         * @returns {Promise<{ rows: Object[], total: number }>}
+         */
+        async list({ organizationId, role, q, disabled, authProvider }, { limit, offset }) {
+            const conditions = ['m.organizationId = ?'];
+            const params = [organizationId];
+
+            if (role) {
+                conditions.push('m.role = ?');
+                params.push(role);
+            }
+
+            if (q) {
+                conditions.push('u.username LIKE ?');
+                params.push(`%${q}%`);
+            }
+
+            if (disabled !== undefined) {
+                conditions.push('u.disabled = ?');
+                params.push(disabled ? 1 : 0);
+            }
+
+            if (authProvider) {
+                conditions.push('u.authProvider = ?');
+                params.push(authProvider);
+            }
+
+            const from = `FROM users u JOIN memberships m ON m.userId = u.id WHERE ${conditions.join(' AND ')}`;
+
+            const { total } = await db.get(`SELECT COUNT(*) AS total ${from}`, params);
+
+            const rows = await db.all(
+                `SELECT u.*, m.role ${from} ORDER BY u.id LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            return { rows, total: Number(total) };
+        },
+
+        /**
+         * Inserts a user and its first membership.
+         *
+         * @param {Object} user
+         * @param {string} user.username
+         * @param {string | null} [user.email]
+         * @param {string | null} user.passwordHashed - bcrypt hash (null for directory and service accounts)
+         * @param {number} user.organizationId - Organization the user joins
+         * @param {string} user.role - Role in that organization
+         * @param {string} [user.authProvider] - "local", "ldap" or "service"
+         * @returns {Promise<Object>} Created users row
+         * @throws on duplicate username or email (see db/errors.js)
+         */
+        async create({ username, email = null, passwordHashed, organizationId, role, authProvider = 'local' }) {
+            const now = clock.now();
+
+            const id = await db.transaction(async (tx) => {
+                const { lastID } = await tx.run(
+                    `INSERT INTO users (username, email, passwordHashed, authProvider, createdAt)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [username, email, passwordHashed, authProvider, now]
+                );
+
+                await tx.run(
+                    'INSERT INTO memberships (userId, organizationId, role, createdAt) VALUES (?, ?, ?, ?)',
+                    [lastID, organizationId, role, now]
+                );
+
+                return lastID;
+            });
+
+            return this.findById(id);
+        },
+
+        /**
+         * Copies the email of a directory account
+         * (refreshed at every login through the directory).
+         *
+         * @param {number} id
+         * @param {string | null} email
+         * @throws on duplicate email (see db/errors.js)
+         */
+        async updateEmail(id, email) {
+            await db.run('UPDATE users SET email = ? WHERE id = ?', [email, id]);
+        },
+
+        /**
+         * Grants or removes the super-admin flag.
+         * Removing it from the last active super-admin is refused.
+         *
+         * @returns {Promise<boolean>} false when refused
+         */
+        setSuperAdmin(id, superAdmin) {
+            return db.transaction(async (tx) => {
+                if (!superAdmin) {
+                    const superAdmins = await tx.all(
+                        `SELECT id FROM users WHERE superAdmin = 1 AND disabled = 0${tx.forUpdate}`
+                    );
+
+                    if (superAdmins.length === 1 && superAdmins[0].id === id) {
+                        return false;
+                    }
+                }
+
+                await tx.run('UPDATE users SET superAdmin = ? WHERE id = ?', [superAdmin ? 1 : 0, id]);
+                return true;
+            });
+        },
+
+        /**
+         * Enables or disables an account.
+         * Disabling the last active admin (see changeUnlessLastAdmin) is refused.
+         *
+         * @returns {Promise<boolean>} false when refused
+         */
+        updateStatus(id, disabled) {
+            return changeUnlessLastAdmin(
+                id,
+                disabled,
+                'UPDATE users SET disabled = ? WHERE id = ?',
+                [disabled ? 1 : 0, id]
+            );
+        },
+
+        /**
+         * @param {number} id
+         * @param {string} passwordHashed - bcrypt hash
+         */
+        async updatePassword(id, passwordHashed) {
+            await db.run(
+                'UPDATE users SET passwordHashed = ? WHERE id = ?',
+                [passwordHashed, id]
+            );
+        },
+
+        /**
+         * Deletes a user. Deleting the last active admin is refused.
+         * Dependent rows are removed by ON DELETE CASCADE.
+         *
+         * @returns {Promise<boolean>} false when refused
+         */
+        delete(id) {
+            return changeUnlessLastAdmin(id, true, 'DELETE FROM users WHERE id = ?', [id]);
+        },
+
+        /**
+         * Returns the columns checked on every authenticated request.
+         *
+         * @param {number} id
+         * @returns {Promise<{ tokenVersion: number, disabled: number } | undefined>}
+         */
+        getTokenState(id) {
+            return db.get('SELECT tokenVersion, disabled FROM users WHERE id = ?', [id]);
+        },
+
+        /**
+         * Increments the security stamp embedded in access tokens.
+         *
+         * @param {number} id
+         */
+        async bumpTokenVersion(id) {
+            await db.run('UPDATE users SET tokenVersion = tokenVersion + 1 WHERE id = ?', [id]);
+        },
+
+        /**
+         * Stores the TOTP secret awaiting confirmation.
+         */
+        async setPendingMfaSecret(id, secret) {
+            await db.run('UPDATE users SET mfaPendingSecret = ? WHERE id = ?', [secret, id]);
+        },
+
+        /**
+         * Activates the pending TOTP secret.
+         *
+         * @param {number} id
+         * @param {number} step - Time step of the confirmation code
+         */
+        async enableMfa(id, step) {
+            await db.run(
+                `UPDATE users
+                 SET mfaEnabled = 1, mfaSecret = mfaPendingSecret, mfaPendingSecret = NULL, mfaLastStep = ?
+                 WHERE id = ?`,
+                [step, id]
+            );
+        },
+
+        /**
+         * Records the time step of an accepted TOTP code.
+         *
+         * Only succeeds for steps newer than the last one,
+         * which makes code replay impossible even under races.
+         *
+         * @returns {Promise<boolean>} false when the step was already used
+         */
+        async recordMfaStep(id, step) {
+            const { changes } = await db.run(
+                'UPDATE users SET mfaLastStep = ? WHERE id = ? AND (mfaLastStep IS NULL OR mfaLastStep < ?)',
+                [step, id, step]
+            );
+            return changes > 0;
+        },
+
+        /**
+         * Clears every MFA column of a user.
+         */
+        async disableMfa(id) {
+            await db.run(
+                `UPDATE users
+                 SET mfaEnabled = 0, mfaSecret = NULL, mfaPendingSecret = NULL, mfaLastStep = NULL
+                 WHERE id = ?`,
+                [id]
+            );
+        }
+    };
+}
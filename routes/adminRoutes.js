@@ -0,0 +1,405 @@
+/**
+ * Administration routes
+ *
+ * This file defines all HTTP endpoints reserved for administrators.
+ *
+ * Every endpoint in this router requires:
+ * - a valid JWT token
+ * - the "admin" role (within the organization of the token)
+ *
+ * Both checks are applied once at router level,
+ * so individual routes cannot forget them.
+ *
+ * Platform-wide endpoints (organizations, signing keys, OpenID
+ * Connect clients, permission definitions) additionally require
+ * a super-admin (requireSuperAdmin).
+ *
+ * Request schemas live in schemas/adminSchemas.js.
+ */
+
+import express from 'express';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { checkRole } from '../middlewares/checkRole.js';
+import { requireSuperAdmin } from '../middlewares/requireSuperAdmin.js';
+import { requireSession } from '../middlewares/requireSession.js';
+import { validate } from '../middlewares/validate.js';
+import {
+    listUsersSchema,
+    userIdSchema,
+    userSessionSchema,
+    createUserSchema,
+    updateUserRoleSchema,
+    updateUserStatusSchema,
+    resetUserPasswordSchema,
+    createPermissionSchema,
+    rolePermissionSchema,
+    listAuditEventsSchema,
+    createOAuthClientSchema,
+    oauthClientIdSchema,
+    createServiceAccountSchema,
+    serviceAccountIdSchema,
+    issueApiKeySchema,
+    apiKeyIdSchema,
+    rotateApiKeySchema,
+    createOrganizationSchema,
+    organizationIdSchema,
+    setMembershipSchema,
+    membershipIdSchema,
+    advisorIdSchema,
+    advisorClientSchema,
+    impersonateSchema
+} from '../schemas/adminSchemas.js';
+import {
+    listUsers,
+    getUser,
+    createUser,
+    updateUserRole,
+    updateUserStatus,
+    resetUserPassword,
+    deleteUser,
+    resetUserMfa,
+    revokeUserSessions,
+    listUserSessions,
+    terminateUserSession
+} from '../controllers/adminUserController.js';
+import {
+    listRoles,
+    listPermissions,
+    createPermission,
+    grantRolePermission,
+    revokeRolePermission
+} from '../controllers/adminPermissionController.js';
+import { listKeys, rotateKeys } from '../controllers/adminKeyController.js';
+import { listAuditEvents, verifyAuditLog } from '../controllers/adminAuditController.js';
+import {
+    listOAuthClients,
+    createOAuthClient,
+    deleteOAuthClient
+} from '../controllers/adminOAuthClientController.js';
+import {
+    createServiceAccount,
+    listApiKeys,
+    issueApiKey,
+    rotateApiKey,
+    revokeApiKey
+} from '../controllers/adminServiceAccountController.js';
+import {
+    listOrganizations,
+    createOrganization,
+    deleteOrganization,
+    listMembers,
+    setMember,
+    removeMember,
+    grantSuperAdmin,
+    revokeSuperAdmin
+} from '../controllers/adminOrganizationController.js';
+import {
+    listAdvisorClients,
+    assignClient,
+    unassignClient
+} from '../controllers/adminAdvisorController.js';
+import { startImpersonation } from '../controllers/impersonationController.js';
+
+/**
+ * Create isolated router instance.
+ *
+ * Mounted in the main application as:
+ *
+ *   app.use('/admin', adminRoutes);
+ */
+const router = express.Router();
+
+/**
+ * Router-level protection.
+ *
+ * Middleware execution order for every route below:
+ * 1. verifyToken  → validates token
+ * 2. checkRole    → requires admin role
+ */
+router.use(verifyToken, checkRole(['admin']));
+
+/**
+ * GET /admin/users
+ *
+ * Paginated listing of the members of the admin's organization.
+ * Supports ?page, ?pageSize, ?role, ?q, ?disabled and ?authProvider filters.
+ */
+router.get('/users', validate(listUsersSchema), listUsers);
+
+/**
+ * POST /admin/users
+ *
+ * Creates a user with a bcrypt-hashed password,
+ * member of the admin's organization.
+ */
+router.post('/users', validate(createUserSchema), createUser);
+
+/**
+ * GET /admin/users/:id
+ */
+router.get('/users/:id', validate(userIdSchema), getUser);
+
+/**
+ * PATCH /admin/users/:id/role
+ *
+ * Changes a user's role in the admin's organization.
+ * The last admin cannot be demoted.
+ */
+router.patch('/users/:id/role', validate(updateUserRoleSchema), updateUserRole);
+
+/**
+ * PATCH /admin/users/:id/status
+ *
+ * Disables or re-enables an account. The last admin cannot be disabled.
+ */
+router.patch('/users/:id/status', validate(updateUserStatusSchema), updateUserStatus);
+
+/**
+ * PUT /admin/users/:id/password
+ *
+ * Sets a new password chosen by the admin.
+ */
+router.put('/users/:id/password', validate(resetUserPasswordSchema), resetUserPassword);
+
+/**
+ * DELETE /admin/users/:id
+ *
+ * Removes a user from the admin's organization, and deletes the
+ * account when it belongs to no other one. The last admin cannot be removed.
+ */
+router.delete('/users/:id', validate(userIdSchema), deleteUser);
+
+/**
+ * DELETE /admin/users/:id/mfa
+ *
+ * Resets a user's multi-factor authentication.
+ */
+router.delete('/users/:id/mfa', validate(userIdSchema), resetUserMfa);
+
+/**
+ * GET /admin/users/:id/sessions
+ *
+ * Lists the active sessions (devices) of a user.
+ */
+router.get('/users/:id/sessions', validate(userIdSchema), listUserSessions);
+
+/**
+ * DELETE /admin/users/:id/sessions
+ *
+ * Revokes every access and refresh token of the user.
+ */
+router.delete('/users/:id/sessions', validate(userIdSchema), revokeUserSessions);
+
+/**
+ * DELETE /admin/users/:id/sessions/:sessionId
+ *
+ * Terminates one session of a user.
+ */
+router.delete('/users/:id/sessions/:sessionId', validate(userSessionSchema), terminateUserSession);
+
+/**
+ * GET /admin/roles
+ *
+ * Roles with direct and effective permissions.
+ */
+router.get('/roles', listRoles);
+
+/**
+ * GET /admin/permissions
+ */
+router.get('/permissions', listPermissions);
+
+/**
+ * POST /admin/permissions
+ *
+ * Registers a new permission name.
+ */
+router.post('/permissions', requireSuperAdmin, validate(createPermissionSchema), createPermission);
+
+/**
+ * PUT /admin/roles/:role/permissions/:permission
+ *
+ * Grants a permission to a role. Takes effect immediately.
+ */
+router.put('/roles/:role/permissions/:permission', requireSuperAdmin, validate(rolePermissionSchema), grantRolePermission);
+
+/**
+ * DELETE /admin/roles/:role/permissions/:permission
+ *
+ * Revokes a direct grant. Takes effect immediately.
+ */
+router.delete('/roles/:role/permissions/:permission', requireSuperAdmin, validate(rolePermissionSchema), revokeRolePermission);
+
+/**
+ * GET /admin/keys
+ *
+ * Public signing keys currently published.
+ */
+router.get('/keys', requireSuperAdmin, listKeys);
+
+/**
+ * POST /admin/keys/rotate
+ *
+ * Forces an immediate signing key rotation.
+ */
+router.post('/keys/rotate', requireSuperAdmin, rotateKeys);
+
+/**
+ * GET /admin/audit
+ *
+ * Audit log search (?userId, ?type, ?from, ?to, ?page, ?pageSize)
+ * and export (?export=csv|json). Limited to the events of the
+ * organization's members, except for super-admins.
+ */
+router.get('/audit', validate(listAuditEventsSchema), listAuditEvents);
+
+/**
+ * GET /admin/audit/verify
+ *
+ * Checks the audit hash chain for tampering.
+ */
+router.get('/audit/verify', requireSuperAdmin, verifyAuditLog);
+
+/**
+ * GET /admin/oauth/clients
+ *
+ * Applications registered with the OpenID Connect provider.
+ */
+router.get('/oauth/clients', requireSuperAdmin, listOAuthClients);
+
+/**
+ * POST /admin/oauth/clients
+ *
+ * Registers an application. Confidential clients receive
+ * their secret in this response only.
+ */
+router.post('/oauth/clients', requireSuperAdmin, validate(createOAuthClientSchema), createOAuthClient);
+
+/**
+ * DELETE /admin/oauth/clients/:clientId
+ */
+router.delete('/oauth/clients/:clientId', requireSuperAdmin, validate(oauthClientIdSchema), deleteOAuthClient);
+
+/**
+ * POST /admin/service-accounts
+ *
+ * Creates a service account (no password, API keys only).
+ */
+router.post('/service-accounts', validate(createServiceAccountSchema), createServiceAccount);
+
+/**
+ * GET /admin/service-accounts/:id/api-keys
+ *
+ * Keys of a service account, with their last use.
+ */
+router.get('/service-accounts/:id/api-keys', validate(serviceAccountIdSchema), listApiKeys);
+
+/**
+ * POST /admin/service-accounts/:id/api-keys
+ *
+ * Issues a scoped key, returned in this response only.
+ */
+router.post('/service-accounts/:id/api-keys', validate(issueApiKeySchema), issueApiKey);
+
+/**
+ * POST /admin/service-accounts/:id/api-keys/:keyId/rotate
+ *
+ * Replaces a key, optionally keeping the old one for a grace period.
+ */
+router.post('/service-accounts/:id/api-keys/:keyId/rotate', validate(rotateApiKeySchema), rotateApiKey);
+
+/**
+ * DELETE /admin/service-accounts/:id/api-keys/:keyId
+ *
+ * Revokes a key immediately.
+ */
+router.delete('/service-accounts/:id/api-keys/:keyId', validate(apiKeyIdSchema), revokeApiKey);
+
+/**
+ * GET /admin/organizations
+ *
+ * Organizations with their member count.
+ */
+router.get('/organizations', requireSuperAdmin, listOrganizations);
+
+/**
+ * POST /admin/organizations
+ *
+ * Creates an (empty) organization.
+ */
+router.post('/organizations', requireSuperAdmin, validate(createOrganizationSchema), createOrganization);
+
+/**
+ * DELETE /admin/organizations/:id
+ *
+ * Deletes an organization without members.
+ */
+router.delete('/organizations/:id', requireSuperAdmin, validate(organizationIdSchema), deleteOrganization);
+
+/**
+ * GET /admin/organizations/:id/members
+ */
+router.get('/organizations/:id/members', requireSuperAdmin, validate(organizationIdSchema), listMembers);
+
+/**
+ * PUT /admin/organizations/:id/members/:userId
+ *
+ * Adds a user to an organization or changes their role in it.
+ */
+router.put('/organizations/:id/members/:userId', requireSuperAdmin, validate(setMembershipSchema), setMember);
+
+/**
+ * DELETE /admin/organizations/:id/members/:userId
+ *
+ * Removes a user from an organization. The last admin cannot be removed.
+ */
+router.delete('/organizations/:id/members/:userId', requireSuperAdmin, validate(membershipIdSchema), removeMember);
+
+/**
+ * PUT /admin/super-admins/:id
+ *
+ * Makes a user super-admin.
+ */
+router.put('/super-admins/:id', requireSuperAdmin, validate(userIdSchema), grantSuperAdmin);
+
+/**
+ * DELETE /admin/super-admins/:id
+ *
+ * Removes the super-admin flag. The last super-admin cannot be removed.
+ */
+router.delete('/super-admins/:id', requireSuperAdmin, validate(userIdSchema), revokeSuperAdmin);
+
+/**
+ * GET /admin/advisors/:id/clients
+ *
+ * Clients assigned to an advisor of the organization.
+ */
+router.get('/advisors/:id/clients', validate(advisorIdSchema), listAdvisorClients);
+
+/**
+ * PUT /admin/advisors/:id/clients/:clientId
+ *
+ * Assigns a user of the organization to an advisor.
+ */
+router.put('/advisors/:id/clients/:clientId', validate(advisorClientSchema), assignClient);
+
+/**
+ * DELETE /admin/advisors/:id/clients/:clientId
+ *
+ * Removes a client from an advisor's book.
+ */
+router.delete('/advisors/:id/clients/:clientId', validate(advisorClientSchema), unassignClient);
+
+/**
+ * POST /admin/impersonate/:userId
+ *
+ * Returns a short-lived access token acting as a user or advisor
+ * of the admin's organization (never another admin).
+ * Ended with POST /auth/impersonation/end.
+ */
+router.post('/impersonate/:userId', requireSession, validate(impersonateSchema), startImpersonation);
+
+/**
+ * Export router to be mounted by the main Express app.
+ */
+export default router;
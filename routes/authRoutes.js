@@ -8,12 +8,38 @@
  * - authentication controllers
  *
  * Route responsibility:
+ * - validate the request (schemas/authSchemas.js)
  * - delegate request handling
  * - keep business logic out of route definitions
  */
 
 import express from 'express';
-import { login } from '../controllers/authController.js';
+import { login, refresh, logout, logoutAll } from '../controllers/authController.js';
+import { setupMfa, confirmMfa, verifyMfa } from '../controllers/mfaController.js';
+import { listMySessions, terminateMySession } from '../controllers/sessionController.js';
+import { listMyOrganizations, switchOrganization } from '../controllers/organizationController.js';
+import { endImpersonation } from '../controllers/impersonationController.js';
+import {
+    changePassword,
+    forgotPassword,
+    resetPassword
+} from '../controllers/passwordController.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requireSession } from '../middlewares/requireSession.js';
+import { forbidImpersonation } from '../middlewares/forbidImpersonation.js';
+import { validate } from '../middlewares/validate.js';
+import {
+    loginSchema,
+    refreshSchema,
+    logoutSchema,
+    mfaConfirmSchema,
+    mfaVerifySchema,
+    changePasswordSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    sessionIdSchema,
+    switchOrganizationSchema
+} from '../schemas/authSchemas.js';
 
 /**
  * Create isolated Express router instance.
@@ -33,17 +59,163 @@ const router = express.Router();
  * Used to authenticate users using:
  * - username
  * - password
+ * - optional device label (shown in the session list)
  *
  * On success returns:
  * - JWT access token
+ * - refresh token
+ * - session id
  * - user id
  * - username
- * - role
+ * - organization id and role within it
+ *   (the user's first organization)
+ *
+ * For accounts with MFA enabled it returns
+ * { mfaRequired: true, mfaToken } instead.
  *
  * The actual authentication logic is handled
  * inside the authController.
  */
-router.post('/login', login);
+router.post('/login', validate(loginSchema), login);
+
+/**
+ * POST /auth/refresh
+ *
+ * Public endpoint (the refresh token is the credential).
+ *
+ * Exchanges a valid refresh token for:
+ * - a new JWT access token
+ * - a new refresh token (the old one is revoked)
+ *
+ * Presenting an already used refresh token revokes
+ * every token issued from the same login.
+ */
+router.post('/refresh', validate(refreshSchema), refresh);
+
+/**
+ * POST /auth/logout
+ *
+ * Revokes the given refresh token and its whole family.
+ * The access token, when sent, is revoked as well.
+ */
+router.post('/logout', validate(logoutSchema), logout);
+
+/**
+ * POST /auth/logout-all
+ *
+ * Protected (valid JWT required).
+ *
+ * Revokes every access and refresh token of the caller.
+ * Refused to API keys (requireSession) and while impersonating
+ * (forbidImpersonation), like every route acting on the caller's
+ * account below.
+ */
+router.post('/logout-all', verifyToken, requireSession, forbidImpersonation, logoutAll);
+
+/**
+ * GET /auth/sessions
+ *
+ * Protected (valid JWT required).
+ *
+ * Lists the caller's active sessions (devices).
+ */
+router.get('/sessions', verifyToken, requireSession, listMySessions);
+
+/**
+ * DELETE /auth/sessions/:id
+ *
+ * Protected (valid JWT required).
+ *
+ * Terminates one of the caller's sessions: its refresh
+ * and access tokens stop working immediately.
+ */
+router.delete('/sessions/:id', verifyToken, requireSession, forbidImpersonation, validate(sessionIdSchema), terminateMySession);
+
+/**
+ * GET /auth/organizations
+ *
+ * Protected (valid JWT required).
+ *
+ * Lists the organizations the caller belongs to, with their role in each.
+ */
+router.get('/organizations', verifyToken, requireSession, listMyOrganizations);
+
+/**
+ * POST /auth/organizations/switch
+ *
+ * Protected (valid JWT required).
+ *
+ * Moves the current session to another organization
+ * and returns an access token for it.
+ */
+router.post('/organizations/switch', verifyToken, requireSession, forbidImpersonation, validate(switchOrganizationSchema), switchOrganization);
+
+/**
+ * POST /auth/mfa/setup
+ *
+ * Protected (valid JWT required).
+ *
+ * Starts TOTP enrollment and returns the secret
+ * and an otpauth:// URI for the authenticator app.
+ */
+router.post('/mfa/setup', verifyToken, requireSession, forbidImpersonation, setupMfa);
+
+/**
+ * POST /auth/mfa/confirm
+ *
+ * Protected (valid JWT required).
+ *
+ * Confirms enrollment with a first TOTP code.
+ * Returns single-use recovery codes.
+ */
+router.post('/mfa/confirm', verifyToken, requireSession, forbidImpersonation, validate(mfaConfirmSchema), confirmMfa);
+
+/**
+ * POST /auth/mfa/verify
+ *
+ * Public endpoint (second login step).
+ *
+ * Exchanges the MFA challenge token returned by login
+ * plus a TOTP or recovery code for the real tokens.
+ */
+router.post('/mfa/verify', validate(mfaVerifySchema), verifyMfa);
+
+/**
+ * POST /auth/password/change
+ *
+ * Protected (valid JWT required).
+ *
+ * Changes the password after checking the current one.
+ */
+router.post('/password/change', verifyToken, requireSession, forbidImpersonation, validate(changePasswordSchema), changePassword);
+
+/**
+ * POST /auth/password/forgot
+ *
+ * Public endpoint.
+ *
+ * Emails a password reset link. The response never
+ * reveals whether the account exists.
+ */
+router.post('/password/forgot', validate(forgotPasswordSchema), forgotPassword);
+
+/**
+ * POST /auth/password/reset
+ *
+ * Public endpoint.
+ *
+ * Sets a new password using the emailed reset token.
+ */
+router.post('/password/reset', validate(resetPasswordSchema), resetPassword);
+
+/**
+ * POST /auth/impersonation/end
+ *
+ * Protected (impersonation token required, see POST /admin/impersonate/:userId).
+ *
+ * Revokes the impersonation token used for the request.
+ */
+router.post('/impersonation/end', verifyToken, requireSession, endImpersonation);
 
 /**
  * Export router to be mounted in the main app.
@@ -6,6 +6,7 @@
  * These routes demonstrate:
  * - JWT authentication
  * - role-based authorization
+ * - resource-level authorization (which clients an advisor may reach)
  * - middleware chaining
  *
  * All endpoints in this router require a valid JWT token.
@@ -14,6 +15,12 @@
 import express from 'express';
 import { verifyToken } from '../middlewares/verifyToken.js';
 import { checkRole } from '../middlewares/checkRole.js';
+import { requirePermission } from '../middlewares/requirePermission.js';
+import { authorizeResource } from '../middlewares/authorizeResource.js';
+import { validate } from '../middlewares/validate.js';
+import { canAccessClient } from '../services/clientAccessService.js';
+import { clientIdSchema } from '../schemas/dataSchemas.js';
+import { listMyClients, getClient } from '../controllers/clientController.js';
 
 /**
  * Create isolated router instance.
@@ -45,7 +52,8 @@ router.get('/all', verifyToken, (req, res) => {
      * {
      *   id,
      *   username,
-     *   role
+     *   organizationId,
+     *   role          // within that organization
      * }
      */
     res.json({
@@ -85,14 +93,14 @@ router.get(
  *
  * Requirements:
  * - valid JWT token
- * - user role must be "advisor"
+ * - "reports:read" permission (advisor role, inherited by admin)
  *
- * Demonstrates fine-grained access control.
+ * Demonstrates permission-based access control.
  */
 router.get(
     '/advisor',
     verifyToken,
-    checkRole(['advisor']),
+    requirePermission('reports:read'),
     (req, res) => {
         res.json({
             message: 'Advisor content here'
@@ -100,6 +108,51 @@ router.get(
     }
 );
 
+/**
+ * GET /data/advisor/clients
+ *
+ * The book of clients of the authenticated advisor
+ * (assigned with PUT /admin/advisors/:id/clients/:clientId).
+ *
+ * Requirements:
+ * - valid JWT token
+ * - "reports:read" permission
+ */
+router.get(
+    '/advisor/clients',
+    verifyToken,
+    requirePermission('reports:read'),
+    listMyClients
+);
+
+/**
+ * GET /data/clients/:id
+ *
+ * Data of one client.
+ *
+ * Requirements:
+ * - valid JWT token
+ * - "data:read" permission
+ * - access to that client (services/clientAccessService.js):
+ *   admins reach every member of their organization,
+ *   advisors their assigned clients, users themselves
+ *
+ * Middleware execution order:
+ * 1. verifyToken        → validates token
+ * 2. requirePermission  → may read data at all
+ * 3. validate           → numeric :id
+ * 4. authorizeResource  → may read THIS client
+ * 5. controller         → returns response
+ */
+router.get(
+    '/clients/:id',
+    verifyToken,
+    requirePermission('data:read'),
+    validate(clientIdSchema),
+    authorizeResource('client', canAccessClient),
+    getClient
+);
+
 /**
  * Export router to be mounted by the main Express app.
  */
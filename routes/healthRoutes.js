@@ -0,0 +1,62 @@
+/**
+ * Health routes
+ *
+ * Probes used by the hosting platform and load balancers
+ * (see services/healthService.js). Public, never cached.
+ */
+
+import express from 'express';
+import { checkLiveness, checkReadiness } from '../services/healthService.js';
+
+/**
+ * Mounted in the main application as:
+ *
+ *   app.use('/health', healthRoutes);
+ */
+const router = express.Router();
+
+router.use((req, res, next) => {
+    res.set('Cache-Control', 'no-store');
+    next();
+});
+
+/**
+ * GET /health/live
+ *
+ * Public endpoint.
+ *
+ * Answers as long as the process can handle requests,
+ * whatever the state of its dependencies: a failing database
+ * is not fixed by restarting the server.
+ */
+router.get('/live', (req, res) => {
+    res.json(checkLiveness());
+});
+
+/**
+ * GET /health/ready
+ *
+ * Public endpoint.
+ *
+ * 200 when every check passes, 503 otherwise (or while shutting
+ * down), with the result of each check:
+ *
+ * {
+ *   "status": "ok",
+ *   "checks": {
+ *     "database": { "status": "ok", "durationMs": 1 },
+ *     "migrations": { "status": "ok", "durationMs": 3 },
+ *     "signingKey": { "status": "ok", "durationMs": 0, "kid": "...", "alg": "RS256" }
+ *   }
+ * }
+ */
+router.get('/ready', async (req, res) => {
+    const report = await checkReadiness();
+
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+/**
+ * Export router to be mounted by the main Express app.
+ */
+export default router;
@@ -0,0 +1,33 @@
+/**
+ * Route table
+ *
+ * Every router of the API and the base path it is mounted on.
+ *
+ * app.js mounts the routers from this list, and the OpenAPI
+ * generator (utils/openApi.js) reads the same list to document
+ * them, so a new router only has to be added here.
+ */
+
+import authRoutes from './authRoutes.js';
+import dataRoutes from './dataRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import oauthRoutes from './oauthRoutes.js';
+import wellKnownRoutes from './wellKnownRoutes.js';
+import healthRoutes from './healthRoutes.js';
+import rootRoutes from './rootRoutes.js';
+
+/**
+ * @type {Array<{ path: string, router: Function, tag: string }>}
+ * - path: base path (e.g. POST /auth/login)
+ * - router: Express router
+ * - tag: OpenAPI tag grouping the routes in the docs
+ */
+export const routeTable = [
+    { path: '/auth', router: authRoutes, tag: 'Authentication' },
+    { path: '/data', router: dataRoutes, tag: 'Data' },
+    { path: '/admin', router: adminRoutes, tag: 'Administration' },
+    { path: '/oauth', router: oauthRoutes, tag: 'OpenID Connect' },
+    { path: '/.well-known', router: wellKnownRoutes, tag: 'Discovery' },
+    { path: '/health', router: healthRoutes, tag: 'System' },
+    { path: '/', router: rootRoutes, tag: 'System' }
+];
@@ -0,0 +1,84 @@
+/**
+ * OAuth / OpenID Connect routes
+ *
+ * Endpoints of the OpenID Connect provider, used by registered
+ * client applications and their users' browsers.
+ *
+ * Unlike the other routers, requests are not checked with
+ * validate(): errors must follow the OAuth format (redirects or
+ * { error, error_description }), so the parameters are validated
+ * by services/oauthService.js.
+ *
+ * Provider metadata is published at
+ * GET /.well-known/openid-configuration (wellKnownRoutes.js).
+ *
+ * Every route answers 404 unless OIDC_PROVIDER=true.
+ */
+
+import express from 'express';
+import {
+    authorize,
+    submitAuthorize,
+    token,
+    userinfo
+} from '../controllers/oauthController.js';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requireOidcProvider } from '../middlewares/requireOidcProvider.js';
+
+/**
+ * Mounted in the main application as:
+ *
+ *   app.use('/oauth', oauthRoutes);
+ */
+const router = express.Router();
+
+router.use(requireOidcProvider);
+
+/**
+ * The login form and the token endpoint use
+ * application/x-www-form-urlencoded bodies (RFC 6749).
+ */
+router.use(express.urlencoded({ extended: false }));
+
+/**
+ * GET /oauth/authorize
+ *
+ * Public endpoint (opened in the user's browser).
+ *
+ * Validates the authorization request and shows the login page.
+ */
+router.get('/authorize', authorize);
+
+/**
+ * POST /oauth/authorize
+ *
+ * Login form submission. Redirects back to the client
+ * with an authorization code once the user is authenticated.
+ */
+router.post('/authorize', submitAuthorize);
+
+/**
+ * POST /oauth/token
+ *
+ * Public endpoint (called by the client application).
+ *
+ * Exchanges an authorization code or a refresh token for tokens.
+ */
+router.post('/token', token);
+
+/**
+ * GET /oauth/userinfo
+ * POST /oauth/userinfo
+ *
+ * Protected endpoint.
+ *
+ * Claims about the user of the access token.
+ * Both methods are required by OpenID Connect Core section 5.3.
+ */
+router.get('/userinfo', verifyToken, userinfo);
+router.post('/userinfo', verifyToken, userinfo);
+
+/**
+ * Export router to be mounted by the main Express app.
+ */
+export default router;
@@ -0,0 +1,115 @@
+/**
+ * Root routes
+ *
+ * Endpoints mounted at the root of the API:
+ * - welcome message
+ * - Prometheus metrics
+ * - OpenAPI document and its browsable docs page
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+import { getConfig } from '../config/env.js';
+import { renderMetrics } from '../utils/metrics.js';
+import { UnauthorizedError } from '../utils/httpErrors.js';
+
+/**
+ * Mounted in the main application as:
+ *
+ *   app.use('/', rootRoutes);
+ */
+const router = express.Router();
+
+/**
+ * Swagger UI files used by the docs page, served from the
+ * swagger-ui-dist package: the page runs no third-party script
+ * on the origin of the API (where tokens and cookies live).
+ */
+const SWAGGER_UI_URL = '/docs/assets';
+
+/**
+ * GET /
+ *
+ * Minimal "is it up" answer, kept for existing monitors.
+ * Health checks should use GET /health/live and
+ * GET /health/ready (routes/healthRoutes.js) instead.
+ */
+router.get('/', (req, res) => {
+    res.send('Backend working');
+});
+
+/**
+ * GET /metrics
+ *
+ * Prometheus scrape endpoint (text exposition format),
+ * see utils/metrics.js for the metrics exposed.
+ *
+ * Public unless METRICS_TOKEN is set (always in production, see
+ * config/env.js); the scraper then sends "Authorization: Bearer
+ * <METRICS_TOKEN>".
+ */
+router.get('/metrics', (req, res) => {
+    const { metricsToken } = getConfig();
+
+    if (metricsToken) {
+        const expected = Buffer.from(`Bearer ${metricsToken}`);
+        const received = Buffer.from(req.headers.authorization ?? '');
+
+        if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+            throw new UnauthorizedError('token_invalid', 'Invalid metrics token');
+        }
+    }
+
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+/**
+ * GET /openapi.json
+ *
+ * Public endpoint.
+ *
+ * OpenAPI 3.1 description of every route, generated at startup
+ * from the route table and the validation schemas (see app.js).
+ */
+router.get('/openapi.json', (req, res) => {
+    res.json(req.app.locals.openApiDocument);
+});
+
+/**
+ * GET /docs/assets/*
+ *
+ * Static Swagger UI files (scripts, stylesheet) of the docs page.
+ */
+router.use(SWAGGER_UI_URL, express.static(getSwaggerUiPath(), { index: false }));
+
+/**
+ * GET /docs
+ *
+ * Public endpoint.
+ *
+ * Interactive documentation (Swagger UI) for /openapi.json.
+ * "Authorize" accepts an access token from POST /auth/login.
+ */
+router.get('/docs', (req, res) => {
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>API documentation</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>`);
+});
+
+/**
+ * Export router to be mounted by the main Express app.
+ */
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * Well-known routes
+ *
+ * Standard discovery endpoints (RFC 8615) consumed by
+ * other services, not by end users.
+ */
+
+import express from 'express';
+import { getPublicJwks } from '../services/keyStore.js';
+import { buildDiscoveryDocument } from '../services/oauthService.js';
+import { requireOidcProvider } from '../middlewares/requireOidcProvider.js';
+
+/**
+ * Mounted in the main application as:
+ *
+ *   app.use('/.well-known', wellKnownRoutes);
+ */
+const router = express.Router();
+
+/**
+ * GET /.well-known/jwks.json
+ *
+ * Public endpoint.
+ *
+ * Publishes the public keys used to verify our JWTs
+ * (active key + keys still in their grace period).
+ *
+ * Downstream services select the key by the token's "kid"
+ * and never need the signing secret.
+ */
+router.get('/jwks.json', async (req, res) => {
+
+    /**
+     * Short cache: long enough to spare this server,
+     * short enough for rotations to propagate quickly.
+     */
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await getPublicJwks());
+});
+
+/**
+ * GET /.well-known/openid-configuration
+ *
+ * Public endpoint.
+ *
+ * OpenID Provider Metadata (OpenID Connect Discovery 1.0):
+ * OIDC client libraries configure themselves from this document
+ * (endpoints, supported scopes, signing algorithms).
+ *
+ * 404 unless OIDC_PROVIDER=true.
+ */
+router.get('/openid-configuration', requireOidcProvider, (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(buildDiscoveryDocument(req));
+});
+
+/**
+ * Export router to be mounted by the main Express app.
+ */
+export default router;
@@ -0,0 +1,317 @@
+/**
+ * Request schemas of the /admin routes.
+ */
+
+import { ROLES, SERVICE_ACCOUNT_ROLES } from '../utils/roles.js';
+import { DEFAULT_API_KEY_TTL_DAYS, MAX_API_KEY_TTL_DAYS } from '../services/apiKeyService.js';
+import {
+    username,
+    email,
+    newPassword,
+    idParams,
+    sessionId,
+    paginationProperties
+} from './common.js';
+
+const role = { type: 'string', enum: ROLES };
+
+/**
+ * Permission names follow the "<resource>:<action>" format.
+ */
+const permissionName = {
+    type: 'string',
+    pattern: '^[a-z][a-z0-9_-]*:[a-z][a-z0-9_-]*$',
+    maxLength: 128
+};
+
+export const listUsersSchema = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationProperties(20, 100),
+            role,
+            q: { type: 'string', maxLength: 64 },
+            disabled: { type: 'boolean' },
+            authProvider: { type: 'string', enum: ['local', 'ldap', 'service'] }
+        }
+    }
+};
+
+export const userIdSchema = {
+    params: idParams
+};
+
+export const userSessionSchema = {
+    params: {
+        type: 'object',
+        required: ['id', 'sessionId'],
+        properties: {
+            ...idParams.properties,
+            sessionId
+        }
+    }
+};
+
+export const createUserSchema = {
+    body: {
+        type: 'object',
+        required: ['username', 'password', 'role'],
+        properties: {
+            username,
+            email,
+            password: newPassword,
+            role
+        }
+    }
+};
+
+export const updateUserRoleSchema = {
+    params: idParams,
+    body: {
+        type: 'object',
+        required: ['role'],
+        properties: { role }
+    }
+};
+
+export const updateUserStatusSchema = {
+    params: idParams,
+    body: {
+        type: 'object',
+        required: ['disabled'],
+        properties: {
+            disabled: { type: 'boolean' }
+        }
+    }
+};
+
+export const resetUserPasswordSchema = {
+    params: idParams,
+    body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+            password: newPassword
+        }
+    }
+};
+
+export const createPermissionSchema = {
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: permissionName,
+            description: { type: 'string', maxLength: 255 }
+        }
+    }
+};
+
+/**
+ * The role is checked by the controller (404 for unknown roles,
+ * as they are part of the resource path).
+ */
+export const rolePermissionSchema = {
+    params: {
+        type: 'object',
+        required: ['role', 'permission'],
+        properties: {
+            role: { type: 'string', maxLength: 64 },
+            permission: { type: 'string', maxLength: 128 }
+        }
+    }
+};
+
+export const listAuditEventsSchema = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationProperties(50, 200),
+            userId: { type: 'integer', minimum: 1 },
+            type: { type: 'string', maxLength: 64 },
+
+            /**
+             * Epoch milliseconds or ISO 8601 date, parsed by the controller.
+             */
+            from: { type: 'string', maxLength: 64 },
+            to: { type: 'string', maxLength: 64 },
+            export: { type: 'string', enum: ['csv', 'json'] }
+        }
+    }
+};
+
+export const createOAuthClientSchema = {
+    body: {
+        type: 'object',
+        required: ['name', 'redirectUris'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+
+            /**
+             * Exact URIs; the scheme rules are checked by
+             * registerClient() in services/oauthService.js.
+             */
+            redirectUris: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 10,
+                items: { type: 'string', minLength: 1, maxLength: 2048 }
+            },
+            confidential: { type: 'boolean', default: false }
+        }
+    }
+};
+
+export const oauthClientIdSchema = {
+    params: {
+        type: 'object',
+        required: ['clientId'],
+        properties: {
+            clientId: { type: 'string', maxLength: 64 }
+        }
+    }
+};
+
+export const createServiceAccountSchema = {
+    body: {
+        type: 'object',
+        required: ['username', 'role'],
+        properties: {
+            username,
+            role: { type: 'string', enum: SERVICE_ACCOUNT_ROLES }
+        }
+    }
+};
+
+export const serviceAccountIdSchema = {
+    params: idParams
+};
+
+/**
+ * Lifetime of a new key, in days.
+ */
+const expiresInDays = {
+    type: 'integer',
+    minimum: 1,
+    maximum: MAX_API_KEY_TTL_DAYS,
+    default: DEFAULT_API_KEY_TTL_DAYS
+};
+
+/**
+ * Scopes must also be existing permissions, checked
+ * by issueApiKey() in services/apiKeyService.js.
+ */
+export const issueApiKeySchema = {
+    params: idParams,
+    body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            scopes: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 50,
+                items: permissionName
+            },
+            expiresInDays
+        }
+    }
+};
+
+const apiKeyParams = {
+    type: 'object',
+    required: ['id', 'keyId'],
+    properties: {
+        ...idParams.properties,
+        keyId: { type: 'integer', minimum: 1 }
+    }
+};
+
+export const apiKeyIdSchema = {
+    params: apiKeyParams
+};
+
+export const rotateApiKeySchema = {
+    params: apiKeyParams,
+    body: {
+        type: 'object',
+        properties: {
+            gracePeriodMinutes: { type: 'integer', minimum: 0, maximum: 7 * 24 * 60, default: 0 },
+            expiresInDays
+        }
+    }
+};
+
+/**
+ * Organization slug: lowercase letters, digits and inner dashes ("acme-bank").
+ */
+const organizationSlug = {
+    type: 'string',
+    pattern: '^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$',
+    maxLength: 64
+};
+
+export const createOrganizationSchema = {
+    body: {
+        type: 'object',
+        required: ['slug', 'name'],
+        properties: {
+            slug: organizationSlug,
+            name: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+    }
+};
+
+export const organizationIdSchema = {
+    params: idParams
+};
+
+const membershipParams = {
+    type: 'object',
+    required: ['id', 'userId'],
+    properties: {
+        ...idParams.properties,
+        userId: { type: 'integer', minimum: 1 }
+    }
+};
+
+export const setMembershipSchema = {
+    params: membershipParams,
+    body: {
+        type: 'object',
+        required: ['role'],
+        properties: { role }
+    }
+};
+
+export const membershipIdSchema = {
+    params: membershipParams
+};
+
+const advisorClientParams = {
+    type: 'object',
+    required: ['id', 'clientId'],
+    properties: {
+        ...idParams.properties,
+        clientId: { type: 'integer', minimum: 1 }
+    }
+};
+
+export const advisorIdSchema = {
+    params: idParams
+};
+
+export const advisorClientSchema = {
+    params: advisorClientParams
+};
+
+export const impersonateSchema = {
+    params: {
+        type: 'object',
+        required: ['userId'],
+        properties: {
+            userId: { type: 'integer', minimum: 1 }
+        }
+    }
+};
@@ -0,0 +1,138 @@
+/**
+ * Request schemas of the /auth routes.
+ */
+
+import {
+    username,
+    email,
+    newPassword,
+    existingPassword,
+    opaqueToken,
+    sessionId,
+    deviceLabel
+} from './common.js';
+
+/**
+ * 6-digit TOTP code.
+ */
+const totpCode = { type: 'string', pattern: '^\\d{6}$' };
+
+/**
+ * Recovery code, with or without the dash ("3f9a1-c07e2").
+ */
+const recoveryCode = { type: 'string', minLength: 1, maxLength: 32 };
+
+/**
+ * Deliver the tokens as HttpOnly cookies (AUTH_COOKIES, see services/authCookies.js).
+ */
+const useCookies = { type: 'boolean', default: false };
+
+export const loginSchema = {
+    body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username,
+            password: existingPassword,
+            deviceLabel,
+            useCookies
+        }
+    }
+};
+
+/**
+ * refreshToken is omitted in cookie mode (refresh_token cookie).
+ */
+export const refreshSchema = {
+    body: {
+        type: 'object',
+        properties: {
+            refreshToken: opaqueToken
+        }
+    }
+};
+
+export const logoutSchema = refreshSchema;
+
+export const mfaConfirmSchema = {
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+            code: totpCode
+        }
+    }
+};
+
+export const mfaVerifySchema = {
+    body: {
+        type: 'object',
+        required: ['mfaToken'],
+        properties: {
+            mfaToken: opaqueToken,
+            code: totpCode,
+            recoveryCode,
+            useCookies
+        },
+        anyOf: [
+            { required: ['code'] },
+            { required: ['recoveryCode'] }
+        ]
+    }
+};
+
+export const changePasswordSchema = {
+    body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+            currentPassword: existingPassword,
+            newPassword
+        }
+    }
+};
+
+export const forgotPasswordSchema = {
+    body: {
+        type: 'object',
+        properties: {
+            username,
+            email
+        },
+        anyOf: [
+            { required: ['username'] },
+            { required: ['email'] }
+        ]
+    }
+};
+
+export const resetPasswordSchema = {
+    body: {
+        type: 'object',
+        required: ['token', 'newPassword'],
+        properties: {
+            token: opaqueToken,
+            newPassword
+        }
+    }
+};
+
+export const sessionIdSchema = {
+    params: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+            id: sessionId
+        }
+    }
+};
+
+export const switchOrganizationSchema = {
+    body: {
+        type: 'object',
+        required: ['organizationId'],
+        properties: {
+            organizationId: { type: 'integer', minimum: 1 }
+        }
+    }
+};
@@ -0,0 +1,92 @@
+/**
+ * Shared schema fragments
+ *
+ * Building blocks reused by the route schemas.
+ * Format: JSON Schema subset (see utils/validation.js).
+ */
+
+import { MIN_PASSWORD_LENGTH } from '../utils/passwords.js';
+
+/**
+ * New password, checked against the password policy.
+ *
+ * bcrypt ignores everything after 72 bytes, longer
+ * passwords would give a false sense of security.
+ */
+export const newPassword = {
+    type: 'string',
+    minLength: MIN_PASSWORD_LENGTH,
+    maxLength: 72
+};
+
+/**
+ * Password typed to log in (no policy: old passwords may predate it).
+ */
+export const existingPassword = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 1024
+};
+
+export const username = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64
+};
+
+export const email = {
+    type: 'string',
+    format: 'email',
+    maxLength: 191
+};
+
+/**
+ * Opaque tokens (refresh tokens, reset tokens, JWTs).
+ */
+export const opaqueToken = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 4096
+};
+
+/**
+ * Session id (UUID), see services/sessionService.js.
+ */
+export const sessionId = {
+    type: 'string',
+    pattern: '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+};
+
+/**
+ * Name of a device, chosen by the client at login.
+ */
+export const deviceLabel = {
+    type: 'string',
+    minLength: 1,
+    maxLength: 100
+};
+
+/**
+ * ":id" route parameter.
+ */
+export const idParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'integer', minimum: 1 }
+    }
+};
+
+/**
+ * Builds page / pageSize query parameters.
+ *
+ * @param {number} defaultSize - Default page size
+ * @param {number} maxSize - Maximum page size
+ * @returns {Object} Property schemas
+ */
+export function paginationProperties(defaultSize, maxSize) {
+    return {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        pageSize: { type: 'integer', minimum: 1, maximum: maxSize, default: defaultSize }
+    };
+}
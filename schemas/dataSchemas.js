@@ -0,0 +1,9 @@
+/**
+ * Request schemas of the /data routes.
+ */
+
+import { idParams } from './common.js';
+
+export const clientIdSchema = {
+    params: idParams
+};
@@ -0,0 +1,48 @@
+/**
+ * Request schemas of the /oauth routes (OpenID Connect provider).
+ *
+ * These endpoints must answer with OAuth errors (redirects or
+ * RFC 6749 JSON), not with validation_failed problems, so the
+ * schemas are applied by services/oauthService.js rather than
+ * by the validate() middleware. They are also used to document
+ * the routes (schemas/operations.js).
+ */
+
+export const authorizationRequestSchema = {
+    type: 'object',
+    required: ['response_type', 'client_id', 'redirect_uri', 'scope', 'code_challenge', 'code_challenge_method'],
+    properties: {
+        response_type: { type: 'string', maxLength: 64, description: 'Must be "code"' },
+        client_id: { type: 'string', minLength: 1, maxLength: 64 },
+        redirect_uri: { type: 'string', minLength: 1, maxLength: 2048 },
+        scope: { type: 'string', minLength: 1, maxLength: 512, description: 'Must include "openid"' },
+        state: { type: 'string', maxLength: 1024 },
+        nonce: { type: 'string', maxLength: 512 },
+
+        /**
+         * PKCE (RFC 7636): BASE64URL(SHA-256(code_verifier)).
+         */
+        code_challenge: { type: 'string', pattern: '^[A-Za-z0-9_-]{43}$' },
+        code_challenge_method: { type: 'string', enum: ['S256'] },
+        prompt: { type: 'string', maxLength: 64 },
+        login_hint: { type: 'string', maxLength: 64 }
+    }
+};
+
+export const tokenRequestSchema = {
+    type: 'object',
+    required: ['grant_type'],
+    properties: {
+        grant_type: { type: 'string', maxLength: 64, description: '"authorization_code" or "refresh_token"' },
+        code: { type: 'string', minLength: 1, maxLength: 256 },
+        redirect_uri: { type: 'string', minLength: 1, maxLength: 2048 },
+        code_verifier: { type: 'string', pattern: '^[A-Za-z0-9._~-]{43,128}$' },
+        refresh_token: { type: 'string', minLength: 1, maxLength: 4096 },
+
+        /**
+         * Client authentication when HTTP Basic is not used.
+         */
+        client_id: { type: 'string', minLength: 1, maxLength: 64 },
+        client_secret: { type: 'string', minLength: 1, maxLength: 256 }
+    }
+};
@@ -0,0 +1,663 @@
+/**
+ * Operation documentation
+ *
+ * Summary, description and responses of every route, keyed by
+ * "METHOD /openapi/path". utils/openApi.js merges them with what
+ * it reads from the routers themselves (path, parameters, request
+ * schemas, authentication, required roles).
+ *
+ * Responses:
+ * - success statuses: { description, schema } (no schema → empty body)
+ * - error statuses: list of error codes (see README "Error Responses").
+ *   validation_failed, token_*, csrf_invalid, insufficient_permissions and
+ *   impersonation_forbidden are added automatically from the route middlewares.
+ *
+ * Routes that validate inside their handler (the OAuth endpoints)
+ * document their input with request: { query, body, contentType }.
+ *
+ * `npm run openapi:check` fails when a route has no entry here.
+ */
+
+import { ref } from './responseSchemas.js';
+import { authorizationRequestSchema, tokenRequestSchema } from './oauthSchemas.js';
+
+const noContent = { description: 'Done (no content)' };
+
+const htmlPage = (description) => ({ description, contentType: 'text/html', schema: { type: 'string' } });
+
+const formContentType = 'application/x-www-form-urlencoded';
+
+const oauthError = (description) => ({ description, schema: ref('OAuthError') });
+
+/**
+ * Fields of the login page form: the authorization request
+ * (hidden fields), then the credentials of the current step.
+ */
+const loginFormSchema = {
+    type: 'object',
+    required: [...authorizationRequestSchema.required, 'csrf_token'],
+    properties: {
+        ...authorizationRequestSchema.properties,
+        csrf_token: { type: 'string', description: 'Hidden field of the page, matching its oauth_csrf cookie' },
+        username: { type: 'string', description: 'Password step' },
+        password: { type: 'string', description: 'Password step' },
+        mfa_token: { type: 'string', description: 'MFA step: challenge issued after the password step' },
+        code: { type: 'string', description: 'MFA step: TOTP code or recovery code' }
+    }
+};
+
+export const operations = {
+
+    /**
+     * Authentication
+     */
+    'POST /auth/login': {
+        summary: 'Log in with username and password',
+        description: 'Returns the tokens, or an MFA challenge when the account has MFA enabled. '
+            + 'The password is checked by the configured providers (local accounts, LDAP directory). '
+            + 'With useCookies (AUTH_COOKIES enabled), the tokens are set as HttpOnly cookies instead.',
+        responses: {
+            200: {
+                description: 'Logged in, or MFA required',
+                schema: { oneOf: [ref('TokenResponse'), ref('MfaChallenge')] }
+            },
+            400: ['cookie_auth_disabled'],
+            401: ['invalid_credentials'],
+            403: ['account_disabled', 'no_organization'],
+            423: ['account_locked'],
+            429: ['too_many_attempts'],
+            503: ['directory_unavailable']
+        }
+    },
+    'POST /auth/refresh': {
+        summary: 'Exchange a refresh token for new tokens',
+        description: 'The refresh token is rotated. Reusing an old one revokes the whole login session. '
+            + 'The access token is issued for the organization of the session. '
+            + 'In cookie mode the body is empty: the refresh_token cookie and the X-XSRF-TOKEN header are used.',
+        responses: {
+            200: { description: 'New tokens', schema: ref('TokenResponse') },
+            400: ['refresh_token_missing'],
+            401: ['invalid_refresh_token'],
+            403: ['csrf_invalid']
+        }
+    },
+    'POST /auth/logout': {
+        summary: 'Log out',
+        description: 'Terminates the session of the refresh token, and revokes the access token when sent '
+            + 'in the Authorization header or its cookie. In cookie mode the authentication cookies are cleared.',
+        responses: {
+            204: noContent,
+            400: ['refresh_token_missing'],
+            403: ['csrf_invalid']
+        }
+    },
+    'POST /auth/logout-all': {
+        summary: 'Log out on every device',
+        responses: {
+            204: noContent
+        }
+    },
+    'GET /auth/sessions': {
+        summary: 'List my active sessions',
+        description: 'One session per login (device), most recently used first.',
+        responses: {
+            200: { description: 'Sessions', schema: { type: 'array', items: ref('Session') } }
+        }
+    },
+    'DELETE /auth/sessions/{id}': {
+        summary: 'Terminate one of my sessions',
+        description: 'Its refresh and access tokens stop working. Other sessions are kept.',
+        responses: {
+            204: noContent,
+            404: ['session_not_found']
+        }
+    },
+    'GET /auth/organizations': {
+        summary: 'List my organizations',
+        description: 'Organizations the caller can switch to, with their role in each. '
+            + 'Super-admins can switch to every organization, as admin.',
+        responses: {
+            200: { description: 'Organizations', schema: { type: 'array', items: ref('MyOrganization') } }
+        }
+    },
+    'POST /auth/organizations/switch': {
+        summary: 'Switch my session to another organization',
+        description: 'Returns an access token for that organization; later refreshes keep it. '
+            + 'The access token used for the request is revoked.',
+        responses: {
+            200: { description: 'Access token for the organization', schema: ref('OrganizationSwitch') },
+            404: ['organization_not_found']
+        }
+    },
+    'POST /auth/mfa/setup': {
+        summary: 'Start TOTP enrollment',
+        responses: {
+            200: { description: 'Secret to add to the authenticator app', schema: ref('MfaEnrollment') },
+            404: ['user_not_found'],
+            409: ['mfa_already_enabled']
+        }
+    },
+    'POST /auth/mfa/confirm': {
+        summary: 'Confirm TOTP enrollment',
+        description: 'Enables MFA and returns single-use recovery codes (shown only once).',
+        responses: {
+            200: { description: 'MFA enabled', schema: ref('RecoveryCodes') },
+            400: ['invalid_mfa_code'],
+            404: ['user_not_found'],
+            409: ['mfa_already_enabled']
+        }
+    },
+    'POST /auth/mfa/verify': {
+        summary: 'Complete an MFA login',
+        description: 'Exchanges the MFA challenge token and a TOTP or recovery code for the tokens.',
+        responses: {
+            200: { description: 'Logged in', schema: ref('TokenResponse') },
+            400: ['cookie_auth_disabled'],
+            401: ['invalid_mfa_token', 'invalid_mfa_code'],
+            403: ['no_organization'],
+            423: ['account_locked'],
+            429: ['too_many_attempts']
+        }
+    },
+    'POST /auth/password/change': {
+        summary: 'Change the password',
+        description: 'Every existing token is revoked; new tokens are returned.',
+        responses: {
+            200: { description: 'Password changed', schema: ref('TokenResponse') },
+            401: ['invalid_current_password'],
+            403: ['no_organization'],
+            409: ['password_managed_externally']
+        }
+    },
+    'POST /auth/password/forgot': {
+        summary: 'Request a password reset email',
+        description: 'The response is the same whether or not the account exists.',
+        responses: {
+            202: { description: 'Request accepted', schema: ref('Message') }
+        }
+    },
+    'POST /auth/password/reset': {
+        summary: 'Set a new password with an emailed reset token',
+        responses: {
+            204: noContent,
+            400: ['invalid_reset_token']
+        }
+    },
+    'POST /auth/impersonation/end': {
+        summary: 'End an impersonation',
+        description: 'Revokes the impersonation token used for the request.',
+        responses: {
+            204: noContent,
+            400: ['not_impersonating']
+        }
+    },
+
+    /**
+     * Data (access control examples)
+     */
+    'GET /data/all': {
+        summary: 'Content for any authenticated user',
+        responses: {
+            200: { description: 'Greeting', schema: ref('Message') }
+        }
+    },
+    'GET /data/admin': {
+        summary: 'Admin-only content',
+        responses: {
+            200: { description: 'Content', schema: ref('Message') }
+        }
+    },
+    'GET /data/advisor': {
+        summary: 'Content for the reports:read permission',
+        responses: {
+            200: { description: 'Content', schema: ref('Message') }
+        }
+    },
+    'GET /data/advisor/clients': {
+        summary: 'List my clients (advisor)',
+        responses: {
+            200: { description: 'Clients assigned to me', schema: { type: 'array', items: ref('Client') } }
+        }
+    },
+    'GET /data/clients/{id}': {
+        summary: 'Get a client',
+        description: 'Admins reach every member of their organization, advisors their assigned clients, '
+            + 'users themselves. Other ids are refused whether they exist or not.',
+        responses: {
+            200: { description: 'Client', schema: ref('ClientDetails') },
+            404: ['user_not_found']
+        }
+    },
+
+    /**
+     * Administration
+     */
+    'GET /admin/users': {
+        summary: 'List the users of my organization',
+        responses: {
+            200: { description: 'Page of users', schema: ref('UserPage') }
+        }
+    },
+    'POST /admin/users': {
+        summary: 'Create a user in my organization',
+        responses: {
+            201: { description: 'User created', schema: ref('User') },
+            409: ['username_taken', 'email_taken']
+        }
+    },
+    'GET /admin/users/{id}': {
+        summary: 'Get a user',
+        responses: {
+            200: { description: 'User', schema: ref('User') },
+            404: ['user_not_found']
+        }
+    },
+    'DELETE /admin/users/{id}': {
+        summary: 'Remove a user from my organization',
+        description: 'The account is deleted when it belongs to no other organization and is not a super-admin.',
+        responses: {
+            204: noContent,
+            404: ['user_not_found'],
+            409: ['last_admin']
+        }
+    },
+    'PATCH /admin/users/{id}/role': {
+        summary: 'Change the role of a user in my organization',
+        responses: {
+            200: { description: 'Updated user', schema: ref('User') },
+            404: ['user_not_found'],
+            409: ['last_admin', 'service_account_role']
+        }
+    },
+    'PATCH /admin/users/{id}/status': {
+        summary: 'Disable or enable a user',
+        responses: {
+            200: { description: 'Updated user', schema: ref('User') },
+            403: ['super_admin_required'],
+            404: ['user_not_found'],
+            409: ['last_admin']
+        }
+    },
+    'PUT /admin/users/{id}/password': {
+        summary: 'Set a new password for a user',
+        responses: {
+            204: noContent,
+            403: ['super_admin_required'],
+            404: ['user_not_found'],
+            409: ['password_managed_externally']
+        }
+    },
+    'DELETE /admin/users/{id}/mfa': {
+        summary: 'Reset the MFA of a user',
+        responses: {
+            204: noContent,
+            403: ['super_admin_required'],
+            404: ['user_not_found']
+        }
+    },
+    'GET /admin/users/{id}/sessions': {
+        summary: 'List the active sessions of a user',
+        responses: {
+            200: { description: 'Sessions', schema: { type: 'array', items: ref('Session') } },
+            404: ['user_not_found']
+        }
+    },
+    'DELETE /admin/users/{id}/sessions': {
+        summary: 'Revoke every token of a user',
+        description: 'Terminates every session of the user.',
+        responses: {
+            204: noContent,
+            403: ['super_admin_required'],
+            404: ['user_not_found']
+        }
+    },
+    'DELETE /admin/users/{id}/sessions/{sessionId}': {
+        summary: 'Terminate one session of a user',
+        responses: {
+            204: noContent,
+            403: ['super_admin_required'],
+            404: ['user_not_found', 'session_not_found']
+        }
+    },
+    'GET /admin/roles': {
+        summary: 'List roles with their permissions',
+        responses: {
+            200: { description: 'Roles', schema: { type: 'array', items: ref('Role') } }
+        }
+    },
+    'GET /admin/permissions': {
+        summary: 'List permissions',
+        responses: {
+            200: { description: 'Permissions', schema: { type: 'array', items: ref('Permission') } }
+        }
+    },
+    'POST /admin/permissions': {
+        summary: 'Create a permission',
+        responses: {
+            201: { description: 'Permission created', schema: ref('Permission') },
+            409: ['permission_exists']
+        }
+    },
+    'PUT /admin/roles/{role}/permissions/{permission}': {
+        summary: 'Grant a permission to a role',
+        responses: {
+            204: noContent,
+            404: ['role_not_found', 'permission_not_found']
+        }
+    },
+    'DELETE /admin/roles/{role}/permissions/{permission}': {
+        summary: 'Revoke a permission from a role',
+        responses: {
+            204: noContent,
+            404: ['role_not_found', 'grant_not_found']
+        }
+    },
+    'GET /admin/keys': {
+        summary: 'List the published signing keys',
+        responses: {
+            200: { description: 'Public keys', schema: ref('Jwks') }
+        }
+    },
+    'POST /admin/keys/rotate': {
+        summary: 'Rotate the signing key now',
+        responses: {
+            201: { description: 'New key id', schema: ref('SigningKey') }
+        }
+    },
+    'GET /admin/audit': {
+        summary: 'Search or export the audit log',
+        description: 'With ?export=csv|json every matching event is downloaded instead of a page.',
+        responses: {
+            200: { description: 'Page of events (or the export file)', schema: ref('AuditEventPage') }
+        }
+    },
+    'GET /admin/audit/verify': {
+        summary: 'Verify the audit log hash chain',
+        responses: {
+            200: { description: 'Verification result', schema: ref('AuditChainStatus') }
+        }
+    },
+    'GET /admin/oauth/clients': {
+        summary: 'List OpenID Connect clients',
+        responses: {
+            200: { description: 'Clients', schema: { type: 'array', items: ref('OAuthClient') } }
+        }
+    },
+    'POST /admin/oauth/clients': {
+        summary: 'Register an OpenID Connect client',
+        description: 'Confidential clients receive a clientSecret, returned only in this response.',
+        responses: {
+            201: { description: 'Client registered', schema: ref('OAuthClient') }
+        }
+    },
+    'DELETE /admin/oauth/clients/{clientId}': {
+        summary: 'Delete an OpenID Connect client',
+        responses: {
+            204: noContent,
+            404: ['client_not_found']
+        }
+    },
+    'POST /admin/service-accounts': {
+        summary: 'Create a service account',
+        description: 'Service accounts have no password and authenticate with API keys (X-API-Key header). '
+            + 'They belong to the organization of the admin creating them. '
+            + 'They are listed and managed with the /admin/users endpoints (?authProvider=service).',
+        responses: {
+            201: { description: 'Service account created', schema: ref('ServiceAccount') },
+            409: ['username_taken']
+        }
+    },
+    'GET /admin/service-accounts/{id}/api-keys': {
+        summary: 'List the API keys of a service account',
+        responses: {
+            200: { description: 'Keys, newest first', schema: { type: 'array', items: ref('ApiKey') } },
+            404: ['service_account_not_found']
+        }
+    },
+    'POST /admin/service-accounts/{id}/api-keys': {
+        summary: 'Issue an API key',
+        description: 'The key is returned in this response only. '
+            + 'A request needs the permission in both the account\'s role and the key\'s scopes.',
+        responses: {
+            201: { description: 'Key issued', schema: ref('ApiKey') },
+            404: ['service_account_not_found']
+        }
+    },
+    'POST /admin/service-accounts/{id}/api-keys/{keyId}/rotate': {
+        summary: 'Rotate an API key',
+        description: 'Issues a key with the same name and scopes. The old key is revoked, '
+            + 'or keeps working for gracePeriodMinutes.',
+        responses: {
+            201: { description: 'Replacement key', schema: ref('ApiKey') },
+            404: ['service_account_not_found', 'api_key_not_found'],
+            409: ['api_key_inactive']
+        }
+    },
+    'DELETE /admin/service-accounts/{id}/api-keys/{keyId}': {
+        summary: 'Revoke an API key',
+        responses: {
+            204: noContent,
+            404: ['service_account_not_found', 'api_key_not_found']
+        }
+    },
+    'GET /admin/organizations': {
+        summary: 'List organizations',
+        responses: {
+            200: { description: 'Organizations', schema: { type: 'array', items: ref('Organization') } }
+        }
+    },
+    'POST /admin/organizations': {
+        summary: 'Create an organization',
+        description: 'The organization starts without members.',
+        responses: {
+            201: { description: 'Organization created', schema: ref('Organization') },
+            409: ['organization_slug_taken']
+        }
+    },
+    'DELETE /admin/organizations/{id}': {
+        summary: 'Delete an organization',
+        responses: {
+            204: noContent,
+            404: ['organization_not_found'],
+            409: ['organization_not_empty']
+        }
+    },
+    'GET /admin/organizations/{id}/members': {
+        summary: 'List the members of an organization',
+        responses: {
+            200: { description: 'Members', schema: { type: 'array', items: ref('Member') } },
+            404: ['organization_not_found']
+        }
+    },
+    'PUT /admin/organizations/{id}/members/{userId}': {
+        summary: 'Add a user to an organization or change their role',
+        responses: {
+            200: { description: 'Membership', schema: ref('Member') },
+            404: ['organization_not_found', 'user_not_found'],
+            409: ['last_admin', 'service_account_role']
+        }
+    },
+    'DELETE /admin/organizations/{id}/members/{userId}': {
+        summary: 'Remove a user from an organization',
+        description: 'The account itself is kept.',
+        responses: {
+            204: noContent,
+            404: ['organization_not_found', 'user_not_found'],
+            409: ['last_admin']
+        }
+    },
+    'PUT /admin/super-admins/{id}': {
+        summary: 'Make a user super-admin',
+        responses: {
+            204: noContent,
+            404: ['user_not_found'],
+            409: ['service_account_role']
+        }
+    },
+    'DELETE /admin/super-admins/{id}': {
+        summary: 'Remove the super-admin flag of a user',
+        responses: {
+            204: noContent,
+            404: ['user_not_found'],
+            409: ['last_super_admin']
+        }
+    },
+    'GET /admin/advisors/{id}/clients': {
+        summary: 'List the clients of an advisor',
+        responses: {
+            200: { description: 'Clients', schema: { type: 'array', items: ref('Client') } },
+            404: ['user_not_found'],
+            409: ['not_an_advisor']
+        }
+    },
+    'PUT /admin/advisors/{id}/clients/{clientId}': {
+        summary: 'Assign a client to an advisor',
+        description: 'The client must be a user (not a service account) of my organization. '
+            + 'Assigning a client twice is a no-op.',
+        responses: {
+            204: noContent,
+            404: ['user_not_found'],
+            409: ['not_an_advisor', 'not_a_client']
+        }
+    },
+    'DELETE /admin/advisors/{id}/clients/{clientId}': {
+        summary: 'Remove a client from an advisor',
+        responses: {
+            204: noContent,
+            404: ['user_not_found', 'assignment_not_found']
+        }
+    },
+    'POST /admin/impersonate/{userId}': {
+        summary: 'Act as a user of my organization',
+        description: 'Returns a short-lived access token for the user, with an "act" claim naming the admin. '
+            + 'Admins, super-admins and service accounts cannot be impersonated. '
+            + 'Actions made with the token are audited under the admin. No refresh token is issued.',
+        responses: {
+            200: { description: 'Impersonation token', schema: ref('Impersonation') },
+            403: ['impersonation_forbidden', 'account_disabled'],
+            404: ['user_not_found']
+        }
+    },
+
+    /**
+     * OpenID Connect
+     */
+    'GET /oauth/authorize': {
+        summary: 'Start an authorization code flow (login page)',
+        description: 'Opened in the browser by the client application. PKCE with S256 is required. '
+            + 'Invalid requests are redirected back to redirect_uri with an OAuth error, '
+            + 'except for an unknown client or redirect URI. Only served with OIDC_PROVIDER=true.',
+        request: { query: authorizationRequestSchema },
+        responses: {
+            200: htmlPage('Login page'),
+            303: { description: 'Redirect to redirect_uri with error, state and iss' },
+            400: htmlPage('Unknown client_id or unregistered redirect_uri')
+        }
+    },
+    'POST /oauth/authorize': {
+        summary: 'Submit the login page',
+        description: 'Password step, then MFA step for accounts with MFA enabled. '
+            + 'Failed attempts show the form again and count towards the login throttling. '
+            + 'Submissions without the CSRF token of the page are refused.',
+        request: { body: loginFormSchema, contentType: formContentType },
+        responses: {
+            200: htmlPage('MFA step'),
+            303: { description: 'Redirect to redirect_uri with code, state and iss' },
+            400: htmlPage('Missing credentials, unknown client_id or unregistered redirect_uri'),
+            401: htmlPage('Invalid credentials or verification code'),
+            403: htmlPage('Account disabled, or missing or wrong CSRF token'),
+            423: htmlPage('Account locked'),
+            429: htmlPage('Too many attempts'),
+            503: htmlPage('User directory unavailable')
+        }
+    },
+    'POST /oauth/token': {
+        summary: 'Exchange an authorization code or a refresh token',
+        description: 'Clients authenticate with HTTP Basic, client_id/client_secret form fields, '
+            + 'or client_id alone (public clients). Refresh tokens only work for the client they were issued to.',
+        request: { body: tokenRequestSchema, contentType: formContentType },
+        responses: {
+            200: { description: 'Tokens', schema: ref('OAuthTokenResponse') },
+            400: oauthError('invalid_request, invalid_grant or unsupported_grant_type'),
+            401: oauthError('invalid_client')
+        }
+    },
+    'GET /oauth/userinfo': {
+        summary: 'Claims about the user of the access token',
+        responses: {
+            200: { description: 'Claims', schema: ref('UserInfo') },
+            404: ['user_not_found']
+        }
+    },
+    'POST /oauth/userinfo': {
+        summary: 'Claims about the user of the access token',
+        responses: {
+            200: { description: 'Claims', schema: ref('UserInfo') },
+            404: ['user_not_found']
+        }
+    },
+
+    /**
+     * Discovery
+     */
+    'GET /.well-known/jwks.json': {
+        summary: 'Public keys verifying the access tokens',
+        responses: {
+            200: { description: 'JSON Web Key Set', schema: ref('Jwks') }
+        }
+    },
+    'GET /.well-known/openid-configuration': {
+        summary: 'OpenID Provider Metadata',
+        description: 'Only served with OIDC_PROVIDER=true.',
+        responses: {
+            200: { description: 'Discovery document', schema: ref('OpenIdConfiguration') }
+        }
+    },
+
+    /**
+     * System
+     */
+    'GET /health/live': {
+        summary: 'Liveness probe',
+        description: 'Answers while the process runs, whatever the state of the database.',
+        responses: {
+            200: { description: 'Process alive', schema: ref('Liveness') }
+        }
+    },
+    'GET /health/ready': {
+        summary: 'Readiness probe',
+        description: 'Checks the database connection, pending migrations and the signing key. '
+            + 'Answers 503 when a check fails or the server is shutting down.',
+        responses: {
+            200: { description: 'Ready to serve requests', schema: ref('Readiness') },
+            503: { description: 'Not ready (see the failed checks)', schema: ref('Readiness') }
+        }
+    },
+    'GET /': {
+        summary: 'Welcome message (use /health/ready for health checks)',
+        responses: {
+            200: { description: 'Server is running', contentType: 'text/plain', schema: { type: 'string' } }
+        }
+    },
+    'GET /metrics': {
+        summary: 'Prometheus metrics',
+        description: 'Request latency per route, login attempts, token verification failures and authorization '
+            + 'denials, in the Prometheus text format. Public unless METRICS_TOKEN is set; then send it as a Bearer token.',
+        responses: {
+            200: { description: 'Metrics', contentType: 'text/plain', schema: { type: 'string' } },
+            401: ['token_invalid']
+        }
+    },
+    'GET /openapi.json': {
+        summary: 'This OpenAPI document',
+        responses: {
+            200: { description: 'OpenAPI 3.1 document', schema: { type: 'object' } }
+        }
+    },
+    'GET /docs': {
+        summary: 'Interactive API documentation',
+        responses: {
+            200: { description: 'HTML page', contentType: 'text/html', schema: { type: 'string' } }
+        }
+    }
+};
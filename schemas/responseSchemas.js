@@ -0,0 +1,467 @@
+/**
+ * Response schemas
+ *
+ * Shapes of the response bodies, published in the
+ * "components.schemas" section of the OpenAPI document.
+ * Operations reference them with ref('Name').
+ *
+ * They document the API only: responses are not validated.
+ */
+
+import { ROLES, SERVICE_ACCOUNT_ROLES } from '../utils/roles.js';
+
+/**
+ * Builds a reference to one of the schemas below.
+ *
+ * @param {string} name - Key of responseSchemas
+ * @returns {{ $ref: string }}
+ */
+export function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+const role = { type: 'string', enum: ROLES };
+
+/**
+ * Adds pagination fields around a list of items.
+ *
+ * @param {string} itemSchema - Schema name of one item
+ * @returns {Object} Object schema
+ */
+function page(itemSchema) {
+    return {
+        type: 'object',
+        required: ['data', 'page', 'pageSize', 'total'],
+        properties: {
+            data: { type: 'array', items: ref(itemSchema) },
+            page: { type: 'integer' },
+            pageSize: { type: 'integer' },
+            total: { type: 'integer' }
+        }
+    };
+}
+
+export const responseSchemas = {
+
+    /**
+     * RFC 7807 error body (middlewares/errorHandler.js).
+     */
+    Problem: {
+        type: 'object',
+        required: ['type', 'title', 'status', 'code'],
+        properties: {
+            type: { type: 'string', examples: ['/problems/invalid_credentials'] },
+            title: { type: 'string' },
+            status: { type: 'integer' },
+            detail: { type: 'string' },
+            instance: { type: 'string' },
+            code: { type: 'string', description: 'Stable machine-readable error code' },
+            requestId: { type: 'string', description: 'Same value as the X-Request-Id header' },
+            errors: {
+                type: 'array',
+                description: 'Invalid fields (validation_failed only)',
+                items: {
+                    type: 'object',
+                    properties: {
+                        location: { type: 'string', enum: ['body', 'query', 'params'] },
+                        field: { type: ['string', 'null'] },
+                        code: { type: 'string' },
+                        message: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    Message: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' }
+        }
+    },
+
+    TokenResponse: {
+        type: 'object',
+        required: ['id', 'username', 'organizationId', 'role', 'sessionId'],
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            organizationId: { type: 'integer', description: 'Organization the session acts in' },
+            role: { ...role, description: 'Role within that organization' },
+            sessionId: { type: 'string', format: 'uuid' },
+            token: { type: 'string', description: 'JWT access token (access_token cookie in cookie mode)' },
+            refreshToken: { type: 'string', description: 'refresh_token cookie in cookie mode' },
+            refreshTokenExpiresAt: { type: 'integer', description: 'Epoch milliseconds' },
+            csrfToken: { type: 'string', description: 'Cookie mode only: value of the X-XSRF-TOKEN header' }
+        }
+    },
+
+    MfaChallenge: {
+        type: 'object',
+        required: ['mfaRequired', 'mfaToken'],
+        properties: {
+            mfaRequired: { const: true },
+            mfaToken: { type: 'string', description: 'Send to POST /auth/mfa/verify' }
+        }
+    },
+
+    MfaEnrollment: {
+        type: 'object',
+        properties: {
+            secret: { type: 'string', description: 'Base32 TOTP secret' },
+            otpauthUri: { type: 'string' }
+        }
+    },
+
+    RecoveryCodes: {
+        type: 'object',
+        properties: {
+            recoveryCodes: { type: 'array', items: { type: 'string' } }
+        }
+    },
+
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            email: { type: ['string', 'null'] },
+            role: { ...role, description: 'Role within the organization of the admin' },
+            superAdmin: { type: 'boolean' },
+            disabled: { type: 'boolean' },
+            mfaEnabled: { type: 'boolean' },
+            authProvider: {
+                type: 'string',
+                enum: ['local', 'ldap', 'service'],
+                description: 'Who checks the password ("service": API keys only)'
+            },
+            createdAt: { type: ['integer', 'null'], description: 'Epoch milliseconds' }
+        }
+    },
+
+    UserPage: page('User'),
+
+    Session: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            deviceLabel: { type: ['string', 'null'] },
+            userAgent: { type: ['string', 'null'] },
+            ip: { type: ['string', 'null'], description: 'Last seen client address' },
+            clientId: { type: ['string', 'null'], description: 'OpenID Connect client (null for POST /auth/login)' },
+            organizationId: { type: ['integer', 'null'], description: 'Organization the session acts in' },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+            lastSeenAt: { type: 'integer', description: 'Epoch milliseconds' },
+            expiresAt: { type: 'integer', description: 'Epoch milliseconds, extended by each refresh' },
+            current: { type: 'boolean', description: 'Session of the access token used for this request' }
+        }
+    },
+
+    Role: {
+        type: 'object',
+        properties: {
+            name: role,
+            inherits: { type: ['string', 'null'] },
+            permissions: { type: 'array', items: { type: 'string' }, description: 'Direct grants' },
+            effectivePermissions: { type: 'array', items: { type: 'string' }, description: 'Including inherited ones' }
+        }
+    },
+
+    Permission: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', examples: ['reports:read'] },
+            description: { type: ['string', 'null'] }
+        }
+    },
+
+    Jwks: {
+        type: 'object',
+        properties: {
+            keys: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    description: 'Public JWK with kid, alg and use',
+                    additionalProperties: true
+                }
+            }
+        }
+    },
+
+    SigningKey: {
+        type: 'object',
+        properties: {
+            kid: { type: 'string' }
+        }
+    },
+
+    AuditEvent: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+            eventType: { type: 'string', examples: ['login.failure'] },
+            organizationId: { type: ['integer', 'null'], description: 'null for account-level events (logins, rejected tokens)' },
+            actorId: { type: ['integer', 'null'] },
+            actorUsername: { type: ['string', 'null'] },
+            targetId: { type: ['integer', 'null'] },
+            ip: { type: ['string', 'null'] },
+            userAgent: { type: ['string', 'null'] },
+            requestId: { type: ['string', 'null'] },
+            details: { type: ['object', 'null'] },
+            prevHash: { type: 'string' },
+            hash: { type: 'string' }
+        }
+    },
+
+    AuditEventPage: page('AuditEvent'),
+
+    AuditChainStatus: {
+        type: 'object',
+        properties: {
+            valid: { type: 'boolean' },
+            checked: { type: 'integer' },
+            brokenAt: { type: ['integer', 'null'] }
+        }
+    },
+
+    OAuthClient: {
+        type: 'object',
+        properties: {
+            clientId: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            redirectUris: { type: 'array', items: { type: 'string', format: 'uri' } },
+            type: { type: 'string', enum: ['public', 'confidential'] },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+            clientSecret: { type: 'string', description: 'Confidential clients, on creation only' }
+        }
+    },
+
+    ServiceAccount: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            role: { type: 'string', enum: SERVICE_ACCOUNT_ROLES },
+            disabled: { type: 'boolean' },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' }
+        }
+    },
+
+    Organization: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            slug: { type: 'string', examples: ['acme'] },
+            name: { type: 'string' },
+            memberCount: { type: 'integer', description: 'In listings only' },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' }
+        }
+    },
+
+    MyOrganization: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            slug: { type: 'string' },
+            name: { type: 'string' },
+            role: { ...role, description: 'Role of the caller in this organization' },
+            current: { type: 'boolean', description: 'Organization of the access token used for this request' }
+        }
+    },
+
+    OrganizationSwitch: {
+        type: 'object',
+        required: ['organizationId', 'role', 'sessionId'],
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            organizationId: { type: 'integer' },
+            role,
+            sessionId: { type: 'string', format: 'uuid' },
+            token: { type: 'string', description: 'JWT access token for the organization (access_token cookie in cookie mode)' },
+            csrfToken: { type: 'string', description: 'Cookie mode only: value of the X-XSRF-TOKEN header' }
+        }
+    },
+
+    Member: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            role,
+            superAdmin: { type: 'boolean' },
+            disabled: { type: 'boolean' },
+            authProvider: { type: 'string', enum: ['local', 'ldap', 'service'] }
+        }
+    },
+
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            prefix: { type: 'string', description: 'Public part of the key (lar_<prefix>_...)' },
+            scopes: { type: 'array', items: { type: 'string' }, description: 'Permissions the key may use' },
+            createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+            expiresAt: { type: 'integer', description: 'Epoch milliseconds' },
+            lastUsedAt: { type: ['integer', 'null'], description: 'Epoch milliseconds, null if never used' },
+            revokedAt: { type: ['integer', 'null'], description: 'Epoch milliseconds' },
+            key: { type: 'string', description: 'Full key, when issued or rotated only' }
+        }
+    },
+
+    Impersonation: {
+        type: 'object',
+        required: ['id', 'username', 'organizationId', 'role', 'sessionId', 'actor', 'expiresAt'],
+        properties: {
+            id: { type: 'integer', description: 'Impersonated user' },
+            username: { type: 'string' },
+            organizationId: { type: 'integer' },
+            role,
+            sessionId: { type: 'string', format: 'uuid', description: 'Session of the admin' },
+            actor: {
+                type: 'object',
+                description: 'Admin acting as the user',
+                properties: {
+                    id: { type: 'integer' },
+                    username: { type: 'string' }
+                }
+            },
+            token: { type: 'string', description: 'JWT access token (access_token cookie in cookie mode)' },
+            expiresAt: { type: 'integer', description: 'Epoch milliseconds' },
+            csrfToken: { type: 'string', description: 'Cookie mode only: value of the X-XSRF-TOKEN header' }
+        }
+    },
+
+    Client: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            email: { type: ['string', 'null'] },
+            role,
+            disabled: { type: 'boolean' },
+            assignedAt: { type: 'integer', description: 'Epoch milliseconds, in an advisor\'s book only' }
+        }
+    },
+
+    ClientDetails: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            username: { type: 'string' },
+            email: { type: ['string', 'null'] },
+            role,
+            disabled: { type: 'boolean' },
+            advisors: {
+                type: 'array',
+                description: 'Advisors following the client',
+                items: {
+                    type: 'object',
+                    properties: {
+                        id: { type: 'integer' },
+                        username: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * RFC 6749 section 5.1.
+     */
+    /**
+     * GET /health/live
+     */
+    Liveness: {
+        type: 'object',
+        required: ['status', 'uptimeSeconds'],
+        properties: {
+            status: { const: 'ok' },
+            uptimeSeconds: { type: 'integer' }
+        }
+    },
+
+    /**
+     * GET /health/ready (services/healthService.js)
+     */
+    Readiness: {
+        type: 'object',
+        required: ['status', 'checks'],
+        properties: {
+            status: { type: 'string', enum: ['ok', 'unavailable', 'shutting_down'] },
+            checks: {
+                type: 'object',
+                required: ['database', 'migrations', 'signingKey'],
+                properties: {
+                    database: ref('HealthCheck'),
+                    migrations: ref('HealthCheck'),
+                    signingKey: ref('HealthCheck')
+                }
+            }
+        }
+    },
+
+    HealthCheck: {
+        type: 'object',
+        required: ['status', 'durationMs'],
+        properties: {
+            status: { type: 'string', enum: ['ok', 'failed'] },
+            durationMs: { type: 'integer' },
+            error: { type: 'string', description: 'Why the check failed' }
+        },
+        additionalProperties: true
+    },
+
+    OAuthTokenResponse: {
+        type: 'object',
+        required: ['access_token', 'token_type', 'expires_in', 'refresh_token'],
+        properties: {
+            access_token: { type: 'string', description: 'JWT, accepted by every protected route' },
+            token_type: { const: 'Bearer' },
+            expires_in: { type: 'integer', description: 'Seconds' },
+            refresh_token: { type: 'string' },
+            id_token: { type: 'string', description: 'authorization_code grant only' },
+            scope: { type: 'string', description: 'authorization_code grant only' }
+        }
+    },
+
+    /**
+     * RFC 6749 section 5.2 (used by POST /oauth/token instead of Problem).
+     */
+    OAuthError: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+            error: { type: 'string', examples: ['invalid_grant'] },
+            error_description: { type: 'string' }
+        }
+    },
+
+    UserInfo: {
+        type: 'object',
+        required: ['sub'],
+        properties: {
+            sub: { type: 'string', description: 'User id' },
+            preferred_username: { type: 'string' },
+            role: { ...role, description: 'Role within org' },
+            org: { type: 'integer', description: 'Organization of the access token' },
+            email: { type: 'string' }
+        }
+    },
+
+    OpenIdConfiguration: {
+        type: 'object',
+        description: 'OpenID Connect Discovery 1.0 provider metadata',
+        properties: {
+            issuer: { type: 'string' },
+            authorization_endpoint: { type: 'string', format: 'uri' },
+            token_endpoint: { type: 'string', format: 'uri' },
+            userinfo_endpoint: { type: 'string', format: 'uri' },
+            jwks_uri: { type: 'string', format: 'uri' }
+        },
+        additionalProperties: true
+    }
+};
@@ -0,0 +1,294 @@
+/**
+ * API key service
+ *
+ * Machine-to-machine access for batch jobs and partner services,
+ * which cannot go through an interactive login every few minutes.
+ *
+ * - a service account is a users row with authProvider = "service":
+ *   no password, no email, member of one organization with
+ *   role "user" or "advisor"
+ * - it authenticates with API keys sent in the X-API-Key header
+ *   (see middlewares/verifyToken.js)
+ * - every key is limited to a list of permissions ("scopes"): a request
+ *   needs the permission in the account's role AND in the key's scopes
+ *
+ * Key format:
+ *
+ *   lar_<prefix>_<secret>
+ *
+ * The prefix identifies the key (it is shown in listings and audit
+ * events); only a SHA-256 hash of the whole key is stored, so a key
+ * is shown once, when issued, and cannot be retrieved afterwards.
+ *
+ * Keys are checked against the database on every request:
+ * revocation, expiry and role changes apply immediately.
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { permissionExists } from './permissionService.js';
+import { resolvePrincipal } from './organizationService.js';
+import { ValidationError } from '../utils/httpErrors.js';
+import { sha256Hex } from '../utils/hash.js';
+import * as clock from '../utils/clock.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lifetime of a key when none is requested.
+ */
+export const DEFAULT_API_KEY_TTL_DAYS = 90;
+
+/**
+ * Longest lifetime allowed: keys must be rotated at least yearly.
+ */
+export const MAX_API_KEY_TTL_DAYS = 365;
+
+/**
+ * lastUsedAt is written at most once per interval and key,
+ * not on every request.
+ */
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * "lar_" + 8 hex characters + "_" + 32 random bytes in base64url.
+ */
+const API_KEY_PATTERN = /^lar_([0-9a-f]{8})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * Maps an api_keys row to the representation returned by the API.
+ * The key hash is NEVER returned.
+ *
+ * @param {Object} row - api_keys row (scopes parsed)
+ * @returns {Object} Public API key object
+ */
+function toPublicApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        scopes: row.scopes,
+        createdAt: row.createdAt,
+        expiresAt: row.expiresAt,
+        lastUsedAt: row.lastUsedAt,
+        revokedAt: row.revokedAt
+    };
+}
+
+/**
+ * Checks that every scope is a known permission.
+ *
+ * @param {string[]} scopes - Requested scopes
+ * @throws {ValidationError} listing the unknown ones
+ */
+async function assertScopesExist(scopes) {
+    const errors = [];
+
+    for (const [index, scope] of scopes.entries()) {
+        if (!await permissionExists(scope)) {
+            errors.push({
+                location: 'body',
+                field: 'scopes',
+                code: 'unknown_permission',
+                message: `scopes[${index}] is not a known permission: ${scope}`
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+}
+
+/**
+ * Generates a key and stores its hash.
+ *
+ * @returns {Promise<{ apiKey: Object, key: string }>}
+ */
+async function createKey(userId, { name, scopes, expiresAt }) {
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `lar_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const row = await getRepositories().apiKeys.create({
+        userId,
+        name,
+        prefix,
+        keyHash: sha256Hex(key),
+        scopes: [...new Set(scopes)],
+        expiresAt
+    });
+
+    return { apiKey: toPublicApiKey(row), key };
+}
+
+/**
+ * Creates a service account.
+ *
+ * @param {Object} input
+ * @param {string} input.username
+ * @param {number} input.organizationId - Organization it belongs to
+ * @param {string} input.role - One of SERVICE_ACCOUNT_ROLES
+ * @returns {Promise<Object>} users row
+ * @throws database unique violation when the username is taken
+ */
+export async function createServiceAccount({ username, organizationId, role }) {
+    return getRepositories().users.create({
+        username,
+        email: null,
+        passwordHashed: null,
+        organizationId,
+        role,
+        authProvider: 'service'
+    });
+}
+
+/**
+ * Issues a key for a service account.
+ *
+ * @param {number} userId - Service account
+ * @param {Object} input
+ * @param {string} input.name - What the key is for ("nightly export")
+ * @param {string[]} input.scopes - Permission names
+ * @param {number} [input.expiresInDays] - Lifetime (default 90, max 365)
+ * @returns {Promise<{ apiKey: Object, key: string }>} key is only returned here
+ * @throws {ValidationError} when a scope is not a known permission
+ */
+export async function issueApiKey(userId, { name, scopes, expiresInDays = DEFAULT_API_KEY_TTL_DAYS }) {
+    await assertScopesExist(scopes);
+
+    return createKey(userId, {
+        name,
+        scopes,
+        expiresAt: clock.now() + expiresInDays * DAY_MS
+    });
+}
+
+/**
+ * @param {number} userId - Service account
+ * @returns {Promise<Object[]>} Public API key objects, newest first
+ */
+export async function listApiKeys(userId) {
+    const rows = await getRepositories().apiKeys.listForUser(userId);
+    return rows.map(toPublicApiKey);
+}
+
+/**
+ * @param {number} userId - Service account
+ * @param {number} keyId
+ * @returns {Promise<Object | null>} Public API key object
+ */
+export async function findApiKey(userId, keyId) {
+    const row = await getRepositories().apiKeys.findByIdForUser(userId, keyId);
+    return row ? toPublicApiKey(row) : null;
+}
+
+/**
+ * @param {Object} apiKey - Public API key object
+ * @returns {boolean} false once revoked or expired
+ */
+export function isApiKeyActive(apiKey) {
+    return !apiKey.revokedAt && apiKey.expiresAt > clock.now();
+}
+
+/**
+ * Replaces a key with a new one (same name and scopes).
+ *
+ * With a grace period the old key keeps working for that many
+ * minutes, so the caller can deploy the new key without downtime;
+ * without one it is revoked immediately.
+ *
+ * @param {number} userId - Service account
+ * @param {Object} apiKey - Public API key object (active)
+ * @param {Object} [options]
+ * @param {number} [options.gracePeriodMinutes=0]
+ * @param {number} [options.expiresInDays] - Lifetime of the new key (default 90)
+ * @returns {Promise<{ apiKey: Object, key: string }>} New key
+ */
+export async function rotateApiKey(userId, apiKey, {
+    gracePeriodMinutes = 0,
+    expiresInDays = DEFAULT_API_KEY_TTL_DAYS
+} = {}) {
+    const { apiKeys } = getRepositories();
+    const now = clock.now();
+
+    const rotated = await createKey(userId, {
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        expiresAt: now + expiresInDays * DAY_MS
+    });
+
+    if (gracePeriodMinutes > 0) {
+        await apiKeys.shortenExpiry(apiKey.id, now + gracePeriodMinutes * 60 * 1000);
+    } else {
+        await apiKeys.revoke(apiKey.id);
+    }
+
+    return rotated;
+}
+
+/**
+ * @param {number} keyId
+ * @returns {Promise<boolean>} false when it was already revoked
+ */
+export async function revokeApiKey(keyId) {
+    return getRepositories().apiKeys.revoke(keyId);
+}
+
+/**
+ * Checks an API key presented by a client.
+ *
+ * Rejected when: malformed, unknown, hash mismatch, revoked,
+ * expired, or its account is disabled, not a service account
+ * or in no organization.
+ *
+ * @param {string} key - X-API-Key header value
+ * @returns {Promise<{ user: Object, apiKey: Object } | null>}
+ *          principal (see resolvePrincipal) and api_keys row, null when rejected
+ */
+export async function authenticateApiKey(key) {
+    const match = API_KEY_PATTERN.exec(key);
+
+    if (!match) {
+        return null;
+    }
+
+    const { apiKeys, users } = getRepositories();
+    const row = await apiKeys.findByPrefix(match[1]);
+    const now = clock.now();
+
+    if (!row || !crypto.timingSafeEqual(Buffer.from(sha256Hex(key)), Buffer.from(row.keyHash))) {
+        return null;
+    }
+
+    if (!isApiKeyActive(row)) {
+        return null;
+    }
+
+    const user = await users.findById(row.userId);
+
+    if (!user || user.disabled || user.authProvider !== 'service') {
+        return null;
+    }
+
+    const principal = await resolvePrincipal(user);
+
+    if (!principal) {
+        return null;
+    }
+
+    if (!row.lastUsedAt || row.lastUsedAt + LAST_USED_INTERVAL_MS <= now) {
+        await apiKeys.touch(row.id);
+    }
+
+    return { user: principal, apiKey: row };
+}
+
+/**
+ * Extracts the prefix of a presented key, for audit events.
+ *
+ * @param {string} key - X-API-Key header value
+ * @returns {string | null}
+ */
+export function apiKeyPrefix(key) {
+    return API_KEY_PATTERN.exec(key)?.[1] ?? null;
+}
@@ -0,0 +1,30 @@
+/**
+ * Database login attempt store
+ *
+ * Persists failed-attempt counters in the login_attempts table,
+ * so lockouts survive server restarts and are shared by every
+ * instance using the same database.
+ *
+ * Implements the same interface as the in-memory store:
+ * - update(key, change) → Promise<record>
+ * - delete(key)         → Promise<void>
+ */
+
+import { getRepositories } from '../../repositories/index.js';
+
+/**
+ * Creates a store backed by the login attempt repository.
+ *
+ * @returns {Object} Attempt store
+ */
+export function createDatabaseAttemptStore() {
+    return {
+        update(key, change) {
+            return getRepositories().loginAttempts.update(key, change);
+        },
+
+        async delete(key) {
+            await getRepositories().loginAttempts.delete(key);
+        }
+    };
+}
@@ -0,0 +1,50 @@
+/**
+ * In-memory login attempt store
+ *
+ * Keeps failed-attempt counters in a Map.
+ *
+ * Suitable for:
+ * - local development
+ * - single-instance deployments where losing counters
+ *   on restart is acceptable
+ *
+ * Store interface (shared with the database store):
+ * - update(key, change) → Promise<record>
+ *   change(current) receives the stored record (null when there
+ *   is none) and returns the new one, or undefined to keep it.
+ *   Read and write must be atomic: concurrent updates of a key
+ *   never lose an increment.
+ * - delete(key)         → Promise<void>
+ *
+ * record = { count, firstAttemptAt, lockedUntil }
+ */
+
+/**
+ * Creates a new, empty in-memory store.
+ *
+ * @returns {Object} Attempt store
+ */
+export function createMemoryAttemptStore() {
+    const records = new Map();
+
+    return {
+        /**
+         * Synchronous between read and write, hence atomic.
+         */
+        async update(key, change) {
+            const current = records.get(key) ?? null;
+            const record = change(current);
+
+            if (!record) {
+                return current;
+            }
+
+            records.set(key, { ...record });
+            return record;
+        },
+
+        async delete(key) {
+            records.delete(key);
+        }
+    };
+}
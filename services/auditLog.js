@@ -0,0 +1,256 @@
+/**
+ * Audit log service
+ *
+ * Persists security-relevant events (logins, token failures,
+ * access denials, administrative changes) in the audit_events table.
+ *
+ * Each event records:
+ * - event type, actor and target
+ * - client IP, user agent and request id
+ * - free-form details (JSON)
+ * - timestamp
+ *
+ * Tamper evidence:
+ * events are hash-chained. Every row stores the SHA-256 of its own
+ * content plus the hash of the previous row, so modifying or deleting
+ * any row breaks the chain from that point on (see verifyAuditChain).
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../db/errors.js';
+import * as clock from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Audit event types.
+ */
+export const AUDIT_EVENTS = {
+    LOGIN_SUCCESS: 'login.success',
+    LOGIN_FAILURE: 'login.failure',
+    LOGIN_LOCKED: 'login.locked',
+    TOKEN_REJECTED: 'token.rejected',
+    ACCESS_DENIED: 'access.denied',
+    SESSION_TERMINATED: 'session.terminated',
+    ORGANIZATION_SWITCHED: 'session.organization_switched',
+    USER_CREATED: 'admin.user.created',
+    USER_ROLE_CHANGED: 'admin.user.role_changed',
+    USER_STATUS_CHANGED: 'admin.user.status_changed',
+    USER_PASSWORD_RESET: 'admin.user.password_reset',
+    USER_DELETED: 'admin.user.deleted',
+    USER_MFA_RESET: 'admin.user.mfa_reset',
+    USER_SESSIONS_REVOKED: 'admin.user.sessions_revoked',
+    USER_SESSION_TERMINATED: 'admin.user.session_terminated',
+    PERMISSION_CREATED: 'admin.permission.created',
+    PERMISSION_GRANTED: 'admin.permission.granted',
+    PERMISSION_REVOKED: 'admin.permission.revoked',
+    SIGNING_KEY_ROTATED: 'admin.key.rotated',
+    OAUTH_CLIENT_CREATED: 'admin.oauth_client.created',
+    OAUTH_CLIENT_DELETED: 'admin.oauth_client.deleted',
+    SERVICE_ACCOUNT_CREATED: 'admin.service_account.created',
+    API_KEY_ISSUED: 'admin.api_key.issued',
+    API_KEY_ROTATED: 'admin.api_key.rotated',
+    API_KEY_REVOKED: 'admin.api_key.revoked',
+    ORGANIZATION_CREATED: 'admin.organization.created',
+    ORGANIZATION_DELETED: 'admin.organization.deleted',
+    MEMBERSHIP_CHANGED: 'admin.membership.changed',
+    MEMBERSHIP_REMOVED: 'admin.membership.removed',
+    SUPER_ADMIN_GRANTED: 'admin.super_admin.granted',
+    SUPER_ADMIN_REVOKED: 'admin.super_admin.revoked',
+    IMPERSONATION_STARTED: 'admin.impersonation.started',
+    IMPERSONATION_ENDED: 'admin.impersonation.ended',
+    ADVISOR_CLIENT_ASSIGNED: 'admin.advisor_client.assigned',
+    ADVISOR_CLIENT_UNASSIGNED: 'admin.advisor_client.unassigned'
+};
+
+/**
+ * Hash used as "previous hash" of the very first event.
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Appends of this process are serialized through this promise,
+ * so they do not compete with each other for the end of the chain.
+ * Other instances sharing the database are kept out by the
+ * transaction and unique index of auditEvents.append().
+ */
+const state = defineAppState(() => ({ queue: Promise.resolve() }));
+
+/**
+ * Appends attempted when other instances keep winning the race
+ * for the end of the chain.
+ */
+const MAX_APPEND_ATTEMPTS = 5;
+
+/**
+ * Computes the hash of an event.
+ *
+ * Fields are hashed in a fixed order so the result
+ * does not depend on object key ordering.
+ *
+ * @param {Object} event - audit_events row (without hash)
+ * @returns {string} Hex-encoded SHA-256
+ */
+function computeHash(event) {
+    const content = JSON.stringify([
+        event.prevHash,
+        event.eventType,
+        event.actorId,
+        event.actorUsername,
+        event.targetId,
+        event.ip,
+        event.userAgent,
+        event.requestId,
+        event.details,
+        event.createdAt
+    ]);
+
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Writes one event at the end of the chain.
+ *
+ * @param {Object} event - Event fields
+ */
+async function append(event) {
+    const { auditEvents } = getRepositories();
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await auditEvents.append((lastHash) => {
+                const row = { ...event, prevHash: lastHash ?? GENESIS_HASH };
+                return { ...row, hash: computeHash(row) };
+            });
+        } catch (err) {
+            /**
+             * Another instance linked an event to the same
+             * previous hash first: link after that one instead.
+             */
+            if (!isUniqueViolation(err) || attempt === MAX_APPEND_ATTEMPTS) {
+                throw err;
+            }
+        }
+    }
+}
+
+/**
+ * Records an audit event for the current request.
+ *
+ * Never throws: a failure to write the audit log is reported
+ * server-side but does not break the request being audited.
+ *
+ * During an impersonation (actor.actor set by verifyToken), the
+ * event is attributed to the admin, and the impersonated user is
+ * added to the details (impersonatedUser).
+ *
+ * The event belongs to the organization named in the details, by
+ * default the one of the actor's token; events without one (logins,
+ * rejected tokens) concern the account itself. The organization is
+ * kept in details.organizationId, covered by the hash chain, and
+ * copied to a column for the tenant filter of GET /admin/audit.
+ *
+ * @param {Object} req - Express request (source of IP, user agent, request id)
+ * @param {string} eventType - One of AUDIT_EVENTS
+ * @param {Object} [data]
+ * @param {Object} [data.actor] - { id, username }; defaults to req.user
+ * @param {number} [data.targetId] - User affected by the action
+ * @param {Object} [data.details] - Additional context (never secrets)
+ * @returns {Promise<void>}
+ */
+export function recordAuditEvent(req, eventType, { actor = req.user, targetId = null, details = null } = {}) {
+    const impersonator = actor?.actor;
+    const organizationId = details?.organizationId ?? actor?.organizationId ?? null;
+
+    if (impersonator) {
+        details = { ...details, impersonatedUser: { id: actor.id, username: actor.username } };
+    }
+
+    if (organizationId !== null) {
+        details = { ...details, organizationId };
+    }
+
+    const event = {
+        eventType,
+        actorId: (impersonator ?? actor)?.id ?? null,
+        actorUsername: (impersonator ?? actor)?.username ?? null,
+        targetId: targetId ?? null,
+        ip: req.ip ?? null,
+        userAgent: req.headers['user-agent'] ?? null,
+        requestId: req.id ?? null,
+        details: details ? JSON.stringify(details) : null,
+        organizationId,
+        createdAt: clock.now()
+    };
+
+    const current = state();
+
+    current.queue = current.queue
+        .then(() => append(event))
+        .catch((err) => {
+            logger.error('Audit log write failed', { err });
+        });
+
+    return current.queue;
+}
+
+/**
+ * Waits for the events recorded so far to be written
+ * (before closing the database, see app.close()).
+ *
+ * @returns {Promise<void>}
+ */
+export function flushAuditLog() {
+    return state().queue;
+}
+
+/**
+ * Queries audit events, newest first.
+ *
+ * @param {Object} filters
+ * @param {number} [filters.userId] - Matches actor or target
+ * @param {number} [filters.organizationId] - Events of the organization, and
+ *        account-level events whose actor or target is a member
+ * @param {string} [filters.eventType] - Exact type, or prefix ending with "*"
+ * @param {number} [filters.from] - Inclusive start (ms)
+ * @param {number} [filters.to] - Inclusive end (ms)
+ * @param {Object} page
+ * @param {number} page.limit - Maximum rows
+ * @param {number} [page.offset=0] - Rows to skip
+ * @returns {Promise<{ events: Object[], total: number }>}
+ */
+export async function queryAuditEvents(filters, { limit, offset = 0 }) {
+    const { rows, total } = await getRepositories().auditEvents.search(filters, { limit, offset });
+
+    return {
+        total,
+        events: rows.map((row) => ({
+            ...row,
+            details: row.details ? JSON.parse(row.details) : null
+        }))
+    };
+}
+
+/**
+ * Recomputes the whole hash chain, and checks that the organization
+ * column still matches the (hashed) details.
+ *
+ * @returns {Promise<{ valid: boolean, checked: number, brokenAt: number | null }>}
+ *          brokenAt is the id of the first row that does not match
+ */
+export async function verifyAuditChain() {
+    const rows = await getRepositories().auditEvents.listAll();
+    let prevHash = GENESIS_HASH;
+
+    for (const row of rows) {
+        const { organizationId } = row.details ? JSON.parse(row.details) : {};
+
+        if (row.prevHash !== prevHash || computeHash(row) !== row.hash || row.organizationId !== (Number.isInteger(organizationId) ? organizationId : null)) {
+            return { valid: false, checked: rows.length, brokenAt: row.id };
+        }
+        prevHash = row.hash;
+    }
+
+    return { valid: true, checked: rows.length, brokenAt: null };
+}
@@ -0,0 +1,221 @@
+/**
+ * Cookie authentication
+ *
+ * Optional alternative to handing the tokens to JavaScript, where
+ * an XSS flaw in the frontend could read them (AUTH_COOKIES=true,
+ * see config/env.js). A browser logging in with "useCookies": true
+ * receives, instead of the token and refreshToken response fields:
+ *
+ * - access_token: the JWT access token, HttpOnly, sent on every request
+ *   (accepted by middlewares/verifyToken.js when there is no
+ *   Authorization header)
+ * - refresh_token: the refresh token, HttpOnly, only sent to /auth
+ * - XSRF-TOKEN: the CSRF token, readable by JavaScript
+ *
+ * The browser attaches cookies to requests forged by other sites too,
+ * so state-changing requests authenticated by a cookie must repeat the
+ * CSRF token in the X-XSRF-TOKEN header (double-submit). The token is
+ * an HMAC of the session id keyed with CSRF_SECRET: a cookie planted
+ * by another subdomain, for another session, does not pass either.
+ *
+ * Cookie and header names are the defaults of Angular's HttpClient.
+ * The CSRF token is also returned in the response body (csrfToken),
+ * for frontends on another domain, which cannot read the API cookies.
+ */
+
+import crypto from 'crypto';
+import { getConfig } from '../config/env.js';
+import { BadRequestError } from '../utils/httpErrors.js';
+
+export const ACCESS_COOKIE = 'access_token';
+export const REFRESH_COOKIE = 'refresh_token';
+export const CSRF_COOKIE = 'XSRF-TOKEN';
+export const CSRF_HEADER = 'X-XSRF-TOKEN';
+
+/**
+ * The refresh token is only useful to POST /auth/refresh and /auth/logout.
+ */
+const REFRESH_COOKIE_PATH = '/auth';
+
+/**
+ * Methods that must not change state, hence need no CSRF token.
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * @returns {boolean} true when AUTH_COOKIES is enabled
+ */
+export function isCookieAuthEnabled() {
+    return getConfig().cookies !== null;
+}
+
+/**
+ * Reads a cookie of the request. Cookies are ignored
+ * entirely while cookie authentication is disabled.
+ *
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string | undefined} Decoded value
+ */
+export function readCookie(req, name) {
+    if (!isCookieAuthEnabled()) {
+        return undefined;
+    }
+
+    return parseCookie(req, name);
+}
+
+/**
+ * Reads a cookie of the request, whether or not cookie
+ * authentication is enabled (e.g. the CSRF cookie of the
+ * OpenID Connect login page).
+ *
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string | undefined} Decoded value
+ */
+export function parseCookie(req, name) {
+    for (const pair of (req.headers.cookie ?? '').split(';')) {
+        const separator = pair.indexOf('=');
+
+        if (separator < 0 || pair.slice(0, separator).trim() !== name) {
+            continue;
+        }
+
+        const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+        try {
+            return decodeURIComponent(value) || undefined;
+        } catch {
+            return undefined;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Whether a login request asked for cookies ("useCookies": true).
+ *
+ * @param {Object} req - Express request (validated body)
+ * @returns {boolean}
+ * @throws {BadRequestError} when cookies are asked for but disabled
+ */
+export function wantsCookies(req) {
+    if (!req.body.useCookies) {
+        return false;
+    }
+
+    if (!isCookieAuthEnabled()) {
+        throw new BadRequestError('cookie_auth_disabled', 'Cookie authentication is not enabled on this server');
+    }
+
+    return true;
+}
+
+/**
+ * @param {string} sessionId
+ * @returns {string} CSRF token of the session (same value for its whole life)
+ */
+function csrfTokenFor(sessionId) {
+    return crypto
+        .createHmac('sha256', getConfig().cookies.csrfSecret)
+        .update(sessionId)
+        .digest('base64url');
+}
+
+/**
+ * Double-submit check: the X-XSRF-TOKEN header must be present, equal
+ * to the XSRF-TOKEN cookie, and be the token of the session.
+ * Safe methods (GET, HEAD, OPTIONS) always pass.
+ *
+ * @param {Object} req - Express request
+ * @param {string} [sessionId] - Session of the cookie credentials
+ * @returns {boolean}
+ */
+export function isCsrfValid(req, sessionId) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return true;
+    }
+
+    const header = req.get(CSRF_HEADER);
+
+    if (!sessionId || !header || header !== readCookie(req, CSRF_COOKIE)) {
+        return false;
+    }
+
+    const expected = Buffer.from(csrfTokenFor(sessionId));
+    const presented = Buffer.from(header);
+
+    return presented.length === expected.length && crypto.timingSafeEqual(presented, expected);
+}
+
+/**
+ * Attributes shared by every cookie (COOKIE_SAMESITE, COOKIE_SECURE,
+ * COOKIE_DOMAIN), for setting and for clearing.
+ *
+ * @param {string} name
+ * @returns {Object} res.cookie() options
+ */
+function cookieOptions(name) {
+    const { sameSite, secure, domain } = getConfig().cookies;
+
+    return {
+        httpOnly: name !== CSRF_COOKIE,
+        secure,
+        sameSite,
+        domain,
+        path: name === REFRESH_COOKIE ? REFRESH_COOKIE_PATH : '/'
+    };
+}
+
+/**
+ * Sends the result of a login, refresh, password change,
+ * organization switch or impersonation.
+ *
+ * In cookie mode the tokens are set as cookies and removed from the
+ * body, which gets the CSRF token of the session instead. Otherwise
+ * the body is sent as is.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} body - Response with token, sessionId and optionally refreshToken
+ * @param {boolean} cookieMode
+ * @param {Object} [options]
+ * @param {number} [options.ttlSeconds] - Lifetime of the access token
+ *        (default ACCESS_TOKEN_TTL)
+ */
+export function sendTokens(res, body, cookieMode, { ttlSeconds } = {}) {
+    if (!cookieMode) {
+        return res.json(body);
+    }
+
+    const { token, refreshToken, ...rest } = body;
+    const { accessTtlSeconds, refreshTtlSeconds } = getConfig().tokens;
+    const csrfToken = csrfTokenFor(body.sessionId);
+
+    res.cookie(ACCESS_COOKIE, token, { ...cookieOptions(ACCESS_COOKIE), maxAge: (ttlSeconds ?? accessTtlSeconds) * 1000 });
+
+    if (refreshToken) {
+        res.cookie(REFRESH_COOKIE, refreshToken, { ...cookieOptions(REFRESH_COOKIE), maxAge: refreshTtlSeconds * 1000 });
+    }
+
+    res.cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions(CSRF_COOKIE), maxAge: refreshTtlSeconds * 1000 });
+
+    res.json({ ...rest, csrfToken });
+}
+
+/**
+ * Removes the authentication cookies (logout).
+ *
+ * @param {Object} res - Express response
+ * @param {string[]} [names] - Cookies to remove (default: all of them)
+ */
+export function clearAuthCookies(res, names = [ACCESS_COOKIE, REFRESH_COOKIE, CSRF_COOKIE]) {
+    if (!isCookieAuthEnabled()) {
+        return;
+    }
+
+    for (const name of names) {
+        res.clearCookie(name, cookieOptions(name));
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Authentication providers
+ *
+ * Chain of password checkers used by the login
+ * (verifyPassword in services/authService.js), tried in order.
+ * Selected with AUTH_PROVIDERS, a comma-separated list:
+ *
+ * - local → bcrypt hashes of the users table (default)
+ * - ldap  → LDAP / Active Directory bind, configured with LDAP_*
+ *
+ * e.g. AUTH_PROVIDERS=local,ldap
+ *
+ * A provider is any object exposing:
+ *   name
+ *   authenticate(username, password) → Promise<result | null>
+ *
+ * result:
+ * - { status: 'success', user }: users row of the authenticated account
+ * - { status: 'failure', user, reason }: the provider knows the username
+ *   but refused the login (user is null when it has no local row yet)
+ * - null: unknown username, the next provider is asked
+ */
+
+import { createLocalProvider } from './localProvider.js';
+import { createLdapProvider } from './ldapProvider.js';
+import { getConfig } from '../../config/env.js';
+import { defineAppState } from '../../utils/appContext.js';
+
+/**
+ * Chain of each app.
+ */
+const state = defineAppState(() => ({ providers: undefined }));
+
+/**
+ * Builds the chain selected by the configuration
+ * (the LDAP settings are validated by config/env.js).
+ *
+ * @returns {Object[]} Providers
+ */
+function createConfiguredProviders() {
+    const { names, ldap } = getConfig().authProviders;
+
+    return names.map((name) => (name === 'ldap'
+        ? createLdapProvider(ldap)
+        : createLocalProvider()));
+}
+
+/**
+ * Replaces the provider chain (useful for tests or custom providers).
+ *
+ * Called by createApp(): the configured chain is built right away,
+ * so configuration errors stop the startup instead of the first login.
+ *
+ * @param {Object[]} [customProviders] - Providers, in order.
+ *        Omit to go back to the chain selected by AUTH_PROVIDERS.
+ */
+export function setAuthProviders(customProviders) {
+    state().providers = customProviders ?? createConfiguredProviders();
+}
+
+/**
+ * Asks each provider in turn to check a username and password.
+ *
+ * @param {string} username - Submitted username
+ * @param {string} password - Submitted password
+ * @returns {Promise<Object | null>} Result of the first provider that
+ *          knows the username, null when none does
+ * @throws {HttpError} when a provider cannot answer (e.g. 503 directory_unavailable)
+ */
+export async function authenticate(username, password) {
+    const current = state();
+
+    current.providers ??= createConfiguredProviders();
+
+    for (const provider of current.providers) {
+        const result = await provider.authenticate(username, password);
+
+        if (result) {
+            return result;
+        }
+    }
+
+    return null;
+}
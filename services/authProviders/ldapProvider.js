@@ -0,0 +1,281 @@
+/**
+ * LDAP / Active Directory authentication provider
+ *
+ * Login steps:
+ * 1. bind with the service account (or anonymously)
+ * 2. search the user entry: LDAP_USER_FILTER under LDAP_BASE_DN
+ * 3. bind as that entry with the submitted password
+ * 4. map the entry's groups to a role
+ * 5. create or update the local users row ("just-in-time" provisioning)
+ *
+ * The local row keeps everything this backend owns (id, sessions,
+ * MFA, disabled flag); username, email and role come from the
+ * directory and are refreshed at every login. The role is the one
+ * in the organization LDAP_ORGANIZATION; memberships of other
+ * organizations are managed by admins, not by the directory. Such accounts have
+ * authProvider = "ldap" and no password hash: their password can
+ * only be changed in the directory.
+ *
+ * A directory entry never takes over a local account
+ * with the same username.
+ */
+
+import { Client, Filter, InvalidCredentialsError } from 'ldapts';
+import { getRepositories } from '../../repositories/index.js';
+import { bumpTokenVersion } from '../tokenRevocationService.js';
+import { getOrganizationBySlug } from '../organizationService.js';
+import { isUniqueViolation } from '../../db/errors.js';
+import { ROLES } from '../../utils/roles.js';
+import { ServiceUnavailableError } from '../../utils/httpErrors.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Normalizes a DN for comparison: attribute names and values are
+ * case-insensitive, spaces around separators are not significant.
+ *
+ * @param {string} dn - Distinguished name
+ * @returns {string}
+ */
+export function normalizeDn(dn) {
+    return dn
+        .split(',')
+        .map((rdn) => rdn.split('=').map((part) => part.trim()).join('='))
+        .join(',')
+        .toLowerCase();
+}
+
+/**
+ * Attribute values come back as a string or an array of strings.
+ *
+ * @param {string | string[] | undefined} value
+ * @returns {string[]}
+ */
+function toList(value) {
+    if (value === undefined) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Creates the provider.
+ *
+ * @param {Object} settings
+ * @param {string} settings.url - ldap:// or ldaps:// URL
+ * @param {string} [settings.bindDn] - Service account (anonymous search when omitted)
+ * @param {string} [settings.bindPassword]
+ * @param {string} settings.baseDn - Subtree searched for users
+ * @param {string} settings.userFilter - Search filter, "{{username}}" is replaced
+ *        by the escaped username, e.g. "(uid={{username}})"
+ * @param {string} settings.usernameAttribute - Canonical username of the entry
+ * @param {string} settings.emailAttribute - Copied to users.email
+ * @param {string} settings.groupAttribute - Group DNs of the entry (memberOf)
+ * @param {Object<string, string[]>} settings.roleGroups - role → group DNs;
+ *        the highest role with a matching group wins
+ * @param {string | null} settings.defaultRole - Role of users in no mapped
+ *        group (null: they cannot log in)
+ * @param {string} settings.organization - Slug of the organization
+ *        directory users are members of
+ * @param {boolean} [settings.startTls] - Upgrade ldap:// connections with StartTLS
+ * @param {number} settings.timeoutMs - Connection and operation timeout
+ * @param {Object} [options]
+ * @param {Function} [options.createClient] - Builds an ldapts-compatible client
+ *        from { url, timeout, connectTimeout } (see memoryDirectory.js)
+ * @returns {Object} Authentication provider (see index.js)
+ */
+export function createLdapProvider(settings, { createClient = (options) => new Client(options) } = {}) {
+
+    /**
+     * Role granted by the groups of an entry.
+     *
+     * @param {string[]} groups - Group DNs
+     * @returns {string | null}
+     */
+    function resolveRole(groups) {
+        const memberOf = new Set(groups.map(normalizeDn));
+
+        for (const role of [...ROLES].reverse()) {
+            const mapped = settings.roleGroups[role] ?? [];
+
+            if (mapped.some((dn) => memberOf.has(normalizeDn(dn)))) {
+                return role;
+            }
+        }
+
+        return settings.defaultRole;
+    }
+
+    /**
+     * Finds the entry of a username.
+     *
+     * @returns {Promise<Object | null>} Search entry, null when the
+     *          username matches no entry (or, ambiguously, several)
+     */
+    async function findEntry(client, username) {
+        const { searchEntries } = await client.search(settings.baseDn, {
+            scope: 'sub',
+            filter: settings.userFilter.replaceAll('{{username}}', Filter.escape(username)),
+            attributes: [settings.usernameAttribute, settings.emailAttribute, settings.groupAttribute]
+        });
+
+        if (searchEntries.length > 1) {
+            logger.warn('LDAP filter matches several entries, login refused', { username, entries: searchEntries.length });
+        }
+
+        return searchEntries.length === 1 ? searchEntries[0] : null;
+    }
+
+    /**
+     * Checks a password by binding as the entry.
+     *
+     * @returns {Promise<boolean>} false when the directory rejects it
+     */
+    async function bindAs(client, dn, password) {
+        try {
+            await client.bind(dn, password);
+            return true;
+        } catch (err) {
+            if (err instanceof InvalidCredentialsError) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * Creates or refreshes the local row of a directory user
+     * and its membership of the directory's organization.
+     *
+     * An email address already used by another account is not copied.
+     * A role change invalidates the access tokens issued with the old role.
+     *
+     * @param {Object | undefined} existing - Current row
+     * @param {{ username: string, email: string | null, role: string }} profile
+     * @returns {Promise<Object>} users row
+     */
+    async function provisionUser(existing, profile) {
+        const { users, organizations } = getRepositories();
+        const organization = await getOrganizationBySlug(settings.organization);
+
+        /**
+         * Runs a write with the directory email, and again
+         * with the current one when that email is taken.
+         */
+        const withEmail = async (save) => {
+            try {
+                return await save(profile.email);
+            } catch (err) {
+                if (!isUniqueViolation(err) || !profile.email) {
+                    throw err;
+                }
+
+                logger.warn('Email of directory user belongs to another account, not copied', { username: profile.username });
+                return save(existing?.email ?? null);
+            }
+        };
+
+        if (!existing) {
+            return withEmail((email) => users.create({
+                ...profile,
+                email,
+                passwordHashed: null,
+                organizationId: organization.id,
+                authProvider: 'ldap'
+            }));
+        }
+
+        if (existing.email !== profile.email) {
+            await withEmail((email) => users.updateEmail(existing.id, email));
+        }
+
+        const membership = await organizations.findMembership(existing.id, organization.id);
+
+        if (membership?.role !== profile.role) {
+            if (!await organizations.setMemberRole(organization.id, existing.id, profile.role)) {
+                logger.warn('Directory user is the last admin, role kept', { username: profile.username });
+            } else if (membership) {
+                await bumpTokenVersion(existing.id);
+            }
+        }
+
+        return users.findById(existing.id);
+    }
+
+    return {
+        name: 'ldap',
+
+        async authenticate(username, password) {
+            const client = createClient({
+                url: settings.url,
+                timeout: settings.timeoutMs,
+                connectTimeout: settings.timeoutMs
+            });
+
+            /**
+             * Runs a directory operation; connection and server
+             * errors are reported as 503, not as bad credentials.
+             */
+            const directory = async (operation) => {
+                try {
+                    return await operation();
+                } catch (err) {
+                    logger.error('LDAP authentication failed', { err });
+                    throw new ServiceUnavailableError('directory_unavailable', 'The user directory is unavailable');
+                }
+            };
+
+            let entry;
+            let canonical;
+            let existing;
+            let accepted;
+
+            try {
+                if (settings.startTls) {
+                    await directory(() => client.startTLS());
+                }
+
+                if (settings.bindDn) {
+                    await directory(() => client.bind(settings.bindDn, settings.bindPassword));
+                }
+
+                entry = await directory(() => findEntry(client, username));
+
+                if (!entry) {
+                    return null;
+                }
+
+                canonical = toList(entry[settings.usernameAttribute])[0] ?? username;
+                existing = await getRepositories().users.findByUsername(canonical);
+
+                if (existing && existing.authProvider !== 'ldap') {
+                    logger.warn('Directory user matches a local account, ignored', { username: canonical });
+                    return null;
+                }
+
+                /**
+                 * An empty password would be an "unauthenticated bind",
+                 * which many servers accept without any check (RFC 4513 section 5.1.2).
+                 */
+                accepted = Boolean(password) && await directory(() => bindAs(client, entry.dn, password));
+            } finally {
+                await client.unbind().catch(() => {});
+            }
+
+            if (!accepted) {
+                return { status: 'failure', user: existing ?? null, reason: 'bad_password' };
+            }
+
+            const role = resolveRole(toList(entry[settings.groupAttribute]));
+
+            if (!role) {
+                return { status: 'failure', user: existing ?? null, reason: 'no_mapped_group' };
+            }
+
+            const user = await provisionUser(existing, {
+                username: canonical,
+                email: toList(entry[settings.emailAttribute])[0] ?? null,
+                role
+            });
+
+            return { status: 'success', user };
+        }
+    };
+}
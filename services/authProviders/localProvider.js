@@ -0,0 +1,35 @@
+/**
+ * Local authentication provider
+ *
+ * Checks the password against the bcrypt hash stored
+ * in the users table (accounts with authProvider = "local").
+ */
+
+import bcrypt from 'bcrypt';
+import { getRepositories } from '../../repositories/index.js';
+
+/**
+ * @returns {Object} Authentication provider (see index.js)
+ */
+export function createLocalProvider() {
+    return {
+        name: 'local',
+
+        async authenticate(username, password) {
+            const user = await getRepositories().users.findByUsername(username);
+
+            /**
+             * Accounts of other providers are left to them.
+             */
+            if (!user || user.authProvider !== 'local') {
+                return null;
+            }
+
+            if (!user.passwordHashed || !await bcrypt.compare(password, user.passwordHashed)) {
+                return { status: 'failure', user, reason: 'bad_password' };
+            }
+
+            return { status: 'success', user };
+        }
+    };
+}
@@ -0,0 +1,72 @@
+/**
+ * In-memory LDAP directory
+ *
+ * Stand-in for an LDAP server: implements the part of the
+ * ldapts Client used by ldapProvider.js (startTLS, bind,
+ * search, unbind) on top of a list of entries, so the LDAP
+ * login can run without a directory server (tests, demos).
+ *
+ * Usage:
+ *   const provider = createLdapProvider(settings, {
+ *       createClient: createMemoryDirectory([
+ *           {
+ *               dn: 'uid=jdoe,ou=people,dc=example,dc=com',
+ *               password: 'secret',
+ *               attributes: {
+ *                   uid: 'jdoe',
+ *                   mail: 'jdoe@example.com',
+ *                   memberOf: ['cn=advisors,ou=groups,dc=example,dc=com']
+ *               }
+ *           }
+ *       ])
+ *   });
+ *
+ * Search filters are evaluated by ldapts; multi-valued
+ * attributes are matched on their first value only.
+ */
+
+import { FilterParser, InvalidCredentialsError } from 'ldapts';
+import { normalizeDn } from './ldapProvider.js';
+
+/**
+ * @param {Array<{ dn: string, password?: string, attributes: Object }>} entries
+ * @returns {Function} createClient option of createLdapProvider()
+ */
+export function createMemoryDirectory(entries) {
+    return () => ({
+        async startTLS() {},
+
+        /**
+         * Entries without a password cannot bind (like
+         * accounts without userPassword on a real server).
+         */
+        async bind(dn, password) {
+            const entry = entries.find((candidate) => normalizeDn(candidate.dn) === normalizeDn(dn));
+
+            if (!entry?.password || entry.password !== password) {
+                throw new InvalidCredentialsError();
+            }
+        },
+
+        async search(baseDn, { filter, attributes = [] }) {
+            const parsed = FilterParser.parseString(filter);
+            const base = normalizeDn(baseDn);
+
+            const searchEntries = entries
+                .filter(({ dn }) => normalizeDn(dn) === base || normalizeDn(dn).endsWith(`,${base}`))
+                .filter((entry) => parsed.matches(Object.fromEntries(
+                    Object.entries(entry.attributes).map(([name, value]) => [name, [].concat(value)[0]])
+                )))
+                .map((entry) => ({
+                    dn: entry.dn,
+                    ...Object.fromEntries(attributes
+                        .filter((name) => name in entry.attributes)
+                        .map((name) => [name, entry.attributes[name]]))
+                }));
+
+            return { searchEntries, searchReferences: [] };
+        },
+
+        async unbind() {}
+    });
+}
@@ -0,0 +1,340 @@
+/**
+ * Authentication service
+ *
+ * Login steps shared by every entry point that authenticates
+ * users: the JSON API (POST /auth/login, POST /auth/mfa/verify)
+ * and the OpenID Connect login page (GET/POST /oauth/authorize).
+ *
+ * - verifyPassword: first factor, with brute-force protection
+ * - resolveMfaChallenge: user behind an MFA challenge token
+ * - verifyLoginSecondFactor: TOTP / recovery code
+ * - verifyCurrentPassword: re-authentication before a password change
+ * - recordLoginSuccess: bookkeeping once both steps passed
+ * - completeLogin: session and tokens of the new login
+ * - renewAccessToken: access token of an existing session (refresh)
+ *
+ * The check functions throw HttpError subclasses; callers decide
+ * how to present them (problem+json or an HTML page).
+ */
+
+import bcrypt from 'bcrypt';
+import { getRepositories } from '../repositories/index.js';
+import { generateToken, verifyMfaToken } from '../utils/generateToken.js';
+import { sleep } from '../utils/sleep.js';
+import { issueRefreshToken } from './refreshTokenService.js';
+import { createSession, findActiveSession, setSessionOrganization } from './sessionService.js';
+import { resolvePrincipal } from './organizationService.js';
+import { verifySecondFactor } from './mfaService.js';
+import { authenticate } from './authProviders/index.js';
+import {
+    reserveLoginAttempt,
+    releaseLoginAttempt,
+    resetLoginFailures,
+    loginBlockedError
+} from './loginThrottle.js';
+import { recordAuditEvent, AUDIT_EVENTS } from './auditLog.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/httpErrors.js';
+import { loginAttempts } from '../utils/metrics.js';
+
+/**
+ * Records a failed attempt, applies the progressive delay
+ * and throws the generic credentials error.
+ *
+ * The attempt itself was already counted by reserveAttempt.
+ *
+ * @param {string} reason - Audit detail ("unknown_user", "bad_password", "no_mapped_group")
+ * @param {number} delay - Progressive delay (ms), from reserveAttempt
+ * @throws {UnauthorizedError} always
+ */
+async function rejectCredentials(req, username, user, reason, delay) {
+    recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+        actor: { id: user?.id, username },
+        targetId: user?.id,
+        details: { reason }
+    });
+    loginAttempts.inc({ result: 'failure', reason });
+
+    await sleep(delay);
+
+    throw new UnauthorizedError('invalid_credentials', 'Invalid credentials');
+}
+
+/**
+ * Counts the attempt against the brute-force limits, or rejects
+ * it when the account or the client IP is locked.
+ *
+ * @param {Object} req - Express request
+ * @param {{ id?: number, username: string }} actor - User (or submitted username)
+ * @param {Object} [details] - Extra audit details
+ * @returns {Promise<number>} Delay (ms) to apply if the attempt fails
+ * @throws {LockedError | TooManyRequestsError}
+ */
+async function reserveAttempt(req, actor, details = {}) {
+    const attempt = await reserveLoginAttempt(actor.username, req.ip);
+
+    if (!attempt.allowed) {
+        recordAuditEvent(req, AUDIT_EVENTS.LOGIN_LOCKED, {
+            actor,
+            targetId: actor.id,
+            details: { reason: attempt.reason, retryAfter: attempt.retryAfter, ...details }
+        });
+        loginAttempts.inc({ result: 'blocked', reason: attempt.reason });
+
+        throw loginBlockedError(attempt);
+    }
+
+    return attempt.delay;
+}
+
+/**
+ * Password step of a login.
+ *
+ * 1. Reject locked accounts / throttled IPs before any password check,
+ *    otherwise count the attempt
+ * 2. Check the password with the authentication providers
+ *    (local bcrypt hash, LDAP directory... see services/authProviders)
+ *    Failures are delayed progressively; a right password gives
+ *    the attempt back.
+ * 3. Reject disabled accounts and accounts without organization
+ *
+ * Failure counters are NOT reset here: for MFA-enabled accounts
+ * the second factor still has to be checked.
+ *
+ * @param {Object} req - Express request (IP, audit context)
+ * @param {string} username - Submitted username
+ * @param {string} password - Submitted password
+ * @returns {Promise<Object>} users row
+ * @throws {UnauthorizedError | ForbiddenError | LockedError | TooManyRequestsError | ServiceUnavailableError}
+ */
+export async function verifyPassword(req, username, password) {
+    const delay = await reserveAttempt(req, { username });
+
+    const result = await authenticate(username, password);
+
+    /**
+     * Unknown users and wrong passwords get the same
+     * generic error, so valid usernames are not leaked.
+     */
+    if (!result) {
+        return rejectCredentials(req, username, null, 'unknown_user', delay);
+    }
+
+    if (result.status !== 'success') {
+        return rejectCredentials(req, username, result.user, result.reason, delay);
+    }
+
+    const { user } = result;
+
+    await releaseLoginAttempt(username, req.ip);
+
+    /**
+     * Checked after the password so the response does not
+     * reveal account state to someone guessing credentials.
+     */
+    if (user.disabled) {
+        recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+            actor: user,
+            targetId: user.id,
+            details: { reason: 'account_disabled' }
+        });
+        loginAttempts.inc({ result: 'failure', reason: 'account_disabled' });
+
+        throw new ForbiddenError('account_disabled', 'Account disabled');
+    }
+
+    if (!await resolvePrincipal(user)) {
+        recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+            actor: user,
+            targetId: user.id,
+            details: { reason: 'no_organization' }
+        });
+        loginAttempts.inc({ result: 'failure', reason: 'no_organization' });
+
+        throw noOrganizationError();
+    }
+
+    return user;
+}
+
+/**
+ * @returns {ForbiddenError} Error of accounts that belong to no organization
+ */
+function noOrganizationError() {
+    return new ForbiddenError('no_organization', 'The account does not belong to any organization');
+}
+
+/**
+ * Loads the user of an MFA challenge token (issued by the password step).
+ *
+ * @param {string} mfaToken - Challenge token
+ * @returns {Promise<{ user: Object, deviceLabel?: string }>}
+ * @throws {UnauthorizedError} when the token is invalid or expired, or
+ *         the account was disabled / lost MFA since the password step
+ */
+export async function resolveMfaChallenge(mfaToken) {
+    const challenge = await verifyMfaToken(mfaToken);
+
+    const user = challenge
+        ? await getRepositories().users.findById(challenge.userId)
+        : null;
+
+    if (!user || user.disabled || !user.mfaEnabled) {
+        throw new UnauthorizedError('invalid_mfa_token', 'Invalid or expired MFA token');
+    }
+
+    return { user, deviceLabel: challenge.deviceLabel };
+}
+
+/**
+ * Second step of a login for MFA-enabled accounts.
+ *
+ * Failed codes count towards the same brute-force limits as
+ * failed passwords, so the code cannot be guessed indefinitely.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} user - User that passed the password step
+ * @param {{ code?: string, recoveryCode?: string }} factors
+ * @throws {UnauthorizedError | LockedError | TooManyRequestsError}
+ */
+export async function verifyLoginSecondFactor(req, user, { code, recoveryCode }) {
+    const delay = await reserveAttempt(req, user, { step: 'mfa' });
+
+    if (!await verifySecondFactor(user, { code, recoveryCode })) {
+        recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+            actor: user,
+            targetId: user.id,
+            details: { reason: 'bad_mfa_code', factor: code ? 'totp' : 'recovery_code' }
+        });
+        loginAttempts.inc({ result: 'failure', reason: 'bad_mfa_code' });
+
+        await sleep(delay);
+
+        throw new UnauthorizedError('invalid_mfa_code', 'Invalid verification code');
+    }
+
+    await releaseLoginAttempt(user.username, req.ip);
+}
+
+/**
+ * Re-authentication of a logged-in user (password change).
+ *
+ * Counts towards the same brute-force limits as logins, so a stolen
+ * access token cannot be used to guess the current password.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} user - Authenticated user
+ * @param {string} password - Submitted current password
+ * @throws {UnauthorizedError | LockedError | TooManyRequestsError}
+ */
+export async function verifyCurrentPassword(req, user, password) {
+    const delay = await reserveAttempt(req, user, { step: 'password_change' });
+
+    if (!await bcrypt.compare(password, user.passwordHashed)) {
+        recordAuditEvent(req, AUDIT_EVENTS.LOGIN_FAILURE, {
+            actor: user,
+            targetId: user.id,
+            details: { reason: 'bad_password', step: 'password_change' }
+        });
+        loginAttempts.inc({ result: 'failure', reason: 'bad_password' });
+
+        await sleep(delay);
+
+        throw new UnauthorizedError('invalid_current_password', 'Current password is incorrect');
+    }
+
+    await releaseLoginAttempt(user.username, req.ip);
+}
+
+/**
+ * Forgets previous failures of a fully authenticated
+ * user and records the login in the audit log.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} user - Authenticated user
+ * @param {Object} details - Audit details, e.g. { method: 'password' }
+ */
+export async function recordLoginSuccess(req, user, details) {
+    await resetLoginFailures(user.username);
+
+    recordAuditEvent(req, AUDIT_EVENTS.LOGIN_SUCCESS, {
+        actor: user,
+        targetId: user.id,
+        details
+    });
+    loginAttempts.inc({ result: 'success' });
+}
+
+/**
+ * Starts a session and builds the response body of a new login.
+ *
+ * - refresh token (starts a new token family)
+ * - session record, identified by the family id, acting
+ *   in one organization (see services/organizationService.js)
+ * - JWT access token (short-lived, bound to the session)
+ *
+ * Sensitive information such as password hashes
+ * is NEVER returned to the client.
+ *
+ * @param {Object} user - Authenticated users row
+ * @param {Object} client - Device details (see clientFromRequest in sessionService.js)
+ * @param {number | null} [organizationId] - Organization to act in
+ *        (default: the user's first organization)
+ * @returns {Promise<Object>} Login response body
+ * @throws {ForbiddenError} when the user belongs to no organization
+ */
+export async function completeLogin(user, client, organizationId = null) {
+    const principal = await resolvePrincipal(user, organizationId);
+
+    if (!principal) {
+        throw noOrganizationError();
+    }
+
+    const refreshToken = await issueRefreshToken(user.id);
+
+    await createSession(user.id, {
+        id: refreshToken.familyId,
+        expiresAt: refreshToken.expiresAt,
+        organizationId: principal.organizationId
+    }, client);
+
+    const token = await generateToken(principal, refreshToken.familyId);
+
+    return {
+        id: user.id,
+        username: user.username,
+        organizationId: principal.organizationId,
+        role: principal.role,
+        sessionId: refreshToken.familyId,
+        token: token,
+        refreshToken: refreshToken.token,
+        refreshTokenExpiresAt: refreshToken.expiresAt
+    };
+}
+
+/**
+ * Issues a new access token for an existing session
+ * (refresh token rotation, OpenID Connect refresh_token grant).
+ *
+ * The token is issued for the organization of the session. When the
+ * user has left it meanwhile, the session falls back to the user's
+ * first organization.
+ *
+ * @param {Object} user - users row, reloaded so role changes are picked up
+ * @param {string} sessionId - Refresh token family
+ * @returns {Promise<{ principal: Object, token: string } | null>}
+ *          null when the user belongs to no organization anymore
+ */
+export async function renewAccessToken(user, sessionId) {
+    const session = await findActiveSession(user.id, sessionId);
+    const principal = await resolvePrincipal(user, session?.organizationId);
+
+    if (!principal) {
+        return null;
+    }
+
+    if (session && session.organizationId !== principal.organizationId) {
+        await setSessionOrganization(sessionId, principal.organizationId);
+    }
+
+    return { principal, token: await generateToken(principal, sessionId) };
+}
@@ -0,0 +1,67 @@
+/**
+ * Client access policy
+ *
+ * Roles say what kind of data a user may see; this module says
+ * WHOSE data. Within the organization of the token:
+ *
+ * - admin   → every member
+ * - advisor → the clients assigned to them (advisor_clients, managed
+ *             with the /admin/advisors/:id/clients endpoints)
+ * - user    → themself only
+ *
+ * Everyone can reach their own record. Used by the
+ * authorizeResource middleware (middlewares/authorizeResource.js).
+ *
+ * Also holds the client representation shared by /data/clients
+ * and /admin/advisors/:id/clients (toPublicClient).
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { roleSatisfies } from '../utils/roles.js';
+
+/**
+ * Maps a users row with its role to the representation returned by the API.
+ *
+ * @param {Object} row - users row joined with memberships.role
+ *        (and assignedAt, in an advisor's book)
+ * @returns {Object} Public client object
+ */
+export function toPublicClient(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        role: row.role,
+        disabled: Boolean(row.disabled),
+        assignedAt: row.assignedAt
+    };
+}
+
+/**
+ * Whether the authenticated user may read the client's data.
+ *
+ * Clients of other organizations are never reachable: for admins
+ * the client must be a member, for advisors the assignment belongs
+ * to the organization of the token.
+ *
+ * @param {Object} user - req.user
+ * @param {number} clientId - users.id of the client
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessClient(user, clientId) {
+    const { organizations, advisorClients } = getRepositories();
+
+    if (user.id === clientId) {
+        return true;
+    }
+
+    if (roleSatisfies(user.role, 'admin')) {
+        return Boolean(await organizations.findMember(user.organizationId, clientId));
+    }
+
+    if (roleSatisfies(user.role, 'advisor')) {
+        return advisorClients.isAssigned(user.organizationId, user.id, clientId);
+    }
+
+    return false;
+}
@@ -0,0 +1,132 @@
+/**
+ * Health service
+ *
+ * Answers the two questions asked by orchestrators (Render,
+ * Kubernetes, load balancers):
+ *
+ * - liveness: is the process running? (restart it otherwise)
+ * - readiness: can it serve requests right now? (stop routing
+ *   traffic to it otherwise)
+ *
+ * Readiness checks:
+ * - database: answers a trivial query
+ * - migrations: none pending (the schema matches the code)
+ * - signingKey: a key is available to sign tokens
+ *
+ * Once shutdown has begun (index.js), readiness fails so traffic
+ * drains away while in-flight requests complete.
+ */
+
+import { getMigrationStatus } from '../db/migrator.js';
+import { getActiveKeyInfo } from './keyStore.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Time allowed to each check before it is reported as failed.
+ */
+const CHECK_TIMEOUT_MS = 2000;
+
+/**
+ * Database adapter of each app, and whether
+ * it is shutting down.
+ */
+const state = defineAppState(() => ({ database: undefined, shuttingDown: false }));
+
+/**
+ * Installs the database checked by readiness.
+ *
+ * Called by createApp().
+ *
+ * @param {Object} db - Database adapter
+ */
+export function initHealthChecks(db) {
+    state().database = db;
+}
+
+/**
+ * Makes readiness fail from now on (see gracefulShutdown in index.js).
+ */
+export function markShuttingDown() {
+    state().shuttingDown = true;
+}
+
+/**
+ * Runs one check with a time limit.
+ *
+ * @param {Function} check - Resolves with details, throws on failure
+ * @returns {Promise<Object>} { status: 'ok', durationMs, ...details }
+ *          or { status: 'failed', durationMs, error }
+ */
+async function runCheck(check) {
+    const start = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS} ms`)), CHECK_TIMEOUT_MS);
+    });
+
+    try {
+        const details = await Promise.race([check(), timeout]);
+        return { status: 'ok', durationMs: Date.now() - start, ...details };
+    } catch (err) {
+        return { status: 'failed', durationMs: Date.now() - start, error: err.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+async function checkDatabase() {
+    await state().database.get('SELECT 1 AS ok');
+    return {};
+}
+
+async function checkMigrations() {
+    const { pending, unknown } = await getMigrationStatus(state().database);
+
+    if (pending.length) {
+        throw new Error(`Pending migrations: ${pending.join(', ')}`);
+    }
+
+    return unknown.length ? { unknown } : {};
+}
+
+async function checkSigningKey() {
+    const key = await getActiveKeyInfo();
+
+    if (!key) {
+        throw new Error('No active signing key');
+    }
+
+    return { kid: key.kid, alg: key.alg };
+}
+
+/**
+ * @returns {{ status: 'ok', uptimeSeconds: number }}
+ */
+export function checkLiveness() {
+    return { status: 'ok', uptimeSeconds: Math.round(process.uptime()) };
+}
+
+/**
+ * Runs every readiness check (in parallel).
+ *
+ * @returns {Promise<{
+ *     status: 'ok' | 'unavailable' | 'shutting_down',
+ *     checks: { database: Object, migrations: Object, signingKey: Object }
+ * }>}
+ */
+export async function checkReadiness() {
+    const [db, migrations, signingKey] = await Promise.all([
+        runCheck(checkDatabase),
+        runCheck(checkMigrations),
+        runCheck(checkSigningKey)
+    ]);
+
+    const checks = { database: db, migrations, signingKey };
+    const healthy = Object.values(checks).every((check) => check.status === 'ok');
+
+    return {
+        status: state().shuttingDown ? 'shutting_down' : (healthy ? 'ok' : 'unavailable'),
+        checks
+    };
+}
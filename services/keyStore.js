@@ -0,0 +1,394 @@
+/**
+ * Signing key store
+ *
+ * Manages the asymmetric key pairs used to sign JWTs.
+ *
+ * Only this backend holds the private keys. Other services validate
+ * tokens with the public keys published at GET /.well-known/jwks.json,
+ * matching the "kid" (key id) header of each token.
+ *
+ * Key lifecycle:
+ * 1. active   → newest key, signs new tokens
+ * 2. retiring → replaced by a newer key; no longer signs, but still
+ *               verifies (and is still published) during the grace period
+ * 3. expired  → removed from the database and the JWKS
+ *
+ * Keys are persisted in the signing_keys table so tokens survive
+ * restarts, and rotated on a schedule (see startKeyRotation).
+ *
+ * Private keys are encrypted at rest with SIGNING_KEY_ENCRYPTION_KEY
+ * (AES-256-GCM, bound to their kid): a copy of the database alone
+ * cannot sign tokens. Keys stored in plaintext (before the variable
+ * was set) are encrypted when loaded.
+ */
+
+import crypto from 'crypto';
+import { generateKeyPair, exportJWK, importJWK } from 'jose';
+import { getRepositories } from '../repositories/index.js';
+import { getJwtSettings } from '../config/jwt.js';
+import * as clock from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * How often the rotation schedule is checked.
+ */
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Minimum time between two reloads caused by unknown kids.
+ * Anyone can send a token with a made-up kid, before its
+ * signature is checked: without a limit every such request
+ * would cost a database query and a key import.
+ */
+const UNKNOWN_KID_RELOAD_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Prefix of encrypted private keys, stored as
+ * "enc:v1:<iv>.<auth tag>.<ciphertext>" (base64url).
+ */
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Key store of each app:
+ * - keys: in-memory copy of the usable keys, newest first
+ *   [{ kid, alg, createdAt, retiresAt, expiresAt, publicJwk, privateKey, publicKey }]
+ * - loadedAt: time of the last load
+ * - ready: pending initialization, shared by concurrent callers
+ * - reloading: pending reload for an unknown kid, shared the same way
+ * - rotationTimer: periodic rotation check (see startKeyRotation)
+ */
+const state = defineAppState(() => ({
+    keys: [],
+    loadedAt: 0,
+    ready: undefined,
+    reloading: undefined,
+    rotationTimer: undefined
+}));
+
+/**
+ * @returns {Buffer | null} SIGNING_KEY_ENCRYPTION_KEY, null when unset
+ */
+function getEncryptionKey() {
+    const { keyEncryptionKey } = getJwtSettings();
+
+    return keyEncryptionKey ? Buffer.from(keyEncryptionKey, 'base64') : null;
+}
+
+/**
+ * Serializes a private key for the database.
+ *
+ * @param {string} kid - Key id, authenticated with the ciphertext
+ * @param {Object} jwk - Private JWK
+ * @param {Buffer | null} encryptionKey - null stores plaintext
+ * @returns {string}
+ */
+function sealPrivateJwk(kid, jwk, encryptionKey) {
+    if (!encryptionKey) {
+        return JSON.stringify(jwk);
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    cipher.setAAD(Buffer.from(kid));
+
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(jwk)), cipher.final()]);
+
+    return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext]
+        .map((part) => part.toString('base64url'))
+        .join('.');
+}
+
+/**
+ * Reads a private key stored by sealPrivateJwk().
+ *
+ * @param {string} kid - Key id
+ * @param {string} stored - privateJwk column
+ * @param {Buffer | null} encryptionKey
+ * @returns {Object} Private JWK
+ * @throws {Error} when the key is encrypted and cannot be decrypted
+ */
+function openPrivateJwk(kid, stored, encryptionKey) {
+    if (!stored.startsWith(ENCRYPTED_PREFIX)) {
+        return JSON.parse(stored);
+    }
+
+    if (!encryptionKey) {
+        throw new Error(`Signing key ${kid} is encrypted: SIGNING_KEY_ENCRYPTION_KEY is required`);
+    }
+
+    const [iv, tag, ciphertext] = stored
+        .slice(ENCRYPTED_PREFIX.length)
+        .split('.')
+        .map((part) => Buffer.from(part, 'base64url'));
+
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, iv);
+        decipher.setAAD(Buffer.from(kid));
+        decipher.setAuthTag(tag);
+
+        return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString());
+    } catch {
+        throw new Error(`Cannot decrypt signing key ${kid}: wrong SIGNING_KEY_ENCRYPTION_KEY`);
+    }
+}
+
+/**
+ * Loads every non-expired key from the database.
+ */
+async function loadKeys() {
+    const loadedAt = clock.now();
+    const { signingKeys } = getRepositories();
+    const rows = await signingKeys.listUsable(loadedAt);
+    const encryptionKey = getEncryptionKey();
+
+    const loaded = [];
+
+    for (const row of rows) {
+        const publicJwk = JSON.parse(row.publicJwk);
+        const privateJwk = openPrivateJwk(row.kid, row.privateJwk, encryptionKey);
+
+        if (encryptionKey && !row.privateJwk.startsWith(ENCRYPTED_PREFIX)) {
+            await signingKeys.updatePrivateJwk(row.kid, sealPrivateJwk(row.kid, privateJwk, encryptionKey));
+            logger.info('JWT signing key encrypted at rest', { kid: row.kid });
+        }
+
+        loaded.push({
+            kid: row.kid,
+            alg: row.alg,
+            createdAt: row.createdAt,
+            retiresAt: row.retiresAt,
+            expiresAt: row.expiresAt,
+            publicJwk,
+            publicKey: await importJWK(publicJwk, row.alg),
+            privateKey: await importJWK(privateJwk, row.alg)
+        });
+    }
+
+    Object.assign(state(), { keys: loaded, loadedAt });
+}
+
+/**
+ * Reloads the keys for an unknown kid, at most once
+ * per UNKNOWN_KID_RELOAD_INTERVAL_MS.
+ */
+async function reloadForUnknownKid() {
+    const current = state();
+
+    if (!current.reloading && current.loadedAt + UNKNOWN_KID_RELOAD_INTERVAL_MS <= clock.now()) {
+        current.reloading = loadKeys().finally(() => {
+            current.reloading = undefined;
+        });
+    }
+
+    await current.reloading;
+}
+
+/**
+ * Returns the key currently used for signing, if any.
+ */
+function findActiveKey() {
+    return state().keys.find((key) => !key.retiresAt);
+}
+
+/**
+ * Loads keys and creates the first one when the store is empty.
+ */
+function init() {
+    const current = state();
+
+    if (!current.ready) {
+        current.ready = (async () => {
+            await loadKeys();
+
+            if (!findActiveKey()) {
+                await rotateSigningKeys();
+            }
+        })();
+
+        /**
+         * Allow a retry on the next call if initialization failed.
+         */
+        current.ready.catch(() => {
+            current.ready = undefined;
+        });
+    }
+    return current.ready;
+}
+
+/**
+ * (Re)loads the keys of the current database, creating
+ * the first key if needed.
+ *
+ * Called by createApp(): keys loaded from a previous
+ * database are discarded.
+ */
+export async function initKeyStore() {
+    Object.assign(state(), { keys: [], ready: undefined });
+    await init();
+}
+
+/**
+ * Generates a new signing key and retires the current one.
+ *
+ * The retired key keeps verifying tokens for the configured grace
+ * period, so tokens signed just before the rotation stay valid.
+ *
+ * @returns {Promise<string>} kid of the new active key
+ */
+export async function rotateSigningKeys() {
+    const { algorithm, gracePeriodMs } = getJwtSettings();
+    const now = clock.now();
+
+    const { publicKey, privateKey } = await generateKeyPair(algorithm, { extractable: true });
+    const kid = crypto.randomUUID();
+
+    /**
+     * Retires the current key and drops the expired ones
+     * (no longer useful) in the same step.
+     */
+    await getRepositories().signingKeys.rotate(
+        {
+            kid,
+            alg: algorithm,
+            publicJwk: JSON.stringify(await exportJWK(publicKey)),
+            privateJwk: sealPrivateJwk(kid, await exportJWK(privateKey), getEncryptionKey()),
+            createdAt: now
+        },
+        now + gracePeriodMs
+    );
+
+    await loadKeys();
+
+    logger.info('JWT signing key rotated', { kid, alg: algorithm });
+    return kid;
+}
+
+/**
+ * Rotates the signing key when it is older than the rotation interval.
+ */
+export async function rotateIfDue() {
+    await init();
+
+    const active = findActiveKey();
+    const { rotationIntervalMs } = getJwtSettings();
+
+    if (!active || active.createdAt + rotationIntervalMs <= clock.now()) {
+        await rotateSigningKeys();
+    } else {
+        /**
+         * Drop keys whose grace period ended since the last load.
+         */
+        await loadKeys();
+    }
+}
+
+/**
+ * Starts the periodic rotation check (replacing a running one).
+ *
+ * The timer is unref'd so it never keeps the process alive.
+ */
+export function startKeyRotation() {
+    const check = () => rotateIfDue().catch((err) => {
+        logger.error('JWT key rotation failed', { err });
+    });
+
+    stopKeyRotation();
+    check();
+
+    const timer = setInterval(check, ROTATION_CHECK_INTERVAL_MS);
+    timer.unref();
+
+    state().rotationTimer = timer;
+}
+
+/**
+ * Stops the periodic rotation check.
+ */
+export function stopKeyRotation() {
+    clearInterval(state().rotationTimer);
+    state().rotationTimer = undefined;
+}
+
+/**
+ * Returns the key used to sign new tokens.
+ *
+ * @returns {Promise<{ kid: string, alg: string, privateKey: CryptoKey }>}
+ */
+export async function getSigningKey() {
+    await init();
+
+    const { kid, alg, privateKey } = findActiveKey();
+    return { kid, alg, privateKey };
+}
+
+/**
+ * Describes the key used to sign new tokens, without
+ * its private part (readiness check, services/healthService.js).
+ *
+ * @returns {Promise<{ kid: string, alg: string, createdAt: number } | null>}
+ *          null when no key can sign
+ */
+export async function getActiveKeyInfo() {
+    await init();
+
+    const key = findActiveKey();
+    return key ? { kid: key.kid, alg: key.alg, createdAt: key.createdAt } : null;
+}
+
+/**
+ * Key resolver for jose's jwtVerify.
+ *
+ * Picks the public key matching the token's "kid" header.
+ * Unknown kids trigger a reload, in case another instance
+ * rotated the keys in the shared database (limited, see
+ * UNKNOWN_KID_RELOAD_INTERVAL_MS).
+ *
+ * @param {Object} protectedHeader - Decoded JWT header
+ * @returns {Promise<CryptoKey>}
+ */
+export async function resolveVerificationKey(protectedHeader) {
+    await init();
+
+    const find = () => state().keys.find((key) =>
+        key.kid === protectedHeader.kid
+        && key.alg === protectedHeader.alg
+        && (!key.expiresAt || key.expiresAt > clock.now())
+    );
+
+    let key = find();
+
+    if (!key) {
+        await reloadForUnknownKid();
+        key = find();
+    }
+
+    if (!key) {
+        throw new Error(`Unknown signing key: ${protectedHeader.kid}`);
+    }
+
+    return key.publicKey;
+}
+
+/**
+ * Returns the public keys as a JSON Web Key Set.
+ *
+ * Includes the active key and every retiring key
+ * still inside its grace period.
+ *
+ * @returns {Promise<{ keys: Object[] }>}
+ */
+export async function getPublicJwks() {
+    await init();
+
+    return {
+        keys: state().keys
+            .filter((key) => !key.expiresAt || key.expiresAt > clock.now())
+            .map((key) => ({
+                ...key.publicJwk,
+                kid: key.kid,
+                alg: key.alg,
+                use: 'sig'
+            }))
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * Login brute-force protection
+ *
+ * Tracks failed login attempts per account (username) and
+ * per client IP address, and decides whether a new attempt
+ * may proceed.
+ *
+ * Policy:
+ * - every failure slows down the response (progressive delay)
+ * - too many failures for one account → account locked (423)
+ * - too many failures from one IP     → IP throttled (429)
+ * - a successful login resets the account counter
+ *
+ * Failures are counted inside a sliding window; counters older
+ * than the window start again from zero. Each attempt is counted
+ * before the credentials are checked, and given back when they
+ * are right, so concurrent attempts cannot overrun the limits.
+ *
+ * Counters live in a pluggable store (memory or database),
+ * selected with LOGIN_ATTEMPT_STORE=memory|database (default database;
+ * "sqlite" is still accepted as an alias).
+ */
+
+import { createMemoryAttemptStore } from './attemptStores/memoryAttemptStore.js';
+import { createDatabaseAttemptStore } from './attemptStores/databaseAttemptStore.js';
+import { getConfig } from '../config/env.js';
+import { LockedError, TooManyRequestsError } from '../utils/httpErrors.js';
+import * as clock from '../utils/clock.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Failures allowed per account before it is locked.
+ */
+const MAX_ACCOUNT_FAILURES = 5;
+
+/**
+ * Failures allowed per IP before it is throttled.
+ * Higher than the account limit because many users
+ * can share an address (offices, NAT).
+ */
+const MAX_IP_FAILURES = 20;
+
+/**
+ * Window in which failures are counted, and lock duration.
+ */
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCK_DURATION_MS = 15 * 60 * 1000;
+
+/**
+ * Progressive delay: 250ms, 500ms, 1s, 2s ... capped at 5s.
+ */
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 5000;
+
+/**
+ * Store of each app, created on first use.
+ */
+const state = defineAppState(() => ({ store: undefined }));
+
+/**
+ * Returns the configured attempt store.
+ *
+ * @returns {Object} Attempt store
+ */
+function getStore() {
+    const current = state();
+
+    if (!current.store) {
+        current.store = getConfig().loginAttemptStore === 'memory'
+            ? createMemoryAttemptStore()
+            : createDatabaseAttemptStore();
+    }
+    return current.store;
+}
+
+/**
+ * Replaces the attempt store (useful for tests or custom backends).
+ *
+ * @param {Object} [customStore] - Object implementing update/delete
+ *        (see services/attemptStores/memoryAttemptStore.js).
+ *        Omit to go back to the store selected by LOGIN_ATTEMPT_STORE.
+ */
+export function setAttemptStore(customStore) {
+    state().store = customStore;
+}
+
+function accountKey(username) {
+    return `user:${String(username).toLowerCase()}`;
+}
+
+function ipKey(ip) {
+    return `ip:${ip}`;
+}
+
+/**
+ * Returns seconds until a lock expires, or 0 when not locked.
+ *
+ * @param {Object | null} record - Stored counter
+ * @param {number} now - Current time (ms)
+ * @returns {number}
+ */
+function lockRemaining(record, now) {
+    if (!record || !record.lockedUntil || record.lockedUntil <= now) {
+        return 0;
+    }
+    return Math.ceil((record.lockedUntil - now) / 1000);
+}
+
+/**
+ * Counts an attempt on one counter before it is checked, and locks
+ * the counter when the limit is reached. Nothing is counted while
+ * the counter is locked.
+ *
+ * The store reads and writes the counter atomically, so concurrent
+ * attempts cannot all pass before the first failure is recorded.
+ *
+ * @param {string} key - Store key
+ * @param {number} limit - Failures allowed before locking
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<{ count?: number, retryAfter?: number }>} Attempts
+ *          inside the current window, or seconds until the lock expires
+ */
+async function reserve(key, limit, now) {
+    let retryAfter = 0;
+
+    const record = await getStore().update(key, (current) => {
+        retryAfter = lockRemaining(current, now);
+        if (retryAfter > 0) {
+            return undefined;
+        }
+
+        /**
+         * Start a new window when there is no counter,
+         * the previous window is over, or a previous lock expired.
+         */
+        const expired = !current
+            || current.firstAttemptAt + FAILURE_WINDOW_MS <= now
+            || (current.lockedUntil && current.lockedUntil <= now);
+
+        const next = expired
+            ? { count: 1, firstAttemptAt: now, lockedUntil: null }
+            : { ...current, count: current.count + 1 };
+
+        if (next.count >= limit) {
+            next.lockedUntil = now + LOCK_DURATION_MS;
+        }
+
+        return next;
+    });
+
+    return retryAfter > 0 ? { retryAfter } : { count: record.count };
+}
+
+/**
+ * Gives back an attempt counted by reserve, and the lock
+ * it may have set.
+ *
+ * @param {string} key - Store key
+ * @param {number} limit - Failures allowed before locking
+ */
+async function release(key, limit) {
+    await getStore().update(key, (current) => {
+        if (!current || current.count <= 0) {
+            return undefined;
+        }
+
+        const count = current.count - 1;
+        return { ...current, count, lockedUntil: count >= limit ? current.lockedUntil : null };
+    });
+}
+
+/**
+ * Starts a login attempt (password or second factor).
+ *
+ * The attempt is counted as a failure BEFORE the credentials are
+ * checked, then given back with releaseLoginAttempt when they turn
+ * out right. Once the limit is reached, further attempts are refused
+ * even while the previous ones are still being checked.
+ *
+ * Unknown usernames are counted too, so the
+ * response never reveals whether an account exists.
+ *
+ * @param {string} username - Submitted username
+ * @param {string} ip - Client IP address
+ *
+ * @returns {Promise<{ allowed: boolean, reason?: 'account' | 'ip', retryAfter?: number, delay?: number }>}
+ *          retryAfter is expressed in seconds; delay (ms) is the
+ *          progressive delay to apply if the attempt fails
+ */
+export async function reserveLoginAttempt(username, ip) {
+    const now = clock.now();
+
+    /**
+     * Account first: attempts refused for a locked account
+     * never take a share of the IP limit, even briefly.
+     */
+    const accountAttempt = await reserve(accountKey(username), MAX_ACCOUNT_FAILURES, now);
+    if (accountAttempt.retryAfter) {
+        return { allowed: false, reason: 'account', retryAfter: accountAttempt.retryAfter };
+    }
+
+    const ipAttempt = await reserve(ipKey(ip), MAX_IP_FAILURES, now);
+    if (ipAttempt.retryAfter) {
+        await release(accountKey(username), MAX_ACCOUNT_FAILURES);
+        return { allowed: false, reason: 'ip', retryAfter: ipAttempt.retryAfter };
+    }
+
+    return {
+        allowed: true,
+        delay: Math.min(BASE_DELAY_MS * 2 ** (accountAttempt.count - 1), MAX_DELAY_MS)
+    };
+}
+
+/**
+ * Gives back an attempt whose credentials were right.
+ *
+ * @param {string} username - Submitted username
+ * @param {string} ip - Client IP address
+ */
+export async function releaseLoginAttempt(username, ip) {
+    await release(accountKey(username), MAX_ACCOUNT_FAILURES);
+    await release(ipKey(ip), MAX_IP_FAILURES);
+}
+
+/**
+ * Clears the account counter after a successful login.
+ *
+ * The IP counter is intentionally kept: otherwise an attacker
+ * owning one valid account could reset it at will.
+ *
+ * @param {string} username - Authenticated username
+ */
+export async function resetLoginFailures(username) {
+    await getStore().delete(accountKey(username));
+}
+
+/**
+ * Builds the error for a blocked login attempt.
+ *
+ * - 429 when the client IP sent too many failed attempts
+ * - 423 when the account is temporarily locked
+ *
+ * Retry-After tells the client how many seconds to wait.
+ *
+ * @param {Object} attempt - Result of reserveLoginAttempt
+ * @returns {LockedError | TooManyRequestsError}
+ */
+export function loginBlockedError(attempt) {
+    return attempt.reason === 'ip'
+        ? new TooManyRequestsError('too_many_attempts', 'Too many login attempts, try again later', attempt.retryAfter)
+        : new LockedError('account_locked', 'Account temporarily locked, try again later', attempt.retryAfter);
+}
+
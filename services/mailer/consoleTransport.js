@@ -0,0 +1,38 @@
+/**
+ * Console mail transport
+ *
+ * Logs outgoing emails instead of sending them.
+ * Default transport outside production.
+ *
+ * The log record carries the envelope only (the body holds reset
+ * links, i.e. live credentials). In development the whole message
+ * is also printed as plain text, so the link can be followed.
+ */
+
+import { logger } from '../../utils/logger.js';
+
+/**
+ * @param {Object} [options]
+ * @param {boolean} [options.printBody] - Also print the message as plain text
+ * @returns {{ send: (message: Object) => Promise<void> }}
+ */
+export function createConsoleTransport({ printBody = false } = {}) {
+    return {
+        async send({ from, to, subject, text }) {
+            logger.info('Outgoing email (console transport)', { from, to, subject });
+
+            if (printBody) {
+                process.stdout.write([
+                    '--- Outgoing email ---',
+                    `From: ${from}`,
+                    `To: ${to}`,
+                    `Subject: ${subject}`,
+                    '',
+                    text,
+                    '----------------------',
+                    ''
+                ].join('\n'));
+            }
+        }
+    };
+}
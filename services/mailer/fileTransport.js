@@ -0,0 +1,37 @@
+/**
+ * File mail transport
+ *
+ * Writes each outgoing email as a .eml file in a directory,
+ * so messages can be inspected (or opened in a mail client)
+ * during development and manual testing.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * @param {Object} options
+ * @param {string} options.directory - Output directory (created if missing)
+ * @returns {{ send: (message: Object) => Promise<void> }}
+ */
+export function createFileTransport({ directory }) {
+    return {
+        async send({ from, to, subject, text }) {
+            await fs.mkdir(directory, { recursive: true });
+
+            const fileName = `${Date.now()}-${crypto.randomUUID()}.eml`;
+            const content = [
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                `Date: ${new Date().toUTCString()}`,
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                text
+            ].join('\r\n');
+
+            await fs.writeFile(path.join(directory, fileName), content);
+        }
+    };
+}
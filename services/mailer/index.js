@@ -0,0 +1,76 @@
+/**
+ * Mailer
+ *
+ * Single entry point used by the application to send emails.
+ * The actual delivery is delegated to a transport:
+ *
+ * - console → logs messages (default; full text in development)
+ * - file    → writes .eml files to MAIL_FILE_DIR
+ * - smtp    → sends through SMTP_HOST / SMTP_PORT
+ *
+ * Selected with MAIL_TRANSPORT.
+ *
+ * A transport is any object exposing:
+ *   send({ from, to, subject, text }) → Promise<void>
+ */
+
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+import { getConfig } from '../../config/env.js';
+import { defineAppState } from '../../utils/appContext.js';
+
+/**
+ * Transport of each app, created on first use.
+ */
+const state = defineAppState(() => ({ transport: undefined }));
+
+/**
+ * Builds the transport selected by the configuration.
+ *
+ * @returns {Object} Mail transport
+ */
+function createConfiguredTransport() {
+    const { environment, mail: { transport: name, fileDirectory, smtp } } = getConfig();
+
+    switch (name) {
+        case 'file':
+            return createFileTransport({ directory: fileDirectory });
+
+        case 'smtp':
+            return createSmtpTransport(smtp);
+
+        default:
+            return createConsoleTransport({ printBody: environment === 'development' });
+    }
+}
+
+/**
+ * Replaces the transport (useful for tests or custom providers).
+ *
+ * @param {Object} customTransport - Object implementing send()
+ */
+export function setMailTransport(customTransport) {
+    state().transport = customTransport;
+}
+
+/**
+ * Sends an email through the configured transport.
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ */
+export async function sendMail({ to, subject, text }) {
+    const current = state();
+
+    current.transport ??= createConfiguredTransport();
+
+    await current.transport.send({
+        from: getConfig().mail.from,
+        to,
+        subject,
+        text
+    });
+}
@@ -0,0 +1,33 @@
+/**
+ * SMTP mail transport
+ *
+ * Delivers emails through an SMTP server using nodemailer.
+ * Can be pointed at a real provider or at a local test
+ * server (MailHog, smtp4dev, Mailpit...).
+ */
+
+import nodemailer from 'nodemailer';
+
+/**
+ * @param {Object} options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use implicit TLS (port 465)
+ * @param {string} [options.user] - Username, when authentication is required
+ * @param {string} [options.pass] - Password
+ * @returns {{ send: (message: Object) => Promise<void> }}
+ */
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        async send({ from, to, subject, text }) {
+            await transporter.sendMail({ from, to, subject, text });
+        }
+    };
+}
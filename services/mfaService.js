@@ -0,0 +1,158 @@
+/**
+ * Multi-factor authentication service
+ *
+ * Manages TOTP enrollment and second-factor verification.
+ *
+ * Enrollment lifecycle:
+ * 1. setup   → a secret is generated and stored as "pending"
+ * 2. confirm → the user proves the authenticator works by sending
+ *              a valid code; MFA is enabled and recovery codes issued
+ *
+ * Recovery codes:
+ * - 10 random codes shown to the user once
+ * - stored as SHA-256 hashes
+ * - each one can be used a single time instead of a TOTP code
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { getConfig } from '../config/env.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+import { sha256Hex } from '../utils/hash.js';
+
+/**
+ * Number of recovery codes issued on enrollment.
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalizes and hashes a recovery code.
+ * Users may type it with or without the dash, in any case.
+ *
+ * @param {string} code - Recovery code
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+function hashRecoveryCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+    return sha256Hex(normalized);
+}
+
+/**
+ * Generates a recovery code such as "3f9a1-c07e2".
+ *
+ * @returns {string}
+ */
+function generateRecoveryCode() {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+/**
+ * Starts TOTP enrollment for a user.
+ *
+ * Any previous pending secret is replaced, so calling setup
+ * twice simply restarts the enrollment.
+ *
+ * @param {Object} user - users row
+ * @returns {Promise<{ secret: string, otpauthUri: string }>}
+ */
+export async function startEnrollment(user) {
+    const secret = generateTotpSecret();
+
+    await getRepositories().users.setPendingMfaSecret(user.id, secret);
+
+    return {
+        secret,
+        otpauthUri: buildOtpAuthUri({
+            secret,
+            account: user.username,
+            issuer: getConfig().mfaIssuer
+        })
+    };
+}
+
+/**
+ * Completes enrollment when the code matches the pending secret.
+ *
+ * @param {Object} user - users row
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<string[] | null>} Plaintext recovery codes, or null if the code is wrong
+ */
+export async function confirmEnrollment(user, code) {
+    if (!user.mfaPendingSecret) {
+        return null;
+    }
+
+    const step = verifyTotp(user.mfaPendingSecret, code);
+    if (step === null) {
+        return null;
+    }
+
+    await getRepositories().users.enableMfa(user.id, step);
+
+    return replaceRecoveryCodes(user.id);
+}
+
+/**
+ * Replaces all recovery codes of a user with a fresh set.
+ *
+ * @param {number} userId - Owner of the codes
+ * @returns {Promise<string[]>} Plaintext codes (only time they are visible)
+ */
+async function replaceRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await getRepositories().recoveryCodes.replaceForUser(userId, codes.map(hashRecoveryCode));
+
+    return codes;
+}
+
+/**
+ * Verifies the second factor during login.
+ *
+ * Either a TOTP code or a recovery code is accepted.
+ *
+ * - TOTP codes cannot be replayed: the matched time step is stored
+ *   and codes from the same or an older step are rejected.
+ * - Recovery codes are consumed atomically.
+ *
+ * @param {Object} user - users row with MFA enabled
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Recovery code
+ * @returns {Promise<boolean>}
+ */
+export async function verifySecondFactor(user, { code, recoveryCode }) {
+    const { users, recoveryCodes } = getRepositories();
+
+    if (code) {
+        const step = verifyTotp(user.mfaSecret, code);
+
+        if (step === null) {
+            return false;
+        }
+
+        return users.recordMfaStep(user.id, step);
+    }
+
+    if (recoveryCode) {
+        return recoveryCodes.consume(user.id, hashRecoveryCode(recoveryCode));
+    }
+
+    return false;
+}
+
+/**
+ * Disables MFA and deletes every recovery code.
+ *
+ * Used by administrators when a user lost their device
+ * and their recovery codes.
+ *
+ * @param {number} userId - Target user
+ */
+export async function resetMfa(userId) {
+    const { users, recoveryCodes } = getRepositories();
+
+    await users.disableMfa(userId);
+    await recoveryCodes.deleteForUser(userId);
+}
@@ -0,0 +1,580 @@
+/**
+ * OAuth 2.0 / OpenID Connect provider
+ *
+ * Lets registered applications sign users in with the
+ * authorization code flow and PKCE (RFC 6749, RFC 7636,
+ * OpenID Connect Core), so they can use off-the-shelf OIDC
+ * client libraries instead of calling POST /auth/login.
+ *
+ * Flow:
+ * 1. The app redirects the browser to GET /oauth/authorize
+ * 2. The user logs in on our page (password, then MFA if enabled)
+ * 3. The browser is redirected back with a single-use code
+ * 4. The app exchanges code + PKCE verifier at POST /oauth/token
+ *    for an access token, a refresh token and an ID token
+ *
+ * Design choices:
+ * - PKCE (S256) is mandatory for every client
+ * - clients are first-party apps: there is no consent screen
+ * - every code exchange starts a session (services/sessionService.js)
+ *   bound to the client; its refresh tokens only work for that client
+ * - access tokens are the same JWTs as POST /auth/login returns,
+ *   so they work on every protected route of this API
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { getJwtSettings, SUPPORTED_ALGORITHMS } from '../config/jwt.js';
+import { getConfig } from '../config/env.js';
+import { generateToken, generateIdToken } from '../utils/generateToken.js';
+import { validateObject } from '../utils/validation.js';
+import { sha256Hex } from '../utils/hash.js';
+import { completeLogin, renewAccessToken } from './authService.js';
+import { rotateRefreshToken } from './refreshTokenService.js';
+import { clientFromRequest, terminateSession } from './sessionService.js';
+import {
+    authorizationRequestSchema,
+    tokenRequestSchema
+} from '../schemas/oauthSchemas.js';
+import {
+    BadRequestError,
+    ValidationError,
+    OAuthError
+} from '../utils/httpErrors.js';
+import * as clock from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Scopes understood by this provider. Others are ignored.
+ *
+ * - openid: required, issues an ID token
+ * - profile: preferred_username claim
+ * - email: email claim
+ * - offline_access: accepted for compatibility
+ *   (a refresh token is always issued)
+ */
+export const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+
+/**
+ * Authorization codes are exchanged right after the redirect.
+ */
+const AUTHORIZATION_CODE_TTL_MS = 60 * 1000;
+
+/**
+ * Hosts allowed with plain http:// redirect URIs (local development).
+ */
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Maps an oauth_clients row to the representation returned by the API.
+ * The secret hash is NEVER returned.
+ *
+ * @param {Object} row - oauth_clients row (redirectUris parsed)
+ * @returns {Object} Public client object
+ */
+function toPublicClient(row) {
+    return {
+        clientId: row.clientId,
+        name: row.name,
+        redirectUris: row.redirectUris,
+        type: row.clientSecretHash ? 'confidential' : 'public',
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * Checks that a redirect URI can be registered:
+ * absolute, without fragment, https (or http on a loopback host).
+ *
+ * @param {string} uri - Candidate redirect URI
+ * @returns {boolean}
+ */
+function isAllowedRedirectUri(uri) {
+    let url;
+
+    try {
+        url = new URL(uri);
+    } catch {
+        return false;
+    }
+
+    if (url.hash) {
+        return false;
+    }
+
+    return url.protocol === 'https:'
+        || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname));
+}
+
+/**
+ * Registers a client application.
+ *
+ * - public clients (SPAs, mobile apps) authenticate with PKCE only
+ * - confidential clients (server-side apps) also get a secret,
+ *   returned once and stored hashed
+ *
+ * @param {Object} input
+ * @param {string} input.name - Display name (shown on the login page)
+ * @param {string[]} input.redirectUris - Exact redirect URIs
+ * @param {boolean} input.confidential - Issue a client secret
+ * @returns {Promise<{ client: Object, clientSecret?: string }>}
+ * @throws {ValidationError} when a redirect URI is not allowed
+ */
+export async function registerClient({ name, redirectUris, confidential }) {
+    const invalid = redirectUris
+        .map((uri, index) => ({ uri, index }))
+        .filter(({ uri }) => !isAllowedRedirectUri(uri));
+
+    if (invalid.length > 0) {
+        throw new ValidationError(invalid.map(({ index }) => ({
+            location: 'body',
+            field: 'redirectUris',
+            code: 'format',
+            message: `redirectUris[${index}] must be an https URL (http only for localhost) without fragment`
+        })));
+    }
+
+    const clientId = crypto.randomUUID();
+    const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : undefined;
+
+    const { oauthClients } = getRepositories();
+
+    await oauthClients.create({
+        clientId,
+        name,
+        redirectUris: [...new Set(redirectUris)],
+        clientSecretHash: clientSecret ? sha256Hex(clientSecret) : null
+    });
+
+    return {
+        client: toPublicClient(await oauthClients.findById(clientId)),
+        clientSecret
+    };
+}
+
+/**
+ * @returns {Promise<Object[]>} Public client objects
+ */
+export async function listClients() {
+    const rows = await getRepositories().oauthClients.list();
+    return rows.map(toPublicClient);
+}
+
+/**
+ * Deletes a client. Sessions already started through it
+ * stay active until they are terminated or expire.
+ *
+ * @param {string} clientId
+ * @returns {Promise<boolean>} false when it did not exist
+ */
+export async function deleteClient(clientId) {
+    return getRepositories().oauthClients.delete(clientId);
+}
+
+/**
+ * Parses the parameters of an authorization request
+ * (GET /oauth/authorize, or the hidden fields of the login form).
+ *
+ * Errors come in two kinds (RFC 6749 section 4.1.2.1):
+ * - unknown client or unregistered redirect URI: the browser must
+ *   NOT be redirected → thrown as BadRequestError
+ * - anything else: reported to the client through a redirect
+ *   → returned in "error", together with where to redirect
+ *
+ * @param {Object} input - Query string or form fields
+ * @returns {Promise<{
+ *   client: Object,
+ *   redirectUri: string,
+ *   state?: string,
+ *   error: OAuthError | null,
+ *   request?: { scopes: string[], nonce: string | null, codeChallenge: string, loginHint?: string }
+ * }>}
+ * @throws {BadRequestError} when the browser cannot be sent back to the client
+ */
+export async function parseAuthorizationRequest(input) {
+    const { value, errors } = validateObject(authorizationRequestSchema, input, { location: 'query' });
+
+    const targetError = errors.find((e) => e.field === 'client_id' || e.field === 'redirect_uri');
+
+    if (targetError) {
+        throw new BadRequestError('invalid_authorization_request', targetError.message);
+    }
+
+    const client = await getRepositories().oauthClients.findById(value.client_id);
+
+    if (!client) {
+        throw new BadRequestError('invalid_authorization_request', 'Unknown client_id');
+    }
+
+    if (!client.redirectUris.includes(value.redirect_uri)) {
+        throw new BadRequestError('invalid_authorization_request', 'redirect_uri is not registered for this client');
+    }
+
+    const target = { client, redirectUri: value.redirect_uri, state: value.state };
+
+    const fail = (code, detail) => ({ ...target, error: new OAuthError(code, detail) });
+
+    if (errors.length > 0) {
+        return fail('invalid_request', errors[0].message);
+    }
+
+    if (value.response_type !== 'code') {
+        return fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    const requested = value.scope.split(' ');
+
+    if (!requested.includes('openid')) {
+        return fail('invalid_scope', 'The openid scope is required');
+    }
+
+    /**
+     * No browser session is kept between logins,
+     * so the user always has to authenticate.
+     */
+    if (value.prompt === 'none') {
+        return fail('login_required', 'The user must log in');
+    }
+
+    return {
+        ...target,
+        error: null,
+        request: {
+            scopes: SUPPORTED_SCOPES.filter((scope) => requested.includes(scope)),
+            nonce: value.nonce ?? null,
+            codeChallenge: value.code_challenge,
+            loginHint: value.login_hint
+        }
+    };
+}
+
+/**
+ * Issues a single-use authorization code for an authenticated user.
+ *
+ * @param {Object} authorization - Result of parseAuthorizationRequest()
+ * @param {Object} user - Authenticated user
+ * @param {number} authTime - When the user authenticated (ms)
+ * @returns {Promise<string>} Plaintext code (only sent to the browser)
+ */
+export async function createAuthorizationCode({ client, redirectUri, request }, user, authTime) {
+    const code = crypto.randomBytes(32).toString('base64url');
+
+    await getRepositories().authorizationCodes.create({
+        codeHash: sha256Hex(code),
+        clientId: client.clientId,
+        userId: user.id,
+        redirectUri,
+        scope: request.scopes.join(' '),
+        nonce: request.nonce,
+        codeChallenge: request.codeChallenge,
+        authTime,
+        expiresAt: clock.now() + AUTHORIZATION_CODE_TTL_MS
+    });
+
+    return code;
+}
+
+/**
+ * Builds the URL the browser is sent back to.
+ *
+ * "iss" is included so clients can detect mix-up attacks (RFC 9207).
+ *
+ * @param {string} redirectUri - Registered redirect URI
+ * @param {Object} params - code or error parameters
+ * @param {string} [state] - Opaque value of the client
+ * @returns {string}
+ */
+export function buildRedirectUrl(redirectUri, params, state) {
+    const url = new URL(redirectUri);
+
+    for (const [name, value] of Object.entries({ ...params, state, iss: getJwtSettings().issuer })) {
+        if (value !== undefined) {
+            url.searchParams.set(name, value);
+        }
+    }
+
+    return url.toString();
+}
+
+/**
+ * Validates token request parameters (form fields).
+ *
+ * @param {Object} body - Parsed application/x-www-form-urlencoded body
+ * @returns {Object} Declared parameters
+ * @throws {OAuthError} invalid_request
+ */
+function parseTokenRequest(body) {
+    const { value, errors } = validateObject(tokenRequestSchema, body, { location: 'body' });
+
+    if (errors.length > 0) {
+        throw new OAuthError('invalid_request', errors[0].message);
+    }
+
+    return value;
+}
+
+/**
+ * Authenticates the client calling the token endpoint.
+ *
+ * Supported methods:
+ * - client_secret_basic: Authorization: Basic base64(id:secret)
+ * - client_secret_post: client_id + client_secret form fields
+ * - none: client_id only (public clients, protected by PKCE)
+ *
+ * @param {string | undefined} authorization - Authorization header
+ * @param {Object} params - Token request parameters
+ * @returns {Promise<Object>} oauth_clients row
+ * @throws {OAuthError} invalid_client (401)
+ */
+async function authenticateClient(authorization, params) {
+    let clientId = params.client_id;
+    let clientSecret = params.client_secret;
+
+    if (authorization?.startsWith('Basic ')) {
+        const decoded = Buffer.from(authorization.slice(6), 'base64').toString();
+        const separator = decoded.indexOf(':');
+
+        /**
+         * Both parts are form-urlencoded (RFC 6749 section 2.3.1).
+         */
+        try {
+            if (separator < 0) throw new URIError();
+
+            clientId = decodeURIComponent(decoded.slice(0, separator));
+            clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+        } catch {
+            throw new OAuthError('invalid_client', 'Malformed Basic credentials', 401);
+        }
+    }
+
+    const client = clientId
+        ? await getRepositories().oauthClients.findById(clientId)
+        : null;
+
+    if (!client) {
+        throw new OAuthError('invalid_client', 'Unknown client', 401);
+    }
+
+    if (client.clientSecretHash) {
+        const presented = Buffer.from(sha256Hex(clientSecret ?? ''));
+        const expected = Buffer.from(client.clientSecretHash);
+
+        if (!crypto.timingSafeEqual(presented, expected)) {
+            throw new OAuthError('invalid_client', 'Invalid client credentials', 401);
+        }
+    }
+
+    return client;
+}
+
+/**
+ * Checks a PKCE code verifier against the stored challenge.
+ *
+ * @param {string} verifier - code_verifier sent to the token endpoint
+ * @param {string} challenge - code_challenge of the authorization request
+ * @returns {boolean}
+ */
+function verifyPkce(verifier, challenge) {
+    const computed = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    return crypto.timingSafeEqual(Buffer.from(computed), Buffer.from(challenge));
+}
+
+/**
+ * grant_type=authorization_code
+ *
+ * The code must be unused, unexpired, issued to this client for
+ * this redirect URI, and match the PKCE verifier. A code presented
+ * twice was intercepted: the session started with it is terminated.
+ *
+ * @param {Object} req - Express request (session details)
+ * @param {Object} client - Authenticated client
+ * @param {Object} params - Token request parameters
+ * @returns {Promise<Object>} Token response
+ */
+async function exchangeAuthorizationCode(req, client, params) {
+    if (!params.code || !params.redirect_uri || !params.code_verifier) {
+        throw new OAuthError('invalid_request', 'code, redirect_uri and code_verifier are required');
+    }
+
+    const { authorizationCodes, users } = getRepositories();
+    const codeHash = sha256Hex(params.code);
+    const record = await authorizationCodes.findByHash(codeHash);
+    const invalidGrant = new OAuthError('invalid_grant', 'Invalid or expired authorization code');
+
+    if (!record || record.clientId !== client.clientId) {
+        throw invalidGrant;
+    }
+
+    if (record.usedAt) {
+        logger.warn('Authorization code replayed, terminating session', { clientId: client.clientId });
+
+        if (record.sessionId) {
+            await terminateSession(record.sessionId);
+        }
+
+        throw invalidGrant;
+    }
+
+    if (record.expiresAt <= clock.now()
+        || record.redirectUri !== params.redirect_uri
+        || !verifyPkce(params.code_verifier, record.codeChallenge)
+        || !await authorizationCodes.consume(codeHash)) {
+        throw invalidGrant;
+    }
+
+    const user = await users.findById(record.userId);
+
+    if (!user || user.disabled) {
+        throw invalidGrant;
+    }
+
+    const login = await completeLogin(user, clientFromRequest(req, client.name, client.clientId));
+
+    await authorizationCodes.setSessionId(codeHash, login.sessionId);
+
+    const scopes = record.scope.split(' ');
+
+    return {
+        access_token: login.token,
+        token_type: 'Bearer',
+        expires_in: getConfig().tokens.accessTtlSeconds,
+        refresh_token: login.refreshToken,
+        id_token: await generateIdToken({ ...user, organizationId: login.organizationId, role: login.role }, {
+            clientId: client.clientId,
+            scopes,
+            authTime: record.authTime,
+            nonce: record.nonce
+        }),
+        scope: record.scope
+    };
+}
+
+/**
+ * grant_type=refresh_token
+ *
+ * Same rotation rules as POST /auth/refresh; the refresh token
+ * must belong to a session started for this client.
+ *
+ * @param {Object} req - Express request (session details)
+ * @param {Object} client - Authenticated client
+ * @param {Object} params - Token request parameters
+ * @returns {Promise<Object>} Token response
+ */
+async function exchangeRefreshToken(req, client, params) {
+    if (!params.refresh_token) {
+        throw new OAuthError('invalid_request', 'refresh_token is required');
+    }
+
+    const rotated = await rotateRefreshToken(
+        params.refresh_token,
+        clientFromRequest(req, client.name, client.clientId)
+    );
+
+    const user = rotated
+        ? await getRepositories().users.findById(rotated.userId)
+        : null;
+
+    const renewed = user && !user.disabled
+        ? await renewAccessToken(user, rotated.sessionId)
+        : null;
+
+    if (!renewed) {
+        throw new OAuthError('invalid_grant', 'Invalid or expired refresh token');
+    }
+
+    return {
+        access_token: renewed.token,
+        token_type: 'Bearer',
+        expires_in: getConfig().tokens.accessTtlSeconds,
+        refresh_token: rotated.token
+    };
+}
+
+/**
+ * Handles a token request (POST /oauth/token).
+ *
+ * @param {Object} req - Express request (form body, Authorization header)
+ * @returns {Promise<Object>} Token response (RFC 6749 section 5.1)
+ * @throws {OAuthError}
+ */
+export async function handleTokenRequest(req) {
+    const params = parseTokenRequest(req.body);
+    const client = await authenticateClient(req.headers['authorization'], params);
+
+    switch (params.grant_type) {
+        case 'authorization_code':
+            return exchangeAuthorizationCode(req, client, params);
+
+        case 'refresh_token':
+            return exchangeRefreshToken(req, client, params);
+
+        default:
+            throw new OAuthError('unsupported_grant_type', `Unsupported grant_type: ${params.grant_type}`);
+    }
+}
+
+/**
+ * Claims returned by GET /oauth/userinfo.
+ *
+ * @param {Object} user - users row of the access token subject
+ * @param {{ organizationId: number, role: string }} tenant - Organization
+ *        of the access token and the role within it
+ * @returns {Object}
+ */
+export function buildUserInfo(user, { organizationId, role }) {
+    return {
+        sub: String(user.id),
+        preferred_username: user.username,
+        role,
+        org: organizationId,
+        ...(user.email && { email: user.email })
+    };
+}
+
+/**
+ * Public base URL of the provider.
+ *
+ * When JWT_ISSUER is a URL it is used as is (it must be the
+ * public URL of this backend for OIDC clients to accept our
+ * tokens); otherwise the URL is derived from the request.
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Base URL without trailing slash
+ */
+function getBaseUrl(req) {
+    const { issuer } = getJwtSettings();
+
+    return /^https?:\/\//.test(issuer)
+        ? issuer.replace(/\/$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Builds the OpenID Provider Metadata
+ * (GET /.well-known/openid-configuration).
+ *
+ * @param {Object} req - Express request
+ * @returns {Object}
+ */
+export function buildDiscoveryDocument(req) {
+    const baseUrl = getBaseUrl(req);
+
+    return {
+        issuer: getJwtSettings().issuer,
+        authorization_endpoint: `${baseUrl}/oauth/authorize`,
+        token_endpoint: `${baseUrl}/oauth/token`,
+        userinfo_endpoint: `${baseUrl}/oauth/userinfo`,
+        jwks_uri: `${baseUrl}/.well-known/jwks.json`,
+        scopes_supported: SUPPORTED_SCOPES,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: SUPPORTED_ALGORITHMS,
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'preferred_username', 'role', 'org', 'email'],
+        authorization_response_iss_parameter_supported: true
+    };
+}
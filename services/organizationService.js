@@ -0,0 +1,160 @@
+/**
+ * Organization service
+ *
+ * The backend serves several client organizations (tenants).
+ * A user belongs to one or more organizations through memberships,
+ * each with its own role: a user can be admin of one organization
+ * and a plain user in another.
+ *
+ * Access tokens are issued for ONE organization at a time (the "org"
+ * claim) and carry the role within it, so checkRole and
+ * requirePermission evaluate the role of the current tenant.
+ * Clients move between organizations with POST /auth/organizations/switch.
+ *
+ * Super-admins (users.superAdmin) operate the platform: they manage
+ * organizations and act as admin in any of them. The first ones are
+ * named in SUPER_ADMINS (provisionSuperAdmins, at startup).
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { getConfig } from '../config/env.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Builds the identity used to issue tokens: the users row plus
+ * the organization it acts in and the role within it.
+ *
+ * - the requested organization, when the user may act in it
+ * - otherwise the user's oldest membership
+ *
+ * @param {Object} user - users row
+ * @param {number | null} [organizationId] - Requested organization
+ * @returns {Promise<Object | null>} users row with organizationId, role
+ *          and superAdmin, null when the user belongs to no organization
+ */
+export async function resolvePrincipal(user, organizationId = null) {
+    const { organizations } = getRepositories();
+    const superAdmin = Boolean(user.superAdmin);
+
+    const requested = organizationId
+        ? await organizations.findMembership(user.id, organizationId)
+        : null;
+
+    if (requested) {
+        return toPrincipal(user, organizationId, superAdmin ? 'admin' : requested.role);
+    }
+
+    /**
+     * Super-admins may enter organizations they are not a member of.
+     */
+    if (superAdmin && organizationId && await organizations.findById(organizationId)) {
+        return toPrincipal(user, organizationId, 'admin');
+    }
+
+    const [first] = await organizations.listMemberships(user.id);
+
+    if (first) {
+        return toPrincipal(user, first.organizationId, superAdmin ? 'admin' : first.role);
+    }
+
+    if (superAdmin) {
+        const [any] = await organizations.list();
+        return any ? toPrincipal(user, any.id, 'admin') : null;
+    }
+
+    return null;
+}
+
+/**
+ * @returns {Object} Principal (see resolvePrincipal)
+ */
+function toPrincipal(user, organizationId, role) {
+    return { ...user, organizationId, role, superAdmin: Boolean(user.superAdmin) };
+}
+
+/**
+ * Organizations a user can switch to.
+ *
+ * @param {Object} user - users row
+ * @returns {Promise<Array<{ id: number, slug: string, name: string, role: string }>>}
+ *          Memberships; every organization (as admin) for super-admins
+ */
+export async function listUserOrganizations(user) {
+    const { organizations } = getRepositories();
+
+    if (user.superAdmin) {
+        const rows = await organizations.list();
+        return rows.map(({ id, slug, name }) => ({ id, slug, name, role: 'admin' }));
+    }
+
+    const memberships = await organizations.listMemberships(user.id);
+
+    return memberships.map(({ organizationId, slug, name, role }) => ({ id: organizationId, slug, name, role }));
+}
+
+/**
+ * Maps an organizations row to the representation returned by the API.
+ *
+ * @param {Object} row - organizations row (memberCount when listed)
+ * @returns {Object} Public organization object
+ */
+export function toPublicOrganization(row) {
+    return {
+        id: row.id,
+        slug: row.slug,
+        name: row.name,
+        memberCount: row.memberCount === undefined ? undefined : Number(row.memberCount),
+        createdAt: row.createdAt
+    };
+}
+
+/**
+ * @returns {Promise<Object[]>} Public organization objects
+ */
+export async function listOrganizations() {
+    const rows = await getRepositories().organizations.list();
+    return rows.map(toPublicOrganization);
+}
+
+/**
+ * Organization of users created outside an admin request
+ * (seed script, directory provisioning).
+ *
+ * @param {string} slug - Organization slug
+ * @returns {Promise<Object>} organizations row
+ * @throws {Error} when it does not exist (configuration error)
+ */
+export async function getOrganizationBySlug(slug) {
+    const organization = await getRepositories().organizations.findBySlug(slug);
+
+    if (!organization) {
+        throw new Error(`Organization "${slug}" does not exist`);
+    }
+
+    return organization;
+}
+
+/**
+ * Grants the super-admin flag to the accounts named in SUPER_ADMINS.
+ *
+ * Called at startup. Only grants: removing a name from the list
+ * does not revoke the flag (DELETE /admin/super-admins/:id does).
+ * Unknown usernames and service accounts are skipped with a warning.
+ */
+export async function provisionSuperAdmins() {
+    const { users } = getRepositories();
+
+    for (const username of getConfig().superAdmins) {
+        const user = await users.findByUsername(username);
+
+        if (!user || user.authProvider === 'service') {
+            logger.warn('SUPER_ADMINS names an unknown or service account, skipped', { username });
+            continue;
+        }
+
+        if (!user.superAdmin) {
+            await users.setSuperAdmin(user.id, true);
+            logger.info('Super-admin granted from SUPER_ADMINS', { username });
+        }
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Password reset service
+ *
+ * Implements the "forgot password" flow:
+ * 1. a single-use reset token is generated and emailed to the user
+ * 2. the user sends it back with a new password
+ *
+ * Security model:
+ * - only a SHA-256 hash of the token is stored
+ * - tokens expire after 30 minutes
+ * - requesting a new token invalidates previous ones
+ * - a successful reset revokes every token of the user
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { sendMail } from './mailer/index.js';
+import { getConfig } from '../config/env.js';
+import { hashPassword } from '../utils/passwords.js';
+import { sha256Hex } from '../utils/hash.js';
+import { revokeAllUserTokens } from './tokenRevocationService.js';
+import * as clock from '../utils/clock.js';
+
+/**
+ * Reset token lifetime: 30 minutes.
+ */
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Builds the link sent by email.
+ *
+ * PASSWORD_RESET_URL points to the frontend page that reads
+ * the token from the query string and calls POST /auth/password/reset.
+ *
+ * @param {string} token - Plaintext reset token
+ * @returns {string}
+ */
+function buildResetLink(token) {
+    const url = new URL(getConfig().passwordResetUrl);
+    url.searchParams.set('token', token);
+    return url.toString();
+}
+
+/**
+ * Issues a reset token and emails it, if the account exists.
+ *
+ * Does nothing (silently) for unknown usernames/emails, disabled
+ * accounts, directory (LDAP) accounts or accounts without an email
+ * address, so callers can always answer the same way.
+ *
+ * @param {string} identifier - Username or email address
+ */
+export async function requestPasswordReset(identifier) {
+    const user = await getRepositories().users.findByUsernameOrEmail(identifier);
+
+    if (!user || user.disabled || !user.email || user.authProvider !== 'local') {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    /**
+     * Only the most recent token is valid.
+     */
+    await getRepositories().passwordResets.replaceForUser({
+        userId: user.id,
+        tokenHash: sha256Hex(token),
+        expiresAt: clock.now() + RESET_TOKEN_TTL_MS
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Password reset request',
+        text: [
+            `Hello ${user.username},`,
+            '',
+            'We received a request to reset your password.',
+            'Open the link below to choose a new one (valid for 30 minutes):',
+            '',
+            buildResetLink(token),
+            '',
+            'If you did not request this, you can ignore this email.'
+        ].join('\n')
+    });
+}
+
+/**
+ * Sets a new password using a reset token.
+ *
+ * @param {string} token - Plaintext reset token from the email
+ * @param {string} newPassword - Already validated new password
+ * @returns {Promise<boolean>} false when the token is unknown, used or expired
+ */
+export async function resetPasswordWithToken(token, newPassword) {
+    const { users, passwordResets } = getRepositories();
+
+    const record = await passwordResets.findByHash(sha256Hex(token));
+
+    if (!record || record.usedAt || record.expiresAt <= clock.now()) {
+        return false;
+    }
+
+    /**
+     * Consume the token atomically so it cannot be used twice.
+     */
+    if (!await passwordResets.consume(record.id)) {
+        return false;
+    }
+
+    await users.updatePassword(record.userId, await hashPassword(newPassword));
+
+    await revokeAllUserTokens(record.userId);
+
+    return true;
+}
@@ -0,0 +1,188 @@
+/**
+ * Permission service
+ *
+ * Resolves which permissions a role holds and manages the
+ * role → permission mappings stored in the database.
+ *
+ * Effective permissions of a role are its direct grants plus
+ * the grants of every role it inherits from (see utils/roles.js).
+ *
+ * Resolved sets are cached in memory because they are needed on
+ * every protected request; any change to the mappings made through
+ * this module clears the cache. Entries also expire on their own so
+ * changes made by other instances are picked up within CACHE_TTL_MS.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import {
+    ROLES,
+    ROLE_PARENTS,
+    DEFAULT_PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS,
+    getInheritedRoles
+} from '../utils/roles.js';
+import * as clock from '../utils/clock.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Maximum age of cached data.
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Cache of effective permissions, per app.
+ *
+ * role → { permissions: Set<permission>, cachedAt }
+ */
+const state = defineAppState(() => ({ cache: new Map() }));
+
+/**
+ * Returns the effective permissions of a role.
+ *
+ * @param {string} role - Role name
+ * @returns {Promise<Set<string>>} Empty set for unknown roles
+ */
+export async function getPermissionsForRole(role) {
+    const { cache } = state();
+    const cached = cache.get(role);
+
+    if (cached && cached.cachedAt + CACHE_TTL_MS > clock.now()) {
+        return cached.permissions;
+    }
+
+    const roles = getInheritedRoles(role);
+    let permissions = new Set();
+
+    if (roles.length > 0) {
+        permissions = new Set(await getRepositories().permissions.findPermissionsForRoles(roles));
+    }
+
+    cache.set(role, { permissions, cachedAt: clock.now() });
+    return permissions;
+}
+
+/**
+ * Checks whether a role holds a permission (directly or inherited).
+ *
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name, e.g. "reports:read"
+ * @returns {Promise<boolean>}
+ */
+export async function roleHasPermission(role, permission) {
+    return (await getPermissionsForRole(role)).has(permission);
+}
+
+/**
+ * Lists every known permission.
+ *
+ * @returns {Promise<Array<{ name: string, description: string }>>}
+ */
+export async function listPermissions() {
+    return getRepositories().permissions.listPermissions();
+}
+
+/**
+ * Lists roles with their direct and effective permissions.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRoles() {
+    const { permissions } = getRepositories();
+    const roles = await permissions.listRoles();
+    const grants = await permissions.listGrants();
+
+    const result = [];
+
+    for (const role of roles) {
+        result.push({
+            name: role.name,
+            inherits: role.inherits,
+            permissions: grants
+                .filter((g) => g.role === role.name)
+                .map((g) => g.permission),
+            effectivePermissions: [...await getPermissionsForRole(role.name)].sort()
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Creates a new permission.
+ *
+ * @param {string} name - Permission name ("<resource>:<action>")
+ * @param {string} [description] - Human readable description
+ */
+export async function createPermission(name, description = null) {
+    await getRepositories().permissions.createPermission(name, description);
+}
+
+/**
+ * Grants a permission directly to a role.
+ * Granting an existing mapping is a no-op.
+ *
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ */
+export async function grantPermission(role, permission) {
+    await getRepositories().permissions.grant(role, permission);
+    state().cache.clear();
+}
+
+/**
+ * Removes a direct grant from a role.
+ *
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} false if the mapping did not exist
+ */
+export async function revokePermission(role, permission) {
+    const revoked = await getRepositories().permissions.revoke(role, permission);
+    state().cache.clear();
+    return revoked;
+}
+
+/**
+ * Checks whether a permission exists.
+ *
+ * @param {string} name - Permission name
+ * @returns {Promise<boolean>}
+ */
+export async function permissionExists(name) {
+    return getRepositories().permissions.permissionExists(name);
+}
+
+/**
+ * Synchronizes roles with the hierarchy defined in code and
+ * creates the default permission grants on first startup.
+ *
+ * Grants are only seeded while the permissions table is empty,
+ * so changes made by admins at runtime are never overwritten.
+ *
+ * Run by createApp() once the repositories are ready;
+ * it also empties the cache.
+ */
+export async function seedAuthorization() {
+    const { permissions } = getRepositories();
+
+    state().cache.clear();
+
+    /**
+     * Parents first, so the inherits foreign key is always satisfied.
+     */
+    for (const role of ROLES) {
+        await permissions.upsertRole(role, ROLE_PARENTS[role]);
+    }
+
+    if (await permissions.countPermissions() > 0) return;
+
+    for (const [name, description] of Object.entries(DEFAULT_PERMISSIONS)) {
+        await permissions.createPermission(name, description);
+    }
+
+    for (const [role, grants] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+        for (const permission of grants) {
+            await permissions.grant(role, permission);
+        }
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Refresh token service
+ *
+ * Access tokens are short-lived, so clients need a way to obtain
+ * new ones without sending the password again. This module issues
+ * long-lived, opaque refresh tokens persisted in the database.
+ *
+ * Security model:
+ * - only a SHA-256 hash of each token is stored
+ * - every refresh rotates the token (the old one becomes unusable)
+ * - tokens produced from the same login share a "family"
+ * - presenting an already rotated token revokes the whole family,
+ *   because it means the token was copied by someone else
+ *
+ * A family is the token side of a session (services/sessionService.js):
+ * the family id is the session id, and revoking the family terminates
+ * the session.
+ */
+
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+import { getConfig } from '../config/env.js';
+import {
+    extendSession,
+    terminateSession,
+    isSessionOfClient
+} from './sessionService.js';
+import { sha256Hex } from '../utils/hash.js';
+import * as clock from '../utils/clock.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Issues and persists a new refresh token.
+ *
+ * @param {number} userId - Owner of the token
+ * @param {string} [familyId] - Existing family when rotating,
+ *                              a new one is created on login
+ *
+ * @returns {Promise<{ id: number, token: string, familyId: string, expiresAt: number }>}
+ */
+export async function issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+    /**
+     * 48 random bytes, URL-safe so clients can store it anywhere.
+     */
+    const token = crypto.randomBytes(48).toString('base64url');
+
+    /**
+     * REFRESH_TOKEN_TTL (default 7 days).
+     */
+    const expiresAt = clock.now() + getConfig().tokens.refreshTtlSeconds * 1000;
+
+    const id = await getRepositories().refreshTokens.create({
+        userId,
+        tokenHash: sha256Hex(token),
+        familyId,
+        expiresAt
+    });
+
+    return { id, token, familyId, expiresAt };
+}
+
+/**
+ * Exchanges a refresh token for a new one (rotation).
+ *
+ * Outcomes:
+ * - valid token   → old token revoked, new token returned, session extended
+ * - rotated token → reuse detected, session terminated, null returned
+ * - unknown, expired or logged-out token → null returned
+ * - token of a session started for another client → null returned
+ *
+ * @param {string} token - Plaintext refresh token presented by the client
+ * @param {Object} client - Client details (see clientFromRequest in sessionService.js)
+ * @returns {Promise<{ userId: number, sessionId: string, token: string, expiresAt: number } | null>}
+ */
+export async function rotateRefreshToken(token, client) {
+    const { refreshTokens } = getRepositories();
+
+    const record = await refreshTokens.findByHash(sha256Hex(token));
+
+    if (!record) {
+        return null;
+    }
+
+    /**
+     * A token that was already exchanged is being replayed.
+     * Either the legitimate client or an attacker holds a copy,
+     * and we cannot tell which one, so the whole chain is killed.
+     */
+    if (record.revokedAt && record.replacedBy) {
+        logger.warn('Refresh token reuse detected, terminating session', { userId: record.userId });
+        await terminateSession(record.familyId);
+        return null;
+    }
+
+    if (record.revokedAt || record.expiresAt <= clock.now()) {
+        return null;
+    }
+
+    if (!await isSessionOfClient(record.familyId, client.clientId)) {
+        return null;
+    }
+
+    /**
+     * Mark the current token as revoked.
+     *
+     * The revocation is atomic: if two requests race with the
+     * same token only one of them wins, the other is treated as reuse.
+     */
+    if (!await refreshTokens.revoke(record.id)) {
+        await terminateSession(record.familyId);
+        return null;
+    }
+
+    const next = await issueRefreshToken(record.userId, record.familyId);
+
+    await refreshTokens.setReplacedBy(record.id, next.id);
+
+    await extendSession(record.familyId, record.userId, next.expiresAt, client);
+
+    return {
+        userId: record.userId,
+        sessionId: record.familyId,
+        token: next.token,
+        expiresAt: next.expiresAt
+    };
+}
+
+/**
+ * Session (family) a refresh token belongs to, without using it.
+ *
+ * Lets the CSRF token of a cookie request be checked before the
+ * refresh token is rotated or revoked (see services/authCookies.js).
+ *
+ * @param {string} token - Plaintext refresh token
+ * @returns {Promise<string | null>} Session id, null for unknown tokens
+ */
+export async function findRefreshTokenSession(token) {
+    const record = await getRepositories().refreshTokens.findByHash(sha256Hex(token));
+    return record?.familyId ?? null;
+}
+
+/**
+ * Revokes a single refresh token (logout).
+ *
+ * The session it belongs to is terminated, which revokes the
+ * whole family so that no sibling token from the same login survives.
+ *
+ * @param {string} token - Plaintext refresh token
+ * @returns {Promise<boolean>} true if the token existed
+ */
+export async function revokeRefreshToken(token) {
+    const record = await getRepositories().refreshTokens.findByHash(sha256Hex(token));
+
+    if (!record) {
+        return false;
+    }
+
+    await terminateSession(record.familyId);
+    return true;
+}
+
+/**
+ * Revokes every active refresh token of a user.
+ *
+ * Used when the account is disabled, deleted
+ * or its password is reset by an administrator.
+ *
+ * @param {number} userId - Token owner
+ */
+export async function revokeUserRefreshTokens(userId) {
+    await getRepositories().refreshTokens.revokeForUser(userId);
+}
@@ -0,0 +1,325 @@
+/**
+ * Session service
+ *
+ * A session is created by every successful login and represents
+ * one signed-in device. It ties together:
+ * - the refresh token family of that login (familyId = session id)
+ * - the access tokens issued for it ("sid" claim)
+ *
+ * Terminating a session revokes its refresh tokens and makes
+ * verifyToken reject its access tokens, so a lost or stolen device
+ * can be signed out without affecting the user's other devices.
+ *
+ * Session state is checked on every protected request, so it is
+ * cached in memory like the token state (see tokenRevocationService.js):
+ * changes made through this module apply immediately, changes made
+ * by other instances within CACHE_TTL_MS.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import * as clock from '../utils/clock.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Maximum age of cached session state.
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * lastSeenAt is written at most once per interval and session,
+ * not on every request.
+ */
+const ACTIVITY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Ended sessions are kept this long (for the audit trail of
+ * "which device was that?"), then deleted on the user's next login.
+ */
+const SESSION_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Longest user agent stored (browsers can send very long ones).
+ */
+const MAX_USER_AGENT_LENGTH = 512;
+
+/**
+ * Cache of each app:
+ * - entries: sessionId → { userId, cachedAt, seenAt, ip }, active sessions only
+ * - sweptAt: last removal of stale entries
+ *
+ * Terminated sessions are not kept: their tokens are rejected after
+ * a database lookup, and the cache only holds sessions in use.
+ */
+const sessionCache = defineAppState(() => ({ entries: new Map(), sweptAt: 0 }));
+
+/**
+ * Maps a sessions row to the representation returned by the API.
+ *
+ * @param {Object} row - sessions table row
+ * @param {string} [currentSessionId] - Session of the caller
+ * @returns {Object} Public session object
+ */
+function toPublicSession(row, currentSessionId) {
+    return {
+        id: row.id,
+        deviceLabel: row.deviceLabel,
+        userAgent: row.userAgent,
+        ip: row.ip,
+        clientId: row.clientId,
+        organizationId: row.organizationId,
+        createdAt: row.createdAt,
+        lastSeenAt: row.lastSeenAt,
+        expiresAt: row.expiresAt,
+        current: row.id === currentSessionId
+    };
+}
+
+/**
+ * Extracts the client details stored with a session.
+ *
+ * @param {Object} req - Express request
+ * @param {string} [deviceLabel] - Label chosen by the client
+ * @param {string} [clientId] - OpenID Connect client (omitted for first-party logins)
+ * @returns {{ deviceLabel: string | null, userAgent: string | null, ip: string | null, clientId: string | null }}
+ */
+export function clientFromRequest(req, deviceLabel, clientId) {
+    return {
+        deviceLabel: deviceLabel ?? null,
+        userAgent: req.headers['user-agent']?.slice(0, MAX_USER_AGENT_LENGTH) ?? null,
+        ip: req.ip ?? null,
+        clientId: clientId ?? null
+    };
+}
+
+/**
+ * Records a new session.
+ *
+ * Sessions of the same user that ended long ago are purged first.
+ *
+ * @param {number} userId - Session owner
+ * @param {Object} session
+ * @param {string} session.id - Refresh token family of the login
+ * @param {number} session.expiresAt - Expiry of its first refresh token
+ * @param {number} session.organizationId - Organization the login acts in
+ * @param {Object} client - Result of clientFromRequest()
+ */
+export async function createSession(userId, { id, expiresAt, organizationId }, client) {
+    const { sessions } = getRepositories();
+
+    await sessions.purgeEndedForUser(userId, clock.now() - SESSION_RETENTION_MS);
+
+    await sessions.create({ id, userId, expiresAt, organizationId, ...client });
+}
+
+/**
+ * Moves a session to another organization: the access tokens
+ * issued by its next refreshes carry that organization.
+ *
+ * @param {string} sessionId
+ * @param {number} organizationId
+ */
+export async function setSessionOrganization(sessionId, organizationId) {
+    await getRepositories().sessions.setOrganization(sessionId, organizationId);
+}
+
+/**
+ * Extends a session after its refresh token was rotated.
+ *
+ * Refresh token families created before sessions existed have
+ * no row yet: one is created, so the tokens issued from now on
+ * (which carry the session id) keep working.
+ *
+ * @param {string} sessionId - Refresh token family
+ * @param {number} userId - Session owner
+ * @param {number} expiresAt - Expiry of the new refresh token
+ * @param {Object} client - Result of clientFromRequest()
+ */
+export async function extendSession(sessionId, userId, expiresAt, client) {
+    const { sessions } = getRepositories();
+
+    if (!await sessions.touch(sessionId, { ip: client.ip, expiresAt })) {
+        await sessions.create({ id: sessionId, userId, expiresAt, ...client });
+    }
+}
+
+/**
+ * Checks which client a session was started for.
+ *
+ * Refresh tokens may only be used by that client: sessions of
+ * OpenID Connect clients are refreshed at POST /oauth/token by
+ * the same client, first-party sessions at POST /auth/refresh.
+ *
+ * @param {string} sessionId - Refresh token family
+ * @param {string | null} clientId - Client presenting the token (null = first party)
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionOfClient(sessionId, clientId) {
+    const row = await getRepositories().sessions.findById(sessionId);
+
+    return (row?.clientId ?? null) === (clientId ?? null);
+}
+
+/**
+ * Lists the active sessions of a user.
+ *
+ * @param {number} userId - Session owner
+ * @param {string} [currentSessionId] - Flagged with current: true
+ * @returns {Promise<Object[]>} Public session objects
+ */
+export async function listSessions(userId, currentSessionId) {
+    const rows = await getRepositories().sessions.listActiveForUser(userId);
+
+    return rows.map((row) => toPublicSession(row, currentSessionId));
+}
+
+/**
+ * Returns an active session of a user.
+ *
+ * @param {number} userId - Expected owner
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Object | null>} sessions row, null when unknown,
+ *          owned by someone else, terminated or expired
+ */
+export async function findActiveSession(userId, sessionId) {
+    const row = await getRepositories().sessions.findById(sessionId);
+
+    if (!row || row.userId !== userId || row.terminatedAt || row.expiresAt <= clock.now()) {
+        return null;
+    }
+
+    return row;
+}
+
+/**
+ * Terminates a session:
+ * - its refresh tokens are revoked
+ * - its access tokens are rejected by verifyToken
+ *
+ * @param {string} sessionId - Session (refresh token family) id
+ * @returns {Promise<boolean>} false when it was already terminated
+ */
+export async function terminateSession(sessionId) {
+    const { sessions, refreshTokens } = getRepositories();
+
+    await refreshTokens.revokeFamily(sessionId);
+
+    const terminated = await sessions.terminate(sessionId);
+
+    sessionCache().entries.delete(sessionId);
+
+    return terminated;
+}
+
+/**
+ * Marks every session of a user as terminated.
+ *
+ * Refresh and access tokens are revoked separately
+ * (see revokeAllUserTokens in tokenRevocationService.js).
+ *
+ * @param {number} userId - Session owner
+ */
+export async function terminateAllSessions(userId) {
+    await getRepositories().sessions.terminateForUser(userId);
+
+    const { entries } = sessionCache();
+
+    for (const [sessionId, cached] of entries) {
+        if (cached.userId === userId) {
+            entries.delete(sessionId);
+        }
+    }
+}
+
+/**
+ * Removes the entries of sessions not used for CACHE_TTL_MS,
+ * at most once per CACHE_TTL_MS.
+ *
+ * @param {number} now - Current time (ms)
+ */
+function sweepSessionCache(now) {
+    const cache = sessionCache();
+
+    if (cache.sweptAt + CACHE_TTL_MS > now) {
+        return;
+    }
+
+    cache.sweptAt = now;
+
+    for (const [sessionId, cached] of cache.entries) {
+        if (cached.cachedAt + CACHE_TTL_MS <= now) {
+            cache.entries.delete(sessionId);
+        }
+    }
+}
+
+/**
+ * Returns the cached state of an active session, reloading it when stale.
+ *
+ * @param {string} sessionId - "sid" claim
+ * @returns {Promise<Object | null>} Cache entry, null when the
+ *          session does not exist or was terminated
+ */
+async function getSessionState(sessionId) {
+    const { entries } = sessionCache();
+    const cached = entries.get(sessionId);
+    const now = clock.now();
+
+    if (cached && cached.cachedAt + CACHE_TTL_MS > now) {
+        return cached;
+    }
+
+    sweepSessionCache(now);
+
+    const row = await getRepositories().sessions.findById(sessionId);
+
+    if (!row || row.terminatedAt) {
+        entries.delete(sessionId);
+        return null;
+    }
+
+    const state = {
+        userId: row.userId,
+        cachedAt: now,
+        seenAt: cached?.seenAt ?? row.lastSeenAt ?? 0,
+        ip: cached?.ip ?? row.ip ?? null
+    };
+
+    entries.set(sessionId, state);
+    return state;
+}
+
+/**
+ * Checks whether the session of an access token is still active.
+ *
+ * The expiry of the session is not checked here: it only limits
+ * refreshes, and the access token has its own (shorter) expiry.
+ *
+ * @param {string} sessionId - "sid" claim
+ * @returns {Promise<boolean>}
+ */
+export async function isSessionActive(sessionId) {
+    return Boolean(await getSessionState(sessionId));
+}
+
+/**
+ * Updates lastSeenAt / ip after an authenticated request.
+ *
+ * Throttled to one write per ACTIVITY_INTERVAL_MS,
+ * unless the client address changed.
+ *
+ * @param {string} sessionId - "sid" claim
+ * @param {string} ip - Client address
+ */
+export async function recordSessionActivity(sessionId, ip) {
+    const state = await getSessionState(sessionId);
+    const now = clock.now();
+
+    if (!state || (state.seenAt + ACTIVITY_INTERVAL_MS > now && state.ip === ip)) {
+        return;
+    }
+
+    state.seenAt = now;
+    state.ip = ip;
+
+    await getRepositories().sessions.touch(sessionId, { ip });
+}
@@ -0,0 +1,184 @@
+/**
+ * Token revocation service
+ *
+ * Access tokens are stateless JWTs, so by default they stay valid
+ * until they expire. This service adds two server-side checks:
+ *
+ * 1. Token version (security stamp)
+ *    Every user has a tokenVersion, embedded in each access token
+ *    as the "ver" claim. Incrementing it invalidates every token
+ *    issued before (logout everywhere, role change, disable...).
+ *
+ * 2. jti denylist
+ *    Individual tokens can be revoked by their unique id (jti),
+ *    e.g. the access token presented on logout.
+ *
+ * 3. Session
+ *    Tokens carrying a session id ("sid" claim) stop working when
+ *    that session is terminated (see sessionService.js).
+ *
+ * Impersonation tokens ("act" claim) are checked against the
+ * admin as well: their version, or a disabled or deleted account,
+ * revokes them like the user's.
+ *
+ * All checks run on every protected request, so results are cached
+ * in memory. Changes made through this module update the cache
+ * immediately; the cache also expires on its own so changes made by
+ * other instances are picked up within CACHE_TTL_MS.
+ */
+
+import { getRepositories } from '../repositories/index.js';
+import { revokeUserRefreshTokens } from './refreshTokenService.js';
+import { isSessionActive, terminateAllSessions } from './sessionService.js';
+import * as clock from '../utils/clock.js';
+import { defineAppState } from '../utils/appContext.js';
+
+/**
+ * Maximum age of cached data.
+ */
+const CACHE_TTL_MS = 30 * 1000;
+
+/**
+ * Caches of each app:
+ * - userCache: userId → { version, disabled, exists, cachedAt }
+ * - denylist: in-memory copy of the denylist, jti → expiresAt (ms).
+ *   Only tokens that have not expired yet are kept.
+ */
+const caches = defineAppState(() => ({ userCache: new Map(), denylist: new Map(), denylistLoadedAt: 0 }));
+
+/**
+ * Returns the current token state of a user, from cache when fresh.
+ *
+ * @param {number} userId - User id (token "sub")
+ * @returns {Promise<{ version: number, disabled: boolean, exists: boolean }>}
+ */
+async function getUserTokenState(userId) {
+    const { userCache } = caches();
+    const cached = userCache.get(userId);
+
+    if (cached && cached.cachedAt + CACHE_TTL_MS > clock.now()) {
+        return cached;
+    }
+
+    const row = await getRepositories().users.getTokenState(userId);
+
+    const state = {
+        version: row?.tokenVersion ?? 0,
+        disabled: Boolean(row?.disabled),
+        exists: Boolean(row),
+        cachedAt: clock.now()
+    };
+
+    userCache.set(userId, state);
+    return state;
+}
+
+/**
+ * Reloads the denylist when the cached copy is stale.
+ */
+async function refreshDenylist() {
+    const current = caches();
+
+    if (current.denylistLoadedAt + CACHE_TTL_MS > clock.now()) {
+        return;
+    }
+
+    const { revokedTokens } = getRepositories();
+    const now = clock.now();
+
+    /**
+     * Entries for expired tokens are useless: purge them.
+     */
+    await revokedTokens.purgeExpired(now);
+
+    const rows = await revokedTokens.listAll();
+
+    current.denylist = new Map(rows.map((r) => [r.jti, r.expiresAt]));
+    current.denylistLoadedAt = now;
+}
+
+/**
+ * Checks whether a verified access token has been revoked.
+ *
+ * @param {Object} payload - Verified JWT payload
+ * @returns {Promise<boolean>}
+ */
+export async function isTokenRevoked(payload) {
+    await refreshDenylist();
+
+    if (caches().denylist.has(payload.jti)) {
+        return true;
+    }
+
+    const states = [{ userId: payload.sub, version: payload.ver }];
+
+    if (payload.act) {
+        states.push({ userId: payload.act.sub, version: payload.act.ver });
+    }
+
+    for (const { userId, version } of states) {
+        const state = await getUserTokenState(Number(userId));
+
+        if (!state.exists || state.disabled || (version ?? 0) !== state.version) {
+            return true;
+        }
+    }
+
+    /**
+     * Tokens issued before sessions existed have no "sid".
+     */
+    return Boolean(payload.sid) && !await isSessionActive(payload.sid);
+}
+
+/**
+ * Revokes a single access token by its jti.
+ *
+ * @param {string} jti - Token id
+ * @param {number} exp - Token expiration ("exp" claim, seconds)
+ */
+export async function revokeTokenById(jti, exp) {
+    const expiresAt = exp * 1000;
+
+    await getRepositories().revokedTokens.add(jti, expiresAt);
+
+    caches().denylist.set(jti, expiresAt);
+}
+
+/**
+ * Invalidates every access token of a user by bumping the version.
+ *
+ * Refresh tokens are kept, so the user silently gets a new
+ * access token (with up-to-date role) on the next refresh.
+ *
+ * @param {number} userId - Target user
+ */
+export async function bumpTokenVersion(userId) {
+    await getRepositories().users.bumpTokenVersion(userId);
+
+    caches().userCache.delete(userId);
+}
+
+/**
+ * Logs a user out everywhere.
+ *
+ * - all access tokens become invalid (version bump)
+ * - all refresh tokens are revoked
+ * - all sessions are marked terminated
+ *
+ * @param {number} userId - Target user
+ */
+export async function revokeAllUserTokens(userId) {
+    await bumpTokenVersion(userId);
+    await revokeUserRefreshTokens(userId);
+    await terminateAllSessions(userId);
+}
+
+/**
+ * Drops cached state of a user (after a change made elsewhere,
+ * e.g. account disabled or deleted).
+ *
+ * @param {number} userId - Target user
+ */
+export function forgetUser(userId) {
+    caches().userCache.delete(userId);
+}
@@ -0,0 +1,185 @@
+/**
+ * User administration: creation and role validation, pagination
+ * and filters, disabling and deleting, last admin protection.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+describe('user administration', () => {
+    let t;
+    let token;
+    let admin;
+
+    before(async () => {
+        t = await startTestApp();
+
+        admin = await t.seedUser({ username: 'admin1', role: 'admin' });
+        await t.seedUser({ username: 'advisor1', role: 'advisor' });
+
+        for (const username of ['user1', 'user2', 'user3']) {
+            await t.seedUser({ username });
+        }
+
+        ({ token } = await t.login('admin1'));
+    });
+
+    after(() => t.close());
+
+    const login = (username) => t.request('POST', '/auth/login', { body: { username, password: PASSWORD } });
+
+    const list = async (query) => (await t.request('GET', `/admin/users?${query}`, { token })).body;
+
+    const usernames = (page) => page.data.map((user) => user.username);
+
+    describe('creation and roles', () => {
+        it('creates a user with a known role', async () => {
+            const { status, body } = await t.request('POST', '/admin/users', {
+                token,
+                body: { username: 'advisor2', password: PASSWORD, role: 'advisor' }
+            });
+
+            assert.equal(status, 201);
+            assert.equal(body.role, 'advisor');
+            assert.equal(body.passwordHashed, undefined);
+
+            assert.equal((await login('advisor2')).body.role, 'advisor');
+        });
+
+        it('refuses unknown roles', async () => {
+            const created = await t.request('POST', '/admin/users', {
+                token,
+                body: { username: 'manager1', password: PASSWORD, role: 'manager' }
+            });
+
+            assert.equal(created.status, 400);
+            assert.equal(created.body.code, 'validation_failed');
+
+            const [user] = (await list('q=user1')).data;
+            const changed = await t.request('PATCH', `/admin/users/${user.id}/role`, { token, body: { role: 'root' } });
+
+            assert.equal(changed.status, 400);
+            assert.equal(changed.body.code, 'validation_failed');
+        });
+
+        it('refuses a username that is taken', async () => {
+            const { status, body } = await t.request('POST', '/admin/users', {
+                token,
+                body: { username: 'user1', password: PASSWORD, role: 'user' }
+            });
+
+            assert.equal(status, 409);
+            assert.equal(body.code, 'username_taken');
+        });
+
+        it('is refused to non-admins', async () => {
+            const { token: userToken } = await t.login('user1');
+            const { status, body } = await t.request('GET', '/admin/users', { token: userToken });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'insufficient_permissions');
+        });
+    });
+
+    describe('listing', () => {
+        it('pages through the users in id order', async () => {
+            const first = await list('pageSize=2');
+            const second = await list('pageSize=2&page=2');
+
+            assert.equal(first.total, 6);
+            assert.deepEqual(usernames(first), ['admin1', 'advisor1']);
+            assert.deepEqual(usernames(second), ['user1', 'user2']);
+            assert.equal(second.page, 2);
+        });
+
+        it('filters by role, username and status', async () => {
+            assert.deepEqual(usernames(await list('role=advisor')), ['advisor1', 'advisor2']);
+            assert.deepEqual(usernames(await list('q=user')), ['user1', 'user2', 'user3']);
+            assert.deepEqual(usernames(await list('disabled=true')), []);
+        });
+
+        it('refuses a page size above 100', async () => {
+            const { status, body } = await t.request('GET', '/admin/users?pageSize=101', { token });
+
+            assert.equal(status, 400);
+            assert.equal(body.code, 'validation_failed');
+        });
+    });
+
+    describe('disabling and deleting', () => {
+        it('disables an account and revokes its tokens until it is enabled again', async () => {
+            const [user] = (await list('q=user2')).data;
+            const session = await t.login('user2');
+
+            const disabled = await t.request('PATCH', `/admin/users/${user.id}/status`, {
+                token,
+                body: { disabled: true }
+            });
+
+            assert.equal(disabled.status, 200);
+            assert.equal(disabled.body.disabled, true);
+            assert.deepEqual(usernames(await list('disabled=true')), ['user2']);
+
+            assert.equal((await t.request('GET', '/data/all', { token: session.token })).status, 401);
+
+            const refreshed = await t.request('POST', '/auth/refresh', {
+                body: { refreshToken: session.refreshToken }
+            });
+            assert.equal(refreshed.status, 401);
+
+            const refused = await login('user2');
+            assert.equal(refused.status, 403);
+            assert.equal(refused.body.code, 'account_disabled');
+
+            await t.request('PATCH', `/admin/users/${user.id}/status`, { token, body: { disabled: false } });
+
+            assert.equal((await login('user2')).status, 200);
+        });
+
+        it('deletes an account', async () => {
+            const [user] = (await list('q=user3')).data;
+
+            assert.equal((await t.request('DELETE', `/admin/users/${user.id}`, { token })).status, 204);
+
+            const { status, body } = await t.request('GET', `/admin/users/${user.id}`, { token });
+
+            assert.equal(status, 404);
+            assert.equal(body.code, 'user_not_found');
+            assert.equal((await login('user3')).status, 401);
+        });
+    });
+
+    describe('last admin', () => {
+        it('cannot be demoted, disabled or deleted', async () => {
+            const requests = [
+                ['PATCH', `/admin/users/${admin.id}/role`, { role: 'advisor' }],
+                ['PATCH', `/admin/users/${admin.id}/status`, { disabled: true }],
+                ['DELETE', `/admin/users/${admin.id}`]
+            ];
+
+            for (const [method, path, body] of requests) {
+                const response = await t.request(method, path, { token, body });
+
+                assert.equal(response.status, 409, `${method} ${path}`);
+                assert.equal(response.body.code, 'last_admin', `${method} ${path}`);
+            }
+
+            assert.equal((await login('admin1')).body.role, 'admin');
+        });
+
+        it('can step down once another admin exists', async () => {
+            const [advisor] = (await list('q=advisor1')).data;
+
+            await t.request('PATCH', `/admin/users/${advisor.id}/role`, { token, body: { role: 'admin' } });
+
+            const { status, body } = await t.request('PATCH', `/admin/users/${admin.id}/role`, {
+                token,
+                body: { role: 'advisor' }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.role, 'advisor');
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * API keys: scopes, and refusal on the account and session routes.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('API keys', () => {
+    let t;
+    let key;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        const { token } = await t.login('admin1');
+
+        const account = await t.request('POST', '/admin/service-accounts', {
+            token,
+            body: { username: 'exporter', role: 'advisor' }
+        });
+        assert.equal(account.status, 201);
+
+        const issued = await t.request('POST', `/admin/service-accounts/${account.body.id}/api-keys`, {
+            token,
+            body: { name: 'data export', scopes: ['data:read'] }
+        });
+        assert.equal(issued.status, 201);
+
+        key = issued.body.key;
+    });
+
+    after(() => t.close());
+
+    it('authenticates requests within the scopes of the key', async () => {
+        const { status } = await t.request('GET', '/data/all', { apiKey: key });
+
+        assert.equal(status, 200);
+    });
+
+    it('refuses permissions of the role outside the scopes', async () => {
+        const { status, body } = await t.request('GET', '/data/advisor', { apiKey: key });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'insufficient_permissions');
+    });
+
+    it('refuses an unknown key', async () => {
+        const { status, body } = await t.request('GET', '/data/all', { apiKey: `${key}x` });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'api_key_invalid');
+    });
+
+    for (const [method, path, body] of [
+        ['POST', '/auth/mfa/setup'],
+        ['POST', '/auth/logout-all'],
+        ['GET', '/auth/organizations'],
+        ['GET', '/auth/sessions'],
+        ['POST', '/auth/organizations/switch', { organizationId: 1 }],
+        ['POST', '/auth/password/change', { currentPassword: 'x', newPassword: 'Another-pass-123' }]
+    ]) {
+        it(`refuses ${method} ${path} with 403 session_required`, async () => {
+            const response = await t.request(method, path, { apiKey: key, body });
+
+            assert.equal(response.status, 403);
+            assert.equal(response.body.code, 'session_required');
+        });
+    }
+});
@@ -0,0 +1,69 @@
+/**
+ * createApp(): apps side by side in one process, readiness.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+import { markShuttingDown } from '../services/healthService.js';
+
+describe('createApp', () => {
+    let first;
+    let second;
+
+    before(async () => {
+        first = await startTestApp({ LOG_LEVEL: 'info' });
+        await first.seedUser({ username: 'alice' });
+
+        second = await startTestApp({ LOG_LEVEL: 'info' });
+    });
+
+    after(async () => {
+        await first.close();
+        await second.close();
+    });
+
+    it('keeps the database of each app', async () => {
+        assert.ok(await first.login('alice'));
+
+        const { status } = await second.request('POST', '/auth/login', {
+            body: { username: 'alice', password: 'anything' }
+        });
+        assert.equal(status, 401);
+
+        await second.seedUser({ username: 'alice' });
+        assert.ok(await second.login('alice'));
+        assert.ok(await first.login('alice'));
+    });
+
+    it('keeps the clock of each app', async () => {
+        const { token } = await first.login('alice');
+
+        second.clock.advance(60 * 60 * 1000);
+        assert.equal((await first.request('GET', '/data/all', { token })).status, 200);
+
+        first.clock.advance(60 * 60 * 1000);
+        assert.equal((await first.request('GET', '/data/all', { token })).status, 401);
+    });
+
+    it('keeps the logs of each app', async () => {
+        await second.request('GET', '/health/live');
+
+        const paths = (t) => t.logs.filter((r) => r.msg === 'request completed').map((r) => r.path);
+
+        assert.ok(paths(second).includes('/health/live'));
+        assert.ok(!paths(first).includes('/health/live'));
+    });
+
+    it('fails readiness of the app shutting down only', async () => {
+        assert.equal((await first.request('GET', '/health/ready')).status, 200);
+
+        await second.inApp(markShuttingDown);
+
+        const { status, body } = await second.request('GET', '/health/ready');
+        assert.equal(status, 503);
+        assert.equal(body.status, 'shutting_down');
+
+        assert.equal((await first.request('GET', '/health/ready')).status, 200);
+    });
+});
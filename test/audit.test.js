@@ -0,0 +1,144 @@
+/**
+ * Audit log: recorded events, search and export, organization
+ * scoping of GET /admin/audit, hash chain verification.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('audit log', () => {
+    let t;
+    let root;
+    let admin;
+    let carol;
+    let bob;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'root', role: 'admin', superAdmin: true });
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        bob = await t.seedUser({ username: 'bob', role: 'user' });
+        root = await t.login('root');
+        admin = await t.login('admin1');
+
+        const acme = await t.request('POST', '/admin/organizations', {
+            token: root.token,
+            body: { slug: 'acme', name: 'Acme' }
+        });
+        assert.equal(acme.status, 201);
+
+        const user = await t.seedUser({ username: 'carol', role: 'admin', organizationId: acme.body.id });
+        carol = { ...await t.login('carol'), id: user.id, organizationId: acme.body.id };
+
+        /**
+         * Events of the default organization.
+         */
+        await t.request('POST', '/auth/login', { body: { username: 'bob', password: 'wrong-password' } });
+
+        const { token: bobToken } = await t.login('bob');
+        await t.request('GET', '/data/admin', { token: bobToken });
+
+        /**
+         * Event of acme.
+         */
+        await t.request('POST', '/admin/users', {
+            token: carol.token,
+            body: { username: 'dave', password: 'Password-1234', role: 'user' }
+        });
+
+        await t.flushAudit();
+    });
+
+    after(() => t.close());
+
+    const search = async (query) => (await t.request('GET', `/admin/audit?${query}`, { token: admin.token })).body;
+
+    const types = (page) => page.data.map((event) => event.eventType);
+
+    it('records logins and access denials of a user, newest first', async () => {
+        const page = await search(`userId=${bob.id}`);
+
+        assert.deepEqual(types(page), ['access.denied', 'login.success', 'login.failure']);
+        assert.equal(page.data[2].details.reason, 'bad_password');
+    });
+
+    it('filters by event type prefix', async () => {
+        const page = await search(`type=login.*&userId=${bob.id}`);
+
+        assert.deepEqual(types(page), ['login.success', 'login.failure']);
+    });
+
+    it('exports the matching events as CSV', async () => {
+        const { status, headers, body } = await t.request('GET', `/admin/audit?export=csv&userId=${bob.id}`, {
+            token: admin.token
+        });
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-disposition'), /attachment; filename="audit-\d+\.csv"/);
+
+        const lines = body.split('\r\n');
+        assert.match(lines[0], /^id,createdAt,eventType,organizationId,/);
+        assert.equal(lines.length, 4);
+    });
+
+    it('shows an organization admin the events of their organization only', async () => {
+        const { status, body } = await t.request('GET', '/admin/audit?pageSize=100', { token: carol.token });
+
+        assert.equal(status, 200);
+        assert.ok(body.data.some((event) => event.eventType === 'admin.user.created'));
+
+        for (const event of body.data) {
+            assert.ok(
+                event.organizationId === carol.organizationId
+                    || (event.organizationId === null && (event.actorId === carol.id || event.targetId === carol.id)),
+                `${event.eventType} of organization ${event.organizationId} is visible`
+            );
+        }
+
+        assert.ok(!body.data.some((event) => event.actorUsername === 'bob'));
+    });
+
+    it('shows a super-admin every event', async () => {
+        const { body } = await t.request('GET', '/admin/audit?pageSize=100', { token: root.token });
+
+        assert.ok(body.data.some((event) => event.actorUsername === 'bob'));
+        assert.ok(body.data.some((event) => event.actorUsername === 'carol'));
+    });
+
+    it('keeps an intact hash chain', async () => {
+        const { status, body } = await t.request('GET', '/admin/audit/verify', { token: root.token });
+
+        assert.equal(status, 200);
+        assert.equal(body.valid, true);
+        assert.ok(body.checked > 0);
+    });
+
+    it('detects an edited row', async () => {
+        const [event] = (await search(`userId=${bob.id}&type=login.failure`)).data;
+
+        await t.db.run('UPDATE audit_events SET ip = ? WHERE id = ?', ['10.0.0.1', event.id]);
+
+        const { body } = await t.request('GET', '/admin/audit/verify', { token: root.token });
+
+        assert.equal(body.valid, false);
+        assert.equal(body.brokenAt, event.id);
+    });
+
+    it('is refused to organization admins', async () => {
+        const { status, body } = await t.request('GET', '/admin/audit/verify', { token: carol.token });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'insufficient_permissions');
+    });
+
+    it('is refused to non-admins', async () => {
+        const { token: bobToken } = await t.login('bob');
+
+        const { status, body } = await t.request('GET', '/admin/audit', { token: bobToken });
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'insufficient_permissions');
+    });
+});
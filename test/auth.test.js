@@ -0,0 +1,172 @@
+/**
+ * Login, role and permission guards, access token expiry,
+ * refresh token rotation and logout.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+describe('authentication', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'user1', role: 'user' });
+        await t.seedUser({ username: 'advisor1', role: 'advisor' });
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+    });
+
+    after(() => t.close());
+
+    const refresh = (refreshToken) => t.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+    describe('POST /auth/login', () => {
+        it('returns an access token and a refresh token', async () => {
+            const { status, body } = await t.request('POST', '/auth/login', {
+                body: { username: 'user1', password: PASSWORD }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.role, 'user');
+            assert.ok(body.token);
+            assert.ok(body.refreshToken);
+
+            const me = await t.request('GET', '/data/all', { token: body.token });
+            assert.equal(me.status, 200);
+        });
+
+        it('refuses a wrong password', async () => {
+            const { status, body } = await t.request('POST', '/auth/login', {
+                body: { username: 'advisor1', password: 'wrong-password' }
+            });
+
+            assert.equal(status, 401);
+            assert.equal(body.code, 'invalid_credentials');
+        });
+
+        it('gives an unknown username the same answer', async () => {
+            const { status, body } = await t.request('POST', '/auth/login', {
+                body: { username: 'nobody', password: PASSWORD }
+            });
+
+            assert.equal(status, 401);
+            assert.equal(body.code, 'invalid_credentials');
+        });
+
+        it('answers a malformed payload with a problem document', async () => {
+            const { status, headers, body } = await t.request('POST', '/auth/login', {
+                body: { username: 'user1' }
+            });
+
+            assert.equal(status, 400);
+            assert.match(headers.get('content-type'), /^application\/problem\+json/);
+            assert.equal(body.code, 'validation_failed');
+            assert.ok(body.errors.length > 0);
+        });
+    });
+
+    describe('checkRole', () => {
+        it('refuses other roles with 403', async () => {
+            const { token } = await t.login('user1');
+
+            const { status, body } = await t.request('GET', '/data/admin', { token });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'insufficient_permissions');
+        });
+
+        it('lets the role through', async () => {
+            const { token } = await t.login('admin1');
+
+            const { status } = await t.request('GET', '/data/admin', { token });
+
+            assert.equal(status, 200);
+        });
+    });
+
+    describe('requirePermission', () => {
+        it('refuses roles without the permission with 403', async () => {
+            const { token } = await t.login('user1');
+
+            const { status, body } = await t.request('GET', '/data/advisor', { token });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'insufficient_permissions');
+        });
+
+        it('lets roles holding the permission through, inherited or not', async () => {
+            for (const username of ['advisor1', 'admin1']) {
+                const { token } = await t.login(username);
+
+                const { status } = await t.request('GET', '/data/advisor', { token });
+
+                assert.equal(status, 200, username);
+            }
+        });
+    });
+
+    describe('access token expiry', () => {
+        it('stops accepting the token once ACCESS_TOKEN_TTL is over', async () => {
+            const { token } = await t.login('user1');
+
+            t.clock.advance(59 * 1000);
+            assert.equal((await t.request('GET', '/data/all', { token })).status, 200);
+
+            t.clock.advance(2 * 1000);
+            const { status, body } = await t.request('GET', '/data/all', { token });
+
+            assert.equal(status, 401);
+            assert.equal(body.code, 'token_invalid');
+        });
+    });
+
+    describe('POST /auth/refresh', () => {
+        it('rotates the refresh token and issues a new access token', async () => {
+            const login = await t.login('user1');
+
+            const { status, body } = await refresh(login.refreshToken);
+
+            assert.equal(status, 200);
+            assert.notEqual(body.refreshToken, login.refreshToken);
+            assert.equal(body.sessionId, login.sessionId);
+            assert.equal((await t.request('GET', '/data/all', { token: body.token })).status, 200);
+        });
+
+        it('treats a reused refresh token as theft and ends the session', async () => {
+            const login = await t.login('user1');
+
+            const first = await refresh(login.refreshToken);
+            assert.equal(first.status, 200);
+
+            const replay = await refresh(login.refreshToken);
+            assert.equal(replay.status, 401);
+            assert.equal(replay.body.code, 'invalid_refresh_token');
+
+            /**
+             * The token issued by the legitimate rotation dies with the
+             * session, and so do the access tokens of the session.
+             */
+            assert.equal((await refresh(first.body.refreshToken)).status, 401);
+
+            const { status, body } = await t.request('GET', '/data/all', { token: first.body.token });
+            assert.equal(status, 401);
+            assert.equal(body.code, 'token_revoked');
+        });
+    });
+
+    describe('POST /auth/logout', () => {
+        it('revokes the refresh token', async () => {
+            const login = await t.login('user1');
+            const rotated = (await refresh(login.refreshToken)).body;
+
+            const { status } = await t.request('POST', '/auth/logout', {
+                body: { refreshToken: rotated.refreshToken }
+            });
+
+            assert.equal(status, 204);
+            assert.equal((await refresh(rotated.refreshToken)).status, 401);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Client access policy of GET /data/clients/:id: advisors reach
+ * their assigned clients, users themselves, nobody crosses
+ * organizations.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('client access', () => {
+    let t;
+    let advisorRow;
+    let advisor;
+    let alice;
+    let bob;
+    let mallory;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'root', role: 'admin', superAdmin: true });
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        advisorRow = await t.seedUser({ username: 'advisor1', role: 'advisor' });
+        alice = await t.seedUser({ username: 'alice' });
+        bob = await t.seedUser({ username: 'bob' });
+
+        const root = await t.login('root');
+        const acme = await t.request('POST', '/admin/organizations', {
+            token: root.token,
+            body: { slug: 'acme', name: 'Acme' }
+        });
+        assert.equal(acme.status, 201);
+
+        mallory = await t.seedUser({ username: 'mallory', organizationId: acme.body.id });
+
+        const admin = await t.login('admin1');
+        const assigned = await t.request('PUT', `/admin/advisors/${advisorRow.id}/clients/${alice.id}`, {
+            token: admin.token
+        });
+        assert.equal(assigned.status, 204);
+
+        advisor = await t.login('advisor1');
+    });
+
+    after(() => t.close());
+
+    const getClient = (id, token) => t.request('GET', `/data/clients/${id}`, { token });
+
+    it('lets an advisor reach an assigned client', async () => {
+        const { status, body } = await getClient(alice.id, advisor.token);
+
+        assert.equal(status, 200);
+        assert.equal(body.username, 'alice');
+        assert.deepEqual(body.advisors.map((a) => a.username), ['advisor1']);
+    });
+
+    it('refuses an advisor a client who is not assigned to them', async () => {
+        const { status, body } = await getClient(bob.id, advisor.token);
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'insufficient_permissions');
+    });
+
+    it('lets a user reach themself only', async () => {
+        const { token } = await t.login('bob');
+
+        assert.equal((await getClient(bob.id, token)).status, 200);
+
+        const { status, body } = await getClient(alice.id, token);
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'insufficient_permissions');
+    });
+
+    it('refuses a client of another organization, even to an admin', async () => {
+        const { token } = await t.login('admin1');
+
+        assert.equal((await getClient(mallory.id, token)).status, 403);
+        assert.equal((await getClient(mallory.id, advisor.token)).status, 403);
+    });
+
+    it('refuses to assign a client of another organization', async () => {
+        const { token } = await t.login('admin1');
+
+        const { status } = await t.request('PUT', `/admin/advisors/${advisorRow.id}/clients/${mallory.id}`, { token });
+
+        assert.equal(status, 404);
+        assert.equal((await getClient(mallory.id, advisor.token)).status, 403);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Configuration: production rules.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../config/env.js';
+
+/**
+ * Smallest environment accepted in production.
+ */
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    DATABASE_URL: 'sqlite::memory:',
+    CORS_ORIGINS: 'https://app.example.com',
+    PASSWORD_RESET_URL: 'https://app.example.com/reset-password',
+    MAIL_TRANSPORT: 'smtp',
+    SMTP_PASS: 'q7Rk2mWz9XbT4vNe',
+    METRICS_TOKEN: 'Xp4nL8sQ2vRk7mTw',
+    SIGNING_KEY_ENCRYPTION_KEY: 'k3Jt9yQ1vX0bWn5mR8sL2dF6hA4cZ7eP0uG3iO9tY1w='
+};
+
+describe('loadConfig', () => {
+    it('accepts a complete production environment', () => {
+        assert.equal(loadConfig(PRODUCTION).mail.transport, 'smtp');
+        assert.equal(loadConfig({ ...PRODUCTION, MAIL_TRANSPORT: 'file' }).mail.transport, 'file');
+    });
+
+    it('refuses the console mail transport in production', () => {
+        for (const transport of [undefined, 'console']) {
+            const env = { ...PRODUCTION, MAIL_TRANSPORT: transport };
+
+            assert.throws(() => loadConfig(env), /MAIL_TRANSPORT must be smtp or file in production/);
+        }
+    });
+
+    it('requires METRICS_TOKEN in production', () => {
+        const env = { ...PRODUCTION, METRICS_TOKEN: undefined };
+
+        assert.throws(() => loadConfig(env), /METRICS_TOKEN is required in production/);
+        assert.equal(loadConfig({ NODE_ENV: 'development' }).metricsToken, undefined);
+    });
+
+    it('requires a URL issuer for the OpenID Connect provider', () => {
+        assert.throws(
+            () => loadConfig({ OIDC_PROVIDER: 'true' }),
+            /JWT_ISSUER must be the public URL of the backend when OIDC_PROVIDER is enabled/
+        );
+        assert.throws(
+            () => loadConfig({ ...PRODUCTION, OIDC_PROVIDER: 'true', JWT_ISSUER: 'http://auth.example.com' }),
+            /JWT_ISSUER must use https in production/
+        );
+        assert.equal(loadConfig({ ...PRODUCTION, OIDC_PROVIDER: 'true', JWT_ISSUER: 'https://auth.example.com' }).oidcProvider, true);
+        assert.equal(loadConfig({ NODE_ENV: 'development' }).oidcProvider, false);
+    });
+
+    it('requires a 32-byte SIGNING_KEY_ENCRYPTION_KEY in production', () => {
+        assert.throws(
+            () => loadConfig({ ...PRODUCTION, SIGNING_KEY_ENCRYPTION_KEY: undefined }),
+            /SIGNING_KEY_ENCRYPTION_KEY is required in production/
+        );
+        assert.throws(
+            () => loadConfig({ SIGNING_KEY_ENCRYPTION_KEY: 'not-base64' }),
+            /SIGNING_KEY_ENCRYPTION_KEY must be 32 bytes in base64/
+        );
+    });
+
+    it('keeps the console mail transport as the default elsewhere', () => {
+        assert.equal(loadConfig({ NODE_ENV: 'development' }).mail.transport, 'console');
+    });
+});
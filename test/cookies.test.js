@@ -0,0 +1,173 @@
+/**
+ * Cookie authentication (AUTH_COOKIES): CSRF token required on
+ * state-changing requests, refresh through the cookie.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+/**
+ * @param {Headers} headers - Response headers
+ * @returns {Object} Cookies set by the response, by name
+ */
+function setCookies(headers) {
+    return Object.fromEntries(headers.getSetCookie().map((cookie) => {
+        const [pair] = cookie.split(';');
+        const separator = pair.indexOf('=');
+
+        return [pair.slice(0, separator), decodeURIComponent(pair.slice(separator + 1))];
+    }));
+}
+
+/**
+ * @param {Object} cookies - Cookies by name
+ * @returns {string} Cookie header
+ */
+function cookieHeader(cookies) {
+    return Object.entries(cookies)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join('; ');
+}
+
+describe('cookie authentication', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({
+            AUTH_COOKIES: 'true',
+            CORS_ORIGINS: 'https://app.example.com',
+            CSRF_SECRET: 'csrf-secret-of-the-cookie-tests'
+        });
+
+        await t.seedUser({ username: 'user1' });
+    });
+
+    after(() => t.close());
+
+    /**
+     * Logs user1 in with "useCookies": true.
+     *
+     * @returns {Promise<{ cookies: Object, body: Object }>}
+     */
+    async function cookieLogin() {
+        const { status, headers, body } = await t.request('POST', '/auth/login', {
+            body: { username: 'user1', password: PASSWORD, useCookies: true }
+        });
+
+        assert.equal(status, 200);
+
+        return { cookies: setCookies(headers), body };
+    }
+
+    /**
+     * Sends the cookies of a login, and optionally an X-XSRF-TOKEN header.
+     */
+    const withCookies = (cookies, csrfToken) => ({
+        headers: {
+            cookie: cookieHeader(cookies),
+            ...(csrfToken && { 'x-xsrf-token': csrfToken })
+        }
+    });
+
+    it('sets the tokens as cookies instead of returning them', async () => {
+        const { cookies, body } = await cookieLogin();
+
+        assert.equal(body.token, undefined);
+        assert.equal(body.refreshToken, undefined);
+        assert.ok(cookies.access_token);
+        assert.ok(cookies.refresh_token);
+        assert.equal(cookies['XSRF-TOKEN'], body.csrfToken);
+    });
+
+    it('accepts safe requests without the CSRF token', async () => {
+        const { cookies } = await cookieLogin();
+
+        const { status } = await t.request('GET', '/auth/sessions', withCookies(cookies));
+
+        assert.equal(status, 200);
+    });
+
+    it('refuses a state-changing request without the CSRF token', async () => {
+        const { cookies, body } = await cookieLogin();
+        const other = await cookieLogin();
+
+        const { status, body: problem } = await t.request(
+            'DELETE',
+            `/auth/sessions/${other.body.sessionId}`,
+            withCookies(cookies)
+        );
+
+        assert.equal(status, 403);
+        assert.equal(problem.code, 'csrf_invalid');
+
+        const accepted = await t.request(
+            'DELETE',
+            `/auth/sessions/${other.body.sessionId}`,
+            withCookies(cookies, body.csrfToken)
+        );
+
+        assert.equal(accepted.status, 204);
+    });
+
+    it('refuses the CSRF token of another session', async () => {
+        const { cookies } = await cookieLogin();
+        const other = await cookieLogin();
+
+        /**
+         * Cookie and header agree, but belong to the other session.
+         */
+        const { status, body } = await t.request('DELETE', `/auth/sessions/${other.body.sessionId}`, withCookies(
+            { ...cookies, 'XSRF-TOKEN': other.body.csrfToken },
+            other.body.csrfToken
+        ));
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'csrf_invalid');
+    });
+
+    describe('POST /auth/refresh', () => {
+        it('requires the CSRF token', async () => {
+            const { cookies } = await cookieLogin();
+
+            const { status, body } = await t.request('POST', '/auth/refresh', {
+                body: {},
+                ...withCookies({ refresh_token: cookies.refresh_token, 'XSRF-TOKEN': cookies['XSRF-TOKEN'] })
+            });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'csrf_invalid');
+        });
+
+        it('rotates the cookies', async () => {
+            const { cookies, body: login } = await cookieLogin();
+
+            const { status, headers, body } = await t.request('POST', '/auth/refresh', {
+                body: {},
+                ...withCookies(cookies, login.csrfToken)
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.token, undefined);
+            assert.equal(body.refreshToken, undefined);
+
+            const rotated = setCookies(headers);
+
+            assert.ok(rotated.access_token);
+            assert.ok(rotated.refresh_token);
+            assert.notEqual(rotated.refresh_token, cookies.refresh_token);
+            assert.equal(rotated['XSRF-TOKEN'], login.csrfToken);
+
+            const me = await t.request('GET', '/auth/sessions', withCookies(rotated));
+            assert.equal(me.status, 200);
+
+            const replay = await t.request('POST', '/auth/refresh', {
+                body: {},
+                ...withCookies(cookies, login.csrfToken)
+            });
+
+            assert.equal(replay.status, 401);
+            assert.equal(replay.body.code, 'invalid_refresh_token');
+        });
+    });
+});
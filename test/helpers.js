@@ -0,0 +1,172 @@
+/**
+ * Test helpers
+ *
+ * Every test file builds its own application with createApp():
+ * - in-memory SQLite database (migrated on connection)
+ * - fake clock, moved forward with clock.advance()
+ * - logger keeping the records in memory instead of printing them
+ *
+ * Requests go through a real HTTP server listening on a random port.
+ */
+
+import { createApp } from '../app.js';
+import { connectDB } from '../config/db.js';
+import { loadConfig } from '../config/env.js';
+import { getRepositories } from '../repositories/index.js';
+import { flushAuditLog } from '../services/auditLog.js';
+import { runInAppContext } from '../utils/appContext.js';
+import { hashPassword } from '../utils/passwords.js';
+
+/**
+ * Password of every user created by seedUser().
+ */
+export const PASSWORD = 'Correct-horse-42';
+
+/**
+ * Starts an application for a test file.
+ *
+ * Example:
+ *   const t = await startTestApp({ ACCESS_TOKEN_TTL: '5m' });
+ *   const admin = await t.seedUser({ username: 'admin1', role: 'admin' });
+ *   const { status, body } = await t.request('GET', '/admin/users', { token });
+ *   await t.close();
+ *
+ * @param {Object} [env] - Environment variables, on top of NODE_ENV=test
+ *        and an in-memory database
+ * @returns {Promise<Object>} Test application
+ */
+export async function startTestApp(env = {}) {
+    let time = Date.parse('2030-01-01T00:00:00Z');
+
+    const clock = {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        }
+    };
+
+    const logs = [];
+    const keep = (level) => (record) => logs.push({ ...record, level });
+
+    const db = await connectDB({ client: 'sqlite', filename: ':memory:' });
+
+    const app = await createApp({
+        config: loadConfig({ NODE_ENV: 'test', DATABASE_URL: 'sqlite::memory:', ...env }),
+        db,
+        keys: { algorithm: 'EdDSA' },
+        clock,
+        logger: { debug: keep('debug'), info: keep('info'), warn: keep('warn'), error: keep('error') }
+    });
+
+    const server = app.listen(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Runs a function inside the app's context (repositories, services...).
+     */
+    const inApp = (fn) => runInAppContext(app.locals.context, fn);
+
+    return {
+        app,
+        db,
+        clock,
+        logs,
+        inApp,
+
+        /**
+         * Sends a request. Redirects are not followed.
+         *
+         * @param {string} method
+         * @param {string} path
+         * @param {Object} [options]
+         * @param {Object} [options.body] - JSON body
+         * @param {Object} [options.form] - application/x-www-form-urlencoded body
+         * @param {string} [options.token] - Bearer access token
+         * @param {string} [options.apiKey] - X-API-Key header
+         * @param {Object} [options.headers] - Other headers (Cookie...)
+         * @returns {Promise<{ status: number, headers: Headers, body: * }>}
+         *          body: parsed JSON, or the text of other responses
+         */
+        async request(method, path, { body, form, token, apiKey, headers = {} } = {}) {
+            const response = await fetch(base + path, {
+                method,
+                redirect: 'manual',
+                headers: {
+                    ...(body !== undefined && { 'content-type': 'application/json' }),
+                    ...(token && { authorization: `Bearer ${token}` }),
+                    ...(apiKey && { 'x-api-key': apiKey }),
+                    ...headers
+                },
+                body: form ? new URLSearchParams(form) : body === undefined ? undefined : JSON.stringify(body)
+            });
+
+            const text = await response.text();
+            const json = /json/.test(response.headers.get('content-type') ?? '');
+
+            return {
+                status: response.status,
+                headers: response.headers,
+                body: text ? (json ? JSON.parse(text) : text) : null
+            };
+        },
+
+        /**
+         * Logs in with PASSWORD.
+         *
+         * @param {string} username
+         * @returns {Promise<Object>} Login response body (token, refreshToken...)
+         */
+        async login(username) {
+            const { status, body } = await this.request('POST', '/auth/login', {
+                body: { username, password: PASSWORD }
+            });
+
+            if (status !== 200) {
+                throw new Error(`Login of ${username} failed with ${status} ${body?.code}`);
+            }
+
+            return body;
+        },
+
+        /**
+         * Creates a user with PASSWORD.
+         *
+         * @param {Object} user
+         * @param {string} user.username
+         * @param {string} [user.role] - Role in the organization (default user)
+         * @param {number} [user.organizationId] - Default: the "default" organization
+         * @param {boolean} [user.superAdmin]
+         * @returns {Promise<Object>} users row
+         */
+        seedUser({ username, role = 'user', organizationId, superAdmin = false }) {
+            return inApp(async () => {
+                const { users, organizations } = getRepositories();
+
+                const user = await users.create({
+                    username,
+                    passwordHashed: await hashPassword(PASSWORD),
+                    organizationId: organizationId ?? (await organizations.findBySlug('default')).id,
+                    role
+                });
+
+                if (superAdmin) {
+                    await users.setSuperAdmin(user.id, true);
+                }
+
+                return user;
+            });
+        },
+
+        /**
+         * Waits for the audit events recorded so far to be written.
+         */
+        flushAudit() {
+            return inApp(flushAuditLog);
+        },
+
+        async close() {
+            await new Promise((resolve) => server.close(resolve));
+            await app.close();
+        }
+    };
+}
@@ -0,0 +1,113 @@
+/**
+ * Impersonation: who can be impersonated, account routes
+ * refused while impersonating, audit attribution.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+describe('impersonation', () => {
+    let t;
+    let admin;
+    let user1;
+    let admin2;
+    let root;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        user1 = await t.seedUser({ username: 'user1' });
+        admin2 = await t.seedUser({ username: 'admin2', role: 'admin' });
+        root = await t.seedUser({ username: 'root', role: 'user', superAdmin: true });
+
+        admin = await t.login('admin1');
+    });
+
+    after(() => t.close());
+
+    const impersonate = (userId) => t.request('POST', `/admin/impersonate/${userId}`, { token: admin.token });
+
+    it('refuses to impersonate an admin', async () => {
+        const { status, body } = await impersonate(admin2.id);
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'impersonation_forbidden');
+    });
+
+    it('refuses to impersonate a super-admin', async () => {
+        const { status, body } = await impersonate(root.id);
+
+        assert.equal(status, 403);
+        assert.equal(body.code, 'impersonation_forbidden');
+    });
+
+    it('acts as the user', async () => {
+        const { status, body } = await impersonate(user1.id);
+
+        assert.equal(status, 200);
+        assert.equal(body.username, 'user1');
+        assert.equal(body.actor.username, 'admin1');
+
+        const me = await t.request('GET', '/data/all', { token: body.token });
+
+        assert.equal(me.status, 200);
+        assert.match(me.body.message, /Hello user1/);
+    });
+
+    it('refuses the routes acting on the user account', async () => {
+        const { body: { token } } = await impersonate(user1.id);
+
+        const routes = [
+            ['POST', '/auth/password/change', { currentPassword: PASSWORD, newPassword: 'Another-pass-123' }],
+            ['POST', '/auth/logout-all'],
+            ['POST', '/auth/mfa/setup'],
+            ['POST', '/auth/organizations/switch', { organizationId: 1 }],
+            ['DELETE', `/auth/sessions/${admin.sessionId}`]
+        ];
+
+        for (const [method, path, body] of routes) {
+            const response = await t.request(method, path, { token, body });
+
+            assert.equal(response.status, 403, `${method} ${path}`);
+            assert.equal(response.body.code, 'impersonation_forbidden', `${method} ${path}`);
+        }
+
+        /**
+         * The admin's own session was not touched.
+         */
+        assert.equal((await t.request('GET', '/data/admin', { token: admin.token })).status, 200);
+    });
+
+    it('attributes audit events to the admin', async () => {
+        const { body: { token } } = await impersonate(user1.id);
+
+        await t.request('GET', '/data/admin', { token });
+        await t.flushAudit();
+
+        const { body } = await t.request('GET', '/admin/audit?pageSize=100', { token: admin.token });
+
+        const denied = body.data.find((event) => event.eventType === 'access.denied'
+            && event.details?.impersonatedUser?.username === 'user1');
+
+        assert.ok(denied);
+        assert.equal(denied.actorUsername, 'admin1');
+
+        const started = body.data.find((event) => event.eventType === 'admin.impersonation.started');
+
+        assert.equal(started.actorUsername, 'admin1');
+        assert.equal(started.targetId, user1.id);
+    });
+
+    it('ends with POST /auth/impersonation/end', async () => {
+        const { body: { token } } = await impersonate(user1.id);
+
+        assert.equal((await t.request('POST', '/auth/impersonation/end', { token })).status, 204);
+
+        const { status, body } = await t.request('GET', '/data/all', { token });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'token_revoked');
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Signing keys: reloads caused by tokens with unknown kids,
+ * encryption of the private keys at rest.
+ */
+
+import crypto from 'crypto';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPair, exportJWK } from 'jose';
+import { startTestApp } from './helpers.js';
+import { rotateIfDue } from '../services/keyStore.js';
+import { setJwtSettings } from '../config/jwt.js';
+
+const ENCRYPTION_KEY = 'k3Jt9yQ1vX0bWn5mR8sL2dF6hA4cZ7eP0uG3iO9tY1w=';
+
+/**
+ * Unsigned token carrying a made-up kid.
+ */
+function forgeToken(kid) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    return `${encode({ alg: 'EdDSA', kid })}.${encode({ sub: '1' })}.${Buffer.from('forged').toString('base64url')}`;
+}
+
+describe('signing keys', () => {
+    let t;
+    let loads = 0;
+
+    before(async () => {
+        t = await startTestApp({ SIGNING_KEY_ENCRYPTION_KEY: ENCRYPTION_KEY });
+
+        await t.seedUser({ username: 'user1' });
+
+        const all = t.db.all.bind(t.db);
+
+        t.db.all = (sql, ...args) => {
+            if (/FROM signing_keys/.test(sql)) {
+                loads++;
+            }
+            return all(sql, ...args);
+        };
+    });
+
+    after(() => t.close());
+
+    const storedKeys = () => t.db.get('SELECT * FROM signing_keys WHERE retiresAt IS NULL');
+
+    const signsTokens = async () => {
+        const { token } = await t.login('user1');
+        return (await t.request('GET', '/data/all', { token })).status === 200;
+    };
+
+    describe('unknown kids', () => {
+        it('reloads the keys at most once per 10 seconds', async () => {
+            const send = (kid) => t.request('GET', '/data/all', { token: forgeToken(kid) });
+
+            t.clock.advance(10 * 1000);
+
+            for (let i = 0; i < 20; i++) {
+                const { status, body } = await send(`unknown-${i}`);
+
+                assert.equal(status, 401);
+                assert.equal(body.code, 'token_invalid');
+            }
+            assert.equal(loads, 1);
+
+            t.clock.advance(10 * 1000);
+            await send('unknown-again');
+            assert.equal(loads, 2);
+        });
+    });
+
+    describe('private keys at rest', () => {
+        it('stores the private key encrypted', async () => {
+            const key = await storedKeys();
+
+            assert.match(key.privateJwk, /^enc:v1:/);
+            assert.ok(!key.privateJwk.includes('"d"'));
+            assert.ok(await signsTokens());
+        });
+
+        it('encrypts a key stored in plaintext when loading it', async () => {
+            const kid = crypto.randomUUID();
+            const { publicKey, privateKey } = await generateKeyPair('EdDSA', { extractable: true });
+
+            /**
+             * Stored by a server started without SIGNING_KEY_ENCRYPTION_KEY,
+             * still inside its grace period.
+             */
+            await t.db.run(
+                `INSERT INTO signing_keys (kid, alg, publicJwk, privateJwk, createdAt, retiresAt, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    kid,
+                    'EdDSA',
+                    JSON.stringify(await exportJWK(publicKey)),
+                    JSON.stringify(await exportJWK(privateKey)),
+                    t.clock.now() - 1000,
+                    t.clock.now(),
+                    t.clock.now() + 1000
+                ]
+            );
+
+            await t.inApp(rotateIfDue);
+
+            const { privateJwk } = await t.db.get('SELECT privateJwk FROM signing_keys WHERE kid = ?', [kid]);
+            assert.match(privateJwk, /^enc:v1:/);
+            assert.ok(await signsTokens());
+        });
+
+        it('refuses to load the keys with another encryption key', async () => {
+            await t.inApp(async () => {
+                setJwtSettings({ algorithm: 'EdDSA', keyEncryptionKey: Buffer.alloc(32, 1).toString('base64') });
+
+                await assert.rejects(rotateIfDue(), /Cannot decrypt signing key/);
+
+                setJwtSettings({ algorithm: 'EdDSA' });
+                await rotateIfDue();
+            });
+
+            assert.ok(await signsTokens());
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * LDAP login against the in-memory directory: group to role
+ * mapping, just-in-time provisioning, role changes, empty passwords.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { getRepositories } from '../repositories/index.js';
+import { setAuthProviders } from '../services/authProviders/index.js';
+import { createLocalProvider } from '../services/authProviders/localProvider.js';
+import { createLdapProvider } from '../services/authProviders/ldapProvider.js';
+import { createMemoryDirectory } from '../services/authProviders/memoryDirectory.js';
+
+const ADVISORS = 'cn=advisors,ou=groups,dc=example,dc=com';
+const STAFF = 'cn=staff,ou=groups,dc=example,dc=com';
+
+const SETTINGS = {
+    url: 'ldap://directory.example.com',
+    baseDn: 'ou=people,dc=example,dc=com',
+    userFilter: '(uid={{username}})',
+    usernameAttribute: 'uid',
+    emailAttribute: 'mail',
+    groupAttribute: 'memberOf',
+    roleGroups: { user: [STAFF], advisor: [ADVISORS], admin: [] },
+    defaultRole: null,
+    organization: 'default',
+    timeoutMs: 1000
+};
+
+/**
+ * @returns {Object} Directory entry of a person
+ */
+function person(uid, groups) {
+    return {
+        dn: `uid=${uid},ou=people,dc=example,dc=com`,
+        password: PASSWORD,
+        attributes: { uid, mail: `${uid}@example.com`, memberOf: groups }
+    };
+}
+
+describe('LDAP authentication', () => {
+    let t;
+    let entries;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'local1' });
+
+        entries = [
+            person('jdoe', [ADVISORS]),
+            person('guest', ['cn=visitors,ou=groups,dc=example,dc=com']),
+            person('local1', [ADVISORS])
+        ];
+
+        t.inApp(() => setAuthProviders([
+            createLocalProvider(),
+            createLdapProvider(SETTINGS, { createClient: createMemoryDirectory(entries) })
+        ]));
+    });
+
+    after(() => t.close());
+
+    const login = (username, password = PASSWORD) => t.request('POST', '/auth/login', {
+        body: { username, password }
+    });
+
+    it('creates the local account at the first login, with the role of its groups', async () => {
+        const { status, body } = await login('jdoe');
+
+        assert.equal(status, 200);
+        assert.equal(body.role, 'advisor');
+
+        const user = await t.inApp(() => getRepositories().users.findByUsername('jdoe'));
+
+        assert.equal(user.authProvider, 'ldap');
+        assert.equal(user.email, 'jdoe@example.com');
+        assert.equal(user.passwordHashed, null);
+    });
+
+    it('refuses a wrong password', async () => {
+        const { status, body } = await login('jdoe', 'wrong-password');
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'invalid_credentials');
+    });
+
+    it('refuses users in no mapped group', async () => {
+        const { status, body } = await login('guest');
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'invalid_credentials');
+    });
+
+    it('does not let a directory entry take over a local account', async () => {
+        assert.equal((await login('local1')).status, 200);
+
+        const user = await t.inApp(() => getRepositories().users.findByUsername('local1'));
+        assert.equal(user.authProvider, 'local');
+    });
+
+    it('applies a role change of the directory and revokes the old tokens', async () => {
+        const { token } = (await login('jdoe')).body;
+
+        entries[0].attributes.memberOf = [STAFF];
+
+        const { status, body } = await login('jdoe');
+
+        assert.equal(status, 200);
+        assert.equal(body.role, 'user');
+
+        const old = await t.request('GET', '/data/all', { token });
+
+        assert.equal(old.status, 401);
+        assert.equal(old.body.code, 'token_revoked');
+    });
+
+    it('never sends an empty password to the directory', async () => {
+        /**
+         * A server accepting unauthenticated binds.
+         */
+        const lenient = (options) => {
+            const client = createMemoryDirectory(entries)(options);
+
+            return {
+                ...client,
+                bind: (dn, password) => (password === '' ? Promise.resolve() : client.bind(dn, password))
+            };
+        };
+
+        const provider = createLdapProvider(SETTINGS, { createClient: lenient });
+
+        const result = await t.inApp(() => provider.authenticate('jdoe', ''));
+
+        assert.equal(result.status, 'failure');
+        assert.equal(result.reason, 'bad_password');
+    });
+});
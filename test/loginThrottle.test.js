@@ -0,0 +1,84 @@
+/**
+ * Brute-force protection: concurrent attempts, lock expiry,
+ * password change re-authentication, with both attempt stores.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+for (const store of ['database', 'memory']) {
+    describe(`login throttle (LOGIN_ATTEMPT_STORE=${store})`, () => {
+        let t;
+
+        before(async () => {
+            t = await startTestApp({ LOGIN_ATTEMPT_STORE: store });
+
+            await t.seedUser({ username: 'alice' });
+            await t.seedUser({ username: 'bob' });
+            await t.seedUser({ username: 'carol' });
+        });
+
+        after(() => t.close());
+
+        const login = (username, password) => t.request('POST', '/auth/login', {
+            body: { username, password }
+        });
+
+        it('checks at most 5 passwords out of 40 concurrent attempts', async () => {
+            const responses = await Promise.all(
+                Array.from({ length: 40 }, () => login('alice', 'wrong-password'))
+            );
+
+            const count = (status) => responses.filter((r) => r.status === status).length;
+
+            assert.equal(count(401), 5);
+            assert.equal(count(423), 35);
+
+            const locked = responses.find((r) => r.status === 423);
+            assert.equal(locked.body.code, 'account_locked');
+            assert.ok(Number(locked.headers.get('retry-after')) > 0);
+        });
+
+        it('keeps the account locked for the right password', async () => {
+            assert.equal((await login('alice', PASSWORD)).status, 423);
+        });
+
+        it('unlocks the account after 15 minutes', async () => {
+            t.clock.advance(15 * 60 * 1000);
+
+            assert.equal((await login('alice', PASSWORD)).status, 200);
+        });
+
+        it('does not count successful logins as failures', async () => {
+            for (let i = 0; i < 4; i++) {
+                assert.equal((await login('bob', 'wrong-password')).status, 401);
+            }
+
+            for (let i = 0; i < 3; i++) {
+                assert.equal((await login('bob', PASSWORD)).status, 200);
+            }
+
+            assert.equal((await login('bob', 'wrong-password')).status, 401);
+        });
+
+        it('counts wrong current passwords of a password change', async () => {
+            const { token } = await t.login('carol');
+
+            const responses = await Promise.all(Array.from({ length: 10 }, () =>
+                t.request('POST', '/auth/password/change', {
+                    token,
+                    body: { currentPassword: 'wrong-password', newPassword: 'Another-pass-123' }
+                })
+            ));
+
+            const count = (status) => responses.filter((r) => r.status === status).length;
+
+            assert.equal(count(401), 5);
+            assert.equal(count(423), 5);
+            assert.equal(responses.find((r) => r.status === 401).body.code, 'invalid_current_password');
+
+            assert.equal((await login('carol', PASSWORD)).status, 423);
+        });
+    });
+}
@@ -0,0 +1,104 @@
+/**
+ * MFA login: TOTP codes cannot be replayed, recovery codes
+ * are single use.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { generateTotp, currentTimeStep } from '../utils/totp.js';
+
+describe('MFA login', () => {
+    let t;
+    let secret;
+    let recoveryCodes;
+
+    /**
+     * @returns {string} TOTP code of the current time step
+     */
+    const totp = () => generateTotp(secret, currentTimeStep(t.clock.now()));
+
+    /**
+     * Moves to the next TOTP time step.
+     */
+    const nextStep = () => t.clock.advance(30 * 1000);
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'user1' });
+
+        const { token } = await t.login('user1');
+
+        ({ body: { secret } } = await t.request('POST', '/auth/mfa/setup', { token }));
+
+        const confirmed = await t.request('POST', '/auth/mfa/confirm', { token, body: { code: totp() } });
+        assert.equal(confirmed.status, 200);
+
+        recoveryCodes = confirmed.body.recoveryCodes;
+        nextStep();
+    });
+
+    after(() => t.close());
+
+    /**
+     * First step of the login.
+     *
+     * @returns {Promise<string>} MFA challenge token
+     */
+    async function passwordStep() {
+        const { status, body } = await t.request('POST', '/auth/login', {
+            body: { username: 'user1', password: PASSWORD }
+        });
+
+        assert.equal(status, 200);
+        assert.equal(body.mfaRequired, true);
+        assert.equal(body.token, undefined);
+
+        return body.mfaToken;
+    }
+
+    const verify = async (factor) => t.request('POST', '/auth/mfa/verify', {
+        body: { mfaToken: await passwordStep(), ...factor }
+    });
+
+    it('logs in with a TOTP code', async () => {
+        const { status, body } = await verify({ code: totp() });
+
+        assert.equal(status, 200);
+        assert.ok(body.token);
+        assert.ok(body.refreshToken);
+    });
+
+    it('refuses a TOTP code that was already used', async () => {
+        nextStep();
+        const code = totp();
+
+        assert.equal((await verify({ code })).status, 200);
+
+        const { status, body } = await verify({ code });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'invalid_mfa_code');
+    });
+
+    it('accepts a recovery code once', async () => {
+        const [recoveryCode] = recoveryCodes;
+
+        assert.equal((await verify({ recoveryCode })).status, 200);
+
+        const { status, body } = await verify({ recoveryCode });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'invalid_mfa_code');
+    });
+
+    it('refuses an invalid challenge token', async () => {
+        const { status, body } = await t.request('POST', '/auth/mfa/verify', {
+            body: { mfaToken: 'not-a-challenge-token', code: totp() }
+        });
+
+        assert.equal(status, 401);
+        assert.equal(body.code, 'invalid_mfa_token');
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * Schema migrations: the status check only reads, rolling back
+ * keeps a users table that existed before the migrations.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteAdapter } from '../db/sqliteAdapter.js';
+import { getMigrationStatus, loadMigrations, migrate, rollback } from '../db/migrator.js';
+import { tableExists } from '../db/schemaHelpers.js';
+
+describe('migrator', () => {
+    let db;
+
+    before(async () => {
+        db = await createSqliteAdapter({ filename: ':memory:' });
+    });
+
+    after(() => db.close());
+
+    it('reports every migration pending on an empty database without creating tables', async () => {
+        const migrations = await loadMigrations();
+        const { pending, unknown } = await getMigrationStatus(db);
+
+        assert.deepEqual(pending, migrations.map((m) => m.version));
+        assert.deepEqual(unknown, []);
+        assert.equal(await tableExists(db, 'schema_migrations'), false);
+    });
+
+    it('reports nothing pending once migrated', async () => {
+        await migrate(db);
+
+        assert.deepEqual((await getMigrationStatus(db)).pending, []);
+    });
+});
+
+describe('migration 001 rollback', () => {
+    let migrations;
+
+    before(async () => {
+        migrations = await loadMigrations();
+    });
+
+    /**
+     * Migrates a new database, then reverts every migration.
+     *
+     * @param {Function} [prepare] - Runs on the empty database first
+     * @returns {Promise<Object>} Database adapter (to be closed)
+     */
+    async function migrateAndRollBack(prepare) {
+        const db = await createSqliteAdapter({ filename: ':memory:' });
+
+        await prepare?.(db);
+        await migrate(db);
+        await rollback(db, migrations.length);
+
+        return db;
+    }
+
+    it('drops the users table it created', async () => {
+        const db = await migrateAndRollBack();
+
+        assert.equal(await tableExists(db, 'users'), false);
+        await db.close();
+    });
+
+    it('keeps a users table that existed before the migrations', async () => {
+        const db = await migrateAndRollBack(async (legacy) => {
+            await legacy.exec('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE, passwordHashed TEXT, role TEXT)');
+            await legacy.run('INSERT INTO users (username, passwordHashed, role) VALUES (?, ?, ?)', ['admin1', 'hash', 'admin']);
+        });
+
+        const rows = await db.all('SELECT username, role FROM users');
+
+        assert.deepEqual(rows, [{ username: 'admin1', role: 'admin' }]);
+        assert.equal(await tableExists(db, 'legacy_tables'), false);
+        await db.close();
+    });
+});
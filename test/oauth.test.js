@@ -0,0 +1,321 @@
+/**
+ * OpenID Connect provider: discovery, CSRF protection of the login
+ * page, authorization code flow with PKCE, code replay, refresh
+ * tokens bound to their client, userinfo.
+ */
+
+import crypto from 'crypto';
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { registerClient } from '../services/oauthService.js';
+
+const REDIRECT_URI = 'https://app.example.com/callback';
+const ISSUER = 'https://auth.example.com';
+
+/**
+ * @returns {{ verifier: string, challenge: string }} PKCE pair
+ */
+function pkce() {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+    return { verifier, challenge };
+}
+
+describe('OpenID Connect provider', () => {
+    let t;
+    let client;
+    let otherClient;
+
+    before(async () => {
+        t = await startTestApp({ OIDC_PROVIDER: 'true', JWT_ISSUER: ISSUER });
+
+        await t.seedUser({ username: 'user1' });
+
+        ({ client } = await t.inApp(() => registerClient({
+            name: 'Web app',
+            redirectUris: [REDIRECT_URI],
+            confidential: false
+        })));
+
+        ({ client: otherClient } = await t.inApp(() => registerClient({
+            name: 'Other app',
+            redirectUris: [REDIRECT_URI],
+            confidential: false
+        })));
+    });
+
+    after(() => t.close());
+
+    const authorizationFields = (challenge, clientId = client.clientId) => ({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: REDIRECT_URI,
+        scope: 'openid profile',
+        state: 'state-1',
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    });
+
+    /**
+     * Opens the login page, then submits it like a browser:
+     * with its CSRF cookie and hidden field.
+     *
+     * @param {Object} fields - Authorization request parameters
+     * @param {Object} credentials - Visible fields of the form
+     * @returns {Promise<Object>} Response to the submission
+     */
+    async function submitLogin(fields, credentials) {
+        const page = await t.request('GET', `/oauth/authorize?${new URLSearchParams(fields)}`);
+
+        const cookie = page.headers.get('set-cookie').split(';')[0];
+        const csrfToken = page.body.match(/name="csrf_token" value="([^"]+)"/)[1];
+
+        return t.request('POST', '/oauth/authorize', {
+            form: { ...fields, ...credentials, csrf_token: csrfToken },
+            headers: { Cookie: cookie }
+        });
+    }
+
+    /**
+     * Logs user1 in on the login page.
+     *
+     * @returns {Promise<{ code: string, verifier: string }>}
+     */
+    async function authorize(clientId) {
+        const { verifier, challenge } = pkce();
+
+        const { status, headers } = await submitLogin(authorizationFields(challenge, clientId), {
+            username: 'user1',
+            password: PASSWORD
+        });
+
+        assert.equal(status, 303);
+
+        const location = new URL(headers.get('location'));
+        assert.equal(location.origin + location.pathname, REDIRECT_URI);
+        assert.equal(location.searchParams.get('state'), 'state-1');
+
+        return { code: location.searchParams.get('code'), verifier };
+    }
+
+    const exchange = (code, verifier, { redirectUri = REDIRECT_URI, clientId = client.clientId } = {}) =>
+        t.request('POST', '/oauth/token', {
+            form: {
+                grant_type: 'authorization_code',
+                client_id: clientId,
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: verifier
+            }
+        });
+
+    const refresh = (refreshToken, clientId = client.clientId) => t.request('POST', '/oauth/token', {
+        form: { grant_type: 'refresh_token', client_id: clientId, refresh_token: refreshToken }
+    });
+
+    describe('discovery', () => {
+        it('publishes the endpoints under JWT_ISSUER', async () => {
+            const { status, body } = await t.request('GET', '/.well-known/openid-configuration');
+
+            assert.equal(status, 200);
+            assert.equal(body.issuer, ISSUER);
+            assert.equal(body.authorization_endpoint, `${ISSUER}/oauth/authorize`);
+            assert.equal(body.jwks_uri, `${ISSUER}/.well-known/jwks.json`);
+        });
+    });
+
+    describe('/oauth/authorize', () => {
+        it('shows the login page', async () => {
+            const query = new URLSearchParams(authorizationFields(pkce().challenge));
+
+            const { status, body } = await t.request('GET', `/oauth/authorize?${query}`);
+
+            assert.equal(status, 200);
+            assert.match(body, /Web app/);
+        });
+
+        it('does not redirect to an unregistered redirect_uri', async () => {
+            const query = new URLSearchParams({
+                ...authorizationFields(pkce().challenge),
+                redirect_uri: 'https://evil.example.com/callback'
+            });
+
+            const { status, headers } = await t.request('GET', `/oauth/authorize?${query}`);
+
+            assert.equal(status, 400);
+            assert.equal(headers.get('location'), null);
+        });
+
+        it('shows the form again after a wrong password', async () => {
+            const { status, body } = await submitLogin(authorizationFields(pkce().challenge), {
+                username: 'user1',
+                password: 'wrong-password'
+            });
+
+            assert.equal(status, 401);
+            assert.match(body, /Invalid credentials/);
+        });
+
+        it('refuses a submission without the CSRF token of the browser', async () => {
+            const fields = { ...authorizationFields(pkce().challenge), username: 'user1', password: PASSWORD };
+
+            const attempts = [
+                { form: fields },
+                { form: { ...fields, csrf_token: 'a'.repeat(43) } },
+                { form: { ...fields, csrf_token: 'a'.repeat(43) }, headers: { Cookie: `oauth_csrf=${'b'.repeat(43)}` } }
+            ];
+
+            for (const attempt of attempts) {
+                const { status, headers, body } = await t.request('POST', '/oauth/authorize', attempt);
+
+                assert.equal(status, 403);
+                assert.equal(headers.get('location'), null);
+                assert.match(body, /sign-in form expired/);
+            }
+        });
+    });
+
+    describe('/oauth/token', () => {
+        it('exchanges the code for tokens', async () => {
+            const { code, verifier } = await authorize();
+
+            const { status, body } = await exchange(code, verifier);
+
+            assert.equal(status, 200);
+            assert.equal(body.token_type, 'Bearer');
+            assert.ok(body.access_token);
+            assert.ok(body.refresh_token);
+            assert.ok(body.id_token);
+        });
+
+        it('refuses a code_verifier that does not match the challenge', async () => {
+            const { code } = await authorize();
+
+            const { status, body } = await exchange(code, pkce().verifier);
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it('refuses a redirect_uri other than the one of the authorization request', async () => {
+            const { code, verifier } = await authorize();
+
+            const { status, body } = await exchange(code, verifier, {
+                redirectUri: 'https://app.example.com/other'
+            });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it('refuses a code issued to another client', async () => {
+            const { code, verifier } = await authorize();
+
+            const { status, body } = await exchange(code, verifier, { clientId: otherClient.clientId });
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it('terminates the session when a code is replayed', async () => {
+            const { code, verifier } = await authorize();
+            const first = await exchange(code, verifier);
+
+            assert.equal(first.status, 200);
+
+            const replay = await exchange(code, verifier);
+
+            assert.equal(replay.status, 400);
+            assert.equal(replay.body.error, 'invalid_grant');
+
+            const userinfo = await t.request('GET', '/oauth/userinfo', { token: first.body.access_token });
+            assert.equal(userinfo.status, 401);
+
+            const refreshed = await refresh(first.body.refresh_token);
+            assert.equal(refreshed.status, 400);
+            assert.equal(refreshed.body.error, 'invalid_grant');
+        });
+
+        it('rotates the refresh token of the client', async () => {
+            const { code, verifier } = await authorize();
+            const { body: tokens } = await exchange(code, verifier);
+
+            const { status, body } = await refresh(tokens.refresh_token);
+
+            assert.equal(status, 200);
+            assert.ok(body.access_token);
+            assert.notEqual(body.refresh_token, tokens.refresh_token);
+        });
+
+        it('refuses a refresh token presented by another client', async () => {
+            const { code, verifier } = await authorize();
+            const { body: tokens } = await exchange(code, verifier);
+
+            const { status, body } = await refresh(tokens.refresh_token, otherClient.clientId);
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+
+            assert.equal((await refresh(tokens.refresh_token)).status, 200);
+        });
+
+        it('refuses a refresh token of a POST /auth/login session', async () => {
+            const { refreshToken } = await t.login('user1');
+
+            const { status, body } = await refresh(refreshToken);
+
+            assert.equal(status, 400);
+            assert.equal(body.error, 'invalid_grant');
+        });
+
+        it('refuses an unknown client', async () => {
+            const { status, body } = await refresh('anything', crypto.randomUUID());
+
+            assert.equal(status, 401);
+            assert.equal(body.error, 'invalid_client');
+        });
+    });
+
+    describe('/oauth/userinfo', () => {
+        it('returns the claims of the access token user', async () => {
+            const { code, verifier } = await authorize();
+            const { body: tokens } = await exchange(code, verifier);
+
+            const { status, body } = await t.request('GET', '/oauth/userinfo', { token: tokens.access_token });
+
+            assert.equal(status, 200);
+            assert.equal(body.preferred_username, 'user1');
+            assert.equal(body.role, 'user');
+            assert.ok(body.sub);
+        });
+
+        it('requires an access token', async () => {
+            const { status } = await t.request('GET', '/oauth/userinfo');
+
+            assert.equal(status, 401);
+        });
+    });
+});
+
+describe('OpenID Connect provider disabled', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+
+    after(() => t.close());
+
+    it('answers 404 on the provider endpoints', async () => {
+        for (const path of ['/.well-known/openid-configuration', '/oauth/authorize']) {
+            const { status, body } = await t.request('GET', path);
+
+            assert.equal(status, 404, path);
+            assert.equal(body.code, 'route_not_found', path);
+        }
+
+        assert.equal((await t.request('GET', '/.well-known/jwks.json')).status, 200);
+    });
+});
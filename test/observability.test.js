@@ -0,0 +1,113 @@
+/**
+ * Observability: request ids, redaction of credentials in logs,
+ * Prometheus counters behind METRICS_TOKEN.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { logger } from '../utils/logger.js';
+
+const METRICS_TOKEN = 'Xp4nL8sQ2vRk7mTw';
+
+describe('observability', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({ LOG_LEVEL: 'info', METRICS_TOKEN });
+
+        await t.seedUser({ username: 'user1' });
+    });
+
+    after(() => t.close());
+
+    describe('request id', () => {
+        it('echoes a valid incoming X-Request-Id into the response, errors and logs', async () => {
+            const { status, headers, body } = await t.request('GET', '/data/all', {
+                headers: { 'X-Request-Id': 'edge-1234' }
+            });
+
+            assert.equal(status, 401);
+            assert.equal(headers.get('x-request-id'), 'edge-1234');
+            assert.equal(body.requestId, 'edge-1234');
+
+            const record = t.logs.find((r) => r.msg === 'request completed' && r.requestId === 'edge-1234');
+
+            assert.equal(record.route, '/data/all');
+            assert.equal(record.status, 401);
+        });
+
+        it('replaces an id that could inject content into the logs', async () => {
+            for (const incoming of ['"}, {"level": "error"', 'x'.repeat(129)]) {
+                const { headers } = await t.request('GET', '/', {
+                    headers: { 'X-Request-Id': incoming }
+                });
+
+                assert.match(headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+            }
+        });
+    });
+
+    describe('redaction', () => {
+        it('never writes credentials, by field name or by shape', async () => {
+            const jwt = (await t.login('user1')).token;
+
+            t.inApp(() => logger.warn(`presented ${jwt}`, {
+                password: PASSWORD,
+                headers: { Authorization: `Bearer ${jwt}`, 'X-Api-Key': 'lar_abc123_s3cr3t' },
+                body: { refresh_token: 'opaque', username: 'user1' },
+                note: 'key lar_abc123_s3cr3t used'
+            }));
+
+            const record = t.logs.at(-1);
+
+            assert.equal(record.msg, 'presented [REDACTED]');
+            assert.equal(record.password, '[REDACTED]');
+            assert.deepEqual(record.headers, { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]' });
+            assert.deepEqual(record.body, { refresh_token: '[REDACTED]', username: 'user1' });
+            assert.equal(record.note, 'key [REDACTED] used');
+            assert.ok(!JSON.stringify(t.logs).includes(jwt));
+        });
+    });
+
+    describe('GET /metrics', () => {
+        const metrics = async () => {
+            const { status, body } = await t.request('GET', '/metrics', {
+                headers: { Authorization: `Bearer ${METRICS_TOKEN}` }
+            });
+
+            assert.equal(status, 200);
+            return body.split('\n');
+        };
+
+        it('refuses a scraper without the token', async () => {
+            for (const headers of [{}, { Authorization: 'Bearer wrong' }]) {
+                const { status, body } = await t.request('GET', '/metrics', { headers });
+
+                assert.equal(status, 401);
+                assert.equal(body.code, 'token_invalid');
+            }
+        });
+
+        it('counts logins, refused tokens, denials and requests', async () => {
+            await t.request('POST', '/auth/login', { body: { username: 'user1', password: 'wrong-password' } });
+            await t.request('GET', '/data/all');
+
+            const { token } = await t.login('user1');
+            await t.request('GET', '/data/admin', { token });
+
+            const lines = await metrics();
+
+            for (const line of [
+                'auth_login_attempts_total{result="failure",reason="bad_password"} 1',
+                'auth_token_verification_failures_total{reason="missing"} 2',
+                'authorization_denied_total{guard="role"} 1',
+                'http_request_duration_seconds_count{method="GET",route="/data/admin",status="403"} 1'
+            ]) {
+                assert.ok(lines.includes(line), line);
+            }
+
+            assert.ok(lines.some((line) => /^auth_login_attempts_total\{result="success",reason=""\} \d+$/.test(line)));
+        });
+    });
+});
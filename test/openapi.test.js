@@ -0,0 +1,39 @@
+/**
+ * OpenAPI document and docs page.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('API documentation', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp();
+    });
+
+    after(() => t.close());
+
+    it('publishes an OpenAPI 3.1 document of the routes', async () => {
+        const { status, body } = await t.request('GET', '/openapi.json');
+
+        assert.equal(status, 200);
+        assert.equal(body.openapi, '3.1.0');
+        assert.ok(body.paths['/auth/login'].post);
+        assert.ok(body.paths['/admin/users/{id}'].delete);
+    });
+
+    it('serves the docs page with Swagger UI from this server', async () => {
+        const page = await t.request('GET', '/docs');
+
+        assert.equal(page.status, 200);
+        assert.match(page.body, /<script src="\/docs\/assets\/swagger-ui-bundle\.js">/);
+        assert.doesNotMatch(page.body, /https?:\/\//);
+
+        const script = await t.request('GET', '/docs/assets/swagger-ui-bundle.js');
+
+        assert.equal(script.status, 200);
+        assert.match(script.headers.get('content-type'), /javascript/);
+    });
+});
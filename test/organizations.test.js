@@ -0,0 +1,196 @@
+/**
+ * Organizations: tenant isolation of the admin API, switching
+ * organization, super-admin provisioning and migration of
+ * legacy admins.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { createSqliteAdapter } from '../db/sqliteAdapter.js';
+import { migrate } from '../db/migrator.js';
+import { provisionSuperAdmins } from '../services/organizationService.js';
+
+describe('organizations', () => {
+    let t;
+    let root;
+    let acmeId;
+    let bob;
+    let eve;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'root', role: 'admin', superAdmin: true });
+        bob = await t.seedUser({ username: 'bob' });
+        eve = await t.seedUser({ username: 'eve' });
+        root = await t.login('root');
+
+        const acme = await t.request('POST', '/admin/organizations', {
+            token: root.token,
+            body: { slug: 'acme', name: 'Acme' }
+        });
+        assert.equal(acme.status, 201);
+        acmeId = acme.body.id;
+
+        await t.seedUser({ username: 'carol', role: 'admin', organizationId: acmeId });
+
+        const member = await t.request('PUT', `/admin/organizations/${acmeId}/members/${eve.id}`, {
+            token: root.token,
+            body: { role: 'advisor' }
+        });
+        assert.equal(member.status, 200);
+    });
+
+    after(() => t.close());
+
+    describe('tenant isolation', () => {
+        it('hides members of other organizations from an admin', async () => {
+            const { token } = await t.login('carol');
+
+            const requests = [
+                ['GET', `/admin/users/${bob.id}`],
+                ['PATCH', `/admin/users/${bob.id}/role`, { role: 'advisor' }],
+                ['PATCH', `/admin/users/${bob.id}/status`, { disabled: true }],
+                ['PUT', `/admin/users/${bob.id}/password`, { password: 'Another-pass-123' }],
+                ['DELETE', `/admin/users/${bob.id}`]
+            ];
+
+            for (const [method, path, body] of requests) {
+                const response = await t.request(method, path, { token, body });
+
+                assert.equal(response.status, 404, `${method} ${path}`);
+                assert.equal(response.body.code, 'user_not_found', `${method} ${path}`);
+            }
+
+            const list = await t.request('GET', '/admin/users?pageSize=100', { token });
+
+            assert.ok(!list.body.data.some((user) => user.username === 'bob'));
+
+            assert.equal((await t.login('bob')).role, 'user');
+        });
+
+        it('requires a super-admin to change an account shared with another organization', async () => {
+            const { token } = await t.login('carol');
+
+            const { status, body } = await t.request('PATCH', `/admin/users/${eve.id}/status`, {
+                token,
+                body: { disabled: true }
+            });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'super_admin_required');
+        });
+
+        it('refuses the platform endpoints to organization admins', async () => {
+            const { token } = await t.login('carol');
+
+            const { status, body } = await t.request('GET', '/admin/organizations', { token });
+
+            assert.equal(status, 403);
+            assert.equal(body.code, 'insufficient_permissions');
+        });
+    });
+
+    describe('switching organization', () => {
+        it('lists the organizations of the caller with their role', async () => {
+            const { token } = await t.login('eve');
+
+            const { status, body } = await t.request('GET', '/auth/organizations', { token });
+
+            assert.equal(status, 200);
+            assert.deepEqual(
+                body.map(({ slug, role, current }) => ({ slug, role, current })),
+                [
+                    { slug: 'default', role: 'user', current: true },
+                    { slug: 'acme', role: 'advisor', current: false }
+                ]
+            );
+        });
+
+        it('moves the session to another organization', async () => {
+            const login = await t.login('eve');
+
+            const { status, body } = await t.request('POST', '/auth/organizations/switch', {
+                token: login.token,
+                body: { organizationId: acmeId }
+            });
+
+            assert.equal(status, 200);
+            assert.equal(body.organizationId, acmeId);
+            assert.equal(body.role, 'advisor');
+
+            assert.equal((await t.request('GET', '/data/advisor', { token: body.token })).status, 200);
+
+            const old = await t.request('GET', '/data/all', { token: login.token });
+            assert.equal(old.status, 401);
+
+            const refreshed = await t.request('POST', '/auth/refresh', {
+                body: { refreshToken: login.refreshToken }
+            });
+
+            assert.equal(refreshed.status, 200);
+            assert.equal(refreshed.body.organizationId, acmeId);
+            assert.equal(refreshed.body.role, 'advisor');
+        });
+
+        it('answers 404 for an organization the caller does not belong to', async () => {
+            const { token } = await t.login('bob');
+
+            const { status, body } = await t.request('POST', '/auth/organizations/switch', {
+                token,
+                body: { organizationId: acmeId }
+            });
+
+            assert.equal(status, 404);
+            assert.equal(body.code, 'organization_not_found');
+        });
+    });
+});
+
+describe('SUPER_ADMINS', () => {
+    let t;
+
+    before(async () => {
+        t = await startTestApp({ SUPER_ADMINS: 'ops, nobody' });
+
+        await t.seedUser({ username: 'ops', role: 'user' });
+    });
+
+    after(() => t.close());
+
+    it('grants the flag to the listed accounts', async () => {
+        await t.inApp(provisionSuperAdmins);
+
+        const { token } = await t.login('ops');
+
+        assert.equal((await t.request('GET', '/admin/organizations', { token })).status, 200);
+        assert.ok(t.logs.some((record) => record.level === 'warn' && record.username === 'nobody'));
+    });
+});
+
+describe('migration 010', () => {
+    let db;
+
+    before(async () => {
+        db = await createSqliteAdapter({ filename: ':memory:' });
+
+        /**
+         * users table of a database created before the migrations.
+         */
+        await db.exec('CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE, passwordHashed TEXT, role TEXT)');
+        await db.run('INSERT INTO users (username, passwordHashed, role) VALUES (?, ?, ?)', ['admin1', PASSWORD, 'admin']);
+
+        await migrate(db);
+    });
+
+    after(() => db.close());
+
+    it('keeps the role of legacy admins as their membership role only', async () => {
+        const user = await db.get('SELECT id, superAdmin FROM users WHERE username = ?', ['admin1']);
+        const membership = await db.get('SELECT role FROM memberships WHERE userId = ?', [user.id]);
+
+        assert.equal(user.superAdmin, 0);
+        assert.equal(membership.role, 'admin');
+    });
+});
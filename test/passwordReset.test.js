@@ -0,0 +1,103 @@
+/**
+ * Forgot / reset password: same answer for unknown accounts,
+ * single-use and expiring reset tokens.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+import { setMailTransport } from '../services/mailer/index.js';
+
+const NEW_PASSWORD = 'Another-pass-123';
+
+describe('password reset', () => {
+    let t;
+    let mails;
+    let delivered;
+
+    before(async () => {
+        t = await startTestApp({ PASSWORD_RESET_URL: 'https://app.example.com/reset' });
+
+        const user = await t.seedUser({ username: 'user1' });
+        await t.db.run('UPDATE users SET email = ? WHERE id = ?', ['user1@example.com', user.id]);
+
+        mails = [];
+        t.inApp(() => setMailTransport({
+            send: async (message) => {
+                mails.push(message);
+                delivered?.();
+            }
+        }));
+    });
+
+    after(() => t.close());
+
+    /**
+     * Asks for a reset link and waits for the email
+     * (sent after the response).
+     *
+     * @returns {Promise<string>} Reset token of the link
+     */
+    async function forgot(identifier) {
+        const sent = new Promise((resolve) => {
+            delivered = resolve;
+        });
+
+        const { status } = await t.request('POST', '/auth/password/forgot', { body: { username: identifier } });
+        assert.equal(status, 202);
+
+        await sent;
+
+        const link = mails.at(-1).text.match(/https:\S+/)[0];
+        return new URL(link).searchParams.get('token');
+    }
+
+    const reset = (token, newPassword = NEW_PASSWORD) => t.request('POST', '/auth/password/reset', {
+        body: { token, newPassword }
+    });
+
+    const login = (password) => t.request('POST', '/auth/login', { body: { username: 'user1', password } });
+
+    it('answers 202 without sending anything for an unknown account', async () => {
+        const unknown = await t.request('POST', '/auth/password/forgot', { body: { username: 'nobody' } });
+
+        assert.equal(unknown.status, 202);
+
+        await forgot('user1');
+
+        assert.equal(mails.length, 1);
+        assert.equal(mails[0].to, 'user1@example.com');
+    });
+
+    it('resets the password once per token', async () => {
+        const token = await forgot('user1@example.com');
+
+        assert.equal((await reset(token)).status, 204);
+        assert.equal((await login(NEW_PASSWORD)).status, 200);
+        assert.equal((await login(PASSWORD)).status, 401);
+
+        const { status, body } = await reset(token, 'Third-pass-1234');
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'invalid_reset_token');
+    });
+
+    it('invalidates the previous token when a new one is requested', async () => {
+        const first = await forgot('user1');
+        const second = await forgot('user1');
+
+        assert.equal((await reset(first)).status, 400);
+        assert.equal((await reset(second)).status, 204);
+    });
+
+    it('refuses a token older than 30 minutes', async () => {
+        const token = await forgot('user1');
+
+        t.clock.advance(30 * 60 * 1000);
+
+        const { status, body } = await reset(token);
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'invalid_reset_token');
+    });
+});
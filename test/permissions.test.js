@@ -0,0 +1,56 @@
+/**
+ * Role → permission mappings changed at runtime: immediately on
+ * this instance, within the cache lifetime when changed by another.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('permission mappings', () => {
+    let t;
+    let root;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'root', role: 'admin', superAdmin: true });
+        await t.seedUser({ username: 'user1' });
+
+        root = await t.login('root');
+    });
+
+    after(() => t.close());
+
+    const readReports = async () => {
+        const { token } = await t.login('user1');
+        return (await t.request('GET', '/data/advisor', { token })).status;
+    };
+
+    const mapping = (method) => t.request(method, '/admin/roles/user/permissions/reports:read', {
+        token: root.token
+    });
+
+    it('applies a grant and a revocation made through the admin API at once', async () => {
+        assert.equal(await readReports(), 403);
+
+        assert.equal((await mapping('PUT')).status, 204);
+        assert.equal(await readReports(), 200);
+
+        assert.equal((await mapping('DELETE')).status, 204);
+        assert.equal(await readReports(), 403);
+    });
+
+    it('picks up a grant made by another instance within 30 seconds', async () => {
+        await t.db.run(
+            'INSERT INTO role_permissions (role, permission) VALUES (?, ?)',
+            ['user', 'reports:read']
+        );
+
+        assert.equal(await readReports(), 403);
+
+        t.clock.advance(30 * 1000);
+
+        assert.equal(await readReports(), 200);
+    });
+});
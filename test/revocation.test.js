@@ -0,0 +1,108 @@
+/**
+ * Server-side revocation: log out everywhere, token version bumped
+ * by role and status changes, jti denylist of logout.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp } from './helpers.js';
+
+describe('token revocation', () => {
+    let t;
+    let admin;
+    let user2;
+    let user3;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        await t.seedUser({ username: 'user1' });
+        user2 = await t.seedUser({ username: 'user2' });
+        user3 = await t.seedUser({ username: 'user3' });
+
+        admin = await t.login('admin1');
+    });
+
+    after(() => t.close());
+
+    /**
+     * @returns {Promise<Object>} { status, code } of a protected request
+     */
+    async function access(token) {
+        const { status, body } = await t.request('GET', '/data/all', { token });
+        return { status, code: body.code };
+    }
+
+    const refresh = (refreshToken) => t.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+    const revoked = { status: 401, code: 'token_revoked' };
+
+    it('logs out every device with logout-all', async () => {
+        const laptop = await t.login('user1');
+        const phone = await t.login('user1');
+
+        assert.equal((await t.request('POST', '/auth/logout-all', { token: laptop.token })).status, 204);
+
+        assert.deepEqual(await access(laptop.token), revoked);
+        assert.deepEqual(await access(phone.token), revoked);
+        assert.equal((await refresh(laptop.refreshToken)).status, 401);
+        assert.equal((await refresh(phone.refreshToken)).status, 401);
+
+        assert.equal((await access((await t.login('user1')).token)).status, 200);
+    });
+
+    it('revokes the tokens issued before a role change', async () => {
+        const session = await t.login('user2');
+
+        const changed = await t.request('PATCH', `/admin/users/${user2.id}/role`, {
+            token: admin.token,
+            body: { role: 'advisor' }
+        });
+        assert.equal(changed.status, 200);
+
+        assert.deepEqual(await access(session.token), revoked);
+
+        const next = await refresh(session.refreshToken);
+
+        assert.equal(next.status, 200);
+        assert.equal(next.body.role, 'advisor');
+        assert.equal((await access(next.body.token)).status, 200);
+    });
+
+    it('revokes the tokens of a disabled account', async () => {
+        const session = await t.login('user3');
+
+        await t.request('PATCH', `/admin/users/${user3.id}/status`, {
+            token: admin.token,
+            body: { disabled: true }
+        });
+
+        assert.deepEqual(await access(session.token), revoked);
+        assert.equal((await refresh(session.refreshToken)).status, 401);
+    });
+
+    it('denies the access token sent on logout, and that token only', async () => {
+        const session = await t.login('user1');
+        const other = await t.login('user1');
+
+        /**
+         * Second access token of the same session, left alone.
+         */
+        const sibling = (await refresh(session.refreshToken)).body;
+
+        /**
+         * Logging out the other session with the first access token
+         * keeps the session of that token alive: only its jti is denied.
+         */
+        const loggedOut = await t.request('POST', '/auth/logout', {
+            token: session.token,
+            body: { refreshToken: other.refreshToken }
+        });
+        assert.equal(loggedOut.status, 204);
+
+        assert.deepEqual(await access(session.token), revoked);
+        assert.equal((await access(sibling.token)).status, 200);
+        assert.equal((await refresh(other.refreshToken)).status, 401);
+    });
+});
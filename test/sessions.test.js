@@ -0,0 +1,166 @@
+/**
+ * Sessions (devices): listing, terminating one's own sessions,
+ * admin session endpoints, tokens of terminated sessions.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestApp, PASSWORD } from './helpers.js';
+
+describe('sessions', () => {
+    let t;
+    let admin;
+    let user1;
+
+    before(async () => {
+        t = await startTestApp();
+
+        await t.seedUser({ username: 'admin1', role: 'admin' });
+        user1 = await t.seedUser({ username: 'user1' });
+        await t.seedUser({ username: 'user2' });
+
+        admin = await t.login('admin1');
+    });
+
+    after(() => t.close());
+
+    /**
+     * Logs in from a named device.
+     *
+     * @returns {Promise<Object>} Login response body
+     */
+    async function loginFrom(username, deviceLabel) {
+        const { status, body } = await t.request('POST', '/auth/login', {
+            body: { username, password: PASSWORD, deviceLabel }
+        });
+
+        assert.equal(status, 200);
+        return body;
+    }
+
+    /**
+     * @returns {Promise<Object>} Session of the device, as listed to its owner
+     */
+    async function sessionOf(login, deviceLabel) {
+        const { body } = await t.request('GET', '/auth/sessions', { token: login.token });
+        return body.find((session) => session.deviceLabel === deviceLabel);
+    }
+
+    const access = async (token) => {
+        const { status, body } = await t.request('GET', '/data/all', { token });
+        return { status, code: body.code };
+    };
+
+    const refresh = (refreshToken) => t.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+    describe('own sessions', () => {
+        it('lists the active sessions and flags the current one', async () => {
+            const laptop = await loginFrom('user1', 'laptop');
+            await loginFrom('user1', 'phone');
+
+            const { status, body } = await t.request('GET', '/auth/sessions', { token: laptop.token });
+
+            assert.equal(status, 200);
+
+            const devices = body
+                .map(({ deviceLabel, current }) => ({ deviceLabel, current }))
+                .sort((a, b) => a.deviceLabel.localeCompare(b.deviceLabel));
+
+            assert.deepEqual(
+                devices,
+                [
+                    { deviceLabel: 'laptop', current: true },
+                    { deviceLabel: 'phone', current: false }
+                ]
+            );
+        });
+
+        it('terminates another device, whose tokens stop working at once', async () => {
+            const tablet = await loginFrom('user1', 'tablet');
+            const desktop = await loginFrom('user1', 'desktop');
+
+            const { id } = await sessionOf(desktop, 'tablet');
+
+            assert.equal((await t.request('DELETE', `/auth/sessions/${id}`, { token: desktop.token })).status, 204);
+
+            assert.deepEqual(await access(tablet.token), { status: 401, code: 'token_revoked' });
+            assert.equal((await refresh(tablet.refreshToken)).status, 401);
+            assert.equal((await access(desktop.token)).status, 200);
+            assert.equal(await sessionOf(desktop, 'tablet'), undefined);
+        });
+
+        it('answers 404 for a session of another user', async () => {
+            const mine = await loginFrom('user1', 'watch');
+            const other = await loginFrom('user2', 'watch');
+
+            const { id } = await sessionOf(mine, 'watch');
+            const { status, body } = await t.request('DELETE', `/auth/sessions/${id}`, { token: other.token });
+
+            assert.equal(status, 404);
+            assert.equal(body.code, 'session_not_found');
+            assert.equal((await access(mine.token)).status, 200);
+        });
+
+        it('rejects tokens of a terminated session that was cached as active', async () => {
+            const session = await loginFrom('user2', 'kiosk');
+
+            assert.equal((await access(session.token)).status, 200);
+
+            const { id } = await sessionOf(session, 'kiosk');
+            await t.request('DELETE', `/auth/sessions/${id}`, { token: session.token });
+
+            assert.deepEqual(await access(session.token), { status: 401, code: 'token_revoked' });
+        });
+    });
+
+    describe('admin endpoints', () => {
+        it('lists the sessions of a user', async () => {
+            await loginFrom('user1', 'console');
+
+            const { status, body } = await t.request('GET', `/admin/users/${user1.id}/sessions`, { token: admin.token });
+
+            assert.equal(status, 200);
+            assert.ok(body.some((session) => session.deviceLabel === 'console' && !session.current));
+        });
+
+        it('terminates one session of a user', async () => {
+            const kept = await loginFrom('user1', 'kept');
+            const ended = await loginFrom('user1', 'ended');
+
+            const { id } = await sessionOf(kept, 'ended');
+            const path = `/admin/users/${user1.id}/sessions/${id}`;
+
+            assert.equal((await t.request('DELETE', path, { token: admin.token })).status, 204);
+
+            assert.deepEqual(await access(ended.token), { status: 401, code: 'token_revoked' });
+            assert.equal((await access(kept.token)).status, 200);
+
+            const again = await t.request('DELETE', path, { token: admin.token });
+
+            assert.equal(again.status, 404);
+            assert.equal(again.body.code, 'session_not_found');
+        });
+
+        it('revokes every session of a user', async () => {
+            const session = await loginFrom('user1', 'last');
+
+            const { status } = await t.request('DELETE', `/admin/users/${user1.id}/sessions`, { token: admin.token });
+
+            assert.equal(status, 204);
+            assert.deepEqual(await access(session.token), { status: 401, code: 'token_revoked' });
+            assert.equal((await refresh(session.refreshToken)).status, 401);
+
+            const { body } = await t.request('GET', `/admin/users/${user1.id}/sessions`, { token: admin.token });
+
+            assert.deepEqual(body, []);
+        });
+
+        it('is refused to non-admins', async () => {
+            const { token } = await t.login('user2');
+
+            const { status } = await t.request('GET', `/admin/users/${user1.id}/sessions`, { token });
+
+            assert.equal(status, 403);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * SQLite adapter: transactions roll back their own writes only,
+ * and the outer adapter used from inside one joins it.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteAdapter } from '../db/sqliteAdapter.js';
+
+describe('SQLite adapter', () => {
+    let db;
+
+    before(async () => {
+        db = await createSqliteAdapter({ filename: ':memory:' });
+        await db.exec('CREATE TABLE items (name TEXT NOT NULL)');
+    });
+
+    after(() => db.close());
+
+    const names = async () => (await db.all('SELECT name FROM items ORDER BY rowid')).map((row) => row.name);
+
+    it('undoes the writes made through the transaction when it rolls back', async () => {
+        await assert.rejects(db.transaction(async (tx) => {
+            await tx.run('INSERT INTO items (name) VALUES (?)', ['undone']);
+            assert.equal((await tx.get('SELECT COUNT(*) AS n FROM items')).n, 1);
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.deepEqual(await names(), []);
+    });
+
+    it('keeps a write issued on the outer adapter by other code while a transaction rolls back', async () => {
+        let insideTransaction;
+        const opened = new Promise((resolve) => {
+            insideTransaction = resolve;
+        });
+
+        const failing = db.transaction(async (tx) => {
+            await tx.run('INSERT INTO items (name) VALUES (?)', ['rolled back']);
+            insideTransaction();
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            throw new Error('abort');
+        });
+
+        await opened;
+        const unrelated = db.run('INSERT INTO items (name) VALUES (?)', ['kept']);
+
+        await assert.rejects(failing, /abort/);
+        assert.equal((await unrelated).changes, 1);
+
+        assert.deepEqual(await names(), ['kept']);
+    });
+
+    it('runs outer adapter calls made inside a transaction as part of it', { timeout: 2000 }, async () => {
+        await db.transaction(async (tx) => {
+            await db.run('INSERT INTO items (name) VALUES (?)', ['outer']);
+            await tx.run('INSERT INTO items (name) VALUES (?)', ['inner']);
+        });
+
+        await assert.rejects(db.transaction(async () => {
+            await db.transaction((nested) => nested.run('INSERT INTO items (name) VALUES (?)', ['undone']));
+            throw new Error('abort');
+        }), /abort/);
+
+        assert.deepEqual(await names(), ['kept', 'outer', 'inner']);
+    });
+
+    it('queues work started by a transaction that runs after it ends', async () => {
+        let late;
+
+        await db.transaction(async () => {
+            late = new Promise((resolve) => setTimeout(resolve, 10))
+                .then(() => db.get('SELECT COUNT(*) AS n FROM items'));
+        });
+
+        assert.equal((await late).n, 3);
+    });
+
+    it('reuses the current transaction for nested calls', async () => {
+        const value = await db.transaction((tx) => tx.transaction((nested) => nested.get('SELECT 1 AS one')));
+
+        assert.equal(value.one, 1);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Application context
+ *
+ * Services keep their state (repositories, configuration, clock,
+ * caches, signing keys...) per application instead of per process,
+ * so two apps created by createApp() side by side never see each
+ * other's database or caches.
+ *
+ * Each app owns a context. createApp() initializes the services
+ * inside it and every request it serves runs inside it; the state
+ * is found through AsyncLocalStorage, across async calls and timers
+ * started from there.
+ *
+ * Code running outside any app (migration and seed commands,
+ * index.js before createApp) uses the process context.
+ *
+ * Usage, in a module:
+ *   const state = defineAppState(() => ({ cache: new Map() }));
+ *   state().cache.get(key);
+ *
+ * Usage, from outside a request (tests, scripts):
+ *   await runInAppContext(app.locals.context, () => getRepositories().users.create(...));
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Creates an empty context, for a new app.
+ *
+ * @returns {{ state: Map }}
+ */
+export function createAppContext() {
+    return { state: new Map() };
+}
+
+/**
+ * State of code running outside any app.
+ */
+const processContext = createAppContext();
+
+/**
+ * @returns {{ state: Map }} Context of the app being served, or the process context
+ */
+export function currentAppContext() {
+    return storage.getStore() ?? processContext;
+}
+
+/**
+ * Runs a function inside the context of an app,
+ * including its asynchronous continuations.
+ *
+ * @param {{ state: Map }} context - app.locals.context
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+export function runInAppContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+/**
+ * Declares a piece of module state, created on first use
+ * in each context.
+ *
+ * @param {() => Object} create - Initial state
+ * @returns {() => Object} Accessor returning the state of the current context
+ */
+export function defineAppState(create) {
+    const key = Symbol('appState');
+
+    return () => {
+        const { state } = currentAppContext();
+
+        if (!state.has(key)) {
+            state.set(key, create());
+        }
+
+        return state.get(key);
+    };
+}
@@ -0,0 +1,33 @@
+/**
+ * OpenAPI coverage check
+ *
+ * Usage:
+ *   npm run openapi:check
+ *
+ * Fails (exit code 1) when:
+ * - a mounted route has no entry in schemas/operations.js
+ * - schemas/operations.js documents a route that does not exist
+ *   (renamed or removed)
+ *
+ * Meant to run in CI next to the other checks, so the
+ * published documentation cannot drift from the routers.
+ */
+
+import { routeTable } from '../routes/index.js';
+import { listRoutes, findDocumentationGaps } from './openApi.js';
+
+const { undocumented, unknown } = findDocumentationGaps(routeTable);
+
+for (const key of undocumented) {
+    console.error(`Missing from the OpenAPI spec: ${key} (add it to schemas/operations.js)`);
+}
+
+for (const key of unknown) {
+    console.error(`Documented but not mounted: ${key}`);
+}
+
+if (undocumented.length > 0 || unknown.length > 0) {
+    process.exit(1);
+}
+
+console.log(`OpenAPI spec covers all ${listRoutes(routeTable).length} routes.`);
@@ -0,0 +1,41 @@
+/**
+ * Clock
+ *
+ * Single source of "now" for everything time-based:
+ * token issue and expiry times, refresh and reset token lifetimes,
+ * login lockouts, caches, audit timestamps.
+ *
+ * The system clock is used by default. createApp({ clock }) can
+ * install another one, e.g. a fake clock moved forward by hand
+ * to expire tokens without waiting. Each app has its own
+ * (see utils/appContext.js).
+ */
+
+import { defineAppState } from './appContext.js';
+
+/**
+ * Real time.
+ */
+export const systemClock = {
+    now: () => Date.now()
+};
+
+const state = defineAppState(() => ({ clock: systemClock }));
+
+/**
+ * Current time.
+ *
+ * @returns {number} Epoch milliseconds
+ */
+export function now() {
+    return state().clock.now();
+}
+
+/**
+ * Installs the clock used by now().
+ *
+ * @param {{ now: () => number }} [customClock] - Omit to restore the system clock
+ */
+export function setClock(customClock = systemClock) {
+    state().clock = customClock;
+}
@@ -8,71 +8,189 @@
  * - identify the current user
  * - enforce role-based authorization
  *
- * Tokens are stateless and do not require server-side storage.
+ * Tokens are signed with an asymmetric private key (RS256 or EdDSA)
+ * from the key store. Any service can validate them with the public
+ * keys published at GET /.well-known/jwks.json.
  */
 
-import { SignJWT } from 'jose';
-import dotenv from 'dotenv';
+import crypto from 'crypto';
+import { SignJWT, jwtVerify } from 'jose';
+import { getJwtSettings, SUPPORTED_ALGORITHMS } from '../config/jwt.js';
+import { getConfig } from '../config/env.js';
+import { getSigningKey, resolveVerificationKey } from '../services/keyStore.js';
+import * as clock from './clock.js';
+import { logger } from './logger.js';
 
 /**
- * Load environment variables.
- * JWT_SECRET must be defined in the .env file.
+ * Signs a payload with the active key and the standard claims.
+ *
+ * Standard claims:
+ * - iss: this backend
+ * - aud: intended consumer of the token
+ * - sub: user id (as a string, per RFC 7519)
+ * - iat: issue time
+ * - jti: unique token id
+ * - exp: expiration time
+ *
+ * Times come from the application clock (utils/clock.js).
+ *
+ * @param {Object} payload - Custom claims
+ * @param {string} subject - "sub" claim
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @param {Object} [options]
+ * @param {string} [options.audience] - "aud" claim (default: JWT_AUDIENCE)
+ * @returns {Promise<string>} Signed JWT
  */
-dotenv.config();
+async function signToken(payload, subject, ttlSeconds, options = {}) {
+    const { issuer, audience } = { ...getJwtSettings(), ...options };
+    const { kid, alg, privateKey } = await getSigningKey();
+    const issuedAt = Math.floor(clock.now() / 1000);
+
+    return new SignJWT(payload)
+        /**
+         * "kid" tells verifiers which public key to use.
+         */
+        .setProtectedHeader({ alg, kid, typ: 'JWT' })
+        .setIssuer(issuer)
+        .setAudience(audience)
+        .setSubject(subject)
+        .setIssuedAt(issuedAt)
+        .setJti(crypto.randomUUID())
+        .setExpirationTime(issuedAt + ttlSeconds)
+        .sign(privateKey);
+}
+
+/**
+ * Verifies signature and standard claims of a token.
+ *
+ * Checks:
+ * - signature against the key matching the "kid" header
+ * - allowed algorithm
+ * - iss and aud match this backend's settings
+ * - exp has not passed
+ * - sub, iat and jti are present
+ *
+ * @param {string} token - Compact JWT
+ * @returns {Promise<Object>} Verified payload
+ * @throws when the token is invalid
+ */
+export async function verifyJwt(token) {
+    const { issuer, audience } = getJwtSettings();
+
+    const { payload } = await jwtVerify(token, resolveVerificationKey, {
+        issuer,
+        audience,
+        algorithms: SUPPORTED_ALGORITHMS,
+        requiredClaims: ['sub', 'iat', 'jti', 'exp'],
+        currentDate: new Date(clock.now())
+    });
+
+    return payload;
+}
 
 /**
  * Generates a signed JWT access token.
  *
- * @param {Object} user - Authenticated user object
+ * @param {Object} user - Authenticated user, as returned by
+ *        resolvePrincipal() (services/organizationService.js)
  * @param {number} user.id - User unique identifier
  * @param {string} user.username - Login username
- * @param {string} user.role - Authorization role
+ * @param {number} user.organizationId - Organization the token acts in
+ * @param {string} user.role - Role within that organization
+ * @param {boolean} user.superAdmin - Platform super-admin
+ * @param {string} sessionId - Session the token belongs to
+ *                             (see services/sessionService.js)
  *
  * @returns {Promise<string>} Signed JWT token
  */
-export async function generateToken(user) {
+export async function generateToken(user, sessionId) {
+    return signAccessToken(user, sessionId);
+}
 
-    /**
-     * Convert secret key into Uint8Array.
-     * Required by the jose cryptography API.
-     */
-    const secret = new TextEncoder().encode(process.env.JWT_SECRET);
+/**
+ * Generates an access token letting an admin act as another user
+ * (POST /admin/impersonate/:userId).
+ *
+ * The token is the user's, plus an RFC 8693 "act" (actor) claim
+ * naming the admin. It has no refresh token: once it expires
+ * (IMPERSONATION_TOKEN_TTL), the admin has to start again.
+ *
+ * It belongs to the admin's session, and carries the admin's token
+ * version: logging the admin out, or changing their role, ends it.
+ *
+ * @param {Object} user - Impersonated user, as returned by resolvePrincipal()
+ * @param {Object} actor - users row of the admin
+ * @param {string} sessionId - Session of the admin
+ * @returns {Promise<string>} Signed JWT token
+ */
+export async function generateImpersonationToken(user, actor, sessionId) {
+    return signAccessToken(user, sessionId, {
+        act: {
+            sub: String(actor.id),
+            username: actor.username,
+            ver: actor.tokenVersion ?? 0
+        },
+        ttlSeconds: getConfig().tokens.impersonationTtlSeconds
+    });
+}
 
+/**
+ * Signs an access token (see generateToken).
+ *
+ * @param {Object} user - Principal the token is issued for
+ * @param {string} sessionId - Session the token belongs to
+ * @param {Object} [options]
+ * @param {Object} [options.act] - "act" claim (impersonation tokens only)
+ * @param {number} [options.ttlSeconds] - Lifetime (default ACCESS_TOKEN_TTL)
+ * @returns {Promise<string>} Signed JWT token
+ */
+async function signAccessToken(user, sessionId, { act, ttlSeconds = getConfig().tokens.accessTtlSeconds } = {}) {
     try {
         /**
-         * Create a new JWT token.
-         *
          * Payload contains only non-sensitive data.
          * Passwords and hashes are NEVER included.
          */
-        const token = await new SignJWT({
-            id: user.id,
-            username: user.username,
-            role: user.role
-        })
-            /**
-             * Specify signing algorithm.
-             * HS256 = HMAC SHA-256 symmetric encryption.
-             */
-            .setProtectedHeader({ alg: 'HS256' })
+        return await signToken(
+            {
+                id: user.id,
+                username: user.username,
+                role: user.role,
 
-            /**
-             * Token expiration time.
-             *
-             * Short-lived access tokens reduce security risk
-             * in case a token is compromised.
-             */
-            .setExpirationTime('1m')
+                /**
+                 * Active organization: role is the role within it.
+                 */
+                org: user.organizationId,
+
+                /**
+                 * Only present for super-admins.
+                 */
+                ...(user.superAdmin && { sa: true }),
+
+                /**
+                 * Security stamp: the token is rejected as soon
+                 * as the user's tokenVersion is incremented.
+                 */
+                ver: user.tokenVersion ?? 0,
+
+                /**
+                 * Session id: the token is rejected as soon
+                 * as the session is terminated.
+                 */
+                sid: sessionId,
+
+                /**
+                 * Only present on impersonation tokens.
+                 */
+                ...(act && { act })
+            },
+            String(user.id),
 
             /**
-             * Cryptographically sign the token.
+             * ACCESS_TOKEN_TTL (default 1 minute): short-lived access
+             * tokens reduce security risk in case a token is compromised.
              */
-            .sign(secret);
-
-        /**
-         * Return signed JWT string.
-         */
-        return token;
+            ttlSeconds
+        );
 
     } catch (error) {
 
@@ -80,7 +198,107 @@ export async function generateToken(user) {
          * Any cryptographic or configuration failure
          * is logged and propagated to the caller.
          */
-        console.error('Token generation failed:', error);
+        logger.error('Token generation failed', { err: error });
         throw error;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Generates a short-lived "MFA pending" challenge token.
+ *
+ * Issued by login instead of an access token when the account
+ * has MFA enabled. It only proves that the password step succeeded
+ * and is accepted exclusively by POST /auth/mfa/verify.
+ *
+ * The "purpose" claim makes verifyToken reject it on protected routes.
+ * The device label sent to login travels in the token, so the
+ * session created after the second step is labelled too.
+ *
+ * @param {Object} user - User that passed the password step
+ * @param {string} [deviceLabel] - Label of the session to create
+ * @returns {Promise<string>} Signed JWT challenge token
+ */
+export async function generateMfaToken(user, deviceLabel) {
+    return signToken(
+        {
+            id: user.id,
+            purpose: 'mfa',
+            deviceLabel
+        },
+        String(user.id),
+
+        /**
+         * MFA_TOKEN_TTL (default 5 minutes): the user has this long to type
+         * the code from their authenticator app after a correct password.
+         */
+        getConfig().tokens.mfaTtlSeconds
+    );
+}
+
+/**
+ * Verifies an MFA challenge token.
+ *
+ * @param {string} token - Token returned by login
+ * @returns {Promise<{ userId: number, deviceLabel?: string } | null>}
+ *          null when invalid/expired
+ */
+export async function verifyMfaToken(token) {
+    try {
+        const payload = await verifyJwt(token);
+
+        return payload.purpose === 'mfa'
+            ? { userId: payload.id, deviceLabel: payload.deviceLabel }
+            : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Generates an OpenID Connect ID token.
+ *
+ * Issued by POST /oauth/token next to the access token.
+ * Its audience is the client, not this API, so verifyToken
+ * rejects it if a client sends it by mistake.
+ *
+ * Lifetime: ID_TOKEN_TTL (default 5 minutes). ID tokens are read
+ * once by the client right after login, not used to call the API.
+ *
+ * Claims:
+ * - standard: iss, sub, aud (client id), iat, exp, jti
+ * - auth_time: when the user entered their credentials (seconds)
+ * - nonce: echoed from the authorization request
+ * - role, org: always, clients use them for their own authorization
+ *   (role within the organization the session acts in)
+ * - preferred_username: "profile" scope
+ * - email: "email" scope (when the account has one)
+ *
+ * @param {Object} user - Principal (see resolvePrincipal in services/organizationService.js)
+ * @param {Object} context
+ * @param {string} context.clientId - Requesting client
+ * @param {string[]} context.scopes - Granted scopes
+ * @param {number} context.authTime - Authentication time (ms)
+ * @param {string | null} [context.nonce] - Nonce of the authorization request
+ * @returns {Promise<string>} Signed JWT
+ */
+export async function generateIdToken(user, { clientId, scopes, authTime, nonce }) {
+    const claims = {
+        auth_time: Math.floor(authTime / 1000),
+        role: user.role,
+        org: user.organizationId
+    };
+
+    if (nonce) {
+        claims.nonce = nonce;
+    }
+
+    if (scopes.includes('profile')) {
+        claims.preferred_username = user.username;
+    }
+
+    if (scopes.includes('email') && user.email) {
+        claims.email = user.email;
+    }
+
+    return signToken(claims, String(user.id), getConfig().tokens.idTtlSeconds, { audience: clientId });
+}
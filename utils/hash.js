@@ -0,0 +1,18 @@
+/**
+ * SHA-256 digests of secrets stored by the application
+ * (refresh tokens, API keys, reset tokens, recovery codes,
+ * OAuth client secrets and authorization codes).
+ *
+ * These are long random values, so a fast hash is enough to
+ * store and look them up (unlike passwords, see passwords.js).
+ */
+
+import crypto from 'crypto';
+
+/**
+ * @param {string} value - Plaintext value
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
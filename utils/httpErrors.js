@@ -0,0 +1,135 @@
+/**
+ * HTTP error classes
+ *
+ * Controllers and middlewares throw these errors instead of
+ * writing error responses themselves. The central error handler
+ * (middlewares/errorHandler.js) turns them into RFC 7807
+ * "application/problem+json" responses.
+ *
+ * Every error carries a stable, machine-readable code
+ * (e.g. "invalid_credentials") that clients can map to
+ * their own messages. Codes never change once published;
+ * the human-readable detail may.
+ */
+
+import { STATUS_CODES } from 'http';
+
+/**
+ * Base class: any error with an HTTP status and a code.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Stable error code
+     * @param {string} detail - Human-readable explanation
+     * @param {Object} [options]
+     * @param {Object[]} [options.errors] - Per-field problems (validation)
+     * @param {Object} [options.headers] - Extra response headers
+     */
+    constructor(status, code, detail, { errors, headers } = {}) {
+        super(detail);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.title = STATUS_CODES[status];
+        this.errors = errors;
+        this.headers = headers;
+    }
+}
+
+/**
+ * 400 with the list of invalid fields.
+ *
+ * Each entry: { location, field, code, message }
+ * - location: "body", "query" or "params"
+ * - code: failed rule ("required", "type", "min_length"...)
+ */
+export class ValidationError extends HttpError {
+    constructor(errors, detail = 'The request is invalid') {
+        super(400, 'validation_failed', detail, { errors });
+    }
+}
+
+export class BadRequestError extends HttpError {
+    constructor(code, detail) {
+        super(400, code, detail);
+    }
+}
+
+/**
+ * 401: missing or invalid credentials.
+ */
+export class UnauthorizedError extends HttpError {
+    constructor(code, detail) {
+        super(401, code, detail);
+    }
+}
+
+/**
+ * 403: authenticated, but not allowed.
+ */
+export class ForbiddenError extends HttpError {
+    constructor(code, detail) {
+        super(403, code, detail);
+    }
+}
+
+export class NotFoundError extends HttpError {
+    constructor(code, detail) {
+        super(404, code, detail);
+    }
+}
+
+export class ConflictError extends HttpError {
+    constructor(code, detail) {
+        super(409, code, detail);
+    }
+}
+
+/**
+ * 423 / 429: temporarily blocked, with a Retry-After header (seconds).
+ */
+export class LockedError extends HttpError {
+    constructor(code, detail, retryAfter) {
+        super(423, code, detail, { headers: { 'Retry-After': String(retryAfter) } });
+    }
+}
+
+export class TooManyRequestsError extends HttpError {
+    constructor(code, detail, retryAfter) {
+        super(429, code, detail, { headers: { 'Retry-After': String(retryAfter) } });
+    }
+}
+
+/**
+ * 503: a service the request depends on (e.g. the LDAP directory)
+ * cannot be reached.
+ */
+export class ServiceUnavailableError extends HttpError {
+    constructor(code, detail) {
+        super(503, code, detail);
+    }
+}
+
+/**
+ * OAuth 2.0 / OpenID Connect protocol error (RFC 6749 section 5.2).
+ *
+ * Raised by POST /oauth/token and /oauth/userinfo. Rendered as
+ * { "error": code, "error_description": detail } instead of
+ * problem+json, because OAuth client libraries expect that format.
+ *
+ * Codes are the ones defined by the RFC: invalid_request,
+ * invalid_client, invalid_grant, unsupported_grant_type...
+ */
+export class OAuthError extends HttpError {
+    /**
+     * @param {string} code - RFC 6749 error code
+     * @param {string} detail - error_description
+     * @param {number} [status=400] - 401 for invalid_client
+     */
+    constructor(code, detail, status = 400) {
+        super(status, code, detail, {
+            headers: status === 401 ? { 'WWW-Authenticate': 'Basic realm="oauth"' } : undefined
+        });
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * Logger
+ *
+ * Application code logs through this object instead of calling
+ * console directly, so the destination can be changed in one place
+ * (createApp({ logger })), e.g. silenced or captured in tests.
+ *
+ * Every entry is a structured record, written as one JSON line:
+ *
+ *   {"time":"2026-01-01T10:00:00.000Z","level":"info","msg":"request completed",
+ *    "requestId":"4f9c...","method":"GET","route":"/admin/users","status":200,...}
+ *
+ * - levels: debug < info < warn < error (minimum set with LOG_LEVEL)
+ * - the id of the request being served is added automatically
+ *   (see runWithLogContext, used by middlewares/requestId.js)
+ * - passwords, tokens, secrets and API keys are redacted
+ *
+ * Usage:
+ *   logger.warn('Refresh token reuse detected', { userId: 3 });
+ *   logger.error('Audit log write failed', { err });
+ *
+ * Any object with info / warn / error (and optionally debug)
+ * methods can be installed; it receives the records.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { defineAppState } from './appContext.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Fields whose value is never written, whatever their nesting.
+ * Compared lowercase, without "-" and "_" (so refresh_token,
+ * refreshToken and X-Refresh-Token all match "refreshtoken").
+ */
+const REDACTED_FIELDS = new Set([
+    'password', 'newpassword', 'currentpassword', 'bindpassword', 'pass',
+    'secret', 'clientsecret', 'mfasecret',
+    'token', 'accesstoken', 'refreshtoken', 'idtoken', 'mfatoken',
+    'authorization', 'cookie', 'setcookie',
+    'apikey', 'xapikey', 'codeverifier', 'recoverycode'
+]);
+
+/**
+ * Credentials recognized inside any string (messages included):
+ * JWTs and API keys (lar_<prefix>_<secret>).
+ */
+const SECRET_PATTERNS = [
+    /eyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    /lar_[\w-]+_[\w-]+/g
+];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Writes records as JSON lines: debug / info to stdout,
+ * warn / error to stderr.
+ */
+const jsonTarget = Object.fromEntries(LOG_LEVELS.map((level) => {
+    const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+    return [level, (record) => stream.write(`${JSON.stringify(record)}\n`)];
+}));
+
+/**
+ * Destination and minimum level, per app (see utils/appContext.js).
+ */
+const state = defineAppState(() => ({ target: jsonTarget, minLevel: LOG_LEVELS.indexOf('info') }));
+
+/**
+ * Fields of the current request, carried across async calls.
+ */
+const context = new AsyncLocalStorage();
+
+/**
+ * Replaces credentials in a value about to be logged.
+ *
+ * @param {*} value
+ * @param {number} [depth] - Nesting level (deep objects are cut)
+ * @returns {*} Copy safe to write
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return SECRET_PATTERNS.reduce((text, pattern) => text.replace(pattern, REDACTED), value);
+    }
+
+    if (value instanceof Error) {
+        return redact({
+            name: value.name,
+            message: value.message,
+            code: value.code,
+            stack: value.stack
+        }, depth);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (depth >= 5) {
+        return '[Object]';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, depth + 1));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_FIELDS.has(key.toLowerCase().replace(/[-_]/g, '')) && item != null
+            ? REDACTED
+            : redact(item, depth + 1)
+    ]));
+}
+
+/**
+ * Builds the record and hands it to the target.
+ *
+ * @param {string} level
+ * @param {string} msg
+ * @param {Object | Error} [fields] - Extra fields (an Error is logged as { err })
+ */
+function write(level, msg, fields = {}) {
+    const { target, minLevel } = state();
+
+    if (LOG_LEVELS.indexOf(level) < minLevel) {
+        return;
+    }
+
+    const record = redact({
+        time: new Date().toISOString(),
+        level,
+        msg,
+        ...context.getStore(),
+        ...(fields instanceof Error ? { err: fields } : fields)
+    });
+
+    (target[level] ?? target.info)(record);
+}
+
+export const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields)
+};
+
+/**
+ * Installs the logger used by the application.
+ *
+ * @param {{ info: Function, warn: Function, error: Function }} [customLogger]
+ *        Receives the records. Omit to restore the JSON output.
+ */
+export function setLogger(customLogger = jsonTarget) {
+    state().target = customLogger;
+}
+
+/**
+ * Sets the minimum level written (LOG_LEVEL, see config/env.js).
+ *
+ * @param {string} [level] - One of LOG_LEVELS (default info)
+ */
+export function setLogLevel(level = 'info') {
+    state().minLevel = LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Runs a function with fields added to every record it logs,
+ * including from its asynchronous continuations.
+ *
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn
+ * @returns {*} Result of fn
+ */
+export function runWithLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
@@ -0,0 +1,225 @@
+/**
+ * Metrics
+ *
+ * Counters and histograms kept in memory and exposed in the
+ * Prometheus text format by GET /metrics (routes/rootRoutes.js).
+ * Each process counts its own requests: Prometheus scrapes every
+ * instance and sums them.
+ *
+ * Each app created by createApp() counts separately (see
+ * utils/appContext.js): metrics are declared once per process,
+ * their series are kept per app.
+ *
+ * Label values must come from a small, fixed set (route patterns,
+ * reasons, roles...), never from user input such as usernames or
+ * raw URLs, or the number of series grows without bound.
+ *
+ * Metrics of the application:
+ * - http_request_duration_seconds{method, route, status}
+ * - auth_login_attempts_total{result, reason}
+ * - auth_token_verification_failures_total{reason}
+ * - authorization_denied_total{guard}
+ */
+
+import { defineAppState } from './appContext.js';
+
+/**
+ * Every metric created, in creation order.
+ */
+const registry = [];
+
+/**
+ * Seconds. Covers fast reads up to logins slowed
+ * down by the brute-force protection (up to 5 s).
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * @param {string} value - Label value
+ * @returns {string} Escaped for the text format
+ */
+function escapeLabel(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+/**
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {method="GET",status="200"}, empty without labels
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Series of a metric, keyed by their label values.
+ *
+ * @param {string[]} labelNames
+ */
+function createSeries(labelNames) {
+    const series = defineAppState(() => new Map());
+
+    return {
+        series,
+
+        /**
+         * @param {Object} labels - Value of every label (missing ones are "")
+         * @param {Function} create - Initial state of a new series
+         */
+        get(labels, create) {
+            const values = labelNames.map((name) => String(labels[name] ?? ''));
+            const key = JSON.stringify(values);
+            const entries = series();
+
+            if (!entries.has(key)) {
+                entries.set(key, {
+                    labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])),
+                    ...create()
+                });
+            }
+
+            return entries.get(key);
+        }
+    };
+}
+
+/**
+ * Creates a counter (value that only goes up).
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - e.g. auth_login_attempts_total
+ * @param {string} definition.help - Description shown by Prometheus
+ * @param {string[]} [definition.labelNames]
+ * @returns {{ inc: (labels?: Object, value?: number) => void }}
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+    const { series, get } = createSeries(labelNames);
+
+    registry.push({
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+
+            for (const { labels, value } of series().values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+
+            return lines;
+        }
+    });
+
+    return {
+        inc(labels = {}, value = 1) {
+            get(labels, () => ({ value: 0 })).value += value;
+        }
+    };
+}
+
+/**
+ * Creates a histogram (distribution of observed values).
+ *
+ * @param {Object} definition
+ * @param {string} definition.name - e.g. http_request_duration_seconds
+ * @param {string} definition.help - Description shown by Prometheus
+ * @param {string[]} [definition.labelNames]
+ * @param {number[]} [definition.buckets] - Upper bounds, ascending
+ * @returns {{ observe: (labels: Object, value: number) => void }}
+ */
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const { series, get } = createSeries(labelNames);
+
+    registry.push({
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+            for (const { labels, counts, sum, count } of series().values()) {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+
+            return lines;
+        }
+    });
+
+    return {
+        observe(labels, value) {
+            const entry = get(labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+
+            buckets.forEach((bound, i) => {
+                if (value <= bound) {
+                    entry.counts[i] += 1;
+                }
+            });
+
+            entry.sum += value;
+            entry.count += 1;
+        }
+    };
+}
+
+/**
+ * Renders every metric, plus a few facts about the process.
+ *
+ * @returns {string} Prometheus text exposition format (version 0.0.4)
+ */
+export function renderMetrics() {
+    const lines = registry.flatMap((metric) => metric.render());
+
+    lines.push(
+        '# HELP process_resident_memory_bytes Resident memory size in bytes.',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+        '# HELP process_uptime_seconds Time since the process started.',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${process.uptime()}`
+    );
+
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Latency of every HTTP request (see middlewares/accessLog.js).
+ * route is the matched pattern (/admin/users/:id), "unmatched" otherwise.
+ */
+export const httpRequestDuration = createHistogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds, by route pattern and status.',
+    labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * Logins: result is success, failure or blocked
+ * (locked account / throttled IP), reason as in the audit log.
+ */
+export const loginAttempts = createCounter({
+    name: 'auth_login_attempts_total',
+    help: 'Login attempts by result and reason.',
+    labelNames: ['result', 'reason']
+});
+
+/**
+ * Credentials refused by verifyToken (JWT or API key).
+ */
+export const tokenVerificationFailures = createCounter({
+    name: 'auth_token_verification_failures_total',
+    help: 'Access tokens and API keys refused, by reason.',
+    labelNames: ['reason']
+});
+
+/**
+ * 403 answers of the authorization middlewares:
+ * guard is role (checkRole), permission (requirePermission),
+ * super_admin (requireSuperAdmin), impersonation (forbidImpersonation),
+ * session (requireSession) or resource (authorizeResource).
+ */
+export const authorizationDenials = createCounter({
+    name: 'authorization_denied_total',
+    help: 'Requests denied by an authorization middleware.',
+    labelNames: ['guard']
+});
@@ -0,0 +1,73 @@
+/**
+ * Migration command
+ *
+ * Usage:
+ *   npm run migrate                 → apply every pending migration
+ *   npm run migrate:rollback        → revert the last migration
+ *   npm run migrate:rollback -- 3   → revert the last 3 migrations
+ *   npm run migrate:status          → list migrations and their state
+ *
+ * The database is selected with DB_CLIENT / DATABASE_URL,
+ * exactly like the application (see config/env.js). An invalid
+ * configuration stops the command before anything is touched.
+ */
+
+import { openDatabase } from '../config/db.js';
+import { migrate, rollback, getMigrationStatus } from '../db/migrator.js';
+
+/**
+ * Prints the state of every migration.
+ *
+ * @param {Object} db - Database adapter
+ */
+async function printStatus(db) {
+    const { migrations, unknown } = await getMigrationStatus(db);
+
+    for (const { version, name, appliedAt } of migrations) {
+        const state = appliedAt ? `applied ${new Date(appliedAt).toISOString()}` : 'pending';
+        console.log(`${version}_${name}  ${state}`);
+    }
+
+    for (const version of unknown) {
+        console.log(`${version}  applied, but no migration file found`);
+    }
+}
+
+async function run() {
+    const [command = 'up', arg] = process.argv.slice(2);
+    const db = await openDatabase();
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(db);
+            console.log(applied.length
+                ? `Applied: ${applied.join(', ')}`
+                : 'Schema already up to date.');
+
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : parseInt(arg, 10);
+
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('Steps must be a positive integer');
+            }
+
+            const reverted = await rollback(db, steps);
+            console.log(reverted.length
+                ? `Rolled back: ${reverted.join(', ')}`
+                : 'Nothing to roll back.');
+
+        } else if (command === 'status') {
+            await printStatus(db);
+
+        } else {
+            throw new Error(`Unknown command "${command}" (use up, down or status)`);
+        }
+    } finally {
+        await db.close();
+    }
+}
+
+run().catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
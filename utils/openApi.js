@@ -0,0 +1,337 @@
+/**
+ * OpenAPI generator
+ *
+ * Builds the OpenAPI 3.1 document of the API from:
+ * - the route table (routes/index.js): paths and methods
+ * - the middlewares of each route:
+ *     verifyToken        → bearer authentication
+ *     checkRole          → required roles
+ *     requirePermission  → required permission
+ *     validate           → parameters and request body schemas
+ * - schemas/operations.js: summaries and responses, and the request
+ *   schemas of routes that validate inside their handler (docs.request)
+ * - schemas/responseSchemas.js: response bodies
+ *
+ * Paths, parameters and request bodies therefore always
+ * match what the server actually accepts.
+ */
+
+import { readFileSync } from 'fs';
+import { STATUS_CODES } from 'http';
+import { verifyToken } from '../middlewares/verifyToken.js';
+import { requireSuperAdmin } from '../middlewares/requireSuperAdmin.js';
+import { forbidImpersonation } from '../middlewares/forbidImpersonation.js';
+import { requireSession } from '../middlewares/requireSession.js';
+import { operations } from '../schemas/operations.js';
+import { responseSchemas, ref } from '../schemas/responseSchemas.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+/**
+ * Error codes every route using verifyToken can return.
+ */
+const TOKEN_ERROR_CODES = ['token_missing', 'token_malformed', 'token_invalid', 'token_revoked', 'api_key_invalid'];
+
+/**
+ * Methods for which cookie requests must carry the CSRF token
+ * (see services/authCookies.js).
+ */
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+/**
+ * Joins a mount path and a route path ("/" + "/" → "/").
+ */
+function joinPath(base, path) {
+    const joined = `${base}/${path}`.replace(/\/{2,}/g, '/');
+    return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
+
+/**
+ * Lists every route of the route table.
+ *
+ * Router-level middlewares (router.use(...)) are added in front
+ * of the routes declared after them, as Express runs them.
+ *
+ * @param {Array<Object>} routeTable - See routes/index.js
+ * @returns {Array<{ method: string, path: string, tag: string, handlers: Function[] }>}
+ *          path uses the OpenAPI syntax ("/admin/users/{id}")
+ */
+export function listRoutes(routeTable) {
+    const routes = [];
+
+    for (const { path: basePath, router, tag } of routeTable) {
+        const shared = [];
+
+        for (const layer of router.stack) {
+            if (!layer.route) {
+                shared.push(layer.handle);
+                continue;
+            }
+
+            for (const method of Object.keys(layer.route.methods)) {
+                const handlers = layer.route.stack
+                    .filter((routeLayer) => !routeLayer.method || routeLayer.method === method)
+                    .map((routeLayer) => routeLayer.handle);
+
+                routes.push({
+                    method,
+                    path: joinPath(basePath, layer.route.path).replace(/:(\w+)/g, '{$1}'),
+                    tag,
+                    handlers: [...shared, ...handlers]
+                });
+            }
+        }
+    }
+
+    return routes;
+}
+
+/**
+ * Key of a route in schemas/operations.js ("GET /admin/users/{id}").
+ */
+function operationKey(route) {
+    return `${route.method.toUpperCase()} ${route.path}`;
+}
+
+/**
+ * Converts a validation schema (utils/validation.js) to JSON Schema 2020-12,
+ * the dialect of OpenAPI 3.1. Only "nullable" differs.
+ *
+ * @param {Object} schema - Validation schema
+ * @returns {Object} JSON Schema
+ */
+function toJsonSchema(schema) {
+    const { nullable, properties, ...rest } = schema;
+    const result = { ...rest };
+
+    if (nullable) {
+        result.type = [schema.type, 'null'];
+    }
+
+    if (properties) {
+        result.properties = Object.fromEntries(
+            Object.entries(properties).map(([name, property]) => [name, toJsonSchema(property)])
+        );
+    }
+
+    return result;
+}
+
+/**
+ * Builds the parameter list of one location ("path" or "query").
+ *
+ * @param {Object | undefined} schema - Object schema of validate()
+ * @param {string} location - OpenAPI "in" value
+ * @param {string[]} [pathNames] - Names found in the path (path parameters only)
+ * @returns {Object[]}
+ */
+function buildParameters(schema, location, pathNames = []) {
+    const properties = schema?.properties ?? {};
+    const names = new Set([...pathNames, ...Object.keys(properties)]);
+
+    return [...names].map((name) => ({
+        name,
+        in: location,
+        required: location === 'path' || Boolean(schema?.required?.includes(name)),
+        schema: properties[name] ? toJsonSchema(properties[name]) : { type: 'string' }
+    }));
+}
+
+/**
+ * Builds the responses object: documented responses plus the
+ * errors implied by the middlewares of the route.
+ *
+ * @param {Object} documented - responses of schemas/operations.js
+ * @param {Object} implied - { status: [codes] } from middlewares
+ * @returns {Object}
+ */
+function buildResponses(documented = {}, implied) {
+    const errorCodes = {};
+
+    for (const [status, codes] of Object.entries(implied)) {
+        errorCodes[status] = [...codes];
+    }
+
+    const responses = {};
+
+    for (const [status, response] of Object.entries(documented)) {
+        if (Array.isArray(response)) {
+            errorCodes[status] = [...(errorCodes[status] ?? []), ...response];
+            continue;
+        }
+
+        responses[status] = { description: response.description };
+
+        if (response.schema) {
+            responses[status].content = {
+                [response.contentType ?? 'application/json']: { schema: response.schema }
+            };
+        }
+    }
+
+    for (const [status, codes] of Object.entries(errorCodes)) {
+        responses[status] = {
+            description: `${STATUS_CODES[status]}: ${codes.join(', ')}`,
+            content: {
+                'application/problem+json': { schema: ref('Problem') }
+            }
+        };
+    }
+
+    return responses;
+}
+
+/**
+ * Builds the OpenAPI operation of one route.
+ *
+ * @param {Object} route - Entry of listRoutes()
+ * @returns {Object} Operation object
+ */
+function buildOperation(route) {
+    const docs = operations[operationKey(route)] ?? {};
+    const request = docs.request ?? {};
+
+    const schemas = Object.assign({}, ...route.handlers.map((handler) => handler.schemas ?? {}));
+    const authenticated = route.handlers.includes(verifyToken);
+    const roles = route.handlers.find((handler) => handler.requiredRoles)?.requiredRoles;
+    const permission = route.handlers.find((handler) => handler.requiredPermission)?.requiredPermission;
+    const superAdmin = route.handlers.includes(requireSuperAdmin);
+    const sessionOnly = route.handlers.includes(requireSession);
+    const noImpersonation = route.handlers.includes(forbidImpersonation);
+    const resource = route.handlers.find((handler) => handler.requiredResource)?.requiredResource;
+
+    const implied = {};
+    if (schemas.body || schemas.params || schemas.query) implied[400] = ['validation_failed'];
+    if (authenticated) implied[401] = TOKEN_ERROR_CODES;
+    if (authenticated && !SAFE_METHODS.includes(route.method)) implied[403] = ['csrf_invalid'];
+    if (roles || permission || superAdmin || resource) implied[403] = [...(implied[403] ?? []), 'insufficient_permissions'];
+    if (sessionOnly) implied[403] = [...(implied[403] ?? []), 'session_required'];
+    if (noImpersonation) implied[403] = [...(implied[403] ?? []), 'impersonation_forbidden'];
+
+    const requirements = [
+        roles && `Requires role: ${roles.join(' or ')} (or a role inheriting it).`,
+        permission && `Requires permission: ${permission}.`,
+        superAdmin && 'Requires a super-admin.',
+        resource && `Requires access to this ${resource}.`,
+        sessionOnly && 'Requires a session token: not available to API keys.',
+        noImpersonation && 'Not available while impersonating a user.'
+    ].filter(Boolean);
+
+    const pathNames = [...route.path.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+    const parameters = [
+        ...buildParameters(schemas.params, 'path', pathNames),
+        ...buildParameters(schemas.query ?? request.query, 'query')
+    ];
+
+    const operation = {
+        tags: [route.tag],
+        summary: docs.summary,
+        description: [docs.description, ...requirements].filter(Boolean).join('\n\n') || undefined,
+        parameters,
+        responses: buildResponses(docs.responses, implied)
+    };
+
+    if (parameters.length === 0) {
+        delete operation.parameters;
+    }
+
+    const body = schemas.body ?? request.body;
+
+    if (body) {
+        operation.requestBody = {
+            required: true,
+            content: {
+                [request.contentType ?? 'application/json']: { schema: toJsonSchema(body) }
+            }
+        };
+    }
+
+    if (authenticated) {
+        operation.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }, { cookieAuth: [] }];
+    }
+
+    if (roles) {
+        operation['x-required-roles'] = roles;
+    }
+
+    if (permission) {
+        operation['x-required-permission'] = permission;
+    }
+
+    if (superAdmin) {
+        operation['x-requires-super-admin'] = true;
+    }
+
+    return operation;
+}
+
+/**
+ * Builds the OpenAPI 3.1 document.
+ *
+ * @param {Array<Object>} routeTable - See routes/index.js
+ * @returns {Object} OpenAPI document (plain JSON)
+ */
+export function buildOpenApiDocument(routeTable) {
+    const paths = {};
+
+    for (const route of listRoutes(routeTable)) {
+        paths[route.path] ??= {};
+        paths[route.path][route.method] = buildOperation(route);
+    }
+
+    /**
+     * JSON.stringify drops the undefined fields (missing summaries...).
+     */
+    return JSON.parse(JSON.stringify({
+        openapi: '3.1.0',
+        info: {
+            title: 'Login Auth Roles API',
+            version,
+            description: 'Authentication, role-based access control and user administration. '
+                + 'Errors use RFC 7807 problem details (application/problem+json).'
+        },
+        tags: [...new Set(routeTable.map((entry) => entry.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    bearerFormat: 'JWT',
+                    description: 'Access token returned by POST /auth/login'
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'API key of a service account (POST /admin/service-accounts/{id}/api-keys)'
+                },
+                cookieAuth: {
+                    type: 'apiKey',
+                    in: 'cookie',
+                    name: 'access_token',
+                    description: 'Access token cookie set by POST /auth/login with useCookies (AUTH_COOKIES). '
+                        + 'Other methods than GET also need the X-XSRF-TOKEN header.'
+                }
+            },
+            schemas: responseSchemas
+        }
+    }));
+}
+
+/**
+ * Compares the routes with schemas/operations.js.
+ *
+ * @param {Array<Object>} routeTable - See routes/index.js
+ * @returns {{ undocumented: string[], unknown: string[] }}
+ *          undocumented: routes without a summary or responses
+ *          unknown: documented operations matching no route
+ */
+export function findDocumentationGaps(routeTable) {
+    const keys = listRoutes(routeTable).map(operationKey);
+
+    return {
+        undocumented: keys.filter((key) => !operations[key]?.summary || !operations[key]?.responses),
+        unknown: Object.keys(operations).filter((key) => !keys.includes(key))
+    };
+}
@@ -0,0 +1,29 @@
+/**
+ * Password utilities
+ *
+ * Shared password policy and hashing, used by every flow
+ * that sets a password (admin creation, change, reset).
+ */
+
+import bcrypt from 'bcrypt';
+import { getConfig } from '../config/env.js';
+
+/**
+ * Minimum accepted password length.
+ * Enforced by the newPassword schema (schemas/common.js).
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hashes a password with bcrypt.
+ *
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export async function hashPassword(password) {
+    /**
+     * bcrypt cost factor (BCRYPT_ROUNDS, default 10).
+     * Higher values increase security but reduce performance.
+     */
+    return bcrypt.hash(password, getConfig().bcryptRounds);
+}
@@ -0,0 +1,98 @@
+/**
+ * Role definitions
+ *
+ * Single source of truth for the roles known to the system.
+ * Used wherever a role coming from a request must be validated.
+ *
+ * Roles:
+ * - user    → basic access
+ * - advisor → restricted role
+ * - admin   → full access
+ *
+ * Roles form a hierarchy: each role inherits everything
+ * granted to the role below it.
+ *
+ *   admin ⊇ advisor ⊇ user
+ */
+
+export const ROLES = ['user', 'advisor', 'admin'];
+
+/**
+ * Direct parent of each role in the hierarchy
+ * (the role whose permissions it inherits).
+ */
+export const ROLE_PARENTS = {
+    user: null,
+    advisor: 'user',
+    admin: 'advisor'
+};
+
+/**
+ * Permissions created on first startup.
+ *
+ * Format: "<resource>:<action>"
+ */
+export const DEFAULT_PERMISSIONS = {
+    'data:read': 'Read generic protected data',
+    'reports:read': 'Read advisor reports'
+};
+
+/**
+ * Direct role → permission grants created on first startup.
+ * Inherited permissions are not repeated here.
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+    user: ['data:read'],
+    advisor: ['reports:read'],
+    admin: []
+};
+
+/**
+ * Roles a service account may hold.
+ * API keys never grant administration rights.
+ */
+export const SERVICE_ACCOUNT_ROLES = ['user', 'advisor'];
+
+/**
+ * Checks whether a value is one of the known roles.
+ *
+ * @param {string} role - Role name to validate
+ * @returns {boolean}
+ */
+export function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * Returns a role followed by every role it inherits from.
+ *
+ * Example:
+ *   getInheritedRoles('admin') → ['admin', 'advisor', 'user']
+ *
+ * @param {string} role - Role name
+ * @returns {string[]} Empty array for unknown roles
+ */
+export function getInheritedRoles(role) {
+    const chain = [];
+
+    for (let current = role; isValidRole(current); current = ROLE_PARENTS[current]) {
+        chain.push(current);
+    }
+
+    return chain;
+}
+
+/**
+ * Checks whether a role is the required role or inherits from it.
+ *
+ * Example:
+ *   roleSatisfies('admin', 'advisor') → true
+ *   roleSatisfies('user', 'advisor')  → false
+ *
+ * @param {string} role - Role held by the user
+ * @param {string} required - Role required by the route
+ * @returns {boolean}
+ */
+export function roleSatisfies(role, required) {
+    return getInheritedRoles(role).includes(required);
+}
@@ -11,8 +11,11 @@
  * - simplify local development
  */
 
-import bcrypt from 'bcrypt';
-import { connectDB, getDB } from '../config/db.js';
+import { hashPassword } from './passwords.js';
+import { connectDB } from '../config/db.js';
+import { getConfig } from '../config/env.js';
+import { initRepositories } from '../repositories/index.js';
+import { isUniqueViolation } from '../db/errors.js';
 
 /**
  * Seed function
@@ -21,21 +24,28 @@ import { connectDB, getDB } from '../config/db.js';
  * 1. Connect to the database
  * 2. Define initial user accounts
  * 3. Hash passwords using bcrypt
- * 4. Insert users into the database
+ * 4. Insert users into the "default" organization
+ *    (created by the migrations)
  * 5. Ignore duplicates safely
  */
 async function seed() {
 
     /**
-     * Establish database connection.
-     * Required before performing any queries.
+     * Demo accounts with well-known passwords
+     * must never reach a production database.
      */
-    await connectDB();
+    if (getConfig().environment === 'production') {
+        console.error('Refusing to seed demo users when NODE_ENV=production.');
+        process.exit(1);
+    }
 
     /**
-     * Retrieve active database instance.
+     * Establish database connection and retrieve the user
+     * repository (works with any configured engine).
      */
-    const db = getDB();
+    const { users: userRepository, organizations } = initRepositories(await connectDB());
+
+    const organization = await organizations.findBySlug('default');
 
     /**
      * Demo users for local development.
@@ -47,11 +57,13 @@ async function seed() {
      * - user    → basic access
      * - advisor → restricted role
      * - admin   → full access
+     *
+     * admin1 is also a super-admin (manages organizations).
      */
     const users = [
-        { username: 'user1', password: 'password1', role: 'user' },
-        { username: 'advisor1', password: 'password2', role: 'advisor' },
-        { username: 'admin1', password: 'password3', role: 'admin' },
+        { username: 'user1', email: 'user1@example.com', password: 'password1', role: 'user' },
+        { username: 'advisor1', email: 'advisor1@example.com', password: 'password2', role: 'advisor' },
+        { username: 'admin1', email: 'admin1@example.com', password: 'password3', role: 'admin', superAdmin: true },
     ];
 
     /**
@@ -60,12 +72,9 @@ async function seed() {
     for (const u of users) {
 
         /**
-         * Hash password using bcrypt.
-         *
-         * Salt rounds = 10
-         * Higher values increase security but reduce performance.
+         * Hash password using bcrypt (shared password utility).
          */
-        const hashed = await bcrypt.hash(u.password, 10);
+        const hashed = await hashPassword(u.password);
 
         try {
             /**
@@ -73,10 +82,17 @@ async function seed() {
              *
              * Password hashes are stored instead of plaintext passwords.
              */
-            await db.run(
-                'INSERT INTO users (username, passwordHashed, role) VALUES (?, ?, ?)',
-                [u.username, hashed, u.role]
-            );
+            const user = await userRepository.create({
+                username: u.username,
+                email: u.email,
+                passwordHashed: hashed,
+                organizationId: organization.id,
+                role: u.role
+            });
+
+            if (u.superAdmin) {
+                await userRepository.setSuperAdmin(user.id, true);
+            }
 
         } catch (err) {
 
@@ -86,7 +102,7 @@ async function seed() {
              * This allows the seed script to be executed
              * multiple times safely without crashing.
              */
-            if (err.message.includes('UNIQUE')) continue;
+            if (isUniqueViolation(err)) continue;
         }
     }
 
@@ -104,5 +120,9 @@ async function seed() {
 
 /**
  * Execute seed script.
+ * Invalid configuration or an unreachable database stop it with a message.
  */
-seed();
\ No newline at end of file
+seed().catch((err) => {
+    console.error('Seeding failed:', err.message);
+    process.exit(1);
+});
\ No newline at end of file
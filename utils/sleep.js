@@ -0,0 +1,12 @@
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * Used to slow down repeated failed authentication attempts,
+ * and to delay the end of a graceful shutdown (index.js).
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,195 @@
+/**
+ * TOTP (Time-based One-Time Password) utility
+ *
+ * Implements RFC 6238 (TOTP) on top of RFC 4226 (HOTP)
+ * using only Node's crypto module.
+ *
+ * Compatible with common authenticator apps
+ * (Google Authenticator, Microsoft Authenticator, Authy...):
+ * - HMAC-SHA1
+ * - 6 digits
+ * - 30 second period
+ * - Base32-encoded secret
+ */
+
+import crypto from 'crypto';
+import * as clock from './clock.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encodes bytes as RFC 4648 Base32 (no padding).
+ *
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {string}
+ */
+export function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes an RFC 4648 Base32 string.
+ * Spaces, padding and lowercase letters are tolerated.
+ *
+ * @param {string} input - Base32 string
+ * @returns {Buffer}
+ */
+export function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[\s=]/g, '');
+
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new random TOTP secret (160 bits, Base32).
+ *
+ * @returns {string}
+ */
+export function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the HOTP code for a counter value (RFC 4226).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(buffer)
+        .digest();
+
+    /**
+     * Dynamic truncation.
+     */
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Returns the time step for a timestamp.
+ *
+ * @param {number} [now] - Time in ms (defaults to clock.now())
+ * @returns {number}
+ */
+export function currentTimeStep(now = clock.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Generates the TOTP code for a time step.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} [step] - Time step (defaults to the current one)
+ * @returns {string}
+ */
+export function generateTotp(secret, step = currentTimeStep()) {
+    return hotp(secret, step);
+}
+
+/**
+ * Verifies a TOTP code.
+ *
+ * Accepts codes from the adjacent time steps to tolerate
+ * clock drift between the server and the user's device.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Accepted steps before/after now
+ * @param {number} [options.now] - Current time in ms
+ *
+ * @returns {number | null} Matched time step, or null when invalid.
+ *          Callers store it to reject replays of the same code.
+ */
+export function verifyTotp(secret, code, { window = 1, now = clock.now() } = {}) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const step = currentTimeStep(now);
+
+    for (let i = -window; i <= window; i++) {
+        const expected = Buffer.from(hotp(secret, step + i));
+
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+            return step + i;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Builds the otpauth:// URI rendered as a QR code by the frontend.
+ *
+ * Format:
+ *   otpauth://totp/<issuer>:<account>?secret=...&issuer=...
+ *
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.account - Account label (username)
+ * @param {string} params.issuer - Service name shown in the app
+ * @returns {string}
+ */
+export function buildOtpAuthUri({ secret, account, issuer }) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${query}`;
+}
@@ -0,0 +1,194 @@
+/**
+ * Schema validation
+ *
+ * Validates request data against declarative schemas written in a
+ * small subset of JSON Schema, so the same definitions can later be
+ * reused for API documentation.
+ *
+ * Supported keywords:
+ * - object:  properties, required, anyOf (list of { required: [...] })
+ * - string:  minLength, maxLength, pattern, enum, format ("email")
+ * - integer: minimum, maximum
+ * - boolean
+ * - array:   items, minItems, maxItems
+ * - any type: default
+ *
+ * Unknown object properties are dropped, so controllers only
+ * ever see declared fields.
+ */
+
+/**
+ * Basic email shape check (delivery is the real validation).
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Converts query string / route parameter text to the schema type.
+ * Values that cannot be converted are returned unchanged and
+ * rejected by the type check.
+ *
+ * @param {Object} schema - Property schema
+ * @param {unknown} value - Raw value
+ * @returns {unknown}
+ */
+function coerce(schema, value) {
+    if (typeof value !== 'string') return value;
+
+    if (schema.type === 'integer' && /^-?\d+$/.test(value)) {
+        return Number(value);
+    }
+
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+
+    return value;
+}
+
+/**
+ * Validates one property value.
+ *
+ * @param {Object} schema - Property schema
+ * @param {unknown} value - Value (never undefined)
+ * @returns {{ code: string, message: string } | null} First failed rule
+ */
+function checkValue(schema, value) {
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { code: 'type', message: 'must be a string' };
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                return schema.minLength === 1
+                    ? { code: 'required', message: 'must not be empty' }
+                    : { code: 'min_length', message: `must be at least ${schema.minLength} characters` };
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return { code: 'max_length', message: `must be at most ${schema.maxLength} characters` };
+            }
+            if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+                return { code: 'format', message: 'must be a valid email address' };
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                return { code: 'pattern', message: 'has an invalid format' };
+            }
+            break;
+
+        case 'integer':
+            if (!Number.isInteger(value)) {
+                return { code: 'type', message: 'must be an integer' };
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                return { code: 'minimum', message: `must be at least ${schema.minimum}` };
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                return { code: 'maximum', message: `must be at most ${schema.maximum}` };
+            }
+            break;
+
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return { code: 'type', message: 'must be a boolean' };
+            }
+            break;
+
+        case 'array':
+            if (!Array.isArray(value)) {
+                return { code: 'type', message: 'must be an array' };
+            }
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                return { code: 'min_items', message: `must contain at least ${schema.minItems} item(s)` };
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return { code: 'max_items', message: `must contain at most ${schema.maxItems} items` };
+            }
+            if (schema.items) {
+                for (const [index, item] of value.entries()) {
+                    const failure = checkValue(schema.items, item);
+
+                    if (failure) {
+                        return { code: failure.code, message: `[${index}] ${failure.message}` };
+                    }
+                }
+            }
+            break;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return { code: 'enum', message: `must be one of: ${schema.enum.join(', ')}` };
+    }
+
+    return null;
+}
+
+/**
+ * Validates an object (request body, query or params) against a schema.
+ *
+ * @param {Object} schema - { type: 'object', properties, required, anyOf }
+ * @param {unknown} input - Data to validate
+ * @param {Object} options
+ * @param {string} options.location - "body", "query" or "params" (used in error entries)
+ * @param {boolean} [options.coerce=false] - Convert strings to integers/booleans
+ * @returns {{ value: Object, errors: Object[] }}
+ *          value: declared properties only, defaults applied
+ */
+export function validateObject(schema, input, { location, coerce: shouldCoerce = false }) {
+    const errors = [];
+    const value = {};
+
+    if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+        return {
+            value,
+            errors: [{ location, field: null, code: 'type', message: `${location} must be a JSON object` }]
+        };
+    }
+
+    const data = input ?? {};
+    const required = schema.required ?? [];
+
+    for (const [field, propertySchema] of Object.entries(schema.properties ?? {})) {
+        let fieldValue = data[field];
+
+        if (fieldValue === undefined || fieldValue === null) {
+            if (required.includes(field)) {
+                errors.push({ location, field, code: 'required', message: `${field} is required` });
+            } else if (propertySchema.default !== undefined) {
+                value[field] = propertySchema.default;
+            } else if (fieldValue === null && propertySchema.nullable) {
+                value[field] = null;
+            }
+            continue;
+        }
+
+        if (shouldCoerce) {
+            fieldValue = coerce(propertySchema, fieldValue);
+        }
+
+        const failure = checkValue(propertySchema, fieldValue);
+
+        if (failure) {
+            errors.push({ location, field, code: failure.code, message: `${field} ${failure.message}` });
+        } else {
+            value[field] = fieldValue;
+        }
+    }
+
+    /**
+     * anyOf: at least one group of fields must be present,
+     * e.g. "username or email".
+     */
+    if (schema.anyOf && !schema.anyOf.some((option) =>
+        option.required.every((field) => value[field] !== undefined)
+    )) {
+        const groups = schema.anyOf.map((option) => option.required.join(' + '));
+
+        errors.push({
+            location,
+            field: null,
+            code: 'any_of',
+            message: `one of these is required: ${groups.join(' or ')}`
+        });
+    }
+
+    return { value, errors };
+}